@@ -47,10 +47,7 @@ async function clearDatabase() {
     database.exec('DELETE FROM sqlite_sequence');
     
     // Save to file
-    const fs = require('fs');
-    const path = require('path');
-    const data = database.export();
-    fs.writeFileSync(path.join(__dirname, 'data/brainbrief.db'), Buffer.from(data));
+    db.saveToFile();
     
     logger.success('✅ Database cleared', 'clear');
     logger.info('');
@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+/**
+ * Discover Twitter Lists
+ * 
+ * 1. Open the Lists page and read the lists from its GraphQL responses
+ * 2. Save them to the database (new lists added, deleted/unfollowed lists removed,
+ *    sync settings of known lists kept)
+ */
+
+const { discoverLists } = require('./src/automation/twitter');
+const lists = require('./src/db/lists');
+const logger = require('./src/utils/logger');
+
+async function discover() {
+  try {
+    logger.info('='.repeat(70));
+    logger.info('BRAINBRIEF - DISCOVER TWITTER LISTS');
+    logger.info('='.repeat(70));
+    logger.info('');
+    
+    const discoverResult = await discoverLists();
+    if (!discoverResult.success) {
+      logger.error('List discovery failed', discoverResult.error, 'discover');
+      process.exit(1);
+    }
+    
+    const saveResult = await lists.saveDiscoveredLists(discoverResult.data);
+    if (!saveResult.success) {
+      logger.error('Failed to save lists', saveResult.error, 'discover');
+      process.exit(1);
+    }
+    
+    const listsResult = await lists.getLists();
+    
+    listsResult.data.forEach((list, i) => {
+      logger.info(`${i + 1}. ${list.name}${list.owner ? ` (@${list.owner})` : ''} - ${list.url}${list.enabled ? '' : ' [disabled]'}`, 'discover');
+    });
+    saveResult.data.added.forEach(name => logger.success(`New: ${name}`, 'discover'));
+    saveResult.data.removed.forEach(name => logger.warn(`Removed: ${name}`, 'discover'));
+    if (saveResult.data.removalSkipped) {
+      logger.warn('Found far fewer lists than before - nothing marked as removed. Run discovery again later.', 'discover');
+    }
+    
+    logger.info('');
+    logger.success(`✅ Found ${discoverResult.data.length} lists`, 'discover');
+    logger.info('Choose lists in Settings, then run: npm run sync:lists', 'discover');
+    logger.info('');
+    
+  } catch (error) {
+    logger.error('Unexpected error during list discovery', error, 'discover');
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  discover().catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { discover };
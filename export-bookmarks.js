@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+/**
+ * Export all local bookmarks in a chosen format
+ * Usage: npm run export -- --format=markdown|jsonl|csv|html|obsidian [--out=path] [--list]
+ *        [--include-removed|--exclude-removed] (bookmarks removed on X; default: the Settings option)
+ */
+
+const { exportBookmarks, getExporters, DEFAULT_FORMAT } = require('./src/export');
+const logger = require('./src/utils/logger');
+
+/**
+ * Read a --name=value argument
+ */
+function getArg(name) {
+  const prefix = `--${name}=`;
+  const arg = process.argv.slice(2).find(a => a.startsWith(prefix));
+  return arg ? arg.slice(prefix.length) : null;
+}
+
+async function runExport() {
+  if (process.argv.includes('--list')) {
+    console.log('\n📤 Export formats:\n');
+    getExporters().forEach(format => {
+      console.log(`  ${format.id.padEnd(10)} ${format.name}`);
+    });
+    console.log('');
+    return;
+  }
+  
+  const format = getArg('format') || DEFAULT_FORMAT;
+  console.log(`\n📤 EXPORT - ${format}\n`);
+  
+  const excludeRemoved = process.argv.includes('--exclude-removed') ? true
+    : process.argv.includes('--include-removed') ? false
+      : undefined;
+  
+  const result = await exportBookmarks(format, { outputPath: getArg('out') || undefined, excludeRemoved });
+  
+  if (!result.success) {
+    logger.error('Export failed', result.error, 'export');
+    process.exit(1);
+  }
+  
+  if (result.data.count === 0) {
+    logger.warn('No bookmarks in database! Run sync first.', 'export');
+  }
+  
+  logger.info(`Bookmarks: ${result.data.count}`, 'export');
+  logger.info(`Files written: ${result.data.files}`, 'export');
+  logger.info(`Output: ${result.data.path}`, 'export');
+}
+
+runExport();
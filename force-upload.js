@@ -1,20 +1,24 @@
 #!/usr/bin/env node
 /**
- * Force upload ALL bookmarks to NotebookLM
- * Use this for first-time upload or if notebooks are missing
+ * Upload every bookmark not yet delivered to NotebookLM
+ * Use this after an archive import or failed syncs
+ * Pass --all to re-upload everything (e.g. if notebooks were deleted)
  */
 
 const { getBookmarks } = require('./src/db/database');
 const { uploadBookmarks } = require('./src/automation/notebooklm');
+const syncRuns = require('./src/db/sync-runs');
 const logger = require('./src/utils/logger');
 
 async function forceUpload() {
-  console.log('\n🚀 FORCE UPLOAD - Upload ALL bookmarks to NotebookLM\n');
+  const uploadAll = process.argv.includes('--all');
+  
+  console.log(`\n🚀 FORCE UPLOAD - Upload ${uploadAll ? 'ALL' : 'undelivered'} bookmarks to NotebookLM\n`);
   
   try {
-    // Get ALL bookmarks from database
-    logger.info('Loading ALL bookmarks from database...', 'upload');
-    const result = await getBookmarks();
+    // Get bookmarks not yet in NotebookLM (or all with --all) - archive imports without text wait for a sync
+    logger.info(`Loading ${uploadAll ? 'ALL' : 'undelivered'} bookmarks from database...`, 'upload');
+    const result = await getBookmarks({ limit: -1, undeliveredOnly: !uploadAll, enrichedOnly: true });
     
     if (!result.success) {
       logger.error('Failed to load bookmarks', result.error, 'upload');
@@ -25,7 +29,11 @@ async function forceUpload() {
     logger.success(`Loaded ${bookmarks.length} bookmarks`, 'upload');
     
     if (bookmarks.length === 0) {
-      logger.warn('No bookmarks in database! Run sync first.', 'upload');
+      if (uploadAll) {
+        logger.warn('No bookmarks in database! Run sync first.', 'upload');
+      } else {
+        logger.success('Every bookmark is already in NotebookLM (use --all to re-upload)', 'upload');
+      }
       process.exit(0);
     }
     
@@ -33,13 +41,31 @@ async function forceUpload() {
     logger.info(`Uploading ${bookmarks.length} bookmarks to NotebookLM...`, 'upload');
     logger.warn('Browser will open - watch it work!', 'upload');
     
-    const uploadResult = await uploadBookmarks(bookmarks);
+    const run = syncRuns.startRun('upload', 'cli');
+    run.counts.found = bookmarks.length;
+    
+    const uploadResult = await syncRuns.timePhase(run, 'upload', () => uploadBookmarks(bookmarks));
+    
+    if (uploadResult.success) {
+      run.counts.uploaded = bookmarks.length;
+    }
+    await syncRuns.recordRun(run, {
+      status: uploadResult.success ? 'success' : 'failed',
+      error: uploadResult.error
+    });
     
     if (uploadResult.success) {
       logger.success('✅ Upload complete!', 'upload');
-      logger.info(`Notebook: ${uploadResult.data.notebookName}`, 'upload');
-      logger.info(`Sources: ${uploadResult.data.sourceCount}`, 'upload');
-      logger.info(`YouTube videos: ${uploadResult.data.youtubeSourcesAdded || 0}`, 'upload');
+      if (uploadResult.data.notebooks) {
+        // Routing rules split the upload across topic notebooks
+        uploadResult.data.notebooks.forEach(notebook => {
+          logger.info(`Notebook: ${notebook.notebookName} (${notebook.count} bookmarks, ${notebook.totalSourcesAdded} link sources)`, 'upload');
+        });
+      } else {
+        logger.info(`Notebook: ${uploadResult.data.notebookName}`, 'upload');
+        logger.info(`Sources: ${uploadResult.data.sourceCount}`, 'upload');
+        logger.info(`YouTube videos: ${uploadResult.data.youtubeSourcesAdded || 0}`, 'upload');
+      }
     } else {
       logger.error('Upload failed', uploadResult.error, 'upload');
       process.exit(1);
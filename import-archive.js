@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+/**
+ * Import bookmarks from the official X data archive
+ * Usage: npm run import:archive -- /path/to/twitter-archive.zip (or the extracted folder)
+ */
+
+const { importArchive } = require('./src/import/x-archive');
+const logger = require('./src/utils/logger');
+
+async function runImport() {
+  const archivePath = process.argv[2];
+  
+  if (!archivePath) {
+    console.log('\nUsage: npm run import:archive -- /path/to/twitter-archive.zip\n');
+    console.log('Get the archive from X: Settings → Your account → Download an archive of your data\n');
+    process.exit(1);
+  }
+  
+  console.log('\n📦 IMPORT - X data archive\n');
+  
+  const result = await importArchive(archivePath);
+  
+  if (!result.success) {
+    logger.error('Import failed', result.error, 'import');
+    process.exit(1);
+  }
+  
+  logger.info(`Bookmarks in archive: ${result.data.total}`, 'import');
+  logger.info(`Inserted: ${result.data.inserted}`, 'import');
+  logger.info(`Updated: ${result.data.updated}`, 'import');
+  logger.info(`Skipped: ${result.data.skipped}`, 'import');
+  
+  if (result.data.failed > 0) {
+    logger.warn(`Failed: ${result.data.failed}`, 'import');
+  }
+  
+  logger.info('Run "node force-upload.js" to upload imported bookmarks to NotebookLM', 'import');
+}
+
+runImport();
@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+/**
+ * Reconcile local bookmarks with X
+ * 
+ * Incremental syncs only look for new bookmarks. This walks the whole
+ * bookmarks timeline (slow - run it now and then) and:
+ * 1. Marks saved bookmarks that are no longer bookmarked on X as removed (kept, not deleted)
+ * 2. Checks which of them were deleted on X
+ * 3. Restores removed bookmarks that are bookmarked again
+ * 
+ * Usage: npm run sync:reconcile [-- --force]
+ * --force marks bookmarks even when most of them look removed (normally
+ * treated as a broken scan).
+ */
+
+const { runReconcile } = require('./src/main/scheduler');
+const logger = require('./src/utils/logger');
+
+async function reconcile() {
+  try {
+    logger.info('='.repeat(70));
+    logger.info('BRAINBRIEF - RECONCILE BOOKMARKS WITH X');
+    logger.info('='.repeat(70));
+    logger.info('');
+    
+    const force = process.argv.includes('--force');
+    const result = await runReconcile({ force, trigger: 'cli' });
+    
+    if (!result.success) {
+      logger.error('Reconciliation failed', result.error, 'reconcile');
+      if (result.data?.needsForce) {
+        logger.info('If you really removed that many bookmarks, run: npm run sync:reconcile -- --force', 'reconcile');
+      }
+      process.exit(1);
+    }
+    
+    const { seen, removed, deleted, restored } = result.data;
+    logger.info(`Bookmarks on X: ${seen}`, 'reconcile');
+    logger.info(`Removed on X: ${removed} (${deleted} deleted, ${removed - deleted} un-bookmarked or not checked)`, 'reconcile');
+    logger.info(`Restored (bookmarked again): ${restored}`, 'reconcile');
+    logger.info('');
+    
+    logger.success('='.repeat(70), 'reconcile');
+    logger.success('✅ RECONCILIATION COMPLETE!', 'reconcile');
+    logger.success('='.repeat(70), 'reconcile');
+    logger.info('');
+    
+  } catch (error) {
+    logger.error('Unexpected error during reconciliation', error, 'reconcile');
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  reconcile().catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { reconcile };
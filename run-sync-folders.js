@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+/**
+ * Sync Twitter Bookmark Folders (X Premium)
+ * 
+ * 1. Extract new bookmarks from each enabled folder (folder membership is stored)
+ * 2. Upload them to the folder's own notebook if it has one
+ * 
+ * Run with --discover to find your folders first, then enable them in Settings.
+ */
+
+const { discoverBookmarkFolders } = require('./src/automation/twitter');
+const { runFolderSync } = require('./src/main/scheduler');
+const bookmarkFolders = require('./src/db/bookmark-folders');
+const logger = require('./src/utils/logger');
+
+async function syncFolders() {
+  try {
+    logger.info('='.repeat(70));
+    logger.info('BRAINBRIEF - BOOKMARK FOLDERS SYNC');
+    logger.info('='.repeat(70));
+    logger.info('');
+    
+    if (process.argv.includes('--discover')) {
+      const discoverResult = await discoverBookmarkFolders();
+      if (!discoverResult.success) {
+        logger.error('Folder discovery failed', discoverResult.error, 'sync');
+        process.exit(1);
+      }
+      
+      await bookmarkFolders.saveDiscoveredFolders(discoverResult.data);
+      discoverResult.data.forEach((folder, i) => logger.info(`${i + 1}. ${folder.name} (${folder.url})`, 'sync'));
+      logger.info('');
+      logger.info('Enable folders in Settings → Bookmark Folders, then run: npm run sync:folders', 'sync');
+      return;
+    }
+    
+    const result = await runFolderSync({ trigger: 'cli' });
+    
+    (result.data?.folders || []).forEach(folder => {
+      if (folder.error) {
+        logger.error(`Folder "${folder.name}" failed`, folder.error, 'sync');
+      } else {
+        logger.success(`Folder "${folder.name}": ${folder.count} new${folder.uploaded ? ', uploaded to its notebook' : ''}`, 'sync');
+      }
+    });
+    
+    if (!result.success) {
+      logger.error('Folder sync finished with errors', result.error, 'sync');
+      process.exit(1);
+    }
+    
+    logger.success('='.repeat(70), 'sync');
+    logger.success('✅ ALL FOLDERS SYNCED!', 'sync');
+    logger.success('='.repeat(70), 'sync');
+    logger.info('');
+    
+  } catch (error) {
+    logger.error('Unexpected error during folder sync', error, 'sync');
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  syncFolders().catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { syncFolders };
@@ -3,18 +3,16 @@
  * Sync Twitter Lists to NotebookLM
  * 
  * Uses the EXACT SAME pipeline as bookmarks:
- * 1. Extract tweets from each enabled list
- * 2. Upload to NotebookLM (separate notebook per list)
+ * 1. Extract tweets from each enabled list (lists and their settings are in the database)
+ * 2. Save them to list_tweets
+ * 3. Upload to NotebookLM (separate notebook per list)
+ * 
+ * Run `npm run discover:lists` first, then enable lists in Settings.
  */
 
-const fs = require('fs');
-const path = require('path');
-const { extractListTweets } = require('./src/automation/twitter');
-const { uploadListTweets } = require('./src/automation/notebooklm');
+const { runListSync } = require('./src/main/scheduler');
 const logger = require('./src/utils/logger');
 
-const CONFIG_FILE = path.join(__dirname, 'lists-config.json');
-
 async function syncLists() {
   try {
     logger.info('='.repeat(70));
@@ -22,62 +20,22 @@ async function syncLists() {
     logger.info('='.repeat(70));
     logger.info('');
     
-    // Load config
-    if (!fs.existsSync(CONFIG_FILE)) {
-      logger.error('lists-config.json not found!', null, 'sync');
-      logger.info('Run: node click-lists.js to discover your lists', 'sync');
-      process.exit(1);
-    }
-    
-    const config = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf-8'));
-    const enabledLists = config.lists.filter(l => l.enabled);
-    
-    if (enabledLists.length === 0) {
-      logger.warn('No enabled lists in config!', 'sync');
-      logger.info('Edit lists-config.json and set enabled: true', 'sync');
-      process.exit(0);
-    }
+    const result = await runListSync({ trigger: 'cli' });
     
-    logger.info(`Found ${enabledLists.length} enabled lists to sync`, 'sync');
-    logger.info('');
-    
-    // Sync each list
-    for (const [index, list] of enabledLists.entries()) {
-      logger.info(`[${ index + 1}/${enabledLists.length}] Syncing list: "${list.name}"`, 'sync');
-      logger.info('');
-      
-      // Step 1: Extract tweets
-      const extractResult = await extractListTweets(list);
-      
-      if (!extractResult.success) {
-        logger.error(`Failed to extract list "${list.name}"`, extractResult.error, 'sync');
-        continue; // Skip to next list
-      }
-      
-      const tweets = extractResult.data.tweets;
-      logger.success(`Extracted ${tweets.length} tweets`, 'sync');
-      logger.info('');
-      
-      if (tweets.length === 0) {
-        logger.warn(`No tweets in list "${list.name}", skipping upload`, 'sync');
-        logger.info('');
-        continue;
+    (result.data?.lists || []).forEach(list => {
+      if (list.error) {
+        logger.error(`List "${list.name}" failed`, list.error, 'sync');
+      } else {
+        logger.success(`List "${list.name}": ${list.count} tweets (${list.added} new)${list.uploaded ? ', uploaded to its notebook' : ''}`, 'sync');
       }
-      
-      // Step 2: Upload to NotebookLM
-      const uploadResult = await uploadListTweets(tweets, {
-        name: list.name,
-        listId: list.listId,
-        url: list.url
-      });
-      
-      if (!uploadResult.success) {
-        logger.error(`Failed to upload list "${list.name}"`, uploadResult.error, 'sync');
-        continue;
+      if (list.gap) {
+        logger.warn(`List "${list.name}": did not reach the last synced tweet - the next sync picks up the rest`, 'sync');
       }
-      
-      logger.success(`✅ List "${list.name}" synced successfully!`, 'sync');
-      logger.info('');
+    });
+    
+    if (!result.success) {
+      logger.error('List sync finished with errors', result.error, 'sync');
+      process.exit(1);
     }
     
     logger.success('='.repeat(70), 'sync');
@@ -99,4 +57,3 @@ if (require.main === module) {
 }
 
 module.exports = { syncLists };
-
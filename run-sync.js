@@ -7,11 +7,22 @@
  */
 
 const { extractNewBookmarks } = require('./src/automation/twitter');
-const { uploadBookmarks } = require('./src/automation/notebooklm');
-const { getBookmarks, saveBookmark } = require('./src/db/database');
+const { uploadBookmarks, processUploadQueue } = require('./src/automation/notebooklm');
+const { getBookmarks, saveBookmarks } = require('./src/db/database');
+const syncRuns = require('./src/db/sync-runs');
 const logger = require('./src/utils/logger');
 
+/**
+ * Record the failed run in the sync history and exit
+ */
+async function failRun(run, error) {
+  await syncRuns.recordRun(run, { status: 'failed', error });
+  process.exit(1);
+}
+
 async function main() {
+  const run = syncRuns.startRun('bookmarks', 'cli');
+  
   try {
     logger.info('='.repeat(70));
     logger.info('BRAINBRIEF - AUTOMATED SYNC');
@@ -22,38 +33,53 @@ async function main() {
     logger.info('STEP 1: Extracting new bookmarks from Twitter', 'sync');
     logger.info('');
     
-    const extractResult = await extractNewBookmarks();
+    const extractResult = await syncRuns.timePhase(run, 'extract', () => extractNewBookmarks());
     
     if (!extractResult.success) {
       logger.error('Failed to extract bookmarks', extractResult.error, 'sync');
-      process.exit(1);
+      await failRun(run, extractResult.error);
     }
 
     const newBookmarks = extractResult.data.bookmarks;
+    run.counts.found = newBookmarks.length;
+    if (extractResult.metadata) {
+      run.counts.checked = extractResult.metadata.totalExtracted;
+      run.counts.duplicates = extractResult.metadata.duplicatesSkipped;
+      run.counts.scrolls = extractResult.metadata.scrolls;
+      run.stopReason = extractResult.metadata.stoppedReason;
+    }
     logger.success(`Extracted ${newBookmarks.length} new bookmarks`, 'sync');
     logger.info('');
 
     if (newBookmarks.length === 0) {
       logger.success('✅ No new bookmarks to sync!', 'sync');
-      logger.info('Your NotebookLM is up to date.', 'sync');
+      
+      // Still retry earlier failed uploads (opens browser only if something is due)
+      const retryResult = await syncRuns.timePhase(run, 'upload', () => processUploadQueue());
+      if (retryResult.success && retryResult.data.attempted > 0) {
+        logger.info(`Retried ${retryResult.data.attempted} queued upload(s): ${retryResult.data.uploaded} uploaded`, 'sync');
+      } else {
+        logger.info('Your NotebookLM is up to date.', 'sync');
+      }
       logger.info('');
+      
+      await syncRuns.recordRun(run, { status: 'success' });
       return;
     }
 
     // Step 2: Save new bookmarks to database
     logger.info('STEP 2: Saving new bookmarks to database', 'sync');
     
-    let savedCount = 0;
-    for (const bookmark of newBookmarks) {
-      const saveResult = await saveBookmark(bookmark);
-      if (saveResult.success) {
-        savedCount++;
-      } else {
-        logger.warn(`Failed to save bookmark ${bookmark.id}`, 'sync');
-      }
+    // One transaction and one save to disk for the whole batch
+    const saveResult = await syncRuns.timePhase(run, 'save', () => saveBookmarks(newBookmarks, { restoreRemoved: true }));
+    if (!saveResult.success) {
+      logger.error('Failed to save bookmarks', saveResult.error, 'sync');
+      await failRun(run, saveResult.error);
     }
+    run.counts.saved = saveResult.data.saved;
+    run.counts.failed = saveResult.data.failed;
     
-    logger.success(`Saved ${savedCount}/${newBookmarks.length} bookmarks`, 'sync');
+    logger.success(`Saved ${saveResult.data.saved}/${newBookmarks.length} bookmarks`, 'sync');
     logger.info('');
 
     // Step 3: Get all bookmarks for upload (including previously synced)
@@ -62,7 +88,7 @@ async function main() {
     const dbResult = await getBookmarks();
     if (!dbResult.success) {
       logger.error('Failed to get bookmarks from database', dbResult.error, 'sync');
-      process.exit(1);
+      await failRun(run, dbResult.error);
     }
 
     const allBookmarks = dbResult.data;
@@ -74,13 +100,19 @@ async function main() {
     logger.info('Browser will open automatically...', 'sync');
     logger.info('');
 
-    const uploadResult = await uploadBookmarks(newBookmarks);
+    const uploadResult = await syncRuns.timePhase(run, 'upload', () => uploadBookmarks(newBookmarks));
 
     if (!uploadResult.success) {
       logger.error('Failed to upload to NotebookLM', uploadResult.error, 'sync');
-      process.exit(1);
+      if (uploadResult.data && uploadResult.data.queued) {
+        logger.warn('Upload queued - it will be retried on the next sync', 'sync');
+      }
+      await failRun(run, uploadResult.error);
     }
 
+    run.counts.uploaded = newBookmarks.length;
+    await syncRuns.recordRun(run, { status: 'success' });
+
     logger.info('');
     logger.success('='.repeat(70), 'sync');
     logger.success('✅ SYNC COMPLETE!', 'sync');
@@ -94,7 +126,7 @@ async function main() {
 
   } catch (error) {
     logger.error('Unexpected error during sync', error, 'sync');
-    process.exit(1);
+    await failRun(run, error.message);
   }
 }
 
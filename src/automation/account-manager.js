@@ -10,6 +10,7 @@ const { chromium } = require('playwright');
 const path = require('path');
 const fs = require('fs');
 const logger = require('../utils/logger');
+const db = require('../db/database');
 
 const BROWSER_DATA_DIR = path.join(__dirname, '../../browser-data');
 const NOTEBOOKLM_URL = 'https://notebooklm.google.com';
@@ -137,6 +138,9 @@ async function resetDatabase() {
   try {
     const dbPath = path.join(__dirname, '../../data/brainbrief.db');
     
+    // Close first, or a pending save would write the old database back
+    await db.closeDatabase();
+    
     if (fs.existsSync(dbPath)) {
       fs.unlinkSync(dbPath);
       logger.success('Database reset', 'account');
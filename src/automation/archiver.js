@@ -0,0 +1,586 @@
+/**
+ * BrainBrief - Article Archiver
+ * 
+ * Purpose: Snapshot pages linked from bookmarks so their content survives link rot,
+ *          paywalls and JS-heavy pages NotebookLM can't read
+ * Dependencies: playwright (an already-open context), fs, path, crypto, database.js, settings.js
+ * 
+ * For each article/paper/repo link (links table) the archiver visits the page in
+ * the running browser context and writes to data/archive/:
+ *   <hash>.txt  - readable text (title, byline, main content - Readability-style)
+ *   <hash>.html - single-file HTML snapshot (scripts and event handlers removed,
+ *                 CSS and images inlined, so it opens offline)
+ * createBookmarkFile inlines the text under the bookmark that linked it.
+ * 
+ * Optional: enabled with "archiveLinks": true in lists-config.json settings
+ * (Settings page → Archive Linked Pages).
+ * 
+ * @module archiver
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { getAppSetting } = require('../utils/settings');
+const db = require('../db/database');
+const urlSources = require('./url-sources');
+
+// Paths
+const ARCHIVE_DIR = path.join(__dirname, '../../data/archive');
+
+// Limits
+const MAX_ARCHIVES_PER_SYNC = 20; // Each archive costs a page visit
+const MAX_ARCHIVE_ATTEMPTS = 3; // Dead/blocked pages stop being retried
+const PAGE_LOAD_TIMEOUT_MS = 30000;
+const PAGE_SETTLE_MS = 1500; // Let client-rendered pages fill in
+const MIN_ARTICLE_WORDS = 80; // Below this it's a paywall/cookie wall, not an article
+const MAX_INLINE_CHARS = 20000; // Per article in the NotebookLM file
+const MAX_SNAPSHOT_IMAGES = 50; // Images inlined per snapshot (the rest keep their absolute URL)
+const MAX_SNAPSHOT_IMAGE_BYTES = 2 * 1024 * 1024;
+const MAX_CSS_IMPORT_DEPTH = 3; // @import chains in fetched stylesheets
+const ASSET_TIMEOUT_MS = 10000;
+
+// url(...) references in CSS (quotes optional)
+const CSS_URL_PATTERN = /url\(\s*(['"]?)([^'")]+)\1\s*\)/g;
+// @import "x.css"; / @import url(x.css) screen;
+const CSS_IMPORT_PATTERN = /@import\s+(?:url\(\s*)?(['"]?)([^'")\s;]+)\1\s*\)?[^;]*;/g;
+
+// Link types worth archiving (videos, PDFs and docs are uploaded as their own sources)
+const ARCHIVED_LINK_TYPES = ['article', 'paper', 'repo'];
+
+/**
+ * Check whether archiving is turned on (lists-config.json settings.archiveLinks)
+ * 
+ * @returns {boolean} True if linked pages should be archived
+ */
+function isArchivingEnabled() {
+  return getAppSetting('archiveLinks', false) === true;
+}
+
+/**
+ * Pull the readable content out of the current page (runs in the browser)
+ * Picks the <article>/<main> element, or the block with the most paragraph text.
+ * 
+ * @returns {Object} { title, byline, text, wordCount }
+ */
+function _extractReadable() {
+  const meta = (name) => {
+    const el = document.querySelector(`meta[property="${name}"], meta[name="${name}"]`);
+    return el ? (el.getAttribute('content') || '').trim() : '';
+  };
+  
+  const paragraphText = (el) => Array.from(el.querySelectorAll('p'))
+    .reduce((sum, p) => sum + (p.innerText || '').trim().length, 0);
+  
+  let root = document.querySelector('article') || document.querySelector('main, [role="main"]');
+  if (!root || paragraphText(root) < 200) {
+    // Densest block of paragraphs (the parent of the most <p> text)
+    const scores = new Map();
+    document.querySelectorAll('p').forEach(p => {
+      const parent = p.parentElement;
+      if (parent) {
+        scores.set(parent, (scores.get(parent) || 0) + (p.innerText || '').trim().length);
+      }
+    });
+    let best = null;
+    scores.forEach((score, el) => {
+      if (!best || score > scores.get(best)) {
+        best = el;
+      }
+    });
+    root = best || document.body;
+  }
+  
+  const skip = 'nav, header, footer, aside, form, script, style, noscript, button, [role="navigation"], [aria-hidden="true"]';
+  const blocks = [];
+  root.querySelectorAll('h1, h2, h3, h4, h5, h6, p, li, blockquote, pre').forEach(el => {
+    if (el.closest(skip) || el.parentElement.closest('p, li, blockquote, pre')) {
+      return;
+    }
+    const text = (el.innerText || '').trim();
+    if (!text) {
+      return;
+    }
+    if (/^H[1-6]$/.test(el.tagName)) {
+      blocks.push(`${'#'.repeat(Number(el.tagName[1]))} ${text}`);
+    } else if (el.tagName === 'LI') {
+      blocks.push(`- ${text}`);
+    } else if (el.tagName === 'BLOCKQUOTE') {
+      blocks.push(text.split('\n').map(line => `> ${line}`).join('\n'));
+    } else {
+      blocks.push(text);
+    }
+  });
+  
+  const text = blocks.join('\n\n');
+  
+  return {
+    title: meta('og:title') || document.title || '',
+    byline: meta('author') || meta('article:author') || '',
+    text,
+    wordCount: text.split(/\s+/).filter(Boolean).length
+  };
+}
+
+/**
+ * List what the snapshot has to fetch (runs in the browser)
+ * Readable stylesheets come back as text; cross-origin ones (no CORS) and their
+ * @imports as URLs, fetched from Node where CORS doesn't apply.
+ * 
+ * @returns {Object} { images: [url], stylesheets: [{ text, baseUrl } | { href }] } in page order
+ */
+function _collectSnapshotAssets() {
+  const stylesheets = [];
+  
+  const visit = (sheet) => {
+    let rules;
+    try {
+      rules = Array.from(sheet.cssRules);
+    } catch (e) {
+      if (sheet.href) {
+        stylesheets.push({ href: sheet.href });
+      }
+      return;
+    }
+    
+    // @import rules come first in a sheet, so the imported CSS keeps its place
+    rules.filter(rule => rule.type === CSSRule.IMPORT_RULE).forEach(rule => {
+      if (rule.styleSheet) {
+        visit(rule.styleSheet);
+      }
+    });
+    stylesheets.push({
+      text: rules.filter(rule => rule.type !== CSSRule.IMPORT_RULE).map(rule => rule.cssText).join('\n'),
+      baseUrl: sheet.href || document.baseURI
+    });
+  };
+  Array.from(document.styleSheets).forEach(visit);
+  
+  const images = new Set();
+  document.querySelectorAll('img').forEach(img => {
+    const src = img.currentSrc || img.src;
+    if (/^https?:/.test(src)) {
+      images.add(src);
+    }
+  });
+  
+  return { images: Array.from(images), stylesheets };
+}
+
+/**
+ * Make url(...) references in CSS absolute (the snapshot has no <base>)
+ * 
+ * @param {string} css - Stylesheet text
+ * @param {string} baseUrl - URL the stylesheet was loaded from
+ * @returns {string} CSS with absolute URLs
+ */
+function _absolutizeCssUrls(css, baseUrl) {
+  return css.replace(CSS_URL_PATTERN, (match, quote, url) => {
+    if (/^(data|#)/i.test(url.trim())) {
+      return match;
+    }
+    try {
+      return `url("${new URL(url.trim(), baseUrl).href}")`;
+    } catch (e) {
+      return match;
+    }
+  });
+}
+
+/**
+ * Fetch a cross-origin stylesheet, with its @imports inlined
+ * 
+ * @param {Page} page - Playwright page (its context's cookies are sent)
+ * @param {string} href - Stylesheet URL
+ * @param {number} depth - @import nesting so far
+ * @returns {Promise<string>} CSS text ('' if it can't be fetched)
+ */
+async function _fetchStylesheet(page, href, depth = 0) {
+  try {
+    const response = await page.request.get(href, { timeout: ASSET_TIMEOUT_MS });
+    if (!response.ok()) {
+      return '';
+    }
+    const css = await response.text();
+    
+    const imports = [];
+    const body = css.replace(CSS_IMPORT_PATTERN, (match, quote, url) => {
+      imports.push(new URL(url, href).href);
+      return '';
+    });
+    
+    const imported = [];
+    if (depth < MAX_CSS_IMPORT_DEPTH) {
+      for (const url of imports) {
+        imported.push(await _fetchStylesheet(page, url, depth + 1));
+      }
+    }
+    
+    return [...imported, _absolutizeCssUrls(body, href)].join('\n');
+    
+  } catch (error) {
+    logger.debug(`Stylesheet not archived: ${href}`, error.message, 'archiver');
+    return '';
+  }
+}
+
+/**
+ * Fetch what the snapshot inlines: stylesheets as one CSS text, images as data: URLs
+ * 
+ * @param {Page} page - Playwright page
+ * @param {Object} assets - From _collectSnapshotAssets
+ * @returns {Promise<Object>} { css, images: { url: dataUrl } }
+ */
+async function _fetchSnapshotAssets(page, assets) {
+  const css = [];
+  for (const sheet of assets.stylesheets) {
+    css.push(sheet.href
+      ? await _fetchStylesheet(page, sheet.href)
+      : _absolutizeCssUrls(sheet.text, sheet.baseUrl));
+  }
+  
+  const images = {};
+  for (const url of assets.images.slice(0, MAX_SNAPSHOT_IMAGES)) {
+    try {
+      const response = await page.request.get(url, { timeout: ASSET_TIMEOUT_MS });
+      const body = response.ok() ? await response.body() : null;
+      const type = (response.headers()['content-type'] || '').split(';')[0].trim();
+      if (body && body.length <= MAX_SNAPSHOT_IMAGE_BYTES && type.startsWith('image/')) {
+        images[url] = `data:${type};base64,${body.toString('base64')}`;
+      }
+    } catch (error) {
+      logger.debug(`Image not archived: ${url}`, error.message, 'archiver');
+    }
+  }
+  
+  return { css: css.join('\n'), images };
+}
+
+/**
+ * Serialize the current page as one self-contained HTML file (runs in the browser)
+ * Scripts, event handlers, javascript: links and <base> are dropped; stylesheets and
+ * images come inlined from _fetchSnapshotAssets, every other link is made absolute.
+ * 
+ * @param {Object} assets - { css, images: { url: dataUrl } }
+ * @returns {string} HTML document
+ */
+function _buildSnapshot(assets) {
+  const clone = document.documentElement.cloneNode(true);
+  
+  // Same order as the live page until elements are removed below
+  const liveImages = document.querySelectorAll('img');
+  clone.querySelectorAll('img').forEach((img, index) => {
+    const live = liveImages[index];
+    const src = live ? live.currentSrc || live.src : img.src;
+    if (src) {
+      img.setAttribute('src', assets.images[src] || src);
+    }
+    ['srcset', 'sizes', 'loading'].forEach(name => img.removeAttribute(name));
+  });
+  
+  clone.querySelectorAll('script, noscript, iframe, base, picture source, link[rel="stylesheet"], style, link[rel="preload"], link[rel="modulepreload"]')
+    .forEach(el => el.remove());
+    
+  [clone, ...clone.querySelectorAll('*')].forEach(el => {
+    Array.from(el.attributes).forEach(attr => {
+      if (/^on/i.test(attr.name) || /^\s*javascript:/i.test(attr.value)) {
+        el.removeAttribute(attr.name);
+      }
+    });
+  });
+  
+  ['href', 'src', 'poster', 'action'].forEach(name => {
+    clone.querySelectorAll(`[${name}]`).forEach(el => {
+      const value = el.getAttribute(name).trim();
+      if (/^(data:|#)/i.test(value)) {
+        return;
+      }
+      try {
+        el.setAttribute(name, new URL(value, document.baseURI).href);
+      } catch (e) { /* unparseable URL: leave as is */ }
+    });
+  });
+  
+  let head = clone.querySelector('head');
+  if (!head) {
+    head = document.createElement('head');
+    clone.insertBefore(head, clone.firstChild);
+  }
+  
+  const style = document.createElement('style');
+  style.textContent = assets.css;
+  head.appendChild(style);
+  
+  const saved = document.createElement('meta');
+  saved.setAttribute('name', 'brainbrief-archived-from');
+  saved.setAttribute('content', location.href);
+  head.appendChild(saved);
+  
+  return `<!DOCTYPE html>\n${clone.outerHTML}`;
+}
+
+/**
+ * File name stem for a URL (stable, so re-archiving overwrites)
+ * 
+ * @param {string} url - Normalized URL
+ * @returns {string} Hash
+ */
+function _archiveName(url) {
+  return crypto.createHash('sha1').update(url).digest('hex').slice(0, 16);
+}
+
+/**
+ * Load archive rows for some URLs
+ * 
+ * @param {Object} database - sql.js Database
+ * @param {Array<string>} urls - Normalized URLs
+ * @returns {Map} url -> archived_pages row
+ */
+function _getArchiveRows(database, urls) {
+  const rows = new Map();
+  if (urls.length === 0) {
+    return rows;
+  }
+  
+  const stmt = database.prepare(`SELECT * FROM archived_pages WHERE url IN (${urls.map(() => '?').join(', ')})`);
+  stmt.bind(urls);
+  while (stmt.step()) {
+    const row = stmt.getAsObject();
+    rows.set(row.url, row);
+  }
+  stmt.free();
+  
+  return rows;
+}
+
+/**
+ * Record an archive attempt
+ * 
+ * @param {Object} database - sql.js Database
+ * @param {string} url - Normalized URL
+ * @param {Object} result - { finalUrl, title, byline, wordCount, textFile, htmlFile } or { error }
+ */
+function _recordArchive(database, url, result) {
+  const stmt = database.prepare(`
+    INSERT INTO archived_pages (url, final_url, title, byline, word_count, text_file, html_file, status, attempts, last_error)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, 1, ?)
+    ON CONFLICT(url) DO UPDATE SET
+      final_url = COALESCE(excluded.final_url, final_url),
+      title = COALESCE(excluded.title, title),
+      byline = COALESCE(excluded.byline, byline),
+      word_count = CASE WHEN excluded.status = 'archived' THEN excluded.word_count ELSE word_count END,
+      text_file = COALESCE(excluded.text_file, text_file),
+      html_file = COALESCE(excluded.html_file, html_file),
+      status = CASE WHEN excluded.status = 'archived' THEN 'archived' ELSE status END,
+      attempts = attempts + 1,
+      last_error = excluded.last_error,
+      archived_at = CURRENT_TIMESTAMP
+  `);
+  stmt.run([
+    url,
+    result.finalUrl || null,
+    result.title || null,
+    result.byline || null,
+    result.wordCount || 0,
+    result.textFile || null,
+    result.htmlFile || null,
+    result.error ? 'failed' : 'archived',
+    result.error || null
+  ]);
+  stmt.free();
+}
+
+/**
+ * Visit one page and write its text + HTML snapshot
+ * 
+ * @param {Page} page - Playwright page (reused across URLs)
+ * @param {string} url - Normalized URL
+ * @returns {Promise<Object>} { finalUrl, title, byline, wordCount, textFile, htmlFile }
+ */
+async function _archivePage(page, url) {
+  await page.goto(url, { waitUntil: 'domcontentloaded', timeout: PAGE_LOAD_TIMEOUT_MS });
+  await page.waitForTimeout(PAGE_SETTLE_MS);
+  
+  const readable = await page.evaluate(_extractReadable);
+  const assets = await _fetchSnapshotAssets(page, await page.evaluate(_collectSnapshotAssets));
+  const html = await page.evaluate(_buildSnapshot, assets);
+  
+  const name = _archiveName(url);
+  const textFile = `${name}.txt`;
+  const htmlFile = `${name}.html`;
+  
+  let text = `# ${readable.title || url}\n\n`;
+  text += `Source: ${url}\n`;
+  if (readable.byline) {
+    text += `By: ${readable.byline}\n`;
+  }
+  text += `Archived: ${new Date().toISOString()}\n\n`;
+  text += readable.text;
+  
+  fs.writeFileSync(path.join(ARCHIVE_DIR, textFile), text, 'utf-8');
+  fs.writeFileSync(path.join(ARCHIVE_DIR, htmlFile), html, 'utf-8');
+  
+  return {
+    finalUrl: page.url(),
+    title: readable.title,
+    byline: readable.byline,
+    wordCount: readable.wordCount,
+    textFile,
+    htmlFile
+  };
+}
+
+/**
+ * Archive the pages linked from a batch of bookmarks (skips ones already archived)
+ * 
+ * @param {BrowserContext} context - Running Playwright context (Twitter or NotebookLM)
+ * @param {Array<Object>} bookmarks - Bookmarks (extractor objects or DB rows)
+ * @returns {Promise<Object>} { success, data: { archived, failed, skipped }, error }
+ */
+async function archiveLinks(context, bookmarks) {
+  let page = null;
+  const counts = { archived: 0, failed: 0, skipped: 0 };
+  
+  try {
+    const dbResult = await db.getDatabase();
+    if (!dbResult.success) {
+      return dbResult;
+    }
+    const database = dbResult.data;
+    
+    // List tweets aren't resolved during extraction
+    await urlSources.resolveLinks(bookmarks);
+    
+    const links = await urlSources.getBookmarkLinks(bookmarks);
+    const urls = [...new Set(links
+      .filter(link => link.expandedUrl && ARCHIVED_LINK_TYPES.includes(link.type))
+      .map(link => link.expandedUrl))];
+    
+    const existing = _getArchiveRows(database, urls);
+    const pending = urls.filter(url => {
+      const row = existing.get(url);
+      return !row || (row.status !== 'archived' && row.attempts < MAX_ARCHIVE_ATTEMPTS);
+    });
+    counts.skipped = urls.length - pending.length;
+    
+    if (pending.length === 0) {
+      return { success: true, data: counts, error: null };
+    }
+    
+    if (pending.length > MAX_ARCHIVES_PER_SYNC) {
+      logger.warn(`${pending.length} pages to archive, archiving first ${MAX_ARCHIVES_PER_SYNC}`, 'archiver');
+    }
+    
+    logger.info(`Archiving ${Math.min(pending.length, MAX_ARCHIVES_PER_SYNC)} linked pages...`, 'archiver');
+    
+    if (!fs.existsSync(ARCHIVE_DIR)) {
+      fs.mkdirSync(ARCHIVE_DIR, { recursive: true });
+    }
+    
+    page = await context.newPage();
+    
+    for (const url of pending.slice(0, MAX_ARCHIVES_PER_SYNC)) {
+      try {
+        const result = await _archivePage(page, url);
+        _recordArchive(database, url, result);
+        counts.archived++;
+        logger.debug(`Archived ${url} (${result.wordCount} words)`, null, 'archiver');
+      } catch (error) {
+        _recordArchive(database, url, { error: error.message });
+        counts.failed++;
+        logger.warn(`Failed to archive ${url}: ${error.message}`, 'archiver');
+      }
+    }
+    
+    db.scheduleSave();
+    
+    logger.success(`Archived ${counts.archived} pages (${counts.failed} failed)`, 'archiver');
+    
+    return {
+      success: true,
+      data: counts,
+      error: null
+    };
+    
+  } catch (error) {
+    logger.error('Archiving failed', error, 'archiver');
+    return {
+      success: false,
+      data: counts,
+      error: error.message
+    };
+    
+  } finally {
+    if (page) {
+      await page.close().catch(() => {});
+    }
+  }
+}
+
+/**
+ * Archived article text for each bookmark (for createBookmarkFile)
+ * Only readable archives are returned - paywalls/cookie walls are left out.
+ * 
+ * @param {Array<Object>} bookmarks - Bookmarks (extractor objects or DB rows)
+ * @returns {Promise<Object>} { success, data: Map(tweetId -> [{ url, title, byline, text }]), error }
+ */
+async function getArchivedArticles(bookmarks) {
+  const articles = new Map();
+  
+  try {
+    const dbResult = await db.getDatabase();
+    if (!dbResult.success) {
+      return { success: false, data: articles, error: dbResult.error };
+    }
+    const database = dbResult.data;
+    
+    const links = (await urlSources.getBookmarkLinks(bookmarks)).filter(link => link.expandedUrl);
+    const rows = _getArchiveRows(database, [...new Set(links.map(link => link.expandedUrl))]);
+    
+    for (const link of links) {
+      const row = rows.get(link.expandedUrl);
+      if (!row || row.status !== 'archived' || row.word_count < MIN_ARTICLE_WORDS) {
+        continue;
+      }
+      
+      const textPath = path.join(ARCHIVE_DIR, row.text_file);
+      if (!fs.existsSync(textPath)) {
+        continue;
+      }
+      
+      // Drop the header written by _archivePage (title/source/date are rendered by the caller)
+      let text = fs.readFileSync(textPath, 'utf-8').split('\n\n').slice(2).join('\n\n');
+      if (text.length > MAX_INLINE_CHARS) {
+        text = `${text.slice(0, MAX_INLINE_CHARS)}\n\n*(Article truncated - full copy in data/archive/${row.html_file})*`;
+      }
+      
+      const tweetArticles = articles.get(link.tweetId) || [];
+      if (!tweetArticles.some(article => article.url === row.url)) {
+        tweetArticles.push({ url: row.url, title: row.title, byline: row.byline, text });
+        articles.set(link.tweetId, tweetArticles);
+      }
+    }
+    
+    return {
+      success: true,
+      data: articles,
+      error: null
+    };
+    
+  } catch (error) {
+    logger.error('Failed to load archived articles', error, 'archiver');
+    return {
+      success: false,
+      data: articles,
+      error: error.message
+    };
+  }
+}
+
+module.exports = {
+  isArchivingEnabled,
+  archiveLinks,
+  getArchivedArticles,
+  ARCHIVE_DIR
+};
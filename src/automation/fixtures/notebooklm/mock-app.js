@@ -0,0 +1,136 @@
+/**
+ * BrainBrief - NotebookLM Mock (browser side)
+ * 
+ * Purpose: Interactions for the mock pages rendered by mock-server.js
+ * Dependencies: None (plain DOM + fetch)
+ * 
+ * @module mock-app
+ */
+
+/**
+ * POST JSON to the mock API
+ * 
+ * @param {string} url - API path
+ * @param {Object} body - JSON body
+ * @returns {Promise<Object>} { ok, data }
+ */
+async function postJson(url, body = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { ok: response.ok, data: await response.json() };
+}
+
+// ============================================
+// HOME (notebook list)
+// ============================================
+
+const newNotebookButton = document.querySelector('.create-new-button');
+if (newNotebookButton) {
+  newNotebookButton.addEventListener('click', async () => {
+    const { data } = await postJson('/api/notebooks');
+    window.location.href = `/notebook/${data.id}?new=1`;
+  });
+}
+
+document.querySelectorAll('.project-button').forEach(card => {
+  card.addEventListener('click', () => {
+    window.location.href = `/notebook/${card.dataset.notebookId}`;
+  });
+});
+
+// ============================================
+// NOTEBOOK (sources + add sources dialog)
+// ============================================
+
+const main = document.querySelector('main[data-notebook-id]');
+
+if (main) {
+  const notebookId = main.dataset.notebookId;
+  const dialog = document.querySelector('.upload-dialog');
+  const uploadPanel = dialog.querySelector('.upload-panel');
+  const urlPanel = dialog.querySelector('.url-panel');
+  const urlLabel = dialog.querySelector('.url-label');
+  const urlInput = dialog.querySelector('.url-input');
+  const fileInput = dialog.querySelector('input[type="file"]');
+  const errorText = dialog.querySelector('.dialog-error');
+  const titleLabel = document.querySelector('.title-label-inner');
+  const titleInput = document.querySelector('input.title-input');
+  let urlSourceType = null;
+  
+  const openDialog = () => {
+    uploadPanel.hidden = false;
+    urlPanel.hidden = true;
+    errorText.textContent = '';
+    dialog.hidden = false;
+  };
+  
+  const closeDialog = () => {
+    dialog.hidden = true;
+    urlInput.value = '';
+    urlSourceType = null;
+  };
+  
+  // Add to list + counter (like the real app, the new source shows up immediately)
+  const addSource = async (source) => {
+    const { ok, data } = await postJson(`/api/notebooks/${notebookId}/sources`, source);
+    if (!ok) {
+      errorText.textContent = data.error;
+      return;
+    }
+    
+    const item = document.createElement('li');
+    item.className = 'source-item';
+    item.textContent = source.name || source.url;
+    document.querySelector('.source-list').appendChild(item);
+    document.querySelector('.source-count').textContent = `${data.sources.length} / 300`;
+    closeDialog();
+  };
+  
+  document.querySelector('[aria-label="Add source"]').addEventListener('click', openDialog);
+  
+  document.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') {
+      closeDialog();
+    }
+  });
+  
+  dialog.querySelector('.choose-file').addEventListener('click', () => fileInput.click());
+  
+  fileInput.addEventListener('change', async () => {
+    for (const file of fileInput.files) {
+      await addSource({ type: 'file', name: file.name, size: file.size, content: await file.text() });
+    }
+    fileInput.value = '';
+  });
+  
+  dialog.querySelectorAll('mat-chip').forEach(chip => {
+    chip.addEventListener('click', () => {
+      urlSourceType = chip.dataset.sourceType;
+      urlLabel.textContent = urlSourceType === 'youtube' ? 'YouTube URL' : 'Paste URLs';
+      uploadPanel.hidden = true;
+      urlPanel.hidden = false;
+    });
+  });
+  
+  urlInput.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter' && urlInput.value.trim()) {
+      addSource({ type: urlSourceType, url: urlInput.value.trim() });
+    }
+  });
+  
+  titleInput.addEventListener('keydown', async (event) => {
+    if (event.key !== 'Enter') {
+      return;
+    }
+    
+    const { ok } = await postJson(`/api/notebooks/${notebookId}/title`, { title: titleInput.value });
+    if (ok) {
+      titleLabel.textContent = titleInput.value;
+      document.title = `${titleInput.value} - NotebookLM`;
+    }
+    titleInput.blur();
+  });
+}
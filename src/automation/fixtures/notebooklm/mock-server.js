@@ -0,0 +1,297 @@
+/**
+ * BrainBrief - NotebookLM Mock Server
+ * 
+ * Purpose: Local stand-in for the NotebookLM UI so the upload flow runs offline
+ * Dependencies: http, fs, path (no Google account needed)
+ * 
+ * Reproduces only the DOM that notebooklm.js drives:
+ * - Home: account button, "New notebook" button, notebook cards (title text)
+ * - Notebook: <editable-project-title> + input.title-input, "Sources" panel,
+ *   [aria-label="Add source"], "N / 300" counter
+ * - Add sources dialog: "Upload sources" file input, YouTube/Website mat-chips, URL input
+ * 
+ * Notebooks live in server memory (inspect via `state` or GET /api/state) and
+ * reject sources past MAX_SOURCES_PER_NOTEBOOK like the real app. Set
+ * `state.offline` to drop every connection (network down: uploads fail and queue).
+ * 
+ * Usage:
+ *   node src/automation/fixtures/notebooklm/mock-server.js
+ *   NOTEBOOKLM_BASE_URL=http://127.0.0.1:4010 node force-upload.js
+ * 
+ * @module mock-server
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../../utils/logger');
+
+// Configuration
+const DEFAULT_PORT = 4010;
+const MAX_SOURCES_PER_NOTEBOOK = 300;
+const CLIENT_SCRIPT = path.join(__dirname, 'mock-app.js');
+const ACCOUNT_LABEL = 'Google Account: BrainBrief Test (test@example.com)';
+
+/**
+ * Escape text for HTML output
+ * 
+ * @param {string} text - Raw text
+ * @returns {string} HTML-safe text
+ */
+function _escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render page shell
+ * 
+ * @param {string} title - Document title
+ * @param {string} main - Page content HTML
+ * @param {string} headerExtra - Extra header HTML (notebook title)
+ * @returns {string} Full HTML document
+ */
+function _renderPage(title, main, headerExtra = '') {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${_escapeHtml(title)}</title>
+  <style>
+    body { font-family: sans-serif; margin: 0; }
+    header { display: flex; gap: 16px; align-items: center; padding: 12px; border-bottom: 1px solid #ddd; }
+    .project-button { display: block; padding: 12px; margin: 8px; border: 1px solid #ccc; cursor: pointer; }
+    .upload-dialog { position: fixed; inset: 60px; background: #fff; border: 1px solid #888; padding: 16px; }
+    [hidden] { display: none !important; }
+  </style>
+</head>
+<body>
+  <header>
+    <button aria-label="${_escapeHtml(ACCOUNT_LABEL)}">B</button>
+    ${headerExtra}
+  </header>
+${main}
+  <script src="/mock-app.js"></script>
+</body>
+</html>`;
+}
+
+/**
+ * Render home page (notebook list)
+ * 
+ * @param {Object} state - Mock state
+ * @returns {string} HTML
+ */
+function _renderHome(state) {
+  const cards = state.notebooks.map(notebook => `
+      <div class="project-button" role="button" tabindex="0" data-notebook-id="${notebook.id}">
+        <span class="project-button-title">${_escapeHtml(notebook.title)}</span>
+        <span class="project-button-subtitle">${notebook.sources.length} sources</span>
+      </div>`).join('');
+      
+  return _renderPage('NotebookLM', `
+  <main>
+    <h1>Welcome to NotebookLM</h1>
+    <button class="create-new-button">+ New notebook</button>
+    <div class="project-grid">${cards}
+    </div>
+  </main>`);
+}
+
+/**
+ * Render notebook page (sources panel + add sources dialog)
+ * 
+ * @param {Object} notebook - Notebook from state
+ * @param {boolean} openDialog - Auto-open dialog (freshly created notebook)
+ * @returns {string} HTML
+ */
+function _renderNotebook(notebook, openDialog) {
+  const sources = notebook.sources.map(source => `
+        <li class="source-item">${_escapeHtml(source.name || source.url)}</li>`).join('');
+        
+  const titleEditor = `<editable-project-title>
+      <span class="title-label-inner">${_escapeHtml(notebook.title)}</span>
+      <input class="title-input mat-title-large" value="${_escapeHtml(notebook.title)}">
+    </editable-project-title>`;
+    
+  return _renderPage(`${notebook.title} - NotebookLM`, `
+  <main data-notebook-id="${notebook.id}">
+    <section class="source-panel">
+      <h2>Sources</h2>
+      <button aria-label="Add source">+ Add</button>
+      <div class="source-count">${notebook.sources.length} / ${MAX_SOURCES_PER_NOTEBOOK}</div>
+      <ul class="source-list">${sources}
+      </ul>
+    </section>
+  </main>
+  <div class="upload-dialog" role="dialog" ${openDialog ? '' : 'hidden'}>
+    <h2>Add sources</h2>
+    <div class="upload-panel">
+      <p>Upload sources</p>
+      <p>Drag &amp; drop or <span class="choose-file">choose file</span> to upload</p>
+      <input type="file" hidden>
+      <mat-chip-set>
+        <mat-chip data-source-type="youtube">YouTube</mat-chip>
+        <mat-chip data-source-type="website">Website</mat-chip>
+      </mat-chip-set>
+    </div>
+    <div class="url-panel" hidden>
+      <label class="url-label"></label>
+      <input class="url-input" type="text">
+    </div>
+    <p class="dialog-error" role="alert"></p>
+  </div>`, titleEditor);
+}
+
+/**
+ * Read JSON request body
+ * 
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} Parsed body ({} if empty)
+ */
+function _readJson(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Send response
+ * 
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {string} type - Content type
+ * @param {string} body - Body
+ */
+function _send(res, status, type, body) {
+  res.writeHead(status, { 'Content-Type': `${type}; charset=utf-8` });
+  res.end(body);
+}
+
+/**
+ * Handle one request against the mock state
+ * 
+ * @param {Object} state - Mock state
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+async function _handleRequest(state, req, res) {
+  const url = new URL(req.url, 'http://localhost');
+  const findNotebook = (id) => state.notebooks.find(n => n.id === parseInt(id, 10));
+  let match;
+  
+  if (req.method === 'GET' && url.pathname === '/') {
+    return _send(res, 200, 'text/html', _renderHome(state));
+  }
+  
+  if (req.method === 'GET' && url.pathname === '/mock-app.js') {
+    return _send(res, 200, 'text/javascript', fs.readFileSync(CLIENT_SCRIPT, 'utf-8'));
+  }
+  
+  if (req.method === 'GET' && (match = url.pathname.match(/^\/notebook\/(\d+)$/))) {
+    const notebook = findNotebook(match[1]);
+    if (!notebook) {
+      return _send(res, 404, 'text/plain', 'Notebook not found');
+    }
+    return _send(res, 200, 'text/html', _renderNotebook(notebook, url.searchParams.has('new')));
+  }
+  
+  if (req.method === 'GET' && url.pathname === '/api/state') {
+    return _send(res, 200, 'application/json', JSON.stringify(state));
+  }
+  
+  if (req.method === 'POST' && url.pathname === '/api/notebooks') {
+    const notebook = { id: state.nextId++, title: 'Untitled notebook', sources: [] };
+    state.notebooks.push(notebook);
+    return _send(res, 200, 'application/json', JSON.stringify(notebook));
+  }
+  
+  if (req.method === 'POST' && (match = url.pathname.match(/^\/api\/notebooks\/(\d+)\/title$/))) {
+    const notebook = findNotebook(match[1]);
+    const { title } = await _readJson(req);
+    if (!notebook || !title) {
+      return _send(res, 400, 'application/json', JSON.stringify({ error: 'Notebook and title required' }));
+    }
+    notebook.title = title;
+    return _send(res, 200, 'application/json', JSON.stringify(notebook));
+  }
+  
+  if (req.method === 'POST' && (match = url.pathname.match(/^\/api\/notebooks\/(\d+)\/sources$/))) {
+    const notebook = findNotebook(match[1]);
+    const source = await _readJson(req);
+    if (!notebook || !source.type) {
+      return _send(res, 400, 'application/json', JSON.stringify({ error: 'Notebook and source type required' }));
+    }
+    if (notebook.sources.length >= MAX_SOURCES_PER_NOTEBOOK) {
+      return _send(res, 409, 'application/json', JSON.stringify({ error: 'Source limit reached' }));
+    }
+    notebook.sources.push({ ...source, addedAt: new Date().toISOString() });
+    return _send(res, 200, 'application/json', JSON.stringify(notebook));
+  }
+  
+  return _send(res, 404, 'text/plain', 'Not found');
+}
+
+/**
+ * Start the mock NotebookLM server
+ * 
+ * @param {number} port - Port (0 = random free port)
+ * @returns {Promise<Object>} { url, state, reset(), close() }
+ */
+function startMockServer(port = 0) {
+  const state = { nextId: 1, notebooks: [], offline: false };
+  
+  const server = http.createServer((req, res) => {
+    if (state.offline) {
+      req.socket.destroy();
+      return;
+    }
+    _handleRequest(state, req, res).catch(error => {
+      logger.error('Mock request failed', error, 'mock-notebooklm');
+      _send(res, 500, 'text/plain', error.message);
+    });
+  });
+  
+  return new Promise((resolve, reject) => {
+    server.on('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        state,
+        reset() {
+          state.nextId = 1;
+          state.notebooks.length = 0;
+          state.offline = false;
+        },
+        close() {
+          return new Promise(done => server.close(done));
+        }
+      });
+    });
+  });
+}
+
+// Run standalone: node src/automation/fixtures/notebooklm/mock-server.js
+if (require.main === module) {
+  startMockServer(parseInt(process.env.MOCK_NOTEBOOKLM_PORT, 10) || DEFAULT_PORT).then(mock => {
+    logger.success(`Mock NotebookLM running at ${mock.url}`, 'mock-notebooklm');
+    logger.info(`Point the app at it with NOTEBOOKLM_BASE_URL=${mock.url}`, 'mock-notebooklm');
+  });
+}
+
+module.exports = {
+  startMockServer,
+  MAX_SOURCES_PER_NOTEBOOK
+};
@@ -0,0 +1,465 @@
+/**
+ * BrainBrief - Media Fetcher
+ * 
+ * Purpose: Download tweet images and videos into the local media store so they
+ *          survive deleted tweets and expiring pbs.twimg.com links
+ * Dependencies: playwright (an already-open context), fs, path, crypto, database.js, media.js, settings.js
+ * 
+ * Requests go through the running browser context (context.request), so they carry
+ * the logged-in Twitter session. Images are fetched at original size (name=orig).
+ * Videos are usually blob: URLs or posters in the DOM - the MP4 variants are looked
+ * up from the syndication endpoint embedded tweets use, highest bitrate wins.
+ * Files are content-addressed (data/media/<hash prefix>/<sha256>.<ext>) with a JPEG
+ * thumbnail in data/media/thumbs/ rendered on a canvas in the same browser.
+ * 
+ * Storage is capped by "mediaQuotaMb" in lists-config.json settings
+ * (Settings page → Media Storage Limit, 0 turns downloading off).
+ * 
+ * @module media-fetcher
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { getAppSetting } = require('../utils/settings');
+const db = require('../db/database');
+const media = require('../db/media');
+
+// Paths
+const THUMB_DIR = path.join(media.MEDIA_DIR, 'thumbs');
+
+// Limits
+const DEFAULT_QUOTA_MB = 1024;
+const MAX_MEDIA_PER_SYNC = 100; // Each item is a download (videos can be large)
+const MAX_MEDIA_ATTEMPTS = 3; // Deleted/blocked media stop being retried
+const DOWNLOAD_TIMEOUT_MS = 60000;
+
+// Thumbnails
+const THUMB_MAX_SIZE = 320; // Longest edge, px
+const THUMB_QUALITY = 0.8;
+
+// Video variants (public endpoint behind embedded tweets)
+const SYNDICATION_URL = 'https://cdn.syndication.twimg.com/tweet-result';
+
+// File extensions by content type (anything else is stored as .bin)
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'video/mp4': 'mp4',
+  'video/webm': 'webm'
+};
+
+/**
+ * Media storage limit (lists-config.json settings.mediaQuotaMb)
+ * 
+ * @returns {number} Limit in bytes (0 = downloading disabled)
+ */
+function getMediaQuotaBytes() {
+  const quotaMb = Number(getAppSetting('mediaQuotaMb', DEFAULT_QUOTA_MB));
+  return Number.isFinite(quotaMb) && quotaMb > 0 ? Math.round(quotaMb * 1024 * 1024) : 0;
+}
+
+/**
+ * Check whether media downloading is turned on (storage limit above 0)
+ * 
+ * @returns {boolean} True if tweet media should be downloaded
+ */
+function isMediaEnabled() {
+  return getMediaQuotaBytes() > 0;
+}
+
+/**
+ * Shrink an image into a JPEG thumbnail (runs in the browser)
+ * 
+ * @param {Object} args - { dataUrl, maxSize, quality }
+ * @returns {Promise<string>} Base64 JPEG
+ */
+async function _renderThumbnail({ dataUrl, maxSize, quality }) {
+  const img = new Image();
+  img.src = dataUrl;
+  await img.decode();
+  
+  const scale = Math.min(1, maxSize / Math.max(img.naturalWidth, img.naturalHeight));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+  canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+  
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#ffffff'; // JPEG has no transparency
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+  
+  return canvas.toDataURL('image/jpeg', quality).split(',')[1];
+}
+
+/**
+ * Original-size URL of a Twitter image
+ * 
+ * @param {string} url - pbs.twimg.com URL (any size)
+ * @returns {string} URL with name=orig
+ */
+function _originalImageUrl(url) {
+  try {
+    const parsed = new URL(url);
+    if (parsed.hostname !== 'pbs.twimg.com') {
+      return url;
+    }
+    parsed.searchParams.set('name', 'orig');
+    return parsed.toString();
+  } catch (error) {
+    return url;
+  }
+}
+
+/**
+ * Token the syndication endpoint expects for a tweet ID
+ * 
+ * @param {string} tweetId - Tweet ID
+ * @returns {string} Token
+ */
+function _syndicationToken(tweetId) {
+  return ((Number(tweetId) / 1e15) * Math.PI).toString(36).replace(/(0+|\.)/g, '');
+}
+
+/**
+ * Look up the MP4 files of a tweet's videos/GIFs
+ * 
+ * @param {BrowserContext} context - Running Playwright context
+ * @param {string} tweetId - Tweet ID
+ * @returns {Promise<Array>} [{ url, posterUrl }] in tweet order (best bitrate per video)
+ */
+async function _getVideoVariants(context, tweetId) {
+  const url = `${SYNDICATION_URL}?id=${tweetId}&lang=en&token=${_syndicationToken(tweetId)}`;
+  const response = await context.request.get(url, { timeout: DOWNLOAD_TIMEOUT_MS });
+  if (!response.ok()) {
+    throw new Error(`Video lookup failed (HTTP ${response.status()})`);
+  }
+  
+  const tweet = await response.json();
+  
+  return (tweet.mediaDetails || [])
+    .filter(item => item.video_info && Array.isArray(item.video_info.variants))
+    .map(item => {
+      const best = item.video_info.variants
+        .filter(variant => variant.content_type === 'video/mp4')
+        .sort((a, b) => (b.bitrate || 0) - (a.bitrate || 0))[0];
+      return best ? { url: best.url, posterUrl: item.media_url_https || null } : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Download a URL with the context's session
+ * 
+ * @param {BrowserContext} context - Running Playwright context
+ * @param {string} url - URL to fetch
+ * @returns {Promise<Object>} { buffer, mime }
+ */
+async function _download(context, url) {
+  const response = await context.request.get(url, { timeout: DOWNLOAD_TIMEOUT_MS });
+  if (!response.ok()) {
+    throw new Error(`HTTP ${response.status()}`);
+  }
+  
+  const buffer = await response.body();
+  const mime = (response.headers()['content-type'] || '').split(';')[0].trim().toLowerCase();
+  
+  return { buffer, mime };
+}
+
+/**
+ * Where a file belongs in the content-addressed store
+ * 
+ * @param {Buffer} buffer - File contents
+ * @param {string} mime - Content type
+ * @returns {Object} { hash, file, size, exists }
+ */
+function _storeEntry(buffer, mime) {
+  const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+  const file = `${hash.slice(0, 2)}/${hash}.${EXTENSIONS[mime] || 'bin'}`;
+  
+  return {
+    hash,
+    file,
+    size: buffer.length,
+    exists: fs.existsSync(media.getMediaPath(file))
+  };
+}
+
+/**
+ * Write a thumbnail for a stored file (skipped if it already has one)
+ * 
+ * @param {Page} page - Playwright page (reused across items)
+ * @param {string} hash - Hash of the stored media file
+ * @param {Buffer} imageBuffer - Image to shrink (the file itself, or a video poster)
+ * @param {string} mime - Image content type
+ * @returns {Promise<string|null>} thumb_file value (null if the image can't be decoded)
+ */
+async function _writeThumbnail(page, hash, imageBuffer, mime) {
+  const thumbFile = `thumbs/${hash}.jpg`;
+  if (fs.existsSync(media.getMediaPath(thumbFile))) {
+    return thumbFile;
+  }
+  
+  try {
+    const base64 = await page.evaluate(_renderThumbnail, {
+      dataUrl: `data:${mime || 'image/jpeg'};base64,${imageBuffer.toString('base64')}`,
+      maxSize: THUMB_MAX_SIZE,
+      quality: THUMB_QUALITY
+    });
+    fs.writeFileSync(media.getMediaPath(thumbFile), Buffer.from(base64, 'base64'));
+    return thumbFile;
+  } catch (error) {
+    logger.debug(`No thumbnail for ${hash}: ${error.message}`, null, 'media');
+    return null;
+  }
+}
+
+/**
+ * Media items of a batch of bookmarks, in tweet order
+ * 
+ * @param {Array<Object>} bookmarks - Bookmarks (extractor objects or DB rows)
+ * @returns {Array<Object>} [{ tweetId, sourceUrl, mediaType, videoIndex }]
+ */
+function _collectMediaItems(bookmarks) {
+  const items = [];
+  
+  for (const bookmark of bookmarks) {
+    // DB rows carry tweet_id (their id is the row ID); extractor objects carry id
+    const tweetId = String(bookmark.tweet_id || bookmark.id);
+    const embedded = bookmark.embedded || db.deserializeBookmark({ ...bookmark }).embedded || {};
+    
+    (embedded.imageUrls || []).forEach(sourceUrl => {
+      items.push({ tweetId, sourceUrl, mediaType: 'image', videoIndex: null });
+    });
+    (embedded.videoUrls || []).forEach((sourceUrl, videoIndex) => {
+      items.push({ tweetId, sourceUrl, mediaType: 'video', videoIndex });
+    });
+  }
+  
+  return items;
+}
+
+/**
+ * Load media rows for some bookmarks
+ * 
+ * @param {Object} database - sql.js Database
+ * @param {Array<string>} tweetIds - Tweet IDs
+ * @returns {Map} "<tweetId> <sourceUrl>" -> media row
+ */
+function _getMediaRows(database, tweetIds) {
+  const rows = new Map();
+  if (tweetIds.length === 0) {
+    return rows;
+  }
+  
+  const stmt = database.prepare(`SELECT * FROM media WHERE bookmark_id IN (${tweetIds.map(() => '?').join(', ')})`);
+  stmt.bind(tweetIds);
+  while (stmt.step()) {
+    const row = stmt.getAsObject();
+    rows.set(`${row.bookmark_id} ${row.source_url}`, row);
+  }
+  stmt.free();
+  
+  return rows;
+}
+
+/**
+ * Record a download attempt
+ * 
+ * @param {Object} database - sql.js Database
+ * @param {Object} item - { tweetId, sourceUrl, mediaType }
+ * @param {Object} result - { downloadUrl, hash, mime, size, file, thumbFile } or { error }
+ */
+function _recordMedia(database, item, result) {
+  const stmt = database.prepare(`
+    INSERT INTO media (bookmark_id, source_url, download_url, media_type, hash, mime, size, file, thumb_file, status, attempts, last_error)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1, ?)
+    ON CONFLICT(bookmark_id, source_url) DO UPDATE SET
+      download_url = COALESCE(excluded.download_url, download_url),
+      hash = COALESCE(excluded.hash, hash),
+      mime = COALESCE(excluded.mime, mime),
+      size = CASE WHEN excluded.status = 'stored' THEN excluded.size ELSE size END,
+      file = COALESCE(excluded.file, file),
+      thumb_file = COALESCE(excluded.thumb_file, thumb_file),
+      status = CASE WHEN excluded.status = 'stored' THEN 'stored' ELSE status END,
+      attempts = attempts + 1,
+      last_error = excluded.last_error,
+      downloaded_at = CURRENT_TIMESTAMP
+  `);
+  stmt.run([
+    item.tweetId,
+    item.sourceUrl,
+    result.downloadUrl || null,
+    item.mediaType,
+    result.hash || null,
+    result.mime || null,
+    result.size || 0,
+    result.file || null,
+    result.thumbFile || null,
+    result.error ? 'failed' : 'stored',
+    result.error || null
+  ]);
+  stmt.free();
+}
+
+/**
+ * Download the media of a batch of bookmarks (skips items already stored)
+ * 
+ * @param {BrowserContext} context - Running Playwright context (Twitter session)
+ * @param {Array<Object>} bookmarks - Bookmarks (extractor objects or DB rows)
+ * @returns {Promise<Object>} { success, data: { downloaded, failed, skipped, bytes }, error }
+ */
+async function fetchMedia(context, bookmarks) {
+  let page = null;
+  const counts = { downloaded: 0, failed: 0, skipped: 0, bytes: 0 };
+  
+  try {
+    const quota = getMediaQuotaBytes();
+    if (quota === 0) {
+      return { success: true, data: counts, error: null };
+    }
+    
+    const dbResult = await db.getDatabase();
+    if (!dbResult.success) {
+      return dbResult;
+    }
+    const database = dbResult.data;
+    
+    const items = _collectMediaItems(bookmarks);
+    const existing = _getMediaRows(database, [...new Set(items.map(item => item.tweetId))]);
+    const pending = items.filter(item => {
+      const row = existing.get(`${item.tweetId} ${item.sourceUrl}`);
+      return !row || (row.status !== 'stored' && row.attempts < MAX_MEDIA_ATTEMPTS);
+    });
+    counts.skipped = items.length - pending.length;
+    
+    if (pending.length === 0) {
+      return { success: true, data: counts, error: null };
+    }
+    
+    // Unknown usage could blow past the storage limit: download nothing this time
+    const usageResult = await media.getMediaUsage();
+    if (!usageResult.success) {
+      return { success: false, data: counts, error: usageResult.error };
+    }
+    let used = usageResult.data.bytes;
+    if (used >= quota) {
+      logger.warn(`Media storage limit reached (${Math.round(quota / 1024 / 1024)} MB), skipping ${pending.length} items`, 'media');
+      counts.skipped += pending.length;
+      return { success: true, data: counts, error: null };
+    }
+    
+    if (pending.length > MAX_MEDIA_PER_SYNC) {
+      logger.warn(`${pending.length} media items to download, downloading first ${MAX_MEDIA_PER_SYNC}`, 'media');
+    }
+    
+    logger.info(`Downloading ${Math.min(pending.length, MAX_MEDIA_PER_SYNC)} media items...`, 'media');
+    
+    if (!fs.existsSync(THUMB_DIR)) {
+      fs.mkdirSync(THUMB_DIR, { recursive: true });
+    }
+    
+    page = await context.newPage();
+    
+    const variantCache = new Map(); // tweetId -> video variants
+    const batch = pending.slice(0, MAX_MEDIA_PER_SYNC);
+    
+    for (let i = 0; i < batch.length; i++) {
+      const item = batch[i];
+      
+      try {
+        let downloadUrl = _originalImageUrl(item.sourceUrl);
+        let posterUrl = null;
+        
+        // blob: players and poster images don't point at the video file
+        if (item.mediaType === 'video' && !/^https:\/\/video\.twimg\.com\//.test(item.sourceUrl)) {
+          if (!variantCache.has(item.tweetId)) {
+            variantCache.set(item.tweetId, await _getVideoVariants(context, item.tweetId));
+          }
+          const variant = variantCache.get(item.tweetId)[item.videoIndex];
+          if (!variant) {
+            throw new Error('No downloadable video variant');
+          }
+          downloadUrl = variant.url;
+          posterUrl = variant.posterUrl;
+        }
+        
+        const { buffer, mime } = await _download(context, downloadUrl);
+        const entry = _storeEntry(buffer, mime);
+        
+        if (!entry.exists) {
+          if (used + entry.size > quota) {
+            logger.warn(`Media storage limit reached (${Math.round(quota / 1024 / 1024)} MB), skipping ${batch.length - i} items`, 'media');
+            counts.skipped += batch.length - i;
+            break;
+          }
+          
+          const filePath = media.getMediaPath(entry.file);
+          fs.mkdirSync(path.dirname(filePath), { recursive: true });
+          fs.writeFileSync(filePath, buffer);
+          used += entry.size;
+          counts.bytes += entry.size;
+        }
+        
+        let thumbFile = null;
+        if (mime.startsWith('image/')) {
+          thumbFile = await _writeThumbnail(page, entry.hash, buffer, mime);
+        } else if (posterUrl) {
+          const poster = await _download(context, posterUrl).catch(() => null);
+          if (poster) {
+            thumbFile = await _writeThumbnail(page, entry.hash, poster.buffer, poster.mime);
+          }
+        }
+        
+        _recordMedia(database, item, {
+          downloadUrl,
+          hash: entry.hash,
+          mime,
+          size: entry.size,
+          file: entry.file,
+          thumbFile
+        });
+        counts.downloaded++;
+        logger.debug(`Stored ${item.mediaType} ${downloadUrl} (${entry.size} bytes)`, null, 'media');
+        
+      } catch (error) {
+        _recordMedia(database, item, { error: error.message });
+        counts.failed++;
+        logger.warn(`Failed to download ${item.sourceUrl}: ${error.message}`, 'media');
+      }
+    }
+    
+    db.scheduleSave();
+    
+    logger.success(`Downloaded ${counts.downloaded} media items (${counts.failed} failed, ${Math.round(counts.bytes / 1024)} KB new)`, 'media');
+    
+    return {
+      success: true,
+      data: counts,
+      error: null
+    };
+    
+  } catch (error) {
+    logger.error('Media download failed', error, 'media');
+    return {
+      success: false,
+      data: counts,
+      error: error.message
+    };
+    
+  } finally {
+    if (page) {
+      await page.close().catch(() => {});
+    }
+  }
+}
+
+module.exports = {
+  getMediaQuotaBytes,
+  isMediaEnabled,
+  fetchMedia
+};
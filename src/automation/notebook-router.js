@@ -0,0 +1,161 @@
+/**
+ * BrainBrief - Notebook Router
+ * 
+ * Purpose: Split a batch of bookmarks into topic notebooks using the routing rules
+ * Dependencies: routing-rules.js, url-sources.js
+ * 
+ * Each bookmark goes to the topic of the first enabled rule it matches (rules in
+ * Settings order); bookmarks no rule matches stay in the main bookmarks notebook
+ * (topic null). Every topic has its own notebook rotation in notebook-tracker.js.
+ * 
+ * @module notebook-router
+ */
+
+const logger = require('../utils/logger');
+const routingRules = require('../db/routing-rules');
+const urlSources = require('./url-sources');
+
+/**
+ * Text a keyword/regex/hashtag rule looks at (tweet + quoted tweet)
+ * 
+ * @param {Object} bookmark - Bookmark (extractor object or DB row)
+ * @returns {string} Text
+ */
+function _getSearchText(bookmark) {
+  const quoted = bookmark.embedded?.quotedTweet;
+  return [bookmark.text, quoted?.text].filter(Boolean).join('\n');
+}
+
+/**
+ * Author names a rule can match: display name, @handle, and the handle in the tweet URL
+ * 
+ * @param {Object} bookmark - Bookmark (extractor object or DB row)
+ * @returns {Array<string>} Lowercase names, without @
+ */
+function _getAuthorNames(bookmark) {
+  const names = [bookmark.author, bookmark.authorHandle];
+  const urlHandle = (bookmark.url || '').match(/^https?:\/\/(?:www\.)?(?:x|twitter)\.com\/([^/]+)\/status\//i);
+  if (urlHandle) {
+    names.push(urlHandle[1]);
+  }
+  return names
+    .filter(Boolean)
+    .map(name => String(name).trim().replace(/^@/, '').toLowerCase());
+}
+
+/**
+ * Check one rule against one bookmark
+ * 
+ * @param {Object} rule - { matchType, pattern } (regex rules carry a compiled .regex)
+ * @param {Object} bookmark - Bookmark
+ * @param {Array<Object>} bookmarkLinks - This bookmark's links (from url-sources.getBookmarkLinks)
+ * @returns {boolean} True if the rule matches
+ */
+function _matchesRule(rule, bookmark, bookmarkLinks) {
+  const pattern = rule.pattern.toLowerCase();
+  
+  switch (rule.matchType) {
+    case 'author':
+      return _getAuthorNames(bookmark).includes(pattern.replace(/^@/, ''));
+    
+    case 'keyword':
+      return _getSearchText(bookmark).toLowerCase().includes(pattern);
+    
+    case 'regex':
+      return rule.regex.test(_getSearchText(bookmark));
+    
+    case 'hashtag': {
+      const tag = pattern.replace(/^#/, '');
+      const hashtags = _getSearchText(bookmark).toLowerCase().match(/#[\p{L}\p{N}_]+/gu) || [];
+      return hashtags.includes(`#${tag}`);
+    }
+    
+    case 'domain': {
+      const domain = pattern.replace(/^(www|m)\./, '');
+      return bookmarkLinks.some(link => {
+        const linkDomain = urlSources.getDomain(link.expandedUrl || link.url);
+        return linkDomain && (linkDomain === domain || linkDomain.endsWith(`.${domain}`));
+      });
+    }
+    
+    case 'youtube':
+      return (bookmark.embedded?.youtubeUrls || []).length > 0 ||
+        bookmarkLinks.some(link => link.type === 'video');
+    
+    default:
+      return false;
+  }
+}
+
+/**
+ * Group bookmarks by the topic notebook they belong in
+ * 
+ * @param {Array<Object>} bookmarks - Bookmarks about to be uploaded
+ * @returns {Promise<Object>} { success, data: [{ topic, bookmarks }], error } - topic null = main notebook
+ */
+async function routeBookmarks(bookmarks) {
+  const unrouted = [{ topic: null, bookmarks }];
+  
+  try {
+    const rulesResult = await routingRules.getRoutingRules();
+    if (!rulesResult.success) {
+      return { success: false, data: unrouted, error: rulesResult.error };
+    }
+    
+    const rules = rulesResult.data
+      .filter(rule => rule.enabled)
+      .map(rule => rule.matchType === 'regex' ? { ...rule, regex: new RegExp(rule.pattern, 'i') } : rule);
+    
+    if (rules.length === 0 || bookmarks.length === 0) {
+      return { success: true, data: unrouted, error: null };
+    }
+    
+    // Links per tweet (domain and YouTube rules)
+    const linksByTweet = new Map();
+    (await urlSources.getBookmarkLinks(bookmarks)).forEach(link => {
+      const tweetLinks = linksByTweet.get(String(link.tweetId)) || [];
+      tweetLinks.push(link);
+      linksByTweet.set(String(link.tweetId), tweetLinks);
+    });
+    
+    // Main notebook first, then topics in the order they were first matched
+    const groups = new Map([[null, []]]);
+    
+    bookmarks.forEach(bookmark => {
+      const bookmarkLinks = linksByTweet.get(String(bookmark.tweet_id || bookmark.id)) || [];
+      const rule = rules.find(candidate => _matchesRule(candidate, bookmark, bookmarkLinks));
+      const topic = rule ? rule.topic : null;
+      
+      if (!groups.has(topic)) {
+        groups.set(topic, []);
+      }
+      groups.get(topic).push(bookmark);
+    });
+    
+    const routed = [...groups]
+      .filter(([, groupBookmarks]) => groupBookmarks.length > 0)
+      .map(([topic, groupBookmarks]) => ({ topic, bookmarks: groupBookmarks }));
+    
+    routed.forEach(group => {
+      logger.info(`Routing ${group.bookmarks.length} bookmark(s) to ${group.topic ? `topic "${group.topic}"` : 'the main notebook'}`, 'routing');
+    });
+    
+    return {
+      success: true,
+      data: routed,
+      error: null
+    };
+    
+  } catch (error) {
+    logger.error('Failed to route bookmarks, using the main notebook', error, 'routing');
+    return {
+      success: false,
+      data: unrouted,
+      error: error.message
+    };
+  }
+}
+
+module.exports = {
+  routeBookmarks
+};
@@ -10,10 +10,16 @@
 const { chromium } = require('playwright');
 const fs = require('fs');
 const path = require('path');
-const https = require('https');
-const http = require('http');
 const logger = require('../utils/logger');
+const notebookNames = require('../utils/notebook-names');
+const db = require('../db/database');
 const notebookTracker = require('../db/notebook-tracker');
+const uploadQueue = require('../db/upload-queue');
+const bookmarkUploads = require('../db/bookmark-uploads');
+const media = require('../db/media');
+const urlSources = require('./url-sources');
+const archiver = require('./archiver');
+const notebookRouter = require('./notebook-router');
 
 // Browser configuration
 const BROWSER_HEADLESS = false;
@@ -28,44 +34,14 @@ const PROCESSING_CHECK_INTERVAL_MS = 2000;
 const MAX_PROCESSING_WAIT_SEC = 300; // 5 minutes
 
 // URLs
-const NOTEBOOKLM_BASE_URL = 'https://notebooklm.google.com';
+// Overridable so upload tests can run against the local mock (fixtures/notebooklm/mock-server.js)
+const NOTEBOOKLM_BASE_URL = process.env.NOTEBOOKLM_BASE_URL || 'https://notebooklm.google.com';
 
 // Selectors (will need to be discovered)
 const SELECTOR_NEW_NOTEBOOK = '[aria-label="New notebook"]';
 const SELECTOR_UPLOAD_BUTTON = '[aria-label="Upload"]';
 const SELECTOR_FILE_INPUT = 'input[type="file"]';
 
-/**
- * Follow HTTP redirect to get final URL (for t.co links)
- * 
- * @param {string} shortUrl - Shortened URL (e.g., https://t.co/abc123)
- * @returns {Promise<string>} Final URL after redirect
- */
-async function followRedirect(shortUrl) {
-  return new Promise((resolve, reject) => {
-    const client = shortUrl.startsWith('https') ? https : http;
-    
-    const req = client.get(shortUrl, {
-      headers: { 'User-Agent': 'Mozilla/5.0' }
-    }, (res) => {
-      // Follow redirects (301, 302, 307, 308)
-      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-        const location = res.headers.location;
-        const finalUrl = location.startsWith('http') ? location : new URL(location, shortUrl).href;
-        resolve(finalUrl);
-      } else {
-        resolve(shortUrl);
-      }
-    });
-    
-    req.on('error', reject);
-    req.setTimeout(5000, () => {
-      req.destroy();
-      reject(new Error('Timeout following redirect'));
-    });
-  });
-}
-
 /**
  * Initialize browser with persistent context for NotebookLM
  * 
@@ -189,13 +165,18 @@ async function navigateToNotebookLM(context) {
 
 /**
  * Create bookmark text file for upload
- * NOW INCLUDES: Embedded YouTube, images, quoted tweets
+ * NOW INCLUDES: Embedded YouTube, images (with alt/OCR text), quoted tweets, full threads, archived articles
  * 
  * @param {Array<Object>} bookmarks - Array of bookmark objects
  * @param {string} outputPath - Output file path
+ * @param {Object} options - File options
+ * @param {Map} options.articles - Tweet ID -> archived articles (archiver.getArchivedArticles)
+ * @param {Map} options.imageText - Tweet ID -> [{ url, altText, ocrText }] (media.getImageText)
  * @returns {Object} { success, data: filePath, error }
  */
-function createBookmarkFile(bookmarks, outputPath) {
+function createBookmarkFile(bookmarks, outputPath, options = {}) {
+  const { articles = new Map(), imageText = new Map() } = options;
+  
   try {
     logger.info(`Creating bookmark file with ${bookmarks.length} bookmarks`, 'notebooklm');
     
@@ -204,14 +185,35 @@ function createBookmarkFile(bookmarks, outputPath) {
     content += `Total bookmarks: ${bookmarks.length}\n\n`;
     content += '---\n\n';
     
+    // Thread root ID -> bookmark number it was rendered under (same thread bookmarked twice)
+    const renderedThreads = {};
+    
     bookmarks.forEach((bookmark, index) => {
       content += `## Bookmark ${index + 1}\n\n`;
       content += `**Author:** ${bookmark.author}\n`;
       content += `**URL:** ${bookmark.url}\n`;
       content += `**Date:** ${bookmark.timestamp}\n\n`;
       
-      if (bookmark.text) {
+      const thread = bookmark.thread?.tweets?.length > 1 ? bookmark.thread : null;
+      
+      if (thread && renderedThreads[thread.rootTweetId]) {
+        content += `**Thread:** Part of the thread in Bookmark ${renderedThreads[thread.rootTweetId]}\n\n`;
+      } else if (thread) {
+        // Whole thread as one continuous section so NotebookLM sees the full argument
+        renderedThreads[thread.rootTweetId] = index + 1;
+        const total = thread.tweets.length;
+        
+        content += `**Thread (${total} tweets):**\n\n`;
+        thread.tweets.forEach((tweet, i) => {
+          content += `(${i + 1}/${total}) ${tweet.text || ''}\n\n`;
+        });
+      } else if (bookmark.text) {
         content += `**Content:**\n${bookmark.text}\n\n`;
+        
+        // Full text of a long post couldn't be fetched - tell the reader it's partial
+        if (bookmark.text_truncated || bookmark.textTruncated) {
+          content += `*(Truncated preview - full post: ${bookmark.url})*\n\n`;
+        }
       }
       
       // NEW: Include embedded content
@@ -227,11 +229,22 @@ function createBookmarkFile(bookmarks, outputPath) {
           content += '\n';
         }
         
-        // Images
+        // Images (NotebookLM can't open the URLs - alt text and OCR text carry the content)
         if (emb.imageUrls && emb.imageUrls.length > 0) {
+          const details = imageText.get(String(bookmark.tweet_id || bookmark.id)) || [];
           content += `**Images:**\n`;
           emb.imageUrls.forEach((url, i) => {
             content += `- Image ${i + 1}: ${url}\n`;
+            const altText = details[i]?.altText || emb.imageAlts?.[i];
+            if (altText) {
+              content += `  Description: ${altText}\n`;
+            }
+            if (details[i]?.ocrText) {
+              content += `  Text in image:\n`;
+              details[i].ocrText.split('\n').forEach(line => {
+                content += `  > ${line}\n`;
+              });
+            }
           });
           content += '\n';
         }
@@ -256,6 +269,17 @@ function createBookmarkFile(bookmarks, outputPath) {
         }
       }
       
+      // Archived copies of linked articles (readable even if the link dies)
+      const linkedArticles = articles.get(String(bookmark.tweet_id || bookmark.id)) || [];
+      linkedArticles.forEach(article => {
+        content += `**Linked Article:** ${article.title || article.url}\n`;
+        content += `**Article URL:** ${article.url}\n`;
+        if (article.byline) {
+          content += `**Article Author:** ${article.byline}\n`;
+        }
+        content += `\n${article.text}\n\n`;
+      });
+      
       content += '---\n\n';
     });
     
@@ -274,10 +298,14 @@ function createBookmarkFile(bookmarks, outputPath) {
     const totalYoutube = bookmarks.reduce((sum, b) => sum + (b.embedded?.youtubeUrls?.length || 0), 0);
     const totalImages = bookmarks.reduce((sum, b) => sum + (b.embedded?.imageUrls?.length || 0), 0);
     const totalQuoted = bookmarks.filter(b => b.embedded?.quotedTweet).length;
+    const totalThreads = Object.keys(renderedThreads).length;
+    const totalArticles = Array.from(articles.values()).reduce((sum, list) => sum + list.length, 0);
     
     if (totalYoutube > 0) logger.info(`  Included ${totalYoutube} YouTube URLs`, 'notebooklm');
     if (totalImages > 0) logger.info(`  Included ${totalImages} image URLs`, 'notebooklm');
     if (totalQuoted > 0) logger.info(`  Included ${totalQuoted} quoted tweets`, 'notebooklm');
+    if (totalThreads > 0) logger.info(`  Included ${totalThreads} full threads`, 'notebooklm');
+    if (totalArticles > 0) logger.info(`  Included ${totalArticles} archived articles`, 'notebooklm');
     
     return {
       success: true,
@@ -408,7 +436,7 @@ async function renameNotebook(page, newName) {
     logger.success('Focused title input', 'notebooklm');
     
     // Select all existing text and replace
-    await page.keyboard.press('Meta+A'); // Cmd+A (Mac) selects all
+    await page.keyboard.press('ControlOrMeta+A'); // Cmd+A (Mac), Ctrl+A (Windows/Linux)
     await page.keyboard.type(newName);
     
     // Press Enter or click away to save
@@ -557,6 +585,242 @@ async function uploadFile(page, filePath, isNewNotebook = false) {
   }
 }
 
+/**
+ * Queue a bookmark file whose upload failed (retried on a later sync)
+ * 
+ * @param {Object} targetNotebook - { id, name } from the tracker
+ * @param {string} filePath - Bookmark file that was not uploaded
+ * @param {number} bookmarkCount - Bookmarks in the file
+ * @param {string} errorMessage - Why the upload failed
+ */
+async function _queueFailedFile(targetNotebook, filePath, bookmarkCount, errorMessage) {
+  await uploadQueue.enqueueUpload({
+    notebookName: targetNotebook.name,
+    notebookId: targetNotebook.id,
+    sourceType: 'file',
+    target: filePath,
+    bookmarkCount
+  }, errorMessage);
+}
+
+/**
+ * Record a failed URL source and queue it (retried on a later sync)
+ * 
+ * @param {Object} targetNotebook - { id, name } from the tracker
+ * @param {Object} source - { url, type, originalUrl } from urlSources.collectUrlSources
+ * @param {string} errorMessage - Why the upload failed
+ */
+async function _queueFailedUrl(targetNotebook, source, errorMessage) {
+  await urlSources.recordUrlSource(targetNotebook.name, source, 'failed', errorMessage);
+  await uploadQueue.enqueueUpload({
+    notebookName: targetNotebook.name,
+    notebookId: targetNotebook.id,
+    sourceType: source.type,
+    target: source.url
+  }, errorMessage);
+}
+
+/**
+ * Queue a bookmark file that never reached NotebookLM, with its URL sources
+ * 
+ * @param {Object} targetNotebook - { id, name } from the tracker
+ * @param {string} filePath - Bookmark file that was not uploaded
+ * @param {number} bookmarkCount - Bookmarks in the file
+ * @param {Array<Object>} sources - URL sources the upload would have added
+ * @param {string} errorMessage - Why the upload failed
+ */
+async function _queueFailedUpload(targetNotebook, filePath, bookmarkCount, sources, errorMessage) {
+  await _queueFailedFile(targetNotebook, filePath, bookmarkCount, errorMessage);
+  for (const source of sources) {
+    await _queueFailedUrl(targetNotebook, source, errorMessage);
+  }
+}
+
+/**
+ * Retry queued uploads (grouped by notebook) in an open NotebookLM page
+ * 
+ * @param {Page} page - Playwright page on NotebookLM
+ * @param {Array<Object>} items - Rows from uploadQueue.getQueuedUploads
+ * @returns {Promise<Object>} { attempted, uploaded, failed }
+ */
+async function _drainUploadQueue(page, items) {
+  const counts = { attempted: items.length, uploaded: 0, failed: 0 };
+  
+  logger.info(`Retrying ${items.length} queued upload(s)...`, 'notebooklm');
+  
+  const byNotebook = new Map();
+  items.forEach(item => {
+    if (!byNotebook.has(item.notebook_name)) {
+      byNotebook.set(item.notebook_name, []);
+    }
+    byNotebook.get(item.notebook_name).push(item);
+  });
+  
+  for (const [notebookName, notebookItems] of byNotebook) {
+    // Start from the notebook list so selectNotebook can find it
+    await page.goto(NOTEBOOKLM_BASE_URL, { waitUntil: 'domcontentloaded', timeout: PAGE_LOAD_TIMEOUT_MS });
+    
+    const notebookResult = await selectNotebook(page, notebookName);
+    if (!notebookResult.success) {
+      for (const item of notebookItems) {
+        await uploadQueue.markUploadFailed(item.id, notebookResult.error);
+        counts.failed++;
+      }
+      continue;
+    }
+    
+    let isNewNotebook = !notebookResult.data.existed;
+    
+    for (const item of notebookItems) {
+      let result;
+      
+      try {
+        if (item.source_type === 'file') {
+          result = fs.existsSync(item.target)
+            ? await uploadFile(page, item.target, isNewNotebook)
+            : { success: false, error: `File no longer exists: ${item.target}` };
+        } else {
+          result = await uploadURL(page, item.target, item.source_type);
+        }
+      } catch (error) {
+        result = { success: false, error: error.message };
+      }
+      
+      if (!result.success) {
+        await uploadQueue.markUploadFailed(item.id, result.error);
+        if (item.source_type !== 'file') {
+          await urlSources.recordUrlSource(notebookName, { url: item.target, type: item.source_type }, 'failed', result.error);
+        }
+        counts.failed++;
+        continue;
+      }
+      
+      if (isNewNotebook) {
+        await renameNotebook(page, notebookName);
+        isNewNotebook = false;
+      }
+      
+      if (item.source_type === 'file') {
+        let sourceId = null;
+        if (item.notebook_id) {
+          const recordResult = await notebookTracker.recordUploadedSource(item.notebook_id, path.basename(item.target), item.target, item.bookmark_count);
+          sourceId = recordResult.success ? recordResult.data.sourceId : null;
+        }
+        await bookmarkUploads.markFileDelivered(item.target, sourceId);
+      } else {
+        await urlSources.recordUrlSource(notebookName, { url: item.target, type: item.source_type }, 'uploaded');
+      }
+      
+      await uploadQueue.removeUpload(item.id);
+      counts.uploaded++;
+      logger.success(`Retried upload succeeded: ${item.target}`, 'notebooklm');
+    }
+  }
+  
+  logger.info(`Queue retry: ${counts.uploaded} uploaded, ${counts.failed} still failing`, 'notebooklm');
+  
+  return counts;
+}
+
+/**
+ * Retry queued uploads on their own (no new bookmarks needed)
+ * Used when a sync finds nothing new, and by the UI "Retry now" action.
+ * 
+ * @param {Object} options - Retry options
+ * @param {Array<number>} options.ids - Retry only these items, ignoring backoff (default: all due items)
+ * @param {BrowserContext} options.context - Use this context instead of the persistent browser (tests)
+ * @returns {Promise<Object>} { success, data: { attempted, uploaded, failed }, error }
+ */
+async function processUploadQueue(options = {}) {
+  try {
+    const queueResult = options.ids
+      ? await uploadQueue.getQueuedUploads({ ids: options.ids })
+      : await uploadQueue.getQueuedUploads({ dueOnly: true });
+    if (!queueResult.success) {
+      return queueResult;
+    }
+    
+    if (queueResult.data.length === 0) {
+      logger.info('Upload queue: nothing due for retry', 'notebooklm');
+      return {
+        success: true,
+        data: { attempted: 0, uploaded: 0, failed: 0 },
+        error: null
+      };
+    }
+    
+    const browserResult = options.context
+      ? { success: true, data: options.context, error: null }
+      : await initBrowser();
+    if (!browserResult.success) {
+      return browserResult;
+    }
+    
+    const navResult = await navigateToNotebookLM(browserResult.data);
+    if (!navResult.success) {
+      return navResult;
+    }
+    
+    const counts = await _drainUploadQueue(navResult.data, queueResult.data);
+    
+    return {
+      success: true,
+      data: counts,
+      error: null
+    };
+    
+  } catch (error) {
+    logger.error('Upload queue retry failed', error, 'notebooklm');
+    return {
+      success: false,
+      data: null,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Upload routed bookmark groups, each to its own topic notebook
+ * 
+ * @param {Array<Object>} groups - [{ topic, bookmarks }] from notebook-router.routeBookmarks
+ * @param {Object} options - uploadBookmarks options
+ * @returns {Promise<Object>} { success, data: { uploaded, queued, notebookName, count, notebooks }, error }
+ */
+async function _uploadRoutedGroups(groups, options) {
+  const notebooks = [];
+  
+  for (const group of groups) {
+    const result = await uploadBookmarks(group.bookmarks, { ...options, topic: group.topic, routed: true });
+    notebooks.push({
+      topic: group.topic,
+      notebookName: result.data ? result.data.notebookName : null,
+      count: group.bookmarks.length,
+      filePath: result.data ? result.data.filePath : null,
+      success: result.success,
+      queued: Boolean(result.data && result.data.queued),
+      totalSourcesAdded: result.data ? result.data.totalSourcesAdded || 0 : 0,
+      error: result.error
+    });
+  }
+  
+  const failed = notebooks.filter(notebook => !notebook.success);
+  
+  return {
+    success: failed.length === 0,
+    data: {
+      uploaded: failed.length === 0,
+      queued: failed.length > 0 && failed.every(notebook => notebook.queued),
+      notebookName: notebooks.map(notebook => notebook.notebookName).filter(Boolean).join(', '),
+      count: notebooks.reduce((total, notebook) => total + notebook.count, 0),
+      totalSourcesAdded: notebooks.reduce((total, notebook) => total + notebook.totalSourcesAdded, 0),
+      notebooks
+    },
+    error: failed.length > 0
+      ? failed.map(notebook => `${notebook.notebookName}: ${notebook.error}`).join('; ')
+      : null
+  };
+}
+
 /**
  * Upload bookmarks to NotebookLM (main function - FULLY AUTOMATED)
  * 
@@ -579,18 +843,34 @@ async function uploadFile(page, filePath, isNewNotebook = false) {
  *   - All bookmarks queryable in one place
  *   - Sources accumulate: Day 7 = 7 sources = 350 bookmarks
  * 
+ * Routing rules (Settings → Notebook Routing) are applied first: bookmarks matching
+ * a rule are uploaded to that topic's notebook, each with its own rotation.
+ * 
  * @param {Array<Object>} bookmarks - Array of bookmark objects
  * @param {Object} options - Upload options
  * @param {string} options.notebookName - Notebook name to find/create
+ * @param {string} options.topic - Routing topic notebook (set by the router, null = main notebook)
+ * @param {boolean} options.routed - Bookmarks were already routed (don't apply the rules again)
+ * @param {BrowserContext} options.context - Use this context instead of the persistent browser (tests)
  * @returns {Object} { success, data: { uploaded, filePath, notebookName, existed }, error }
+ *   (routed uploads: { uploaded, queued, notebookName, count, notebooks: [...] })
  */
 async function uploadBookmarks(bookmarks, options = {}) {
-  const { notebookName: customNotebookName = null } = options;
+  const { notebookName: customNotebookName = null, topic = null } = options;
   
   let context = null;
   let finalNotebookName = customNotebookName || 'BrainBrief - Twitter Bookmarks';
   
   try {
+    // Step 0: Split into topic notebooks (lists use their own notebook, not the rules)
+    if (!customNotebookName && !options.routed) {
+      const routeResult = await notebookRouter.routeBookmarks(bookmarks);
+      const groups = routeResult.data;
+      if (groups.length > 1 || groups[0].topic !== null) {
+        return await _uploadRoutedGroups(groups, options);
+      }
+    }
+    
     logger.info('Starting AUTOMATED NotebookLM upload', 'notebooklm');
     logger.info(`Bookmarks to upload: ${bookmarks.length}`, 'notebooklm');
     
@@ -607,16 +887,19 @@ async function uploadBookmarks(bookmarks, options = {}) {
       };
       finalNotebookName = customNotebookName;
     } else {
-      // Use tracker for bookmarks (handles rotation)
-      const activeNotebookResult = await notebookTracker.getActiveNotebook(bookmarks);
+      // Use tracker for bookmarks (handles rotation, per topic)
+      const activeNotebookResult = await notebookTracker.getActiveNotebook(bookmarks, topic);
       if (!activeNotebookResult.success) {
         logger.error('Failed to get active notebook', activeNotebookResult.error, 'notebooklm');
         targetNotebook = { 
           id: null, 
-          name: 'BrainBrief - Twitter Bookmarks', 
+          name: notebookNames.formatNotebookName(notebookNames.getNotebookNameFormat('bookmarks'), {
+            name: topic || 'Twitter Bookmarks',
+            items: bookmarks
+          }), 
           sourceCount: 0 
         };
-        finalNotebookName = 'BrainBrief - Twitter Bookmarks';
+        finalNotebookName = targetNotebook.name;
       } else {
         targetNotebook = activeNotebookResult.data;
         finalNotebookName = targetNotebook.name;
@@ -631,7 +914,12 @@ async function uploadBookmarks(bookmarks, options = {}) {
     const filename = `twitter-bookmarks-${timestamp}.txt`;
     const filePath = path.join(__dirname, '../../data/exports', filename);
     
-    const fileResult = createBookmarkFile(bookmarks, filePath);
+    const articlesResult = await archiver.getArchivedArticles(bookmarks);
+    const imageTextResult = await media.getImageText(bookmarks);
+    const fileResult = createBookmarkFile(bookmarks, filePath, {
+      articles: articlesResult.data,
+      imageText: imageTextResult.data
+    });
     if (!fileResult.success) {
       return {
         success: false,
@@ -642,12 +930,34 @@ async function uploadBookmarks(bookmarks, options = {}) {
     
     logger.success(`File created: ${filename}`, 'notebooklm');
     
+    // Track which bookmarks this file carries (bookmark notebooks only - lists have their own)
+    if (!customNotebookName) {
+      await bookmarkUploads.recordFileBookmarks({
+        bookmarks,
+        fileName: filename,
+        filePath,
+        notebookName: targetNotebook.name,
+        notebookId: targetNotebook.id
+      });
+    }
+    
+    // Linked YouTube videos, PDFs and Google Docs (added in Step 8, queued with the file if the upload fails)
+    const urlSourceList = await urlSources.collectUrlSources(bookmarks);
+    
+    // Skip URLs this notebook already has (or that are waiting in the retry queue)
+    const filterResult = await urlSources.filterNewSources(targetNotebook.name, urlSourceList);
+    let pendingSources = filterResult.data.pending;
+    const skippedSources = filterResult.data.skipped;
+    
     // Step 2: Initialize browser
-    const browserResult = await initBrowser();
+    const browserResult = options.context
+      ? { success: true, data: options.context, error: null }
+      : await initBrowser();
     if (!browserResult.success) {
+      await _queueFailedUpload(targetNotebook, filePath, bookmarks.length, pendingSources, browserResult.error);
       return {
         success: false,
-        data: { uploaded: false, filePath: filePath, notebookName },
+        data: { uploaded: false, queued: true, filePath: filePath, notebookName: targetNotebook.name },
         error: browserResult.error
       };
     }
@@ -656,9 +966,10 @@ async function uploadBookmarks(bookmarks, options = {}) {
     // Step 3: Navigate to NotebookLM
     const navResult = await navigateToNotebookLM(context);
     if (!navResult.success) {
+      await _queueFailedUpload(targetNotebook, filePath, bookmarks.length, pendingSources, navResult.error);
       return {
         success: false,
-        data: { uploaded: false, filePath: filePath, notebookName },
+        data: { uploaded: false, queued: true, filePath: filePath, notebookName: targetNotebook.name },
         error: navResult.error
       };
     }
@@ -668,9 +979,10 @@ async function uploadBookmarks(bookmarks, options = {}) {
     // This finds existing notebook OR creates new one
     const notebookResult = await selectNotebook(page, targetNotebook.name);
     if (!notebookResult.success) {
+      await _queueFailedUpload(targetNotebook, filePath, bookmarks.length, pendingSources, notebookResult.error);
       return {
         success: false,
-        data: { uploaded: false, filePath: filePath, notebookName: targetNotebook.name },
+        data: { uploaded: false, queued: true, filePath: filePath, notebookName: targetNotebook.name },
         error: notebookResult.error
       };
     }
@@ -687,9 +999,10 @@ async function uploadBookmarks(bookmarks, options = {}) {
     const isNewNotebook = !notebookExisted;
     const uploadResult = await uploadFile(page, filePath, isNewNotebook);
     if (!uploadResult.success) {
+      await _queueFailedUpload(targetNotebook, filePath, bookmarks.length, pendingSources, uploadResult.error);
       return {
         success: false,
-        data: { uploaded: false, filePath: filePath, notebookName: targetNotebook.name, existed: notebookExisted },
+        data: { uploaded: false, queued: true, filePath: filePath, notebookName: targetNotebook.name, existed: notebookExisted },
         error: uploadResult.error
       };
     }
@@ -727,171 +1040,65 @@ async function uploadBookmarks(bookmarks, options = {}) {
     }
     
     // Step 6: Record upload in database
+    let sourceId = null;
     if (targetNotebook.id) {
-      await notebookTracker.recordUploadedSource(
+      const recordResult = await notebookTracker.recordUploadedSource(
         targetNotebook.id,
         filename,
         filePath,
         bookmarks.length
       );
+      sourceId = recordResult.success ? recordResult.data.sourceId : null;
       logger.success('Upload recorded in database', 'notebooklm');
     }
+    await bookmarkUploads.markFileDelivered(filePath, sourceId);
     
     logger.success(`✅ Successfully uploaded ${bookmarks.length} bookmarks to NotebookLM!`, 'notebooklm');
     
     // Step 7: Wait for modal to close after file upload
     await page.waitForTimeout(2000);
     
-    // Step 8: Extract and upload YouTube/PDF URLs as separate sources
+    // Step 8: Add linked YouTube videos, PDFs and Google Docs as separate sources
     logger.info('Checking for YouTube videos and PDFs to add as sources...', 'notebooklm');
     
-    const youtubeUrls = new Set();
-    const pdfUrls = new Set();
-    const googleDocsUrls = new Set();
-    
-    bookmarks.forEach(bookmark => {
-      // Collect YouTube URLs
-      if (bookmark.embedded?.youtubeUrls) {
-        bookmark.embedded.youtubeUrls.forEach(url => youtubeUrls.add(url));
-      }
-      
-      // Collect PDF URLs (check text for .pdf links)
-      if (bookmark.text) {
-        const pdfMatches = bookmark.text.match(/https?:\/\/[^\s]+\.pdf/gi);
-        if (pdfMatches) {
-          pdfMatches.forEach(url => pdfUrls.add(url));
-        }
-        
-        // Collect Google Docs URLs
-        const docsMatches = bookmark.text.match(/https?:\/\/docs\.google\.com\/[^\s]+/gi);
-        if (docsMatches) {
-          docsMatches.forEach(url => googleDocsUrls.add(url));
-        }
-      }
-    });
-    
-    // Expand t.co shortened URLs to get real YouTube URLs
-    logger.info('Expanding t.co shortened URLs...', 'notebooklm');
-    const expandedYoutubeUrls = new Set();
-    
-    for (const url of youtubeUrls) {
-      if (url.includes('t.co')) {
-        try {
-          // Follow redirect to get real URL
-          const realUrl = await followRedirect(url);
-          if (realUrl && (realUrl.includes('youtube.com') || realUrl.includes('youtu.be'))) {
-            expandedYoutubeUrls.add(realUrl);
-            logger.debug(`Expanded ${url} → ${realUrl}`, null, 'notebooklm');
-          }
-        } catch (error) {
-          logger.warn(`Failed to expand ${url}, skipping`, 'notebooklm');
-        }
-      } else {
-        expandedYoutubeUrls.add(url);
-      }
-    }
+    const countByType = (list, type) => list.filter(source => source.type === type).length;
     
-    logger.info(`Found ${expandedYoutubeUrls.size} YouTube videos, ${pdfUrls.size} PDFs, ${googleDocsUrls.size} Google Docs`, 'notebooklm');
-    
-    // Filter out already-uploaded URLs (check database)
-    const db = require('../db/database');
-    const notebookName = targetNotebook.name;
-    
-    const youtubeArray = Array.from(youtubeUrls);
-    const pdfArray = Array.from(pdfUrls);
-    
-    // Check which URLs are already uploaded (simple approach: try-catch on insert)
-    // For now, add all and let database UNIQUE constraint handle duplicates
+    logger.info(`Found ${countByType(urlSourceList, 'youtube')} YouTube videos, ${countByType(urlSourceList, 'pdf')} PDFs, ${countByType(urlSourceList, 'google-docs')} Google Docs`, 'notebooklm');
     
     // Check if we have room for additional sources
     const currentSources = targetNotebook.sourceCount + 1; // +1 for markdown file just uploaded
     const availableSlots = notebookTracker.MAX_SOURCES_PER_NOTEBOOK - currentSources;
     
-    if (availableSlots <= 0) {
+    if (availableSlots <= 0 && pendingSources.length > 0) {
       logger.warn('Notebook is full, skipping YouTube/PDF/Google Docs sources', 'notebooklm');
-      expandedYoutubeUrls.clear();
-      pdfUrls.clear();
-      googleDocsUrls.clear();
-    } else if (expandedYoutubeUrls.size + pdfUrls.size + googleDocsUrls.size > availableSlots) {
+      pendingSources = [];
+    } else if (pendingSources.length > availableSlots) {
       logger.warn(`Only ${availableSlots} slots available, will add what fits`, 'notebooklm');
+      pendingSources = pendingSources.slice(0, availableSlots);
     }
     
-    let sourcesAdded = 0;
+    const addedSources = [];
     
-    // Add YouTube sources (up to available slots)
-    for (const url of expandedYoutubeUrls) {
-      if (sourcesAdded >= availableSlots) {
-        logger.warn('Reached source limit, stopping', 'notebooklm');
-        break;
-      }
+    for (const source of pendingSources) {
+      const typeName = urlSources.SOURCE_TYPES[source.type];
       
       try {
-        const result = await uploadURL(page, url, 'youtube');
+        const result = await uploadURL(page, source.url, source.type);
         if (result.success) {
-          sourcesAdded++;
-          logger.success(`Added YouTube source ${sourcesAdded}`, 'notebooklm');
-          
-          // Save to database (track uploaded URLs)
-          try {
-            await db.getDatabase().then(dbResult => {
-              if (dbResult.success) {
-                const database = dbResult.data;
-                const stmt = database.prepare(`
-                  INSERT OR IGNORE INTO uploaded_urls (notebook_name, url, url_type)
-                  VALUES (?, ?, ?)
-                `);
-                stmt.run([notebookName, url, 'youtube']);
-                stmt.free();
-                db.saveToFile();
-              }
-            });
-          } catch (dbError) {
-            logger.warn('Failed to save YouTube URL to DB', 'notebooklm');
-          }
-        }
-      } catch (error) {
-        logger.warn(`Failed to add YouTube: ${url}`, 'notebooklm');
-        // Continue with other sources
-      }
-    }
-    
-    // Add PDF sources (up to available slots)
-    for (const url of pdfUrls) {
-      if (sourcesAdded >= availableSlots) {
-        logger.warn('Reached source limit, stopping', 'notebooklm');
-        break;
-      }
-      
-      try {
-        const result = await uploadURL(page, url, 'pdf');
-        if (result.success) {
-          sourcesAdded++;
-          logger.success(`Added PDF source ${sourcesAdded}`, 'notebooklm');
+          addedSources.push(source);
+          logger.success(`Added ${typeName} source ${addedSources.length}`, 'notebooklm');
+          await urlSources.recordUrlSource(targetNotebook.name, source, 'uploaded');
+        } else {
+          await _queueFailedUrl(targetNotebook, source, result.error);
         }
       } catch (error) {
-        logger.warn(`Failed to add PDF: ${url}`, 'notebooklm');
+        logger.warn(`Failed to add ${typeName}: ${source.url}`, 'notebooklm');
+        await _queueFailedUrl(targetNotebook, source, error.message);
         // Continue with other sources
       }
     }
     
-    // Add Google Docs sources (up to available slots)
-    for (const url of googleDocsUrls) {
-      if (sourcesAdded >= availableSlots) {
-        logger.warn('Reached source limit, stopping', 'notebooklm');
-        break;
-      }
-      
-      try {
-        const result = await uploadURL(page, url, 'google-docs');
-        if (result.success) {
-          sourcesAdded++;
-          logger.success(`Added Google Docs source ${sourcesAdded}`, 'notebooklm');
-        }
-      } catch (error) {
-        logger.warn(`Failed to add Google Docs: ${url}`, 'notebooklm');
-        // Continue with other sources
-      }
-    }
+    const sourcesAdded = addedSources.length;
     
     if (sourcesAdded > 0) {
       logger.success(`✅ Added ${sourcesAdded} additional source(s) (YouTube + PDFs + Google Docs)`, 'notebooklm');
@@ -904,6 +1111,12 @@ async function uploadBookmarks(bookmarks, options = {}) {
       logger.info(`First sync complete! Notebook has ${1 + sourcesAdded} sources.`, 'notebooklm');
     }
     
+    // Step 9: Retry earlier failed uploads whose backoff has passed
+    const queueResult = await uploadQueue.getQueuedUploads({ dueOnly: true });
+    const retried = queueResult.success && queueResult.data.length > 0
+      ? await _drainUploadQueue(page, queueResult.data)
+      : { attempted: 0, uploaded: 0, failed: 0 };
+    
     // Keep browser open (wait 3 seconds for user to see result)
     logger.info('Waiting 3 seconds... (browser stays open)', 'notebooklm');
     await page.waitForTimeout(3000);
@@ -920,10 +1133,12 @@ async function uploadBookmarks(bookmarks, options = {}) {
         count: bookmarks.length,
         existed: notebookExisted,
         sourceCount: targetNotebook.sourceCount + 1 + sourcesAdded,
-        youtubeSourcesAdded: expandedYoutubeUrls.size,
-        pdfSourcesAdded: pdfUrls.size,
-        googleDocsSourcesAdded: googleDocsUrls.size,
+        youtubeSourcesAdded: countByType(addedSources, 'youtube'),
+        pdfSourcesAdded: countByType(addedSources, 'pdf'),
+        googleDocsSourcesAdded: countByType(addedSources, 'google-docs'),
         totalSourcesAdded: sourcesAdded,
+        urlSourcesSkipped: skippedSources.length,
+        retried,
         message: notebookExisted 
           ? `Added ${1 + sourcesAdded} sources to notebook`
           : `Created notebook with ${1 + sourcesAdded} sources`
@@ -1076,22 +1291,25 @@ async function uploadURL(page, url, sourceType = 'youtube') {
 
 /**
  * Upload tweets from a Twitter List to NotebookLM
- * Creates a list-specific notebook: "BrainBrief - {listName} - {date}"
+ * Creates a list-specific notebook: "BrainBrief - {listName} - {date}" by default (see notebook-names.js)
  * 
  * @param {Array<Object>} tweets - Array of tweet objects (same format as bookmarks)
  * @param {Object} listInfo - List metadata
  * @param {string} listInfo.name - List name
  * @param {string} listInfo.listId - List ID
  * @param {string} listInfo.url - List URL
+ * @param {string} listInfo.notebookNameFormat - Notebook name template for this list (optional)
  * @returns {Object} { success, data, error }
  */
 async function uploadListTweets(tweets, listInfo) {
   try {
     logger.info(`Uploading ${tweets.length} tweets from list: "${listInfo.name}"`, 'notebooklm');
     
-    // Generate list-specific notebook name with date
-    const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
-    const notebookName = `BrainBrief - ${listInfo.name} - ${today}`;
+    // Generate list-specific notebook name (the list's own template, else Settings → Notebook Names)
+    const notebookName = notebookNames.formatNotebookName(
+      listInfo.notebookNameFormat || notebookNames.getNotebookNameFormat('list'),
+      { name: listInfo.name, items: tweets }
+    );
     
     logger.info(`Notebook name: "${notebookName}"`, 'notebooklm');
     
@@ -1110,9 +1328,45 @@ async function uploadListTweets(tweets, listInfo) {
   }
 }
 
+/**
+ * Upload bookmarks from a bookmark folder to NotebookLM
+ * Creates a folder-specific notebook: "BrainBrief - {folderName} - {date}" by default (see notebook-names.js)
+ * 
+ * @param {Array<Object>} bookmarks - Bookmarks newly found in the folder
+ * @param {Object} folderInfo - Folder metadata
+ * @param {string} folderInfo.name - Folder name
+ * @param {string} folderInfo.folderId - Folder ID
+ * @returns {Object} { success, data, error }
+ */
+async function uploadFolderBookmarks(bookmarks, folderInfo) {
+  try {
+    logger.info(`Uploading ${bookmarks.length} bookmarks from folder: "${folderInfo.name}"`, 'notebooklm');
+    
+    // Same naming as list notebooks
+    const notebookName = notebookNames.formatNotebookName(notebookNames.getNotebookNameFormat('list'), {
+      name: folderInfo.name,
+      items: bookmarks
+    });
+    
+    logger.info(`Notebook name: "${notebookName}"`, 'notebooklm');
+    
+    return await uploadBookmarks(bookmarks, { notebookName });
+    
+  } catch (error) {
+    logger.error('Failed to upload folder bookmarks', error, 'notebooklm');
+    return {
+      success: false,
+      data: null,
+      error: error.message
+    };
+  }
+}
+
 module.exports = {
   uploadBookmarks,
   uploadListTweets,
+  uploadFolderBookmarks,
+  processUploadQueue,
   uploadURL,
   testFileCreation,
   createBookmarkFile,
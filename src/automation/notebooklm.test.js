@@ -0,0 +1,372 @@
+/**
+ * BrainBrief - NotebookLM Upload Tests (offline)
+ * 
+ * Purpose: Run the full upload flow against the local NotebookLM mock
+ * Dependencies: playwright (chromium: `npx playwright install chromium`), sql.js
+ * 
+ * Starts fixtures/notebooklm/mock-server.js, points NOTEBOOKLM_BASE_URL at it and
+ * uses an in-memory database so notebook tracking/rotation never touches data/.
+ * 
+ * Run with: node src/automation/notebooklm.test.js (or npm test)
+ * 
+ * @module notebooklm.test
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { chromium } = require('playwright');
+const logger = require('../utils/logger');
+const db = require('../db/database');
+const notebookTracker = require('../db/notebook-tracker');
+const uploadQueue = require('../db/upload-queue');
+const notebookNames = require('../utils/notebook-names');
+const { startMockServer } = require('./fixtures/notebooklm/mock-server');
+
+// Test data
+const YOUTUBE_URL = 'https://www.youtube.com/watch?v=mockVideo01';
+const YOUTUBE_SHARE_URL = 'https://youtu.be/mockVideo01?si=share-tracking';
+const QUEUED_YOUTUBE_URL = 'https://www.youtube.com/watch?v=mockVideo02';
+
+let notebooklm = null; // Required after NOTEBOOKLM_BASE_URL is set
+let mock = null;
+let context = null;
+let failures = 0;
+
+/**
+ * Record one assertion
+ * 
+ * @param {boolean} condition - Assertion result
+ * @param {string} description - What was checked
+ */
+function _expect(condition, description) {
+  if (condition) {
+    logger.success(`✅ ${description}`, 'test');
+  } else {
+    failures++;
+    logger.error(`❌ ${description}`, null, 'test');
+  }
+}
+
+/**
+ * Build a bookmark in extractor format
+ * 
+ * @param {string} id - Tweet ID
+ * @param {string} timestamp - Tweet date (ISO 8601)
+ * @param {Array<string>} youtubeUrls - Embedded YouTube links
+ * @returns {Object} Bookmark
+ */
+function _bookmark(id, timestamp, youtubeUrls = []) {
+  return {
+    id,
+    author: 'Test Author',
+    text: `Bookmark ${id} text`,
+    url: `https://x.com/test/status/${id}`,
+    timestamp,
+    scraped_at: timestamp,
+    embedded: { youtubeUrls, imageUrls: [], videoUrls: [], quotedTweet: null }
+  };
+}
+
+/**
+ * Run one query against the test database
+ * 
+ * @param {string} sql - SELECT statement
+ * @returns {Promise<Array<Object>>} Rows
+ */
+async function _query(sql) {
+  const database = (await db.getDatabase()).data;
+  const stmt = database.prepare(sql);
+  const rows = [];
+  while (stmt.step()) {
+    rows.push(stmt.getAsObject());
+  }
+  stmt.free();
+  return rows;
+}
+
+/**
+ * Upload and remove the generated export file afterwards
+ * 
+ * @param {Array<Object>} bookmarks - Bookmarks to upload
+ * @returns {Promise<Object>} uploadBookmarks result
+ */
+async function _upload(bookmarks) {
+  const result = await notebooklm.uploadBookmarks(bookmarks, { context });
+  if (result.data && result.data.filePath && fs.existsSync(result.data.filePath)) {
+    fs.unlinkSync(result.data.filePath);
+  }
+  return result;
+}
+
+/**
+ * First sync: creates and renames a notebook, uploads file + YouTube source
+ */
+async function testFirstUploadCreatesNotebook() {
+  logger.info('Testing first upload (new notebook)...', 'test');
+  
+  const result = await _upload([
+    _bookmark('1800000000000000001', '2025-10-01T12:00:00.000Z', [YOUTUBE_URL]),
+    _bookmark('1800000000000000002', '2025-09-30T12:00:00.000Z')
+  ]);
+  
+  _expect(result.success && result.data.existed === false, 'Upload succeeded into a new notebook');
+  
+  const notebooks = mock.state.notebooks;
+  _expect(notebooks.length === 1, 'Mock has one notebook');
+  _expect(notebooks[0].title === 'BrainBrief - Twitter Bookmarks - 2025-10-01', 'Notebook renamed from newest bookmark date');
+  
+  const [file, youtube] = notebooks[0].sources;
+  _expect(file && file.type === 'file' && file.name === path.basename(result.data.filePath || ''), 'Bookmark file uploaded as first source');
+  _expect(file && file.content.includes('Bookmark 1800000000000000002 text'), 'Uploaded file contains bookmark text');
+  _expect(youtube && youtube.type === 'youtube' && youtube.url === YOUTUBE_URL, 'YouTube link added as its own source');
+  
+  const [active] = await _query('SELECT * FROM notebooklm_notebooks WHERE is_active = 1');
+  _expect(active && active.notebook_name === notebooks[0].title && active.source_count === 1, 'Tracker recorded the notebook and file upload');
+  
+  const urls = await _query('SELECT * FROM uploaded_urls');
+  _expect(urls.length === 1 && urls[0].url === YOUTUBE_URL && urls[0].status === 'uploaded', 'YouTube URL recorded as uploaded');
+}
+
+/**
+ * Next sync: reopens the same notebook via "Add source", skips the video it already has
+ */
+async function testNextUploadAddsToExistingNotebook() {
+  logger.info('Testing next upload (existing notebook)...', 'test');
+  
+  // Same video as the first upload, as a share link
+  const result = await _upload([
+    _bookmark('1800000000000000003', '2025-10-02T12:00:00.000Z', [YOUTUBE_SHARE_URL])
+  ]);
+  
+  _expect(result.success && result.data.existed === true, 'Upload succeeded into the existing notebook');
+  _expect(mock.state.notebooks.length === 1, 'No extra notebook created');
+  _expect(mock.state.notebooks[0].sources.length === 3, 'Source added to existing notebook');
+  _expect(result.success && result.data.youtubeSourcesAdded === 0 && result.data.urlSourcesSkipped === 1, 'Already-uploaded YouTube video skipped');
+  
+  const [active] = await _query('SELECT * FROM notebooklm_notebooks WHERE is_active = 1');
+  _expect(active && active.source_count === 2, 'Tracker source count incremented');
+}
+
+/**
+ * Full notebook: tracker rotates to a new notebook before uploading
+ */
+async function testRotationAtSourceLimit() {
+  logger.info(`Testing rotation at ${notebookTracker.MAX_SOURCES_PER_NOTEBOOK} sources...`, 'test');
+  
+  // Fill both sides to the limit (uploading 300 real sources would take hours)
+  const full = mock.state.notebooks[0];
+  while (full.sources.length < notebookTracker.MAX_SOURCES_PER_NOTEBOOK) {
+    full.sources.push({ type: 'file', name: `filler-${full.sources.length}.txt` });
+  }
+  const database = (await db.getDatabase()).data;
+  database.run('UPDATE notebooklm_notebooks SET source_count = ? WHERE is_active = 1', [notebookTracker.MAX_SOURCES_PER_NOTEBOOK]);
+  
+  const result = await _upload([_bookmark('1800000000000000004', '2025-10-05T12:00:00.000Z')]);
+  
+  _expect(result.success && result.data.existed === false, 'Upload succeeded into a new notebook');
+  _expect(mock.state.notebooks.length === 2, 'Mock has a second notebook');
+  _expect(full.sources.length === notebookTracker.MAX_SOURCES_PER_NOTEBOOK, 'Full notebook left untouched');
+  
+  const next = mock.state.notebooks[1];
+  _expect(next && next.title === 'BrainBrief - Twitter Bookmarks - 2025-10-05' && next.sources.length === 1, 'New notebook named and holds the upload');
+  
+  const rows = await _query('SELECT notebook_name, source_count, is_active FROM notebooklm_notebooks ORDER BY id');
+  _expect(rows.length === 2 && rows[0].is_active === 0 && rows[1].is_active === 1 && rows[1].source_count === 1, 'Tracker retired the full notebook and tracks the new one');
+}
+
+/**
+ * Notebook name templates: tokens, date formats, repeated names numbered
+ */
+async function testNotebookNameTemplates() {
+  logger.info('Testing notebook name templates...', 'test');
+  
+  const values = {
+    name: 'AI Leaders',
+    date: new Date(2025, 9, 18),
+    items: [_bookmark('1', '2025-10-14T12:00:00.000Z'), _bookmark('2', '2025-10-16T12:00:00.000Z')],
+    sequence: 3
+  };
+  
+  _expect(notebookNames.formatNotebookName('', values) === 'BrainBrief - AI Leaders - 2025-10-18', 'Empty template uses the default');
+  _expect(notebookNames.formatNotebookName('{listName} {date:YYYY-MM} W{week} #{sequence}', values) === 'AI Leaders 2025-10 W42 #3', 'List name, date format, ISO week and sequence');
+  _expect(notebookNames.formatNotebookName('{name} {firstDate:D/M} - {lastDate:D/M}', values) === 'AI Leaders 14/10 - 16/10', 'First and last tweet dates');
+  _expect(JSON.stringify(notebookNames.getUnknownTokens('{name} {month} {date:YYYY}')) === JSON.stringify(['{month}']), 'Unknown tokens reported');
+  
+  // Rotation already created "BrainBrief - Twitter Bookmarks - 2025-10-05"
+  const repeat = await notebookTracker.createNewNotebook([_bookmark('1800000000000000005', '2025-10-05T13:00:00.000Z')]);
+  _expect(repeat.success && repeat.data.name === 'BrainBrief - Twitter Bookmarks - 2025-10-05 (2)', 'Repeated notebook name numbered');
+}
+
+/**
+ * Failed upload: the file is queued with backoff and a later retry delivers it
+ */
+async function testFailedUploadRetried() {
+  logger.info('Testing failed upload and queue retry...', 'test');
+  
+  const bookmark = _bookmark('1800000000000000006', '2025-10-06T12:00:00.000Z');
+  await db.saveBookmark(bookmark);
+  
+  // Network down: NotebookLM never loads
+  mock.state.offline = true;
+  const failed = await notebooklm.uploadBookmarks([bookmark], { context });
+  mock.state.offline = false;
+  
+  const filePath = failed.data ? failed.data.filePath : null;
+  _expect(!failed.success && failed.data.queued === true, 'Failed upload reported as queued');
+  
+  const [queued] = (await uploadQueue.getQueuedUploads()).data;
+  _expect(queued && queued.target === filePath && queued.attempts === 1 && queued.bookmark_count === 1, 'Bookmark file queued after the failure');
+  _expect(queued && Date.parse(queued.next_attempt_at) > Date.now() + uploadQueue.getRetryDelayMs(1) - 60000, 'First retry backed off by 5 minutes');
+  
+  const [pending] = await _query(`SELECT status FROM bookmark_uploads WHERE tweet_id = '${bookmark.id}'`);
+  _expect(pending && pending.status === 'queued', 'Bookmark upload recorded as queued');
+  
+  const notDue = await notebooklm.processUploadQueue({ context });
+  _expect(notDue.success && notDue.data.attempted === 0, 'Queue not retried before its backoff has passed');
+  
+  const database = (await db.getDatabase()).data;
+  database.run('UPDATE upload_queue SET next_attempt_at = ? WHERE id = ?', [new Date(Date.now() - 1000).toISOString(), queued.id]);
+  
+  const retried = await notebooklm.processUploadQueue({ context });
+  _expect(retried.success && retried.data.attempted === 1 && retried.data.uploaded === 1, 'Retry uploaded the queued file');
+  _expect(mock.state.notebooks.some(notebook => notebook.sources.some(source => source.name === path.basename(filePath || ''))), 'Queued file reached NotebookLM');
+  _expect((await uploadQueue.getQueuedUploads()).data.length === 0, 'Delivered file removed from the queue');
+  
+  const [delivered] = await _query(`SELECT status, delivered_at FROM bookmark_uploads WHERE tweet_id = '${bookmark.id}'`);
+  _expect(delivered && delivered.status === 'delivered' && delivered.delivered_at, 'Bookmark upload flipped to delivered');
+  
+  const undelivered = await db.getBookmarks({ limit: -1, undeliveredOnly: true });
+  _expect(!undelivered.data.some(row => row.tweet_id === bookmark.id), 'Bookmark no longer counted as undelivered');
+  
+  if (filePath && fs.existsSync(filePath)) {
+    fs.unlinkSync(filePath);
+  }
+}
+
+/**
+ * Failed upload with a linked video: the link is queued with the file and the retry delivers both
+ */
+async function testFailedUploadQueuesLinks() {
+  logger.info('Testing failed upload with a YouTube link...', 'test');
+  
+  const bookmark = _bookmark('1800000000000000007', '2025-10-07T12:00:00.000Z', [QUEUED_YOUTUBE_URL]);
+  await db.saveBookmark(bookmark);
+  
+  mock.state.offline = true;
+  const failed = await notebooklm.uploadBookmarks([bookmark], { context });
+  mock.state.offline = false;
+  
+  const filePath = failed.data ? failed.data.filePath : null;
+  const queued = (await uploadQueue.getQueuedUploads()).data;
+  _expect(!failed.success && queued.length === 2, 'File and YouTube link both queued after the failure');
+  _expect(queued.some(item => item.source_type === 'youtube' && item.target === QUEUED_YOUTUBE_URL), 'YouTube link queued as its own source');
+  
+  const [failedUrl] = await _query(`SELECT status FROM uploaded_urls WHERE url = '${QUEUED_YOUTUBE_URL}'`);
+  _expect(failedUrl && failedUrl.status === 'failed', 'YouTube URL recorded as failed');
+  
+  const database = (await db.getDatabase()).data;
+  database.run('UPDATE upload_queue SET next_attempt_at = ?', [new Date(Date.now() - 1000).toISOString()]);
+  
+  const retried = await notebooklm.processUploadQueue({ context });
+  _expect(retried.success && retried.data.attempted === 2 && retried.data.uploaded === 2, 'Retry uploaded the file and the link');
+  _expect(mock.state.notebooks.some(notebook => notebook.sources.some(source => source.type === 'youtube' && source.url === QUEUED_YOUTUBE_URL)), 'Queued YouTube link reached NotebookLM');
+  _expect((await uploadQueue.getQueuedUploads()).data.length === 0, 'Delivered sources removed from the queue');
+  
+  const [delivered] = await _query(`SELECT status FROM uploaded_urls WHERE url = '${QUEUED_YOUTUBE_URL}'`);
+  _expect(delivered && delivered.status === 'uploaded', 'YouTube URL flipped to uploaded');
+  
+  if (filePath && fs.existsSync(filePath)) {
+    fs.unlinkSync(filePath);
+  }
+}
+
+/**
+ * Backoff doubles per failure; after MAX_AUTO_ATTEMPTS the item is stuck and only a manual retry picks it up
+ */
+async function testStuckUploadNotRetried() {
+  logger.info('Testing retry backoff and stuck uploads...', 'test');
+  
+  _expect(uploadQueue.getRetryDelayMs(2) === 2 * uploadQueue.getRetryDelayMs(1) && uploadQueue.getRetryDelayMs(3) === 4 * uploadQueue.getRetryDelayMs(1), 'Retry delay doubles per attempt');
+  _expect(uploadQueue.getRetryDelayMs(20) === 24 * 60 * 60 * 1000, 'Retry delay capped at 24 hours');
+  
+  await uploadQueue.enqueueUpload({
+    notebookName: 'BrainBrief - Stuck',
+    sourceType: 'youtube',
+    target: 'https://www.youtube.com/watch?v=stuckVideo1'
+  }, 'Mock failure');
+  
+  // The same source failing again in a later sync backs off further
+  await uploadQueue.enqueueUpload({
+    notebookName: 'BrainBrief - Stuck',
+    sourceType: 'youtube',
+    target: 'https://www.youtube.com/watch?v=stuckVideo1'
+  }, 'Mock failure');
+  const [item] = (await uploadQueue.getQueuedUploads()).data;
+  _expect(item && item.attempts === 2 && Date.parse(item.next_attempt_at) > Date.now() + uploadQueue.getRetryDelayMs(2) - 60000, 'Re-queued source backed off by its attempt count');
+  
+  let attempts = item.attempts;
+  while (attempts < uploadQueue.MAX_AUTO_ATTEMPTS) {
+    attempts = (await uploadQueue.markUploadFailed(item.id, 'Mock failure')).data.attempts;
+  }
+  
+  const database = (await db.getDatabase()).data;
+  database.run('UPDATE upload_queue SET next_attempt_at = ? WHERE id = ?', [new Date(Date.now() - 1000).toISOString(), item.id]);
+  
+  const due = (await uploadQueue.getQueuedUploads({ dueOnly: true })).data;
+  _expect(due.length === 0, `Stuck after ${uploadQueue.MAX_AUTO_ATTEMPTS} attempts: not retried by sync`);
+  
+  const [manual] = (await uploadQueue.getQueuedUploads({ ids: [item.id] })).data;
+  _expect(manual && manual.stuck === true, 'Stuck item still offered for a manual retry');
+  
+  await uploadQueue.removeUpload(item.id);
+}
+
+/**
+ * Run all tests
+ */
+async function runTests() {
+  let browser = null;
+  
+  try {
+    mock = await startMockServer();
+    process.env.NOTEBOOKLM_BASE_URL = mock.url;
+    notebooklm = require('./notebooklm');
+    
+    logger.info(`Mock NotebookLM at ${mock.url}`, 'test');
+    
+    await db.initDatabase({ inMemory: true });
+    
+    browser = await chromium.launch({ headless: true });
+    context = await browser.newContext();
+    
+    await testFirstUploadCreatesNotebook();
+    await testNextUploadAddsToExistingNotebook();
+    await testRotationAtSourceLimit();
+    await testNotebookNameTemplates();
+    await testFailedUploadRetried();
+    await testFailedUploadQueuesLinks();
+    await testStuckUploadNotRetried();
+    
+  } catch (error) {
+    failures++;
+    logger.error('Test run failed', error, 'test');
+    
+  } finally {
+    await db.closeDatabase();
+    if (browser) {
+      await browser.close();
+    }
+    if (mock) {
+      await mock.close();
+    }
+  }
+  
+  if (failures > 0) {
+    logger.error(`${failures} assertion(s) failed`, null, 'test');
+    process.exitCode = 1;
+  } else {
+    logger.success('All NotebookLM upload tests passed', 'test');
+  }
+}
+
+runTests();
@@ -0,0 +1,193 @@
+/**
+ * BrainBrief - Image OCR
+ * 
+ * Purpose: Read the text in downloaded tweet images (slides, screenshots) so
+ *          image-only bookmarks are searchable and readable by NotebookLM
+ * Dependencies: tesseract.js + @tesseract.js-data/eng (optional), database.js, media.js, settings.js
+ * 
+ * Runs offline over images already in the media store (media-fetcher.js): the
+ * English model ships with @tesseract.js-data/eng, nothing is downloaded. Text is
+ * saved to media.ocr_text, which the search index picks up (bookmarks_fts.media_text).
+ * Each file is read once, even when several bookmarks share it.
+ * 
+ * Optional: enabled with "ocrImages": true in lists-config.json settings
+ * (Settings page → Read Text in Images).
+ * 
+ * @module ocr
+ */
+
+const fs = require('fs');
+const logger = require('../utils/logger');
+const { getAppSetting } = require('../utils/settings');
+const db = require('../db/database');
+const media = require('../db/media');
+
+// Limits
+const MAX_OCR_PER_RUN = 50; // A few seconds per image on one core
+const MIN_CONFIDENCE = 60; // Below this it's noise from a photo, not text
+
+/**
+ * Check whether OCR is turned on (lists-config.json settings.ocrImages)
+ * 
+ * @returns {boolean} True if downloaded images should be OCR'd
+ */
+function isOcrEnabled() {
+  return getAppSetting('ocrImages', false) === true;
+}
+
+/**
+ * Check whether the optional OCR packages are installed
+ * 
+ * @returns {boolean} True if tesseract.js and its English model can be loaded
+ */
+function isOcrAvailable() {
+  try {
+    require.resolve('tesseract.js');
+    require.resolve('@tesseract.js-data/eng');
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Clean up recognized text (drop blank lines and stray whitespace)
+ * 
+ * @param {string} text - Raw OCR output
+ * @returns {string} Cleaned text
+ */
+function _cleanText(text) {
+  return (text || '')
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Stored images not OCR'd yet (one row per file)
+ * 
+ * @param {Object} database - sql.js Database
+ * @returns {Array<Object>} [{ hash, file }]
+ */
+function _getPendingImages(database) {
+  const stmt = database.prepare(`
+    SELECT hash, MIN(file) AS file
+    FROM media
+    WHERE media_type = 'image' AND status = 'stored' AND ocr_at IS NULL
+    GROUP BY hash
+    ORDER BY MIN(id)
+    LIMIT ?
+  `);
+  stmt.bind([MAX_OCR_PER_RUN]);
+  
+  const images = [];
+  while (stmt.step()) {
+    images.push(stmt.getAsObject());
+  }
+  stmt.free();
+  
+  return images;
+}
+
+/**
+ * Save the text of one file (every bookmark sharing it gets the same text)
+ * 
+ * @param {Object} database - sql.js Database
+ * @param {string} hash - Media file hash
+ * @param {string} text - Recognized text ('' = none)
+ */
+function _recordText(database, hash, text) {
+  const stmt = database.prepare(`
+    UPDATE media SET ocr_text = ?, ocr_at = CURRENT_TIMESTAMP
+    WHERE hash = ?
+  `);
+  stmt.run([text, hash]);
+  stmt.free();
+}
+
+/**
+ * OCR downloaded images that haven't been read yet
+ * 
+ * @returns {Promise<Object>} { success, data: { processed, withText, failed }, error }
+ */
+async function ocrImages() {
+  let worker = null;
+  const counts = { processed: 0, withText: 0, failed: 0 };
+  
+  try {
+    if (!isOcrAvailable()) {
+      logger.warn('OCR is enabled but tesseract.js is not installed (npm install tesseract.js @tesseract.js-data/eng)', 'ocr');
+      return { success: false, data: counts, error: 'tesseract.js is not installed' };
+    }
+    
+    const dbResult = await db.getDatabase();
+    if (!dbResult.success) {
+      return dbResult;
+    }
+    const database = dbResult.data;
+    
+    const pending = _getPendingImages(database);
+    if (pending.length === 0) {
+      return { success: true, data: counts, error: null };
+    }
+    
+    logger.info(`Reading text in ${pending.length} images...`, 'ocr');
+    
+    const { createWorker } = require('tesseract.js');
+    const eng = require('@tesseract.js-data/eng');
+    worker = await createWorker(eng.code, 1, {
+      langPath: eng.langPath,
+      gzip: eng.gzip,
+      cacheMethod: 'none' // Model is read from node_modules, nothing to cache
+    });
+    
+    for (const image of pending) {
+      try {
+        const { data } = await worker.recognize(fs.readFileSync(media.getMediaPath(image.file)));
+        const text = data.confidence >= MIN_CONFIDENCE ? _cleanText(data.text) : '';
+        
+        _recordText(database, image.hash, text);
+        counts.processed++;
+        if (text) {
+          counts.withText++;
+        }
+        
+      } catch (error) {
+        // Unreadable file - record it as textless so it isn't retried every sync
+        _recordText(database, image.hash, '');
+        counts.failed++;
+        logger.warn(`OCR failed for ${image.file}: ${error.message}`, 'ocr');
+      }
+    }
+    
+    db.scheduleSave();
+    
+    logger.success(`OCR done: ${counts.withText}/${counts.processed} images contain text`, 'ocr');
+    
+    return {
+      success: true,
+      data: counts,
+      error: null
+    };
+    
+  } catch (error) {
+    logger.error('OCR failed', error, 'ocr');
+    return {
+      success: false,
+      data: counts,
+      error: error.message
+    };
+    
+  } finally {
+    if (worker) {
+      await worker.terminate().catch(() => {});
+    }
+  }
+}
+
+module.exports = {
+  isOcrEnabled,
+  isOcrAvailable,
+  ocrImages
+};
@@ -34,8 +34,32 @@ const PAGE_LOAD_TIMEOUT_MS = 60000;
 const BATCH_SIZE = 20; // Extract 20 tweets at a time, then check database
 const MAX_NEW_BOOKMARKS = 500; // Safety limit per sync
 
+// Thread capture
+const MAX_THREADS_PER_SYNC = 20; // Each thread costs a status page visit (rate limits)
+const MAX_THREAD_TWEETS = 50;
+const MAX_THREAD_SCROLLS = 10;
+const THREAD_PAGE_SETTLE_MS = 2000;
+
+// Long-form posts ("Show more")
+const MAX_FULL_TEXT_FETCHES_PER_SYNC = 50; // Each fetch costs a status page visit
+const SHOW_MORE_EXPAND_MS = 500;
+
+// Reconciliation (whole bookmarks timeline)
+const MAX_RECONCILE_SCROLLS = 2000; // Safety stop (roughly 20,000 bookmarks)
+const MAX_STATUS_CHECKS_PER_RECONCILE = 50; // Each check costs a status page visit
+const TIMELINE_ERROR_TEXT = ['something went wrong', 'rate limit', 'too many requests'];
+const DELETED_TWEET_TEXT = [
+  'this post was deleted',
+  'this tweet was deleted',
+  'this post is unavailable',
+  'this page doesn', // "Hmm...this page doesn't exist" (straight or curly apostrophe)
+  'this post is from a suspended account',
+  'from an account that no longer exists'
+];
+
 // URLs
-const TWITTER_BASE_URL = 'https://twitter.com';
+// Overridable so the offline test harness can serve saved snapshots (twitter.test.js)
+const TWITTER_BASE_URL = process.env.TWITTER_BASE_URL || 'https://twitter.com';
 const TWITTER_BOOKMARKS_URL = `${TWITTER_BASE_URL}/i/bookmarks`;
 const TWITTER_LISTS_URL = `${TWITTER_BASE_URL}/i/lists`;
 
@@ -45,6 +69,22 @@ const SELECTOR_TWEET = 'article[data-testid="tweet"]';
 const SELECTOR_TWEET_TEXT = '[data-testid="tweetText"]';
 const SELECTOR_USER_NAME = '[data-testid="User-Name"]';
 const SELECTOR_TIMESTAMP = 'time';
+const SELECTOR_SHOW_MORE_BUTTON = 'button[data-testid="tweet-text-show-more-link"]';
+const SELECTOR_BOOKMARK_FOLDER = 'a[href*="/i/bookmarks/"]'; // Folder links on the bookmarks page (X Premium)
+const SELECTOR_LISTS_LINK = 'a[href$="/lists"]'; // Lists in the sidebar (/<handle>/lists)
+
+// Bookmark folders
+const FOLDER_LIST_WAIT_MS = 3000; // Folder links render after the timeline
+
+// List discovery (lists come from the Lists page's GraphQL responses, not its HTML)
+const LIST_GRAPHQL_OPERATIONS = ['ListsManagementPageTimeline', 'ListOwnerships', 'ListSubscriptions', 'CombinedLists'];
+const LIST_SUGGESTION_ENTRY = /discover|suggest|recommend/i; // "Discover new Lists" module (not the user's lists)
+const LISTS_RESPONSE_TIMEOUT_MS = 15000;
+const LISTS_SCROLL_SETTLE_MS = 1500;
+const MAX_LIST_SCROLLS_NO_NEW = 2;
+
+// List sync
+const MAX_LIST_CATCHUP_TWEETS = 1000; // Safety stop when catching up to the last synced tweet
 
 /**
  * Initialize browser with persistent context
@@ -149,9 +189,10 @@ async function _waitForLogin(page) {
  * Navigate to Twitter bookmarks page
  * 
  * @param {BrowserContext} context - Playwright browser context
+ * @param {string} url - Bookmarks page to open (default: all bookmarks; or a folder URL)
  * @returns {Object} { success, data: page, error }
  */
-async function navigateToBookmarks(context) {
+async function navigateToBookmarks(context, url = TWITTER_BOOKMARKS_URL) {
   try {
     const page = await context.newPage();
     
@@ -182,8 +223,8 @@ async function navigateToBookmarks(context) {
     }
     
     // Now navigate to bookmarks (after confirming login)
-    logger.info('Navigating to Twitter bookmarks', 'twitter');
-    await page.goto(TWITTER_BOOKMARKS_URL, { waitUntil: 'domcontentloaded', timeout: 60000 });
+    logger.info(url === TWITTER_BOOKMARKS_URL ? 'Navigating to Twitter bookmarks' : `Navigating to bookmark folder: ${url}`, 'twitter');
+    await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 60000 });
     await page.waitForTimeout(2000); // Let page settle
     
     // Check for rate limiting
@@ -215,7 +256,7 @@ async function navigateToBookmarks(context) {
 
 /**
  * Extract tweet data from DOM element (runs in browser context)
- * NOW EXTRACTS: Text + YouTube URLs + Images + Quote tweets
+ * NOW EXTRACTS: Text + YouTube URLs + outbound links + Images + Quote tweets
  * 
  * @param {Element} tweetElement - Tweet DOM element
  * @param {number} index - Tweet index
@@ -227,10 +268,20 @@ function _extractTweetData(tweetElement, index) {
     const textElement = tweetElement.querySelector('[data-testid="tweetText"]');
     const text = textElement ? textElement.innerText.trim() : '';
     
+    // Long posts are cut off in timelines behind "Show more" (a link when it
+    // navigates to the status page, a button when it expands in place - those
+    // get clicked by _expandShowMoreInPlace and marked with data-brainbrief-expanded)
+    const isTruncated = !!tweetElement.querySelector('[data-testid="tweet-text-show-more-link"]');
+    const isLongForm = isTruncated || tweetElement.hasAttribute('data-brainbrief-expanded');
+    
     // Extract author
     const authorElement = tweetElement.querySelector('[data-testid="User-Name"]');
     const author = authorElement ? authorElement.innerText.split('\n')[0].trim() : 'Unknown';
     
+    // Author handle (@name) - display names aren't unique, handles are (needed for threads)
+    const handleMatch = authorElement ? authorElement.innerText.match(/@[A-Za-z0-9_]+/) : null;
+    const authorHandle = handleMatch ? handleMatch[0] : null;
+    
     // Extract tweet URL
     const timeElement = tweetElement.querySelector('time');
     let url = '';
@@ -264,6 +315,12 @@ function _extractTweetData(tweetElement, index) {
       return null;
     }
     
+    // Thread hints: "Show this thread" link, or a reply to the author's own tweet
+    const fullText = tweetElement.textContent || '';
+    const replyMatch = fullText.match(/Replying to\s*(@[A-Za-z0-9_]+)/);
+    const isSelfReply = !!(replyMatch && authorHandle && replyMatch[1].toLowerCase() === authorHandle.toLowerCase());
+    const isThreadCandidate = isSelfReply || fullText.includes('Show this thread');
+    
     // ============================================
     // NEW: EXTRACT EMBEDDED CONTENT
     // ============================================
@@ -271,7 +328,9 @@ function _extractTweetData(tweetElement, index) {
     const embeddedContent = {
       youtubeUrls: [],
       imageUrls: [],
+      imageAlts: [], // Alt text per image (same order as imageUrls, '' = none)
       videoUrls: [],
+      links: [],
       quotedTweet: null
     };
     
@@ -333,6 +392,40 @@ function _extractTweetData(tweetElement, index) {
       }
     }
     
+    // Extract outbound links (inline in the text + link cards). Mentions, hashtags
+    // and status links point back at Twitter and are skipped; t.co links are
+    // expanded in Node after extraction (url-sources.resolveLinks)
+    const addLink = (href, title, source) => {
+      let host = '';
+      try {
+        host = new URL(href).hostname.replace(/^(www|mobile)\./, '');
+      } catch (e) {
+        return;
+      }
+      const isTwitter = host === 'twitter.com' || host === 'x.com' || host.endsWith('.twitter.com') || host.endsWith('.x.com');
+      if (!/^https?:/.test(href) || isTwitter || host === window.location.hostname) {
+        return;
+      }
+      if (!embeddedContent.links.some(link => link.url === href)) {
+        embeddedContent.links.push({ url: href, title: title, source: source });
+      }
+    };
+    
+    if (textElement) {
+      textElement.querySelectorAll('a[href]').forEach(link => {
+        addLink(link.href, (link.innerText || '').trim(), 'inline');
+      });
+    }
+    
+    if (cardWrapper) {
+      const cardAnchor = cardWrapper.querySelector('a[href]');
+      if (cardAnchor) {
+        // Card text is "domain\ntitle" - keep the title
+        const cardLines = (cardWrapper.innerText || '').split('\n').map(line => line.trim()).filter(Boolean);
+        addLink(cardAnchor.href, cardLines[cardLines.length - 1] || '', 'card');
+      }
+    }
+    
     // Extract image URLs (EXCLUDE profile images, only tweet media)
     const images = tweetElement.querySelectorAll(
       'img[src*="pbs.twimg.com/media"], ' +
@@ -346,6 +439,9 @@ function _extractTweetData(tweetElement, index) {
         src = src.split('&name=')[0] + '&name=orig'; // Original quality
         if (!embeddedContent.imageUrls.includes(src)) {
           embeddedContent.imageUrls.push(src);
+          // "Image" is X's placeholder when the poster wrote no description
+          const alt = (img.getAttribute('alt') || '').trim();
+          embeddedContent.imageAlts.push(alt === 'Image' ? '' : alt);
         }
       }
     });
@@ -378,10 +474,14 @@ function _extractTweetData(tweetElement, index) {
     return {
       id: tweetId,
       author: author,
+      authorHandle: authorHandle,
       text: text,
       url: url,
       timestamp: timestamp,
       scraped_at: new Date().toISOString(),
+      isThreadCandidate: isThreadCandidate,
+      isLongForm: isLongForm,
+      textTruncated: isTruncated,
       // NEW: Include embedded content
       embedded: embeddedContent
     };
@@ -409,6 +509,8 @@ async function scrapeBookmarks(page, limit = 10) {
     let skippedCount = 0;
     
     while (bookmarks.length < limit && noNewTweetsCount < MAX_SCROLL_ATTEMPTS_NO_NEW) {
+      await _expandShowMoreInPlace(page);
+      
       // Extract all currently visible tweets
       const extractionResult = await page.evaluate((extractFn) => {
         const tweetElements = document.querySelectorAll('article[data-testid="tweet"]');
@@ -503,15 +605,313 @@ async function scrapeBookmarks(page, limit = 10) {
   }
 }
 
+/**
+ * Click in-place "Show more" buttons so long posts render their full text
+ * 
+ * @param {Page} page - Playwright page object
+ * @returns {Promise<number>} Number of posts expanded
+ */
+async function _expandShowMoreInPlace(page) {
+  try {
+    const expanded = await page.evaluate((selector) => {
+      const buttons = document.querySelectorAll(selector);
+      buttons.forEach(button => {
+        const article = button.closest('article');
+        if (article) {
+          article.setAttribute('data-brainbrief-expanded', '1');
+        }
+        button.click();
+      });
+      return buttons.length;
+    }, SELECTOR_SHOW_MORE_BUTTON);
+    
+    if (expanded > 0) {
+      logger.debug(`Expanded ${expanded} long posts in place`, null, 'twitter');
+      await page.waitForTimeout(SHOW_MORE_EXPAND_MS);
+    }
+    
+    return expanded;
+    
+  } catch (error) {
+    logger.debug('Show more expansion failed', error.message, 'twitter');
+    return 0;
+  }
+}
+
+/**
+ * Fetch the full text of a truncated post from its status page
+ * 
+ * @param {BrowserContext} context - Playwright browser context
+ * @param {Object} tweet - Tweet from _extractTweetData (needs id, url)
+ * @returns {Object} { success, data: fullText, error }
+ */
+async function fetchFullText(context, tweet) {
+  let page = null;
+  
+  try {
+    if (!tweet || !tweet.url || !tweet.id) {
+      throw new Error('tweet with id and url is required');
+    }
+    
+    page = await context.newPage();
+    await page.goto(tweet.url, { waitUntil: 'domcontentloaded', timeout: PAGE_LOAD_TIMEOUT_MS });
+    await page.waitForSelector(SELECTOR_TWEET, { timeout: 10000 });
+    await page.waitForTimeout(THREAD_PAGE_SETTLE_MS);
+    await _expandShowMoreInPlace(page);
+    
+    const visible = await _extractVisibleTweets(page);
+    const focal = visible.find(t => t.id === tweet.id);
+    
+    if (!focal) {
+      throw new Error('Tweet not found on its status page');
+    }
+    if (focal.textTruncated) {
+      throw new Error('Status page still shows truncated text');
+    }
+    
+    return {
+      success: true,
+      data: focal.text,
+      error: null
+    };
+    
+  } catch (error) {
+    logger.warn(`Full text fetch failed for ${tweet?.id}: ${error.message}`, 'twitter');
+    return {
+      success: false,
+      data: null,
+      error: error.message
+    };
+    
+  } finally {
+    if (page) {
+      await page.close().catch(() => {});
+    }
+  }
+}
+
+/**
+ * Replace truncated text with the full post text (in place)
+ * Tweets that can't be fetched keep textTruncated = true so the DB records it
+ * 
+ * @param {BrowserContext} context - Playwright browser context
+ * @param {Array<Object>} tweets - Extracted tweets
+ * @returns {Promise<number>} Number of posts expanded
+ */
+async function _expandTruncatedTweets(context, tweets) {
+  const truncated = tweets.filter(t => t.textTruncated);
+  if (truncated.length === 0) {
+    return 0;
+  }
+  
+  if (truncated.length > MAX_FULL_TEXT_FETCHES_PER_SYNC) {
+    logger.warn(`${truncated.length} truncated posts, fetching first ${MAX_FULL_TEXT_FETCHES_PER_SYNC}`, 'twitter');
+  }
+  
+  logger.info(`Fetching full text for ${Math.min(truncated.length, MAX_FULL_TEXT_FETCHES_PER_SYNC)} long posts...`, 'twitter');
+  
+  let expanded = 0;
+  for (const tweet of truncated.slice(0, MAX_FULL_TEXT_FETCHES_PER_SYNC)) {
+    const textResult = await fetchFullText(context, tweet);
+    if (textResult.success) {
+      tweet.text = textResult.data;
+      tweet.textTruncated = false;
+      expanded++;
+    }
+  }
+  
+  if (expanded < truncated.length) {
+    logger.warn(`${truncated.length - expanded} posts stored with truncated text`, 'twitter');
+  }
+  
+  return expanded;
+}
+
+/**
+ * Extract every visible tweet on the current page (in DOM order)
+ * 
+ * @param {Page} page - Playwright page object
+ * @returns {Promise<Array<Object>>} Tweet data objects
+ */
+async function _extractVisibleTweets(page) {
+  return await page.evaluate((extractFn) => {
+    const tweetElements = document.querySelectorAll('article[data-testid="tweet"]');
+    const results = [];
+    
+    tweetElements.forEach((tweet, index) => {
+      try {
+        const data = eval(`(${extractFn})`)(tweet, index);
+        if (data) {
+          results.push(data);
+        }
+      } catch (error) {
+        console.error('Failed to extract tweet:', error);
+      }
+    });
+    
+    return results;
+  }, _extractTweetData.toString());
+}
+
+/**
+ * Reconstruct the author's self-reply thread around a bookmarked tweet
+ * 
+ * Opens the tweet's status page in a separate tab (keeps the bookmarks
+ * timeline scroll position intact), then walks the contiguous block of
+ * tweets by the same author that contains the bookmarked tweet:
+ * ancestors render above it, the author's follow-up replies below it.
+ * 
+ * @param {BrowserContext} context - Playwright browser context
+ * @param {Object} bookmark - Bookmark from _extractTweetData (needs url, id, authorHandle)
+ * @returns {Object} { success, data: { rootTweetId, author, authorHandle, tweets[] } | null, error }
+ */
+async function extractThread(context, bookmark) {
+  let page = null;
+  
+  try {
+    if (!bookmark || !bookmark.url || !bookmark.authorHandle) {
+      throw new Error('bookmark with url and authorHandle is required');
+    }
+    
+    logger.debug(`Capturing thread for ${bookmark.id}`, null, 'twitter');
+    
+    page = await context.newPage();
+    await page.goto(bookmark.url, { waitUntil: 'domcontentloaded', timeout: PAGE_LOAD_TIMEOUT_MS });
+    await page.waitForSelector(SELECTOR_TWEET, { timeout: 10000 });
+    await page.waitForTimeout(THREAD_PAGE_SETTLE_MS);
+    
+    const handle = bookmark.authorHandle.toLowerCase();
+    const seen = new Map(); // tweet id -> tweet (keeps first-seen DOM order)
+    let threadIds = [];
+    let scrolls = 0;
+    
+    while (scrolls <= MAX_THREAD_SCROLLS) {
+      const visible = await _extractVisibleTweets(page);
+      visible.forEach(tweet => {
+        if (!seen.has(tweet.id)) {
+          seen.set(tweet.id, tweet);
+        }
+      });
+      
+      // Contiguous same-author block containing the bookmarked tweet
+      const ordered = Array.from(seen.values());
+      const focusIndex = ordered.findIndex(t => t.id === bookmark.id);
+      if (focusIndex === -1) {
+        break;
+      }
+      
+      const sameAuthor = (t) => t.authorHandle && t.authorHandle.toLowerCase() === handle;
+      let start = focusIndex;
+      while (start > 0 && sameAuthor(ordered[start - 1])) start--;
+      let end = focusIndex;
+      while (end < ordered.length - 1 && sameAuthor(ordered[end + 1])) end++;
+      
+      const blockIds = ordered.slice(start, end + 1).map(t => t.id);
+      const blockClosed = end < ordered.length - 1; // Another author's reply follows
+      const grew = blockIds.length > threadIds.length;
+      threadIds = blockIds;
+      
+      if (blockClosed || !grew || threadIds.length >= MAX_THREAD_TWEETS) {
+        break;
+      }
+      
+      scrolls++;
+      await page.evaluate(() => window.scrollBy(0, window.innerHeight));
+      await page.waitForTimeout(SCROLL_DELAY_MS + Math.random() * SCROLL_DELAY_VARIANCE_MS);
+    }
+    
+    const tweets = threadIds.slice(0, MAX_THREAD_TWEETS).map((id, position) => {
+      const tweet = seen.get(id);
+      return {
+        id: tweet.id,
+        position,
+        text: tweet.text,
+        url: tweet.url,
+        timestamp: tweet.timestamp,
+        embedded: tweet.embedded
+      };
+    });
+    
+    if (tweets.length < 2) {
+      logger.debug(`Tweet ${bookmark.id} is not part of a thread`, null, 'twitter');
+      return { success: true, data: null, error: null };
+    }
+    
+    logger.success(`Captured ${tweets.length}-tweet thread by ${bookmark.authorHandle}`, 'twitter');
+    
+    return {
+      success: true,
+      data: {
+        rootTweetId: tweets[0].id,
+        author: bookmark.author,
+        authorHandle: bookmark.authorHandle,
+        tweets
+      },
+      error: null
+    };
+    
+  } catch (error) {
+    logger.warn(`Thread capture failed for ${bookmark?.id}: ${error.message}`, 'twitter');
+    return {
+      success: false,
+      data: null,
+      error: error.message
+    };
+    
+  } finally {
+    if (page) {
+      await page.close().catch(() => {});
+    }
+  }
+}
+
+/**
+ * Capture threads for bookmarks flagged as thread candidates
+ * Attaches `thread` to each bookmark in place (failures are logged and skipped)
+ * 
+ * @param {BrowserContext} context - Playwright browser context
+ * @param {Array<Object>} bookmarks - Extracted bookmarks
+ * @returns {Promise<number>} Number of threads captured
+ */
+async function _captureThreads(context, bookmarks) {
+  const candidates = bookmarks.filter(b => b.isThreadCandidate && b.authorHandle);
+  if (candidates.length === 0) {
+    return 0;
+  }
+  
+  if (candidates.length > MAX_THREADS_PER_SYNC) {
+    logger.warn(`${candidates.length} thread candidates, capturing first ${MAX_THREADS_PER_SYNC}`, 'twitter');
+  }
+  
+  logger.info(`Capturing threads for ${Math.min(candidates.length, MAX_THREADS_PER_SYNC)} bookmarks...`, 'twitter');
+  
+  let captured = 0;
+  for (const bookmark of candidates.slice(0, MAX_THREADS_PER_SYNC)) {
+    const threadResult = await extractThread(context, bookmark);
+    if (threadResult.success && threadResult.data) {
+      bookmark.thread = threadResult.data;
+      captured++;
+    }
+  }
+  
+  return captured;
+}
+
 /**
  * Extract Twitter bookmarks (main function)
  * 
  * @param {Object} options - Extraction options
  * @param {number} options.limit - Maximum bookmarks to extract
+ * @param {BrowserContext} options.context - Use this context instead of the persistent browser (tests)
+ * @param {boolean} options.expandLinks - Follow t.co links (default true; offline tests turn it off)
+ * @param {boolean} options.archiveLinks - Snapshot linked articles (default: settings.archiveLinks)
+ * @param {boolean} options.downloadMedia - Store images/videos locally (default: on unless settings.mediaQuotaMb is 0)
  * @returns {Object} { success, data: { count, bookmarks }, error }
  */
 async function extractBookmarks(options = {}) {
-  const { limit = 10 } = options;
+  const { limit = 10, expandLinks = true } = options;
+  const archiveLinks = options.archiveLinks ?? (expandLinks && require('./archiver').isArchivingEnabled());
+  const downloadMedia = options.downloadMedia ?? (expandLinks && require('./media-fetcher').isMediaEnabled());
   
   let context = null;
   
@@ -520,7 +920,9 @@ async function extractBookmarks(options = {}) {
     logger.info(`Target: ${limit} bookmarks`, 'twitter');
     
     // Initialize browser
-    const browserResult = await initBrowser();
+    const browserResult = options.context
+      ? { success: true, data: options.context, error: null }
+      : await initBrowser();
     if (!browserResult.success) {
       return {
         success: false,
@@ -553,6 +955,32 @@ async function extractBookmarks(options = {}) {
     
     const bookmarks = scrapeResult.data;
     
+    // Long posts that only link to their status page
+    await _expandTruncatedTweets(context, bookmarks);
+    
+    // Reconstruct self-reply threads (stored alongside the bookmark)
+    await _captureThreads(context, bookmarks);
+    
+    // Expand t.co links and classify them (stored in the links table)
+    if (expandLinks) {
+      await require('./url-sources').resolveLinks(bookmarks);
+    }
+    
+    // Snapshot linked articles while the browser is open (optional)
+    if (archiveLinks) {
+      await require('./archiver').archiveLinks(context, bookmarks);
+    }
+    
+    // Keep tweet media before pbs.twimg.com links expire (storage-capped)
+    if (downloadMedia) {
+      await require('./media-fetcher').fetchMedia(context, bookmarks);
+      
+      // Text in screenshots/slides (optional, offline)
+      if (require('./ocr').isOcrEnabled()) {
+        await require('./ocr').ocrImages();
+      }
+    }
+    
     // Log example bookmark
     if (bookmarks.length > 0) {
       logger.info('Example bookmark:', 'twitter');
@@ -603,20 +1031,35 @@ async function extractBookmarks(options = {}) {
  * 
  * @param {Object} options - Extraction options
  * @param {number} options.maxNew - Maximum new bookmarks to extract
+ * @param {BrowserContext} options.context - Use this context instead of the persistent browser (tests)
+ * @param {boolean} options.expandLinks - Follow t.co links (default true; offline tests turn it off)
+ * @param {boolean} options.archiveLinks - Snapshot linked articles (default: settings.archiveLinks)
+ * @param {boolean} options.downloadMedia - Store images/videos locally (default: on unless settings.mediaQuotaMb is 0)
+ * @param {Object} options.folder - Extract this bookmark folder ({ folderId, url }) instead of all bookmarks;
+ *   stops at the first tweet already recorded in the folder
  * @returns {Object} { success, data: { count, bookmarks, isIncremental }, error }
  */
 async function extractNewBookmarks(options = {}) {
-  const { maxNew = MAX_NEW_BOOKMARKS } = options;
+  const { maxNew = MAX_NEW_BOOKMARKS, expandLinks = true } = options;
+  const archiveLinks = options.archiveLinks ?? (expandLinks && require('./archiver').isArchivingEnabled());
+  const downloadMedia = options.downloadMedia ?? (expandLinks && require('./media-fetcher').isMediaEnabled());
   const db = require('../db/database'); // Import here to avoid circular dependency
   
   let context = null;
   
   try {
-    logger.info('Starting INCREMENTAL bookmark extraction', 'twitter');
+    logger.info(`Starting INCREMENTAL bookmark extraction${options.folder ? ` (folder "${options.folder.name}")` : ''}`, 'twitter');
     logger.info(`Max new bookmarks: ${maxNew}`, 'twitter');
     
+    // Folder tweets are usually saved already (they're bookmarks too), so folders stop at their own items
+    const folderTweetIds = options.folder
+      ? (await require('../db/bookmark-folders').getFolderTweetIds(options.folder.folderId)).data
+      : null;
+    
     // Initialize browser
-    const browserResult = await initBrowser();
+    const browserResult = options.context
+      ? { success: true, data: options.context, error: null }
+      : await initBrowser();
     if (!browserResult.success) {
       return {
         success: false,
@@ -626,8 +1069,8 @@ async function extractNewBookmarks(options = {}) {
     }
     context = browserResult.data;
     
-    // Navigate to bookmarks
-    const navResult = await navigateToBookmarks(context);
+    // Navigate to bookmarks (or the folder)
+    const navResult = await navigateToBookmarks(context, options.folder?.url);
     if (!navResult.success) {
       return {
         success: false,
@@ -643,8 +1086,13 @@ async function extractNewBookmarks(options = {}) {
     let scrollAttempts = 0;
     let totalExtracted = 0;
     let skippedDuplicates = 0;
+    let previousCount = 0;
+    let noNewTweetsCount = 0;
     
-    while (!foundExisting && newBookmarks.length < maxNew) {
+    // First sync (or everything new): stop at the end of the timeline too
+    while (!foundExisting && newBookmarks.length < maxNew && noNewTweetsCount < MAX_SCROLL_ATTEMPTS_NO_NEW) {
+      await _expandShowMoreInPlace(page);
+      
       // Extract current batch
       const batchResult = await page.evaluate(({ extractFn, batchSize }) => {
         const tweetElements = Array.from(document.querySelectorAll('article[data-testid="tweet"]'));
@@ -679,8 +1127,10 @@ async function extractNewBookmarks(options = {}) {
           continue;
         }
         
-        // Check database
-        const existsResult = await db.bookmarkExists(bookmark.id);
+        // Check database (or the folder's recorded items)
+        const existsResult = folderTweetIds
+          ? { success: true, data: folderTweetIds.has(bookmark.id) }
+          : await db.bookmarkExists(bookmark.id);
         
         if (existsResult.success && existsResult.data === true) {
           // Found existing bookmark - stop extraction
@@ -704,6 +1154,18 @@ async function extractNewBookmarks(options = {}) {
         break;
       }
       
+      if (newBookmarks.length === previousCount) {
+        noNewTweetsCount++;
+        logger.debug(`No new tweets (attempt ${noNewTweetsCount}/${MAX_SCROLL_ATTEMPTS_NO_NEW})`, null, 'twitter');
+      } else {
+        noNewTweetsCount = 0;
+      }
+      previousCount = newBookmarks.length;
+      
+      if (noNewTweetsCount >= MAX_SCROLL_ATTEMPTS_NO_NEW) {
+        break;
+      }
+      
       // Scroll for more
       scrollAttempts++;
       await page.evaluate(() => window.scrollBy(0, window.innerHeight));
@@ -714,6 +1176,32 @@ async function extractNewBookmarks(options = {}) {
       logger.debug(`Scroll ${scrollAttempts}: ${newBookmarks.length} new bookmarks so far`, null, 'twitter');
     }
     
+    // Long posts that only link to their status page
+    const longPostsExpanded = await _expandTruncatedTweets(context, newBookmarks);
+    
+    // Reconstruct self-reply threads (stored alongside the bookmark)
+    const threadsCaptured = await _captureThreads(context, newBookmarks);
+    
+    // Expand t.co links and classify them (stored in the links table)
+    if (expandLinks) {
+      await require('./url-sources').resolveLinks(newBookmarks);
+    }
+    
+    // Snapshot linked articles while the browser is open (optional)
+    if (archiveLinks) {
+      await require('./archiver').archiveLinks(context, newBookmarks);
+    }
+    
+    // Keep tweet media before pbs.twimg.com links expire (storage-capped)
+    if (downloadMedia) {
+      await require('./media-fetcher').fetchMedia(context, newBookmarks);
+      
+      // Text in screenshots/slides (optional, offline)
+      if (require('./ocr').isOcrEnabled()) {
+        await require('./ocr').ocrImages();
+      }
+    }
+    
     logger.success(`Incremental extraction complete: ${newBookmarks.length} NEW bookmarks`, 'twitter');
     logger.info(`Total extracted: ${totalExtracted}, New: ${newBookmarks.length}, Duplicates: ${skippedDuplicates}`, 'twitter');
     
@@ -733,7 +1221,11 @@ async function extractNewBookmarks(options = {}) {
         newBookmarks: newBookmarks.length,
         duplicatesSkipped: skippedDuplicates,
         scrolls: scrollAttempts,
-        stoppedReason: foundExisting ? 'found existing' : 'reached limit'
+        threadsCaptured: threadsCaptured,
+        longPostsExpanded: longPostsExpanded,
+        stoppedReason: foundExisting
+          ? 'found existing'
+          : (newBookmarks.length >= maxNew ? 'reached limit' : 'end of timeline')
       }
     };
     
@@ -751,6 +1243,204 @@ async function extractNewBookmarks(options = {}) {
   }
 }
 
+/**
+ * Walk the whole bookmarks timeline and collect the IDs of every bookmarked tweet
+ * 
+ * Used by reconciliation syncs to find bookmarks removed on X. Nothing is
+ * expanded or saved. Deleted tweets render without a link, so they are
+ * missing from the result like un-bookmarked ones. `complete` is false when
+ * the walk ended on an error banner or the scroll limit - missing tweets
+ * then prove nothing.
+ * 
+ * @param {Object} options - Scan options
+ * @param {BrowserContext} options.context - Use this context instead of the persistent browser (tests)
+ * @returns {Object} { success, data: { tweetIds, complete }, error, metadata: { scrolls, stoppedReason } }
+ */
+async function scanBookmarkIds(options = {}) {
+  let page = null;
+  
+  try {
+    logger.info('Scanning the whole bookmarks timeline (reconciliation)', 'twitter');
+    
+    const browserResult = options.context
+      ? { success: true, data: options.context, error: null }
+      : await initBrowser();
+    if (!browserResult.success) {
+      return {
+        success: false,
+        data: { tweetIds: [], complete: false },
+        error: browserResult.error
+      };
+    }
+    
+    const navResult = await navigateToBookmarks(browserResult.data);
+    if (!navResult.success) {
+      return {
+        success: false,
+        data: { tweetIds: [], complete: false },
+        error: navResult.error
+      };
+    }
+    page = navResult.data;
+    
+    const tweetIds = new Set();
+    let scrolls = 0;
+    let noNewTweetsCount = 0;
+    
+    while (scrolls < MAX_RECONCILE_SCROLLS) {
+      const previousCount = tweetIds.size;
+      (await _extractVisibleTweets(page)).forEach(tweet => tweetIds.add(tweet.id));
+      
+      noNewTweetsCount = tweetIds.size === previousCount ? noNewTweetsCount + 1 : 0;
+      if (noNewTweetsCount >= MAX_SCROLL_ATTEMPTS_NO_NEW) {
+        break;
+      }
+      
+      scrolls++;
+      await page.evaluate(() => window.scrollBy(0, window.innerHeight));
+      
+      const delay = SCROLL_DELAY_MS + Math.random() * SCROLL_DELAY_VARIANCE_MS;
+      await page.waitForTimeout(delay);
+      
+      logger.debug(`Scroll ${scrolls}: ${tweetIds.size} bookmarked tweets so far`, null, 'twitter');
+    }
+    
+    // An error banner stops new tweets loading just like the end of the timeline does
+    const pageText = (await page.textContent('body').catch(() => '')).toLowerCase();
+    const timelineError = TIMELINE_ERROR_TEXT.find(text => pageText.includes(text));
+    const stoppedReason = timelineError
+      ? `timeline error ("${timelineError}")`
+      : (scrolls >= MAX_RECONCILE_SCROLLS ? 'scroll limit' : 'end of timeline');
+    
+    logger.success(`Found ${tweetIds.size} bookmarked tweets (${stoppedReason})`, 'twitter');
+    
+    return {
+      success: true,
+      data: {
+        tweetIds: Array.from(tweetIds),
+        complete: stoppedReason === 'end of timeline'
+      },
+      error: null,
+      metadata: {
+        scrolls,
+        stoppedReason
+      }
+    };
+    
+  } catch (error) {
+    logger.error('Bookmarks scan failed', error, 'twitter');
+    return {
+      success: false,
+      data: { tweetIds: [], complete: false },
+      error: error.message
+    };
+    
+  } finally {
+    if (page) {
+      await page.close().catch(() => {});
+    }
+  }
+}
+
+/**
+ * Check on its status page whether a tweet still exists
+ * 
+ * @param {BrowserContext} context - Playwright browser context
+ * @param {Object} tweet - Bookmark row (needs tweet_id, url)
+ * @returns {Object} { success, data: deleted (boolean), error }
+ */
+async function _checkTweetDeleted(context, tweet) {
+  let page = null;
+  
+  try {
+    page = await context.newPage();
+    await page.goto(tweet.url, { waitUntil: 'domcontentloaded', timeout: PAGE_LOAD_TIMEOUT_MS });
+    
+    // Either the tweet or X's "doesn't exist" notice renders
+    await page.waitForSelector(SELECTOR_TWEET, { timeout: 10000 }).catch(() => {});
+    await page.waitForTimeout(THREAD_PAGE_SETTLE_MS);
+    
+    const visible = await _extractVisibleTweets(page);
+    if (visible.some(t => t.id === tweet.tweet_id)) {
+      return { success: true, data: false, error: null };
+    }
+    
+    const pageText = (await page.textContent('body').catch(() => '')).toLowerCase();
+    if (DELETED_TWEET_TEXT.some(text => pageText.includes(text))) {
+      return { success: true, data: true, error: null };
+    }
+    
+    throw new Error('Neither the tweet nor a "deleted" notice rendered');
+    
+  } catch (error) {
+    logger.warn(`Status check failed for ${tweet.tweet_id}: ${error.message}`, 'twitter');
+    return {
+      success: false,
+      data: null,
+      error: error.message
+    };
+    
+  } finally {
+    if (page) {
+      await page.close().catch(() => {});
+    }
+  }
+}
+
+/**
+ * Find out which tweets missing from the bookmarks timeline were deleted on X
+ * (the rest were un-bookmarked). Checks at most MAX_STATUS_CHECKS_PER_RECONCILE.
+ * 
+ * @param {Array<Object>} tweets - Bookmark rows (need tweet_id, url)
+ * @param {Object} options - Check options
+ * @param {BrowserContext} options.context - Use this context instead of the persistent browser (tests)
+ * @returns {Object} { success, data: Map(tweetId -> deleted); tweets not checked are left out, error }
+ */
+async function checkTweetsDeleted(tweets, options = {}) {
+  try {
+    const results = new Map();
+    if (tweets.length === 0) {
+      return { success: true, data: results, error: null };
+    }
+    
+    const browserResult = options.context
+      ? { success: true, data: options.context, error: null }
+      : await initBrowser();
+    if (!browserResult.success) {
+      return {
+        success: false,
+        data: results,
+        error: browserResult.error
+      };
+    }
+    
+    if (tweets.length > MAX_STATUS_CHECKS_PER_RECONCILE) {
+      logger.warn(`${tweets.length} tweets missing from bookmarks, checking first ${MAX_STATUS_CHECKS_PER_RECONCILE}`, 'twitter');
+    }
+    
+    for (const tweet of tweets.slice(0, MAX_STATUS_CHECKS_PER_RECONCILE)) {
+      const checkResult = await _checkTweetDeleted(browserResult.data, tweet);
+      if (checkResult.success) {
+        results.set(tweet.tweet_id, checkResult.data);
+      }
+    }
+    
+    return {
+      success: true,
+      data: results,
+      error: null
+    };
+    
+  } catch (error) {
+    logger.error('Tweet status checks failed', error, 'twitter');
+    return {
+      success: false,
+      data: new Map(),
+      error: error.message
+    };
+  }
+}
+
 /**
  * Test extraction (extract 1 bookmark for validation)
  * 
@@ -761,6 +1451,255 @@ async function testExtraction() {
   return await extractBookmarks({ limit: 1 });
 }
 
+/**
+ * Find the user's bookmark folders (X Premium) on the bookmarks page
+ * 
+ * @param {Object} options - Discovery options
+ * @param {BrowserContext} options.context - Use this context instead of the persistent browser (tests)
+ * @returns {Object} { success, data: [{ folderId, name, url }], error }
+ */
+async function discoverBookmarkFolders(options = {}) {
+  try {
+    logger.info('Discovering bookmark folders', 'twitter');
+    
+    const browserResult = options.context
+      ? { success: true, data: options.context, error: null }
+      : await initBrowser();
+    if (!browserResult.success) {
+      return { success: false, data: [], error: browserResult.error };
+    }
+    
+    const navResult = await navigateToBookmarks(browserResult.data);
+    if (!navResult.success) {
+      return { success: false, data: [], error: navResult.error };
+    }
+    const page = navResult.data;
+    
+    await page.waitForSelector(SELECTOR_BOOKMARK_FOLDER, { timeout: FOLDER_LIST_WAIT_MS }).catch(() => {});
+    
+    const links = await page.$$eval(SELECTOR_BOOKMARK_FOLDER, anchors => anchors.map(anchor => ({
+      href: anchor.getAttribute('href'),
+      texts: Array.from(anchor.querySelectorAll('span')).map(span => span.textContent.trim()),
+      text: anchor.innerText || anchor.textContent || ''
+    })));
+    await page.close();
+    
+    // Folder links look like /i/bookmarks/<numeric id>
+    const folders = [];
+    links.forEach(link => {
+      const match = (link.href || '').match(/\/i\/bookmarks\/(\d+)\/?$/);
+      // First label in the cell is the name (a bookmark count may follow)
+      const name = link.texts.find(Boolean) || link.text.split('\n').map(line => line.trim()).find(Boolean);
+      if (match && name && !folders.some(folder => folder.folderId === match[1])) {
+        folders.push({
+          folderId: match[1],
+          name,
+          url: `${TWITTER_BOOKMARKS_URL}/${match[1]}`
+        });
+      }
+    });
+    
+    if (folders.length === 0) {
+      logger.info('No bookmark folders found (folders need X Premium)', 'twitter');
+    } else {
+      logger.success(`Found ${folders.length} bookmark folder(s)`, 'twitter');
+    }
+    
+    return {
+      success: true,
+      data: folders,
+      error: null
+    };
+    
+  } catch (error) {
+    logger.error('Failed to discover bookmark folders', error, 'twitter');
+    return {
+      success: false,
+      data: [],
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Check whether a response is one of the Lists page's GraphQL list queries
+ * 
+ * @param {string} url - Response URL (.../graphql/<queryId>/<OperationName>?variables=...)
+ * @returns {boolean} True for list queries
+ */
+function _isListsResponse(url) {
+  const match = url.match(/\/graphql\/[^/]+\/(\w+)/);
+  return !!match && LIST_GRAPHQL_OPERATIONS.includes(match[1]);
+}
+
+/**
+ * Pull lists out of a GraphQL list response
+ * Walks the whole payload (timeline instructions/modules change often) and skips
+ * the "Discover new Lists" suggestions
+ * 
+ * @param {Object} json - Parsed GraphQL response
+ * @returns {Array<Object>} [{ listId, name, url, memberCount, owner, description }]
+ */
+function _parseListsFromGraphQL(json) {
+  const lists = [];
+  
+  const visit = (node) => {
+    if (!node || typeof node !== 'object') {
+      return;
+    }
+    if (Array.isArray(node)) {
+      node.forEach(visit);
+      return;
+    }
+    if (typeof node.entryId === 'string' && LIST_SUGGESTION_ENTRY.test(node.entryId)) {
+      return;
+    }
+    
+    // List objects: { id_str, name, member_count, description, user_results (owner) }
+    if (node.id_str && node.name && node.member_count !== undefined) {
+      const owner = node.user_results?.result?.core?.screen_name ||
+        node.user_results?.result?.legacy?.screen_name || null;
+      
+      lists.push({
+        listId: String(node.id_str),
+        name: node.name,
+        url: `${TWITTER_LISTS_URL}/${node.id_str}`,
+        memberCount: node.member_count,
+        owner,
+        description: node.description || ''
+      });
+      return;
+    }
+    
+    Object.values(node).forEach(visit);
+  };
+  
+  visit(json);
+  return lists;
+}
+
+/**
+ * Discover the user's Twitter Lists (owned and followed)
+ * Opens the Lists page and reads its GraphQL responses, scrolling until no new lists load
+ * 
+ * @param {Object} options - Discovery options
+ * @param {BrowserContext} options.context - Existing browser context (default: persistent Twitter browser)
+ * @returns {Promise<Object>} { success, data: [{ listId, name, url, memberCount, owner, description }], error }
+ */
+async function discoverLists(options = {}) {
+  try {
+    logger.info('Discovering Twitter Lists', 'twitter');
+    
+    const browserResult = options.context
+      ? { success: true, data: options.context, error: null }
+      : await initBrowser();
+    if (!browserResult.success) {
+      return { success: false, data: [], error: browserResult.error };
+    }
+    
+    const page = await browserResult.data.newPage();
+    
+    // Listen before navigating: the first page of lists loads with the page
+    const found = new Map();
+    const pending = [];
+    let responsesSeen = 0;
+    
+    page.on('response', (response) => {
+      if (!_isListsResponse(response.url())) {
+        return;
+      }
+      pending.push(response.json()
+        .then(json => {
+          responsesSeen++;
+          _parseListsFromGraphQL(json).forEach(list => {
+            if (!found.has(list.listId)) {
+              found.set(list.listId, list);
+            }
+          });
+        })
+        .catch(error => logger.debug('Skipped unreadable lists response', error.message, 'twitter')));
+    });
+    
+    logger.info('Navigating to Twitter (will check login)', 'twitter');
+    await page.goto(TWITTER_BASE_URL, { waitUntil: 'domcontentloaded', timeout: PAGE_LOAD_TIMEOUT_MS });
+    await page.waitForTimeout(2000);
+    
+    if (!(await _isLoggedIn(page))) {
+      const loginResult = await _waitForLogin(page);
+      if (!loginResult.success) {
+        await page.close();
+        return { success: false, data: [], error: loginResult.error };
+      }
+    }
+    
+    // The sidebar link is what the app itself uses; the direct URL is the fallback
+    logger.info('Opening the Lists page', 'twitter');
+    const listsLink = page.locator(SELECTOR_LISTS_LINK).first();
+    if (await listsLink.isVisible().catch(() => false)) {
+      await listsLink.click();
+    } else {
+      await page.goto(TWITTER_LISTS_URL, { waitUntil: 'domcontentloaded', timeout: PAGE_LOAD_TIMEOUT_MS });
+    }
+    
+    const deadline = Date.now() + LISTS_RESPONSE_TIMEOUT_MS;
+    while (responsesSeen === 0 && Date.now() < deadline) {
+      await page.waitForTimeout(500);
+      await Promise.all(pending);
+    }
+    
+    // Later pages load as the Lists page scrolls
+    let noNewCount = 0;
+    while (responsesSeen > 0 && noNewCount < MAX_LIST_SCROLLS_NO_NEW) {
+      const before = found.size;
+      await page.evaluate(() => window.scrollBy(0, window.innerHeight * 2));
+      await page.waitForTimeout(LISTS_SCROLL_SETTLE_MS);
+      await Promise.all(pending);
+      noNewCount = found.size > before ? 0 : noNewCount + 1;
+    }
+    
+    await page.close();
+    
+    // No list data at all means the page didn't load - not that every list is gone
+    if (responsesSeen === 0) {
+      return {
+        success: false,
+        data: [],
+        error: 'The Lists page did not load any lists (not logged in, rate limited, or the page changed)'
+      };
+    }
+    
+    const lists = [...found.values()];
+    logger.success(`Found ${lists.length} list(s)`, 'twitter');
+    
+    return {
+      success: true,
+      data: lists,
+      error: null
+    };
+    
+  } catch (error) {
+    logger.error('Failed to discover lists', error, 'twitter');
+    return {
+      success: false,
+      data: [],
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Compare two tweet IDs (snowflakes: a higher ID is a newer tweet)
+ * 
+ * @param {string} a - Tweet ID
+ * @param {string} b - Tweet ID
+ * @returns {number} -1, 0 or 1
+ */
+function _compareTweetIds(a, b) {
+  const idA = BigInt(a);
+  const idB = BigInt(b);
+  return idA === idB ? 0 : (idA < idB ? -1 : 1);
+}
+
 /**
  * Extract tweets from a specific Twitter List
  * Reuses the same extraction logic as bookmarks
@@ -769,29 +1708,49 @@ async function testExtraction() {
  * @param {string} listConfig.name - List name
  * @param {string} listConfig.url - List URL
  * @param {string} listConfig.listId - List ID
- * @param {number} listConfig.maxTweets - Max tweets to extract
- * @param {number} listConfig.daysBack - Only extract tweets from last N days (default: 1)
- * @returns {Object} { success, data: { tweets, listInfo }, error }
+ * @param {number} listConfig.maxTweets - Max tweets to extract (first sync only)
+ * @param {number} listConfig.daysBack - Only extract tweets from last N days (default: 1; first sync only)
+ * @param {string} listConfig.lastTweetId - Newest tweet already synced; extraction scrolls back to it
+ *                                          (up to MAX_LIST_CATCHUP_TWEETS) instead of stopping at maxTweets/daysBack
+ * @param {Object} options - Extraction options
+ * @param {BrowserContext} options.context - Use this context instead of the persistent browser (tests)
+ * @param {boolean} options.archiveLinks - Snapshot linked articles (default: settings.archiveLinks)
+ * @returns {Object} { success, data: { tweets, listInfo, complete }, error }
+ *                   complete: false if it stopped before reaching lastTweetId (tweets in between were not seen)
  */
-async function extractListTweets(listConfig) {
-  const { name, url, listId, maxTweets = 50, daysBack = 1 } = listConfig;
+async function extractListTweets(listConfig, options = {}) {
+  const { name, url, listId, maxTweets = 50, daysBack = 1, lastTweetId = null } = listConfig;
+  const archiveLinks = options.archiveLinks ?? require('./archiver').isArchivingEnabled();
   
   let context = null;
   
   try {
     logger.info(`Extracting tweets from list: "${name}"`, 'twitter');
     logger.info(`Max tweets: ${maxTweets}`, 'twitter');
-    logger.info(`Time filter: Last ${daysBack} days`, 'twitter');
     
     // Calculate cutoff date (tweets older than this will be skipped)
     const cutoffDate = new Date();
     cutoffDate.setDate(cutoffDate.getDate() - daysBack);
     const cutoffTimestamp = cutoffDate.toISOString();
     
-    logger.debug(`Cutoff date: ${cutoffTimestamp}`, null, 'twitter');
+    // After the first sync the list's high-water mark replaces the time filter and
+    // maxTweets, so a gap longer than daysBack (or busier than maxTweets) doesn't lose tweets
+    const tweetLimit = lastTweetId ? MAX_LIST_CATCHUP_TWEETS : maxTweets;
+    const isAlreadySynced = lastTweetId
+      ? tweet => _compareTweetIds(tweet.id, lastTweetId) <= 0
+      : tweet => !!tweet.timestamp && tweet.timestamp < cutoffTimestamp;
+    
+    if (lastTweetId) {
+      logger.info(`Incremental: new tweets since ${lastTweetId}`, 'twitter');
+    } else {
+      logger.info(`Time filter: Last ${daysBack} days`, 'twitter');
+      logger.debug(`Cutoff date: ${cutoffTimestamp}`, null, 'twitter');
+    }
     
     // Initialize browser
-    const browserResult = await initBrowser();
+    const browserResult = options.context
+      ? { success: true, data: options.context, error: null }
+      : await initBrowser();
     if (!browserResult.success) {
       return browserResult;
     }
@@ -818,13 +1777,16 @@ async function extractListTweets(listConfig) {
     }
     
     // Extract tweets using the SAME logic as bookmarks
-    logger.info(`Extracting up to ${maxTweets} tweets from list`, 'twitter');
+    logger.info(`Extracting up to ${tweetLimit} tweets from list`, 'twitter');
     
     const tweets = [];
     let scrollAttempts = 0;
     let noNewTweetsCount = 0;
+    let reachedLastSynced = false;
     
-    while (tweets.length < maxTweets && noNewTweetsCount < MAX_SCROLL_ATTEMPTS_NO_NEW) {
+    while (tweets.length < tweetLimit && noNewTweetsCount < MAX_SCROLL_ATTEMPTS_NO_NEW) {
+      await _expandShowMoreInPlace(page);
+      
       // Extract all currently visible tweets (REUSING _extractTweetData)
       const extractionResult = await page.evaluate((extractFn) => {
         const tweetElements = document.querySelectorAll('article[data-testid="tweet"]');
@@ -850,18 +1812,9 @@ async function extractListTweets(listConfig) {
       
       const extractedTweets = extractionResult.tweets;
       
-      // Filter tweets by date (only last N days)
-      const recentTweets = extractedTweets.filter(t => {
-        if (!t.timestamp) return true; // Include if no timestamp
-        return t.timestamp >= cutoffTimestamp;
-      });
-      
-      // Check if we've hit old tweets (stop extraction)
+      // Keep only tweets newer than the last sync (or the daysBack cutoff)
+      const recentTweets = extractedTweets.filter(t => !isAlreadySynced(t));
       const oldTweets = extractedTweets.length - recentTweets.length;
-      if (oldTweets > 0) {
-        logger.info(`Found ${oldTweets} tweets older than ${daysBack} days, stopping`, 'twitter');
-        break; // Stop scrolling - we've gone back far enough
-      }
       
       // Add new tweets (avoid duplicates)
       const existingIds = new Set(tweets.map(t => t.id));
@@ -871,14 +1824,23 @@ async function extractListTweets(listConfig) {
         noNewTweetsCount++;
         logger.debug(`No new tweets (attempt ${noNewTweetsCount}/${MAX_SCROLL_ATTEMPTS_NO_NEW})`, null, 'twitter');
       } else {
-        tweets.push(...newTweets.slice(0, maxTweets - tweets.length));
+        tweets.push(...newTweets.slice(0, tweetLimit - tweets.length));
         noNewTweetsCount = 0;
         
-        const progress = Math.round((tweets.length / maxTweets) * 100);
-        logger.debug(`Progress: ${progress}% (${tweets.length}/${maxTweets})`, null, 'twitter');
+        const progress = Math.round((tweets.length / tweetLimit) * 100);
+        logger.debug(`Progress: ${progress}% (${tweets.length}/${tweetLimit})`, null, 'twitter');
+      }
+      
+      // Check if we've hit old tweets (stop extraction)
+      if (oldTweets > 0) {
+        reachedLastSynced = true;
+        logger.info(lastTweetId
+          ? 'Reached the last synced tweet, stopping'
+          : `Found ${oldTweets} tweets older than ${daysBack} days, stopping`, 'twitter');
+        break; // Stop scrolling - we've gone back far enough
       }
       
-      if (tweets.length >= maxTweets) {
+      if (tweets.length >= tweetLimit) {
         break;
       }
       
@@ -892,6 +1854,20 @@ async function extractListTweets(listConfig) {
       await page.waitForTimeout(delay);
     }
     
+    // Long posts that only link to their status page
+    await _expandTruncatedTweets(context, tweets);
+    
+    // Snapshot linked articles while the browser is open (optional)
+    if (archiveLinks) {
+      await require('./archiver').archiveLinks(context, tweets);
+    }
+    
+    // Stopped short of the last synced tweet: the tweets in between were not seen
+    const complete = !lastTweetId || reachedLastSynced;
+    if (!complete) {
+      logger.warn(`Stopped after ${tweets.length} tweets without reaching the last synced tweet; the next sync catches up from there`, 'twitter');
+    }
+    
     logger.success(`Extracted ${tweets.length} tweets from list "${name}"`, 'twitter');
     logger.info(`Scroll attempts: ${scrollAttempts}`, 'twitter');
     
@@ -907,7 +1883,8 @@ async function extractListTweets(listConfig) {
           listId,
           url,
           tweetCount: tweets.length
-        }
+        },
+        complete
       },
       error: null
     };
@@ -929,6 +1906,17 @@ async function extractListTweets(listConfig) {
 module.exports = {
   extractBookmarks,
   extractNewBookmarks,
+  scrapeBookmarks,
+  scanBookmarkIds,
+  checkTweetsDeleted,
   extractListTweets,
-  testExtraction
+  discoverBookmarkFolders,
+  discoverLists,
+  extractThread,
+  fetchFullText,
+  testExtraction,
+  // Exposed for twitter.test.js (runs in the page via toString, like scrapeBookmarks)
+  _extractTweetData,
+  _parseListsFromGraphQL,
+  _captureThreads
 };
@@ -0,0 +1,534 @@
+/**
+ * BrainBrief - Twitter Extractor Tests (offline)
+ * 
+ * Purpose: Run the extractor against saved X page snapshots instead of live X
+ * Dependencies: playwright (chromium: `npx playwright install chromium`), sql.js
+ * 
+ * Serves fixtures/twitter/ (pages and the Lists page's GraphQL responses) from a local
+ * server, points TWITTER_BASE_URL at it and uses an in-memory database for the
+ * incremental stop-at-existing logic.
+ * 
+ * Run with: node src/automation/twitter.test.js (or npm test)
+ * 
+ * @module twitter.test
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { chromium } = require('playwright');
+const logger = require('../utils/logger');
+const db = require('../db/database');
+const bookmarkFolders = require('../db/bookmark-folders');
+const lists = require('../db/lists');
+
+// Fixtures
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'twitter');
+const FIXTURE_ROUTES = {
+  '/': 'home.html',
+  '/home': 'home.html',
+  '/i/bookmarks': 'bookmarks.html',
+  '/i/bookmarks/1750000000000000001': 'bookmarks.html', // "AI Research" folder (same timeline)
+  '/simonw/status/1700000000000000012': 'status-thread.html',
+  '/paulg/status/1700000000000000007': 'status-long-post.html',
+  '/i/lists/1800000000000000001': 'bookmarks.html', // "AI Leaders" list timeline (same tweets)
+  '/brainbrief_test/lists': 'lists.html',
+  '/i/api/graphql/fixtureQuery1/ListsManagementPageTimeline': 'lists-graphql-1.json',
+  '/i/api/graphql/fixtureQuery2/ListsManagementPageTimeline': 'lists-graphql-2.json'
+};
+
+// Bookmark folders linked from bookmarks.html
+const FOLDER = { folderId: '1750000000000000001', name: 'AI Research' };
+
+// Lists in the Lists page's GraphQL responses (the suggested list is not one of them)
+const LIST_IDS = ['1800000000000000001', '1800000000000000002', '1800000000000000003'];
+
+// Expected tweet IDs in bookmarks.html (deleted tweet has none)
+const TWEET_IDS = [
+  '1700000000000000001', // plain text
+  '1700000000000000002', // quote tweet
+  '1700000000000000003', // YouTube card
+  '1700000000000000005', // media-only
+  '1700000000000000006', // direct youtu.be link
+  '1700000000000000007'  // long post ("Show more" link)
+];
+
+// Long post: timeline preview vs the full text on its status page (status-long-post.html)
+const LONG_POST_STATUS_PATH = '/paulg/status/1700000000000000007';
+const LONG_POST_PREVIEW = 'Startups are counterintuitive. Here is the first of many lessons: your instincts about what makes a good company come from big companies, and they are';
+const LONG_POST_TEXT = `${LONG_POST_PREVIEW} mostly wrong for a company of five people. Trust the numbers, talk to users every week, and ignore anything that feels like playing house.`;
+
+// Fixture routes answered with 404 for now (a status page that won't load)
+const unavailableRoutes = new Set();
+
+// Self-reply thread in status-thread.html (opened on its second tweet; a reply by someone else ends it)
+const THREAD_IDS = ['1700000000000000011', '1700000000000000012', '1700000000000000013'];
+const THREAD_STATUS_PATH = '/simonw/status/1700000000000000012';
+
+let twitter = null; // Required after TWITTER_BASE_URL is set
+let baseUrl = null;
+let failures = 0;
+
+/**
+ * Record one assertion
+ * 
+ * @param {boolean} condition - Assertion result
+ * @param {string} description - What was checked
+ */
+function _expect(condition, description) {
+  if (condition) {
+    logger.success(`✅ ${description}`, 'test');
+  } else {
+    failures++;
+    logger.error(`❌ ${description}`, null, 'test');
+  }
+}
+
+/**
+ * Start static server for the fixture pages
+ * 
+ * @returns {Promise<http.Server>} Listening server (random port)
+ */
+function _startFixtureServer() {
+  const server = http.createServer((req, res) => {
+    const route = req.url.split('?')[0];
+    const fixture = unavailableRoutes.has(route) ? null : FIXTURE_ROUTES[route];
+    if (!fixture) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found');
+      return;
+    }
+    
+    const contentType = fixture.endsWith('.json') ? 'application/json' : 'text/html; charset=utf-8';
+    res.writeHead(200, { 'Content-Type': contentType });
+    res.end(fs.readFileSync(path.join(FIXTURES_DIR, fixture)));
+  });
+  
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+/**
+ * Seed a fresh in-memory database with bookmarks
+ * 
+ * @param {Array<string>} tweetIds - IDs to mark as already synced
+ */
+async function _resetDatabase(tweetIds = []) {
+  await db.closeDatabase();
+  await db.initDatabase({ inMemory: true });
+  
+  for (const id of tweetIds) {
+    await db.saveBookmark({
+      id,
+      author: 'Seed',
+      text: 'Previously synced',
+      url: `${baseUrl}/seed/status/${id}`,
+      timestamp: '2025-01-01T00:00:00.000Z',
+      scraped_at: '2025-01-01T00:00:00.000Z'
+    });
+  }
+}
+
+/**
+ * _extractTweetData against every article in the snapshot
+ */
+async function testExtractTweetData(context) {
+  logger.info('Testing _extractTweetData...', 'test');
+  
+  const page = await context.newPage();
+  await page.goto(`${baseUrl}/i/bookmarks`, { waitUntil: 'domcontentloaded' });
+  
+  const results = await page.evaluate((extractFn) => {
+    return Array.from(document.querySelectorAll('article[data-testid="tweet"]'))
+      .map((tweet, index) => eval(`(${extractFn})`)(tweet, index));
+  }, twitter._extractTweetData.toString());
+  await page.close();
+  
+  const [plain, quote, card, deleted, mediaOnly, directLink, longPost] = results;
+  
+  _expect(results.length === 7, 'Snapshot has 7 articles');
+  
+  _expect(plain.id === TWEET_IDS[0], 'Plain tweet: ID from permalink');
+  _expect(plain.url === `${baseUrl}/naval/status/${TWEET_IDS[0]}`, 'Plain tweet: URL');
+  _expect(plain.author === 'Naval' && plain.authorHandle === '@naval', 'Plain tweet: author and handle');
+  _expect(plain.text === 'Read what you love until you love to read.', 'Plain tweet: text');
+  _expect(plain.timestamp === '2025-10-01T12:00:00.000Z', 'Plain tweet: timestamp');
+  _expect(!plain.isThreadCandidate && !plain.isLongForm && !plain.textTruncated, 'Plain tweet: not a thread or long post');
+  _expect(plain.embedded.youtubeUrls.length === 0 && plain.embedded.imageUrls.length === 0, 'Plain tweet: profile image not counted as media');
+  
+  _expect(quote.text === 'This is the best explanation of tokenization I have seen.', 'Quote tweet: own text (not the quoted one)');
+  _expect(quote.author === 'Andrej Karpathy', 'Quote tweet: own author');
+  _expect(quote.embedded.quotedTweet &&
+    quote.embedded.quotedTweet.author === 'Simon Willison' &&
+    quote.embedded.quotedTweet.text === 'Notes on how tokenizers split text into pieces', 'Quote tweet: quoted author and text');
+  
+  _expect(JSON.stringify(card.embedded.youtubeUrls) === JSON.stringify(['https://t.co/yTcard0001']), 'YouTube card: t.co link captured');
+  _expect(card.embedded.imageUrls.length === 1 && card.embedded.imageUrls[0].endsWith('&name=orig'), 'YouTube card: card image at original size');
+  _expect(JSON.stringify(card.embedded.imageAlts) === JSON.stringify(['']), 'YouTube card: image without alt text');
+  _expect(card.embedded.links.length === 1 &&
+    card.embedded.links[0].url === 'https://t.co/yTcard0001' &&
+    card.embedded.links[0].source === 'card' &&
+    card.embedded.links[0].title === 'The Future of Programming | Lex Fridman Podcast', 'YouTube card: card link with title');
+  
+  _expect(deleted === null, 'Deleted tweet: skipped');
+  
+  _expect(mediaOnly.id === TWEET_IDS[3] && mediaOnly.text === '', 'Media-only tweet: extracted with empty text');
+  _expect(JSON.stringify(mediaOnly.embedded.imageUrls) === JSON.stringify(['https://pbs.twimg.com/media/GmediaOnly01?format=jpg&name=orig']), 'Media-only tweet: photo URL');
+  _expect(JSON.stringify(mediaOnly.embedded.imageAlts) === JSON.stringify(['Slide titled Scaling laws: loss falls as a power law in compute']), 'Media-only tweet: alt text captured');
+  
+  _expect(JSON.stringify(directLink.embedded.youtubeUrls) === JSON.stringify(['https://youtu.be/wjZofJX0v4M']), 'Direct link: youtu.be URL captured once');
+  _expect(directLink.embedded.links.length === 1 &&
+    directLink.embedded.links[0].url === 'https://youtu.be/wjZofJX0v4M' &&
+    directLink.embedded.links[0].source === 'inline', 'Direct link: inline link captured');
+  _expect(plain.embedded.links.length === 0 && quote.embedded.links.length === 0, 'Mentions and status links are not outbound links');
+  
+  _expect(longPost.isLongForm && longPost.textTruncated && longPost.text === LONG_POST_PREVIEW, 'Long post: preview text flagged as truncated');
+  _expect(longPost.embedded.links.length === 0, 'Long post: "Show more" link is not an outbound link');
+}
+
+/**
+ * scrapeBookmarks on the snapshot (skips deleted, respects limit)
+ */
+async function testScrapeBookmarks(context) {
+  logger.info('Testing scrapeBookmarks...', 'test');
+  
+  const page = await context.newPage();
+  await page.goto(`${baseUrl}/i/bookmarks`, { waitUntil: 'domcontentloaded' });
+  
+  const result = await twitter.scrapeBookmarks(page, TWEET_IDS.length);
+  
+  _expect(result.success, 'scrapeBookmarks succeeded');
+  _expect(JSON.stringify(result.data.map(b => b.id)) === JSON.stringify(TWEET_IDS), 'All live tweets in timeline order');
+  _expect(result.metadata.skipped === 1, 'Deleted tweet counted as skipped');
+  _expect(result.metadata.scrolls === 0, 'No scrolling once limit is reached');
+  
+  const limited = await twitter.scrapeBookmarks(page, 2);
+  _expect(limited.success && limited.data.length === 2 && limited.data[1].id === TWEET_IDS[1], 'Limit returns the newest N');
+  
+  await page.close();
+}
+
+/**
+ * extractNewBookmarks stops at the first bookmark already in the database
+ */
+async function testExtractNewBookmarksStopsAtExisting(context) {
+  logger.info('Testing extractNewBookmarks (stop at existing)...', 'test');
+  
+  await _resetDatabase([TWEET_IDS[2]]);
+  
+  const result = await twitter.extractNewBookmarks({ context, expandLinks: false });
+  
+  _expect(result.success, 'extractNewBookmarks succeeded');
+  _expect(JSON.stringify(result.data.bookmarks.map(b => b.id)) === JSON.stringify(TWEET_IDS.slice(0, 2)), 'Only tweets newer than the existing one');
+  _expect(result.metadata.stoppedReason === 'found existing', 'Stopped because it found an existing bookmark');
+  _expect(result.metadata.scrolls === 0, 'No scrolling past the existing bookmark');
+}
+
+/**
+ * extractNewBookmarks respects maxNew
+ */
+async function testExtractNewBookmarksMaxNew(context) {
+  logger.info('Testing extractNewBookmarks (maxNew)...', 'test');
+  
+  await _resetDatabase();
+  
+  const result = await twitter.extractNewBookmarks({ context, maxNew: 3, expandLinks: false });
+  
+  _expect(result.success && result.data.count === 3, 'Extracted exactly maxNew bookmarks');
+  _expect(result.metadata.stoppedReason === 'reached limit', 'Stopped because it reached the limit');
+}
+
+/**
+ * extractNewBookmarks on an empty database ends at the bottom of the timeline
+ */
+async function testExtractNewBookmarksFirstSync(context) {
+  logger.info('Testing extractNewBookmarks (first sync, end of timeline)...', 'test');
+  
+  await _resetDatabase();
+  
+  const result = await twitter.extractNewBookmarks({ context, expandLinks: false });
+  
+  _expect(result.success, 'extractNewBookmarks succeeded');
+  _expect(JSON.stringify(result.data.bookmarks.map(b => b.id)) === JSON.stringify(TWEET_IDS), 'Every live tweet extracted once');
+  _expect(result.metadata.stoppedReason === 'end of timeline', 'Stopped at the end of the timeline');
+}
+
+/**
+ * extractNewBookmarks replaces a "Show more" preview with the full text from the
+ * status page, and keeps the preview flagged as truncated when that page won't load
+ */
+async function testExtractNewBookmarksLongPost(context) {
+  logger.info('Testing extractNewBookmarks (long post)...', 'test');
+  
+  await _resetDatabase();
+  
+  const result = await twitter.extractNewBookmarks({ context, expandLinks: false });
+  const longPost = result.data.bookmarks.find(b => b.id === TWEET_IDS[5]);
+  
+  _expect(result.success && result.metadata.longPostsExpanded === 1, 'Long post expanded from its status page');
+  _expect(longPost && longPost.text === LONG_POST_TEXT && longPost.isLongForm && !longPost.textTruncated, 'Long post: full text, no longer truncated');
+  
+  await db.saveBookmarks(result.data.bookmarks);
+  const [row] = (await db.getBookmarks({ limit: -1 })).data.filter(b => b.tweet_id === TWEET_IDS[5]);
+  _expect(row && row.text === LONG_POST_TEXT && row.is_long_form === 1 && row.text_truncated === 0, 'Full text stored, text_truncated cleared');
+  
+  // Status page unavailable: the preview is kept and flagged
+  await _resetDatabase();
+  unavailableRoutes.add(LONG_POST_STATUS_PATH);
+  const failed = await twitter.extractNewBookmarks({ context, expandLinks: false });
+  unavailableRoutes.delete(LONG_POST_STATUS_PATH);
+  
+  await db.saveBookmarks(failed.data.bookmarks);
+  const [truncatedRow] = (await db.getBookmarks({ limit: -1 })).data.filter(b => b.tweet_id === TWEET_IDS[5]);
+  _expect(failed.success && failed.metadata.longPostsExpanded === 0, 'Long post not expanded when its status page fails');
+  _expect(truncatedRow && truncatedRow.text === LONG_POST_PREVIEW && truncatedRow.text_truncated === 1, 'Preview stored with text_truncated set');
+}
+
+/**
+ * scanBookmarkIds collects every live tweet and reports a complete walk
+ */
+async function testScanBookmarkIds(context) {
+  logger.info('Testing scanBookmarkIds...', 'test');
+  
+  const result = await twitter.scanBookmarkIds({ context });
+  
+  _expect(result.success, 'scanBookmarkIds succeeded');
+  _expect(JSON.stringify(result.data.tweetIds) === JSON.stringify(TWEET_IDS), 'Every live tweet ID, deleted tweet left out');
+  _expect(result.data.complete && result.metadata.stoppedReason === 'end of timeline', 'Walk reached the end of the timeline');
+}
+
+/**
+ * _captureThreads reconstructs a self-reply thread from its status page and saveBookmark stores it
+ */
+async function testCaptureThreads(context) {
+  logger.info('Testing thread capture...', 'test');
+  
+  await _resetDatabase();
+  
+  // The bookmarked tweet as the timeline extracts it
+  const page = await context.newPage();
+  await page.goto(`${baseUrl}${THREAD_STATUS_PATH}`, { waitUntil: 'domcontentloaded' });
+  const tweets = await page.evaluate((extractFn) => {
+    return Array.from(document.querySelectorAll('article[data-testid="tweet"]'))
+      .map((tweet, index) => eval(`(${extractFn})`)(tweet, index));
+  }, twitter._extractTweetData.toString());
+  await page.close();
+  
+  const bookmark = { ...tweets[1], scraped_at: tweets[1].timestamp };
+  const other = tweets[3];
+  
+  _expect(bookmark.id === THREAD_IDS[1] && bookmark.isThreadCandidate, 'Reply to the author\'s own tweet flagged as a thread candidate');
+  _expect(!other.isThreadCandidate, 'Reply to someone else not flagged');
+  
+  const captured = await twitter._captureThreads(context, [bookmark, other]);
+  const thread = bookmark.thread;
+  
+  _expect(captured === 1 && !other.thread, 'Only the thread candidate captured');
+  _expect(thread && JSON.stringify(thread.tweets.map(t => t.id)) === JSON.stringify(THREAD_IDS), 'Thread in order, stopped at the first reply by someone else');
+  _expect(thread && thread.rootTweetId === THREAD_IDS[0] && thread.authorHandle === '@simonw', 'Thread root and author');
+  _expect(thread && thread.tweets[2].text === '3/ Logging every prompt to SQLite made debugging easy' && thread.tweets[2].position === 2, 'Thread tweet text and position');
+  
+  await db.saveBookmark(bookmark);
+  const database = (await db.getDatabase()).data;
+  const threadRows = database.exec('SELECT root_tweet_id, author_handle, tweet_count FROM threads');
+  const tweetRows = database.exec('SELECT tweet_id FROM thread_tweets ORDER BY position');
+  _expect(threadRows.length === 1 && JSON.stringify(threadRows[0].values) === JSON.stringify([[THREAD_IDS[0], '@simonw', 3]]), 'Thread saved to threads');
+  _expect(tweetRows.length === 1 && JSON.stringify(tweetRows[0].values.map(row => row[0])) === JSON.stringify(THREAD_IDS), 'Thread tweets saved in order to thread_tweets');
+  
+  const saved = await db.getBookmarks({ limit: -1 });
+  _expect(saved.data[0].thread && saved.data[0].thread.tweets.length === 3, 'Saved bookmark loads with its thread');
+}
+
+/**
+ * discoverBookmarkFolders finds the folder links (not "All Bookmarks")
+ */
+async function testDiscoverBookmarkFolders(context) {
+  logger.info('Testing discoverBookmarkFolders...', 'test');
+  
+  const result = await twitter.discoverBookmarkFolders({ context });
+  
+  _expect(result.success && result.data.length === 2, 'Found both folders');
+  _expect(result.data[0] && result.data[0].folderId === FOLDER.folderId && result.data[0].name === FOLDER.name, 'Folder ID and name from the link');
+  _expect(result.data[1] && result.data[1].name === 'Recipes', 'Folder name without its count');
+  _expect(result.data[0] && result.data[0].url === `${baseUrl}/i/bookmarks/${FOLDER.folderId}`, 'Folder URL');
+}
+
+/**
+ * extractNewBookmarks on a folder stops at the folder's recorded items, not saved bookmarks
+ */
+async function testExtractFolderBookmarks(context) {
+  logger.info('Testing extractNewBookmarks (folder)...', 'test');
+  
+  // Every tweet is already a saved bookmark; only the third is recorded in the folder
+  const folder = { ...FOLDER, url: `${baseUrl}/i/bookmarks/${FOLDER.folderId}` };
+  await _resetDatabase(TWEET_IDS);
+  await bookmarkFolders.saveDiscoveredFolders([folder]);
+  await bookmarkFolders.recordFolderItems(FOLDER.folderId, [TWEET_IDS[2]]);
+  
+  const result = await twitter.extractNewBookmarks({ context, folder, expandLinks: false });
+  
+  _expect(result.success, 'Folder extraction succeeded');
+  _expect(JSON.stringify(result.data.bookmarks.map(b => b.id)) === JSON.stringify(TWEET_IDS.slice(0, 2)), 'Only tweets newer than the folder\'s last recorded item');
+  _expect(result.metadata.stoppedReason === 'found existing', 'Stopped at an item already in the folder');
+  
+  const recorded = await bookmarkFolders.recordFolderItems(FOLDER.folderId, result.data.bookmarks.map(b => b.id));
+  const folders = await bookmarkFolders.getBookmarkFolders();
+  _expect(recorded.data === 2 && folders.data[0].itemCount === 3, 'Folder membership recorded');
+}
+
+/**
+ * discoverLists reads lists from the GraphQL responses, across scroll pages
+ */
+async function testDiscoverLists(context) {
+  logger.info('Testing discoverLists...', 'test');
+  
+  const result = await twitter.discoverLists({ context });
+  const aiLeaders = result.data.find(list => list.listId === LIST_IDS[0]);
+  const rust = result.data.find(list => list.listId === LIST_IDS[1]);
+  
+  _expect(result.success, 'List discovery succeeded');
+  _expect(JSON.stringify(result.data.map(list => list.listId)) === JSON.stringify(LIST_IDS), 'Found every list once, including the next page (suggestion skipped)');
+  _expect(aiLeaders && aiLeaders.name === 'AI Leaders' && aiLeaders.url === `${baseUrl}/i/lists/${LIST_IDS[0]}`, 'List name and URL');
+  _expect(aiLeaders && aiLeaders.memberCount === 42 && aiLeaders.owner === 'brainbrief_test' && aiLeaders.description === 'People building AI', 'Member count, owner and description');
+  _expect(rust && rust.owner === 'rustlang', 'Owner from the legacy user object');
+}
+
+/**
+ * extractListTweets expands long posts like the bookmarks timeline does
+ */
+async function testExtractListTweetsLongPost(context) {
+  logger.info('Testing extractListTweets (long post)...', 'test');
+  
+  await _resetDatabase();
+  const list = { listId: LIST_IDS[0], name: 'AI Leaders', url: `${baseUrl}/i/lists/${LIST_IDS[0]}` };
+  await lists.saveDiscoveredLists([list]);
+  
+  // Everything up to the direct-link tweet was synced before: only the long post is new
+  const result = await twitter.extractListTweets({ ...list, lastTweetId: TWEET_IDS[4] }, { context, archiveLinks: false });
+  const tweets = result.success ? result.data.tweets : [];
+  
+  _expect(tweets.length === 1 && tweets[0].id === TWEET_IDS[5], 'Only the tweet after the last synced one');
+  _expect(tweets[0] && tweets[0].text === LONG_POST_TEXT && tweets[0].isLongForm && !tweets[0].textTruncated, 'List long post: full text, no longer truncated');
+  
+  await lists.saveListTweets(LIST_IDS[0], tweets);
+  const database = (await db.getDatabase()).data;
+  const rows = database.exec(`SELECT text FROM list_tweets WHERE tweet_id = '${TWEET_IDS[5]}'`);
+  _expect(rows.length === 1 && rows[0].values[0][0] === LONG_POST_TEXT, 'Full list tweet text stored');
+}
+
+/**
+ * saveDiscoveredLists reports new and removed lists, keeps list settings and
+ * flags missing lists instead of deleting them
+ */
+async function testSaveDiscoveredLists() {
+  logger.info('Testing saveDiscoveredLists...', 'test');
+  
+  await _resetDatabase();
+  const discovered = LIST_IDS.map(listId => ({ listId, name: `List ${listId.slice(-1)}`, url: `${baseUrl}/i/lists/${listId}`, memberCount: 1 }));
+  const deletedList = { listId: '1800000000000000008', name: 'Deleted', url: `${baseUrl}/i/lists/1800000000000000008` };
+  
+  await lists.saveDiscoveredLists([...discovered.slice(0, 2), deletedList]);
+  await lists.updateListSettings([{ listId: LIST_IDS[0], enabled: false, daysBack: 3 }, { listId: deletedList.listId, daysBack: 7 }]);
+  
+  const result = await lists.saveDiscoveredLists(discovered);
+  const saved = await lists.getLists();
+  const withRemoved = await lists.getLists({ includeRemoved: true });
+  
+  _expect(result.success && JSON.stringify(result.data.added) === JSON.stringify(['List 3']), 'New list reported as added');
+  _expect(JSON.stringify(result.data.removed) === JSON.stringify(['Deleted']), 'Missing list reported as removed');
+  _expect(JSON.stringify(saved.data.map(list => list.listId)) === JSON.stringify(LIST_IDS), 'Removed list left out of getLists');
+  _expect(withRemoved.data.some(list => list.listId === deletedList.listId && list.removedAt), 'Removed list kept (flagged) in list_metadata');
+  _expect(saved.data[0].enabled === false && saved.data[0].daysBack === 3 && saved.data[0].memberCount === '1', 'Known list refreshed, sync settings kept');
+  
+  const empty = await lists.saveDiscoveredLists([]);
+  const afterEmpty = await lists.getLists();
+  _expect(empty.success && empty.data.removalSkipped && empty.data.removed.length === 0, 'Discovery that found nothing removes nothing');
+  _expect(afterEmpty.data.length === LIST_IDS.length, 'Lists still there after an empty discovery');
+  
+  const partial = await lists.saveDiscoveredLists(discovered.slice(0, 1));
+  _expect(partial.data.removalSkipped && (await lists.getLists()).data.length === LIST_IDS.length, 'Discovery that found far fewer lists removes nothing');
+  
+  await lists.saveDiscoveredLists([...discovered, deletedList]);
+  const restored = await lists.getLists({ listId: deletedList.listId });
+  _expect(restored.data.length === 1 && restored.data[0].daysBack === 7 && !restored.data[0].removedAt, 'List found again is restored with its settings');
+}
+
+/**
+ * saveListTweets moves a list's high-water mark to its newest tweet and never back,
+ * and leaves it alone after an incomplete extraction (gap before the old mark)
+ */
+async function testSaveListTweetsHighWaterMark() {
+  logger.info('Testing saveListTweets high-water mark...', 'test');
+  
+  await _resetDatabase();
+  await lists.saveDiscoveredLists([{ listId: LIST_IDS[0], name: 'AI Leaders', url: `${baseUrl}/i/lists/${LIST_IDS[0]}` }]);
+  
+  const first = await lists.saveListTweets(LIST_IDS[0], [{ id: TWEET_IDS[1] }, { id: TWEET_IDS[3], timestamp: '2025-09-27T06:45:00.000Z' }]);
+  await lists.saveListTweets(LIST_IDS[0], [{ id: TWEET_IDS[2] }]);
+  const saved = await lists.getLists({ listId: LIST_IDS[0] });
+  
+  _expect(first.success && first.data === 2, 'List tweets saved');
+  _expect(saved.data[0].lastTweetId === TWEET_IDS[3] && saved.data[0].lastTweetAt === '2025-09-27T06:45:00.000Z', 'Newest tweet ID is the high-water mark');
+  
+  const gapped = await lists.saveListTweets(LIST_IDS[0], [{ id: TWEET_IDS[4] }], { advanceMark: false });
+  const afterGap = await lists.getLists({ listId: LIST_IDS[0] });
+  _expect(gapped.success && gapped.data === 1 && afterGap.data[0].lastTweetId === TWEET_IDS[3], 'Incomplete extraction saves tweets but keeps the high-water mark');
+}
+
+/**
+ * Run all tests
+ */
+async function runTests() {
+  let server = null;
+  let browser = null;
+  
+  try {
+    server = await _startFixtureServer();
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    process.env.TWITTER_BASE_URL = baseUrl;
+    twitter = require('./twitter');
+    
+    logger.info(`Serving fixtures at ${baseUrl}`, 'test');
+    
+    browser = await chromium.launch({ headless: true });
+    const context = await browser.newContext();
+    
+    await testExtractTweetData(context);
+    await testScrapeBookmarks(context);
+    await testExtractNewBookmarksStopsAtExisting(context);
+    await testExtractNewBookmarksMaxNew(context);
+    await testExtractNewBookmarksFirstSync(context);
+    await testExtractNewBookmarksLongPost(context);
+    await testScanBookmarkIds(context);
+    await testCaptureThreads(context);
+    await testDiscoverBookmarkFolders(context);
+    await testExtractFolderBookmarks(context);
+    await testDiscoverLists(context);
+    await testExtractListTweetsLongPost(context);
+    await testSaveDiscoveredLists();
+    await testSaveListTweetsHighWaterMark();
+    
+  } catch (error) {
+    failures++;
+    logger.error('Test run failed', error, 'test');
+    
+  } finally {
+    await db.closeDatabase();
+    if (browser) {
+      await browser.close();
+    }
+    if (server) {
+      server.close();
+    }
+  }
+  
+  if (failures > 0) {
+    logger.error(`${failures} assertion(s) failed`, null, 'test');
+    process.exitCode = 1;
+  } else {
+    logger.success('All Twitter extractor tests passed', 'test');
+  }
+}
+
+runTests();
@@ -0,0 +1,484 @@
+/**
+ * BrainBrief - URL Source Manager
+ * 
+ * Purpose: Expand and classify links in bookmarks, and turn them into NotebookLM
+ *          URL sources (YouTube, PDF, Google Docs, Website for opted-in domains)
+ * Dependencies: https, http, database.js, links.js
+ * 
+ * URLs are normalized before they are compared or uploaded: t.co links are
+ * expanded, tracking parameters stripped (host-specific ones like si= or usp=
+ * only on the hosts that use them) and YouTube links reduced to
+ * https://www.youtube.com/watch?v=<id>. Every upload attempt is recorded in
+ * uploaded_urls with its outcome, and URLs already uploaded to (or queued for)
+ * a notebook are skipped.
+ * 
+ * @module url-sources
+ */
+
+const https = require('https');
+const http = require('http');
+const logger = require('../utils/logger');
+const db = require('../db/database');
+const links = require('../db/links');
+
+// URL shorteners that are expanded before normalizing
+const SHORTENER_HOSTS = ['t.co'];
+
+// Query parameters that only track where a click came from
+const TRACKING_PARAM_PREFIXES = ['utm_'];
+const TRACKING_PARAMS = [
+  'fbclid', 'gclid', 'dclid', 'msclkid', 'igshid', 'mc_cid', 'mc_eid'
+];
+
+// Tracking parameters only on these hosts (elsewhere e.g. feature= can be a real parameter)
+const HOST_TRACKING_PARAMS = {
+  'youtube.com': ['si', 'feature'],
+  'youtu.be': ['si', 'feature'],
+  'open.spotify.com': ['si'],
+  'docs.google.com': ['usp'],
+  'drive.google.com': ['usp'],
+  'twitter.com': ['ref_src', 'ref_url'],
+  'x.com': ['ref_src', 'ref_url']
+};
+const FRAGMENT_STRIPPED_HOSTS = ['youtube.com', 'youtu.be'];
+
+// Link classification (links.link_type)
+const PAPER_HOSTS = [
+  'arxiv.org', 'doi.org', 'openreview.net', 'biorxiv.org', 'medrxiv.org', 'papers.ssrn.com',
+  'semanticscholar.org', 'aclanthology.org', 'dl.acm.org', 'ieeexplore.ieee.org',
+  'pubmed.ncbi.nlm.nih.gov', 'paperswithcode.com'
+];
+const REPO_HOSTS = ['github.com', 'gitlab.com', 'codeberg.org', 'bitbucket.org'];
+const DOC_HOSTS = ['docs.google.com', 'drive.google.com'];
+
+// Patterns
+const YOUTUBE_ID_REGEX = /^[\w-]{11}$/;
+const PDF_URL_REGEX = /https?:\/\/[^\s]+\.pdf/gi;
+const GOOGLE_DOCS_URL_REGEX = /https?:\/\/docs\.google\.com\/[^\s]+/gi;
+
+// Upload order (and log labels) per source type
+const SOURCE_TYPES = {
+  youtube: 'YouTube',
+  pdf: 'PDF',
+  'google-docs': 'Google Docs',
+  website: 'Website'
+};
+
+/**
+ * Follow HTTP redirect to get final URL (for t.co links)
+ * 
+ * @param {string} shortUrl - Shortened URL (e.g., https://t.co/abc123)
+ * @returns {Promise<string>} Final URL after redirect
+ */
+async function followRedirect(shortUrl) {
+  return new Promise((resolve, reject) => {
+    const client = shortUrl.startsWith('https') ? https : http;
+    
+    const req = client.get(shortUrl, {
+      headers: { 'User-Agent': 'Mozilla/5.0' }
+    }, (res) => {
+      // Follow redirects (301, 302, 307, 308)
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+        const location = res.headers.location;
+        const finalUrl = location.startsWith('http') ? location : new URL(location, shortUrl).href;
+        resolve(finalUrl);
+      } else {
+        resolve(shortUrl);
+      }
+      res.resume();
+    });
+    
+    req.on('error', reject);
+    req.setTimeout(5000, () => {
+      req.destroy();
+      reject(new Error('Timeout following redirect'));
+    });
+  });
+}
+
+/**
+ * Extract the video ID from any YouTube link form
+ * (watch?v=, youtu.be/, /shorts/, /embed/, /live/, m. and music. hosts)
+ * 
+ * @param {URL} parsed - Parsed URL
+ * @returns {string|null} 11-character video ID, or null if not a video link
+ */
+function _getYouTubeId(parsed) {
+  const host = parsed.hostname.replace(/^(www|m|music)\./, '');
+  let id = null;
+  
+  if (host === 'youtu.be') {
+    id = parsed.pathname.split('/')[1];
+  } else if (host === 'youtube.com' || host === 'youtube-nocookie.com') {
+    const [, section, value] = parsed.pathname.split('/');
+    id = section === 'watch' ? parsed.searchParams.get('v') : ['shorts', 'embed', 'live', 'v'].includes(section) ? value : null;
+  }
+  
+  return id && YOUTUBE_ID_REGEX.test(id) ? id : null;
+}
+
+/**
+ * Normalize a URL for comparison and upload
+ * 
+ * @param {string} url - Raw URL
+ * @returns {string|null} Normalized URL, or null if not a valid http(s) URL
+ */
+function normalizeUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(String(url).trim());
+  } catch (error) {
+    return null;
+  }
+  
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return null;
+  }
+  
+  const youtubeId = _getYouTubeId(parsed);
+  if (youtubeId) {
+    return `https://www.youtube.com/watch?v=${youtubeId}`;
+  }
+  
+  // Hash-routed pages need their #fragment; YouTube's (#t=...) only seeks
+  const host = parsed.hostname.toLowerCase().replace(/^(www|m|music)\./, '');
+  if (FRAGMENT_STRIPPED_HOSTS.includes(host)) {
+    parsed.hash = '';
+  }
+  
+  const hostParams = HOST_TRACKING_PARAMS[host] || [];
+  for (const param of [...parsed.searchParams.keys()]) {
+    if (TRACKING_PARAMS.includes(param) || hostParams.includes(param) || TRACKING_PARAM_PREFIXES.some(prefix => param.startsWith(prefix))) {
+      parsed.searchParams.delete(param);
+    }
+  }
+  
+  return parsed.href;
+}
+
+/**
+ * Work out which NotebookLM source type a (normalized) URL is
+ * 
+ * @param {string} url - Normalized URL
+ * @returns {string|null} 'youtube', 'pdf', 'google-docs', or null
+ */
+function getSourceType(url) {
+  const parsed = new URL(url);
+  
+  if (_getYouTubeId(parsed)) {
+    return 'youtube';
+  }
+  if (parsed.hostname === 'docs.google.com') {
+    return 'google-docs';
+  }
+  if (parsed.pathname.toLowerCase().endsWith('.pdf')) {
+    return 'pdf';
+  }
+  return null;
+}
+
+/**
+ * Host of a URL without www./m. (what website_domains stores)
+ * 
+ * @param {string} url - URL
+ * @returns {string|null} Domain, or null if the URL is invalid
+ */
+function getDomain(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^(www|m)\./, '');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Classify a (normalized) link
+ * 
+ * @param {string} url - Normalized URL
+ * @returns {string} 'video', 'doc', 'paper', 'pdf', 'repo' or 'article'
+ */
+function classifyLink(url) {
+  const parsed = new URL(url);
+  const domain = getDomain(url);
+  const matchesHost = hosts => hosts.some(host => domain === host || domain.endsWith(`.${host}`));
+  
+  if (_getYouTubeId(parsed)) {
+    return 'video';
+  }
+  if (matchesHost(DOC_HOSTS)) {
+    return 'doc';
+  }
+  if (matchesHost(PAPER_HOSTS) || (domain === 'huggingface.co' && parsed.pathname.startsWith('/papers/'))) {
+    return 'paper';
+  }
+  if (parsed.pathname.toLowerCase().endsWith('.pdf')) {
+    return 'pdf';
+  }
+  if (matchesHost(REPO_HOSTS) && parsed.pathname.split('/').filter(Boolean).length >= 2) {
+    return 'repo';
+  }
+  return 'article';
+}
+
+/**
+ * Expand (if shortened) and normalize a URL
+ * 
+ * @param {string} url - Raw URL
+ * @param {Map} cache - Expansions already done in this run
+ * @returns {Promise<string|null>} Normalized URL, or null if it can't be resolved
+ */
+async function _resolveUrl(url, cache) {
+  if (cache.has(url)) {
+    return cache.get(url);
+  }
+  
+  let resolved = url;
+  try {
+    if (SHORTENER_HOSTS.includes(new URL(url).hostname)) {
+      resolved = await followRedirect(url);
+      logger.debug(`Expanded ${url} → ${resolved}`, null, 'urls');
+    }
+  } catch (error) {
+    logger.warn(`Failed to expand ${url}, skipping`, 'urls');
+    resolved = null;
+  }
+  
+  const normalized = resolved ? normalizeUrl(resolved) : null;
+  cache.set(url, normalized);
+  return normalized;
+}
+
+/**
+ * Expand and classify the links the extractor found (embedded.links, in place)
+ * Adds expandedUrl, domain and type to each link; failed expansions keep them null.
+ * 
+ * @param {Array<Object>} bookmarks - Extracted bookmarks
+ * @returns {Promise<number>} Number of links resolved
+ */
+async function resolveLinks(bookmarks) {
+  const cache = new Map();
+  let resolved = 0;
+  
+  for (const bookmark of bookmarks) {
+    for (const link of bookmark.embedded?.links || []) {
+      if (link.expandedUrl !== undefined) {
+        continue;
+      }
+      
+      link.expandedUrl = await _resolveUrl(link.url, cache);
+      link.domain = link.expandedUrl ? getDomain(link.expandedUrl) : null;
+      link.type = link.expandedUrl ? classifyLink(link.expandedUrl) : null;
+      
+      if (link.expandedUrl) {
+        resolved++;
+      }
+    }
+  }
+  
+  if (resolved > 0) {
+    logger.info(`Resolved ${resolved} outbound links`, 'urls');
+  }
+  
+  return resolved;
+}
+
+/**
+ * Outbound links of a batch of bookmarks
+ * Extracted bookmarks carry them in embedded.links; DB rows load them from the links table.
+ * 
+ * @param {Array<Object>} bookmarks - Bookmarks (extractor objects or DB rows)
+ * @returns {Promise<Array<Object>>} [{ tweetId, url, expandedUrl, type, title }]
+ */
+async function getBookmarkLinks(bookmarks) {
+  const found = [];
+  const storedIds = [];
+  
+  bookmarks.forEach(bookmark => {
+    if (bookmark.embedded?.links) {
+      bookmark.embedded.links.forEach(link => found.push({ tweetId: String(bookmark.id), ...link }));
+    } else if (bookmark.tweet_id) {
+      storedIds.push(bookmark.tweet_id);
+    }
+  });
+  
+  if (storedIds.length > 0) {
+    const storedResult = await links.getLinksForTweets(storedIds);
+    (storedResult.data || []).forEach(row => {
+      found.push({
+        tweetId: row.tweet_id,
+        url: row.url,
+        expandedUrl: row.expanded_url,
+        type: row.link_type,
+        title: row.title
+      });
+    });
+  }
+  
+  return found;
+}
+
+/**
+ * Collect the URL sources linked from a batch of bookmarks
+ * 
+ * @param {Array<Object>} bookmarks - Bookmarks (extractor objects or DB rows)
+ * @returns {Promise<Array<Object>>} [{ url, type, originalUrl }], deduped, YouTube first
+ */
+async function collectUrlSources(bookmarks) {
+  const candidates = [];
+  
+  bookmarks.forEach(bookmark => {
+    // YouTube links found by the extractor (often t.co card links)
+    (bookmark.embedded?.youtubeUrls || []).forEach(url => candidates.push({ originalUrl: url }));
+    
+    // PDF and Google Docs links in the text (bookmarks imported without link data)
+    if (bookmark.text) {
+      (bookmark.text.match(PDF_URL_REGEX) || []).forEach(url => candidates.push({ originalUrl: url }));
+      (bookmark.text.match(GOOGLE_DOCS_URL_REGEX) || []).forEach(url => candidates.push({ originalUrl: url }));
+    }
+  });
+  
+  // Inline and card links (already expanded when resolveLinks ran)
+  (await getBookmarkLinks(bookmarks)).forEach(link => {
+    candidates.push({ originalUrl: link.url, url: link.expandedUrl });
+  });
+  
+  const domainsResult = await links.getWebsiteDomains();
+  const websiteDomains = domainsResult.success ? domainsResult.data : [];
+  const isWebsite = url => {
+    const domain = getDomain(url);
+    return websiteDomains.some(allowed => domain === allowed || domain.endsWith(`.${allowed}`));
+  };
+  
+  const cache = new Map();
+  const sources = new Map();
+  
+  for (const candidate of candidates) {
+    const url = candidate.url || await _resolveUrl(candidate.originalUrl, cache);
+    const type = url ? (getSourceType(url) || (isWebsite(url) ? 'website' : null)) : null;
+    
+    if (type && !sources.has(url)) {
+      sources.set(url, { url, type, originalUrl: candidate.originalUrl });
+    }
+  }
+  
+  const order = Object.keys(SOURCE_TYPES);
+  return Array.from(sources.values()).sort((a, b) => order.indexOf(a.type) - order.indexOf(b.type));
+}
+
+/**
+ * Drop sources already uploaded to a notebook, or waiting in its retry queue
+ * 
+ * @param {string} notebookName - Target notebook
+ * @param {Array<Object>} sources - From collectUrlSources
+ * @returns {Promise<Object>} { success, data: { pending: [], skipped: [] }, error }
+ */
+async function filterNewSources(notebookName, sources) {
+  try {
+    const dbResult = await db.getDatabase();
+    if (!dbResult.success) {
+      return dbResult;
+    }
+    const database = dbResult.data;
+    
+    // Normalize stored URLs too - rows written before normalization hold raw links
+    const known = new Set();
+    const stmt = database.prepare(`
+      SELECT url FROM uploaded_urls WHERE notebook_name = ? AND status = 'uploaded'
+      UNION
+      SELECT target AS url FROM upload_queue WHERE notebook_name = ? AND source_type != 'file'
+    `);
+    stmt.bind([notebookName, notebookName]);
+    while (stmt.step()) {
+      known.add(normalizeUrl(stmt.getAsObject().url));
+    }
+    stmt.free();
+    
+    const pending = sources.filter(source => !known.has(source.url));
+    const skipped = sources.filter(source => known.has(source.url));
+    
+    if (skipped.length > 0) {
+      logger.info(`Skipping ${skipped.length} URL source(s) already in "${notebookName}"`, 'urls');
+    }
+    
+    return {
+      success: true,
+      data: { pending, skipped },
+      error: null
+    };
+    
+  } catch (error) {
+    logger.error('Failed to check uploaded URLs', error, 'urls');
+    return {
+      success: false,
+      data: { pending: sources, skipped: [] },
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Record the outcome of a URL source upload
+ * 
+ * @param {string} notebookName - Notebook the URL was added to
+ * @param {Object} source - { url, type, originalUrl }
+ * @param {string} status - 'uploaded' or 'failed'
+ * @param {string} errorMessage - Why the upload failed (status 'failed')
+ * @returns {Promise<Object>} { success, data: null, error }
+ */
+async function recordUrlSource(notebookName, source, status, errorMessage = null) {
+  try {
+    const dbResult = await db.getDatabase();
+    if (!dbResult.success) {
+      return dbResult;
+    }
+    const database = dbResult.data;
+    
+    const stmt = database.prepare(`
+      INSERT INTO uploaded_urls (notebook_name, url, url_type, original_url, status, last_error)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT(notebook_name, url) DO UPDATE SET
+        status = excluded.status,
+        last_error = excluded.last_error,
+        uploaded_at = CURRENT_TIMESTAMP
+    `);
+    stmt.run([
+      notebookName,
+      source.url,
+      source.type,
+      source.originalUrl || source.url,
+      status,
+      errorMessage
+    ]);
+    stmt.free();
+    
+    db.scheduleSave();
+    
+    return {
+      success: true,
+      data: null,
+      error: null
+    };
+    
+  } catch (error) {
+    logger.warn(`Failed to save ${source.type} URL to DB`, 'urls');
+    return {
+      success: false,
+      data: null,
+      error: error.message
+    };
+  }
+}
+
+module.exports = {
+  followRedirect,
+  normalizeUrl,
+  getSourceType,
+  getDomain,
+  classifyLink,
+  resolveLinks,
+  getBookmarkLinks,
+  collectUrlSources,
+  filterNewSources,
+  recordUrlSource,
+  SOURCE_TYPES
+};
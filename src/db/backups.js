@@ -0,0 +1,201 @@
+/**
+ * BrainBrief - Database Backups
+ * 
+ * Purpose: Daily rotating copies of the database file, listed for "Restore from Backup"
+ * Dependencies: fs, path
+ * 
+ * Backups live in data/backups/, next to the copies migrator.js takes before
+ * migrating. The first save of each day copies the file as it was before that save
+ * (brainbrief-YYYY-MM-DD.db); the newest DAILY_BACKUPS_KEPT are kept. Migration and
+ * pre-restore copies are never rotated out.
+ * 
+ * @module backups
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+// Retention
+const DAILY_BACKUPS_KEPT = 7;
+
+// Backup kinds by file name: brainbrief-2025-10-18.db, brainbrief-v3-2025-10-18.db,
+// brainbrief-before-restore-2025-10-18-153000.db
+const BACKUP_KINDS = [
+  { kind: 'daily', pattern: /^(.+)-(\d{4}-\d{2}-\d{2})\.db$/ },
+  { kind: 'migration', pattern: /^(.+)-v\d+-(\d{4}-\d{2}-\d{2})\.db$/ },
+  { kind: 'before-restore', pattern: /^(.+)-before-restore-(\d{4}-\d{2}-\d{2})-\d{6}\.db$/ }
+];
+
+/**
+ * Backup directory for a database file
+ * 
+ * @param {string} dbFile - Database file
+ * @returns {string} Directory
+ */
+function getBackupDir(dbFile) {
+  return path.join(path.dirname(dbFile), 'backups');
+}
+
+/**
+ * Write a file so it is either fully old or fully new, never half-written
+ * (temp file in the same directory, flushed to disk, then renamed over the target)
+ * 
+ * @param {string} file - Target file
+ * @param {Buffer} data - Contents
+ */
+function writeFileAtomic(file, data) {
+  const tmpFile = `${file}.tmp-${process.pid}`;
+  const fd = fs.openSync(tmpFile, 'w');
+  try {
+    fs.writeSync(fd, data);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmpFile, file);
+}
+
+/**
+ * Work out what a file in the backup directory is
+ * 
+ * @param {string} dbFile - Database file
+ * @param {string} fileName - Backup file name
+ * @returns {string|null} 'daily', 'migration', 'before-restore' or null (not a backup)
+ */
+function _backupKind(dbFile, fileName) {
+  const base = path.basename(dbFile, '.db');
+  const backupKind = BACKUP_KINDS.find(({ pattern }) => {
+    const match = fileName.match(pattern);
+    return match && match[1] === base;
+  });
+  return backupKind ? backupKind.kind : null;
+}
+
+/**
+ * List backups of a database file, newest first
+ * 
+ * @param {string} dbFile - Database file
+ * @returns {Object} { success, data: [{ fileName, kind, createdAt, bytes }], error }
+ */
+function listBackups(dbFile) {
+  try {
+    const backupDir = getBackupDir(dbFile);
+    if (!fs.existsSync(backupDir)) {
+      return { success: true, data: [], error: null };
+    }
+    
+    const backups = fs.readdirSync(backupDir)
+      .map(fileName => ({ fileName, kind: _backupKind(dbFile, fileName) }))
+      .filter(backup => backup.kind)
+      .map(backup => {
+        const stats = fs.statSync(path.join(backupDir, backup.fileName));
+        return { ...backup, createdAt: stats.mtime.toISOString(), bytes: stats.size };
+      })
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+      
+    return {
+      success: true,
+      data: backups,
+      error: null
+    };
+    
+  } catch (error) {
+    logger.error('Failed to list backups', error, 'backups');
+    return {
+      success: false,
+      data: [],
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Delete daily backups beyond the newest DAILY_BACKUPS_KEPT
+ * 
+ * @param {string} dbFile - Database file
+ */
+function _pruneDailyBackups(dbFile) {
+  const backupDir = getBackupDir(dbFile);
+  const daily = fs.readdirSync(backupDir)
+    .filter(fileName => _backupKind(dbFile, fileName) === 'daily')
+    .sort()
+    .reverse();
+    
+  daily.slice(DAILY_BACKUPS_KEPT).forEach(fileName => {
+    fs.unlinkSync(path.join(backupDir, fileName));
+    logger.debug(`Removed old backup ${fileName}`, null, 'backups');
+  });
+}
+
+/**
+ * Copy the database file to today's daily backup (once per day)
+ * 
+ * @param {string} dbFile - Database file
+ * @returns {Object} { success, data: backupFile (null if today's exists), error }
+ */
+function createDailyBackup(dbFile) {
+  try {
+    if (!fs.existsSync(dbFile)) {
+      return { success: true, data: null, error: null };
+    }
+    
+    const backupDir = getBackupDir(dbFile);
+    const today = new Date().toISOString().split('T')[0];
+    const backupFile = path.join(backupDir, `${path.basename(dbFile, '.db')}-${today}.db`);
+    
+    if (fs.existsSync(backupFile)) {
+      return { success: true, data: null, error: null };
+    }
+    
+    if (!fs.existsSync(backupDir)) {
+      fs.mkdirSync(backupDir, { recursive: true });
+    }
+    
+    writeFileAtomic(backupFile, fs.readFileSync(dbFile));
+    _pruneDailyBackups(dbFile);
+    
+    logger.info(`Daily database backup: ${backupFile}`, 'backups');
+    
+    return {
+      success: true,
+      data: backupFile,
+      error: null
+    };
+    
+  } catch (error) {
+    logger.error('Failed to back up database', error, 'backups');
+    return {
+      success: false,
+      data: null,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Copy the database file aside before a restore overwrites it
+ * 
+ * @param {string} dbFile - Database file
+ * @returns {string} Copy's file name
+ */
+function backupBeforeRestore(dbFile) {
+  const backupDir = getBackupDir(dbFile);
+  const stamp = new Date().toISOString().replace(/:/g, '').replace('T', '-').slice(0, 17);
+  const fileName = `${path.basename(dbFile, '.db')}-before-restore-${stamp}.db`;
+  
+  if (!fs.existsSync(backupDir)) {
+    fs.mkdirSync(backupDir, { recursive: true });
+  }
+  writeFileAtomic(path.join(backupDir, fileName), fs.readFileSync(dbFile));
+  
+  return fileName;
+}
+
+module.exports = {
+  getBackupDir,
+  writeFileAtomic,
+  listBackups,
+  createDailyBackup,
+  backupBeforeRestore
+};
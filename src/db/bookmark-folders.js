@@ -0,0 +1,257 @@
+/**
+ * BrainBrief - Bookmark Folders
+ * 
+ * Purpose: Store X Premium bookmark folders, their sync settings and which bookmarks they hold
+ * Dependencies: database.js
+ * 
+ * Folders are found by twitter.discoverBookmarkFolders and extracted by
+ * scheduler.runFolderSync. Folder bookmarks are ordinary rows in bookmarks;
+ * bookmark_folder_items records the membership.
+ * 
+ * @module bookmark-folders
+ */
+
+const logger = require('../utils/logger');
+const db = require('./database');
+
+/**
+ * Turn a bookmark_folders row into the object the app uses
+ * 
+ * @param {Object} row - bookmark_folders row (+ item_count)
+ * @returns {Object} { folderId, name, url, enabled, ownNotebook, lastSyncedAt, itemCount }
+ */
+function _toFolder(row) {
+  return {
+    folderId: row.folder_id,
+    name: row.name,
+    url: row.url,
+    enabled: row.enabled === 1,
+    ownNotebook: row.own_notebook === 1,
+    lastSyncedAt: row.last_synced_at || null,
+    itemCount: row.item_count || 0
+  };
+}
+
+/**
+ * Get bookmark folders
+ * 
+ * @param {Object} options - Query options
+ * @param {boolean} options.enabledOnly - Only folders turned on for syncing
+ * @returns {Promise<Object>} { success, data: folders[], error }
+ */
+async function getBookmarkFolders(options = {}) {
+  try {
+    const { enabledOnly = false } = options;
+    
+    const dbResult = await db.getDatabase();
+    if (!dbResult.success) {
+      return dbResult;
+    }
+    const database = dbResult.data;
+    
+    const stmt = database.prepare(`
+      SELECT f.*, (SELECT COUNT(*) FROM bookmark_folder_items i WHERE i.folder_id = f.folder_id) AS item_count
+      FROM bookmark_folders f
+      ${enabledOnly ? 'WHERE f.enabled = 1' : ''}
+      ORDER BY f.id
+    `);
+    
+    const folders = [];
+    while (stmt.step()) {
+      folders.push(_toFolder(stmt.getAsObject()));
+    }
+    stmt.free();
+    
+    return {
+      success: true,
+      data: folders,
+      error: null
+    };
+    
+  } catch (error) {
+    logger.error('Failed to get bookmark folders', error, 'folders');
+    return {
+      success: false,
+      data: [],
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Save discovered folders (new ones added, renamed ones updated, settings kept)
+ * 
+ * @param {Array<Object>} folders - [{ folderId, name, url }]
+ * @returns {Promise<Object>} { success, data: { found, added }, error }
+ */
+async function saveDiscoveredFolders(folders) {
+  try {
+    const dbResult = await db.getDatabase();
+    if (!dbResult.success) {
+      return dbResult;
+    }
+    const database = dbResult.data;
+    
+    const countStmt = database.prepare('SELECT COUNT(*) AS count FROM bookmark_folders');
+    countStmt.step();
+    const before = countStmt.getAsObject().count;
+    countStmt.free();
+    
+    const stmt = database.prepare(`
+      INSERT INTO bookmark_folders (folder_id, name, url)
+      VALUES (?, ?, ?)
+      ON CONFLICT(folder_id) DO UPDATE SET name = excluded.name, url = excluded.url
+    `);
+    folders.forEach(folder => stmt.run([String(folder.folderId), folder.name, folder.url]));
+    stmt.free();
+    
+    const afterStmt = database.prepare('SELECT COUNT(*) AS count FROM bookmark_folders');
+    afterStmt.step();
+    const added = afterStmt.getAsObject().count - before;
+    afterStmt.free();
+    
+    db.scheduleSave();
+    
+    logger.success(`Saved ${folders.length} bookmark folder(s) (${added} new)`, 'folders');
+    
+    return {
+      success: true,
+      data: { found: folders.length, added },
+      error: null
+    };
+    
+  } catch (error) {
+    logger.error('Failed to save bookmark folders', error, 'folders');
+    return {
+      success: false,
+      data: { found: 0, added: 0 },
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Update which folders are synced and which get their own notebook
+ * 
+ * @param {Array<Object>} folders - [{ folderId, enabled, ownNotebook }]
+ * @returns {Promise<Object>} { success, data: count, error }
+ */
+async function updateFolderSettings(folders) {
+  try {
+    const dbResult = await db.getDatabase();
+    if (!dbResult.success) {
+      return dbResult;
+    }
+    const database = dbResult.data;
+    
+    const stmt = database.prepare('UPDATE bookmark_folders SET enabled = ?, own_notebook = ? WHERE folder_id = ?');
+    folders.forEach(folder => {
+      stmt.run([folder.enabled ? 1 : 0, folder.ownNotebook ? 1 : 0, String(folder.folderId)]);
+    });
+    stmt.free();
+    
+    db.scheduleSave();
+    
+    return {
+      success: true,
+      data: folders.length,
+      error: null
+    };
+    
+  } catch (error) {
+    logger.error('Failed to update bookmark folder settings', error, 'folders');
+    return {
+      success: false,
+      data: 0,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Tweet IDs already recorded in a folder (folder syncs stop at the first one)
+ * 
+ * @param {string} folderId - Folder ID
+ * @returns {Promise<Object>} { success, data: Set(tweetId), error }
+ */
+async function getFolderTweetIds(folderId) {
+  const tweetIds = new Set();
+  
+  try {
+    const dbResult = await db.getDatabase();
+    if (!dbResult.success) {
+      return { success: false, data: tweetIds, error: dbResult.error };
+    }
+    const database = dbResult.data;
+    
+    const stmt = database.prepare('SELECT tweet_id FROM bookmark_folder_items WHERE folder_id = ?');
+    stmt.bind([String(folderId)]);
+    while (stmt.step()) {
+      tweetIds.add(stmt.getAsObject().tweet_id);
+    }
+    stmt.free();
+    
+    return {
+      success: true,
+      data: tweetIds,
+      error: null
+    };
+    
+  } catch (error) {
+    logger.error('Failed to get folder bookmarks', error, 'folders');
+    return {
+      success: false,
+      data: tweetIds,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Record bookmarks found in a folder and mark the folder synced
+ * 
+ * @param {string} folderId - Folder ID
+ * @param {Array<string>} tweetIds - Tweet IDs extracted from the folder
+ * @returns {Promise<Object>} { success, data: addedCount, error }
+ */
+async function recordFolderItems(folderId, tweetIds) {
+  try {
+    const added = await db.transaction(database => {
+      let inserted = 0;
+      const stmt = database.prepare('INSERT OR IGNORE INTO bookmark_folder_items (folder_id, tweet_id) VALUES (?, ?)');
+      tweetIds.forEach(tweetId => {
+        stmt.run([String(folderId), String(tweetId)]);
+        inserted += database.getRowsModified();
+      });
+      stmt.free();
+      
+      const syncedStmt = database.prepare("UPDATE bookmark_folders SET last_synced_at = datetime('now') WHERE folder_id = ?");
+      syncedStmt.run([String(folderId)]);
+      syncedStmt.free();
+      
+      return inserted;
+    });
+    
+    return {
+      success: true,
+      data: added,
+      error: null
+    };
+    
+  } catch (error) {
+    logger.error('Failed to record folder bookmarks', error, 'folders');
+    return {
+      success: false,
+      data: 0,
+      error: error.message
+    };
+  }
+}
+
+module.exports = {
+  getBookmarkFolders,
+  saveDiscoveredFolders,
+  updateFolderSettings,
+  getFolderTweetIds,
+  recordFolderItems
+};
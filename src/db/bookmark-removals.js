@@ -0,0 +1,209 @@
+/**
+ * BrainBrief - Bookmark Removals
+ * 
+ * Purpose: Soft-delete bookmarks that are no longer bookmarked on X (reconciliation syncs)
+ * Dependencies: database.js
+ * 
+ * Incremental syncs stop at the first known tweet, so they never notice a
+ * bookmark the user removed or a tweet that was deleted. A reconciliation sync
+ * (scheduler.runReconcile) walks the whole timeline and marks rows it didn't
+ * see: removed_at is set, deleted says whether the tweet itself is gone. Rows
+ * are kept (with their NotebookLM upload records). A removed bookmark seen
+ * again - re-bookmarked - is restored by the next reconciliation or timeline
+ * sync (saveBookmarks restoreRemoved); archive imports leave the flag alone.
+ * 
+ * @module bookmark-removals
+ */
+
+const logger = require('../utils/logger');
+const db = require('./database');
+
+/**
+ * Find bookmarks missing from the bookmarks timeline
+ * 
+ * @param {Array<string>} seenTweetIds - Every tweet ID the timeline showed
+ * @returns {Promise<Object>} { success, data: { missing: [{ tweet_id, author, url }], activeCount }, error }
+ */
+async function getMissingBookmarks(seenTweetIds) {
+  try {
+    const dbResult = await db.getDatabase();
+    if (!dbResult.success) {
+      return dbResult;
+    }
+    const database = dbResult.data;
+    
+    const seen = new Set(seenTweetIds);
+    const stmt = database.prepare('SELECT tweet_id, author, url FROM bookmarks WHERE removed_at IS NULL');
+    
+    const missing = [];
+    let activeCount = 0;
+    while (stmt.step()) {
+      const row = stmt.getAsObject();
+      activeCount++;
+      if (!seen.has(row.tweet_id)) {
+        missing.push(row);
+      }
+    }
+    stmt.free();
+    
+    return {
+      success: true,
+      data: { missing, activeCount },
+      error: null
+    };
+    
+  } catch (error) {
+    logger.error('Failed to find missing bookmarks', error, 'removals');
+    return {
+      success: false,
+      data: { missing: [], activeCount: 0 },
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Mark bookmarks as removed on X
+ * 
+ * @param {Array<Object>} removals - [{ tweetId, deleted }] (deleted: true, false or null = not checked)
+ * @returns {Promise<Object>} { success, data: markedCount, error }
+ */
+async function markBookmarksRemoved(removals) {
+  try {
+    const removedAt = new Date().toISOString();
+    
+    const marked = await db.transaction(database => {
+      const stmt = database.prepare(`
+        UPDATE bookmarks SET removed_at = ?, deleted = ?
+        WHERE tweet_id = ? AND removed_at IS NULL
+      `);
+      
+      let updated = 0;
+      for (const { tweetId, deleted } of removals) {
+        stmt.run([removedAt, deleted === null ? null : (deleted ? 1 : 0), tweetId]);
+        updated += database.getRowsModified();
+      }
+      stmt.free();
+      return updated;
+    });
+    
+    if (marked > 0) {
+      logger.info(`Marked ${marked} bookmarks as removed on X`, 'removals');
+    }
+    
+    return {
+      success: true,
+      data: marked,
+      error: null
+    };
+    
+  } catch (error) {
+    logger.error('Failed to mark removed bookmarks', error, 'removals');
+    return {
+      success: false,
+      data: 0,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Restore removed bookmarks that are back in the bookmarks timeline
+ * 
+ * @param {Array<string>} seenTweetIds - Every tweet ID the timeline showed
+ * @returns {Promise<Object>} { success, data: restoredCount, error }
+ */
+async function restoreBookmarks(seenTweetIds) {
+  try {
+    const seen = new Set(seenTweetIds);
+    
+    const restored = await db.transaction(database => {
+      const removedStmt = database.prepare('SELECT tweet_id FROM bookmarks WHERE removed_at IS NOT NULL');
+      const back = [];
+      while (removedStmt.step()) {
+        const tweetId = removedStmt.getAsObject().tweet_id;
+        if (seen.has(tweetId)) {
+          back.push(tweetId);
+        }
+      }
+      removedStmt.free();
+      
+      const stmt = database.prepare('UPDATE bookmarks SET removed_at = NULL, deleted = NULL WHERE tweet_id = ?');
+      back.forEach(tweetId => stmt.run([tweetId]));
+      stmt.free();
+      return back.length;
+    });
+    
+    if (restored > 0) {
+      logger.info(`Restored ${restored} bookmarks that are bookmarked on X again`, 'removals');
+    }
+    
+    return {
+      success: true,
+      data: restored,
+      error: null
+    };
+    
+  } catch (error) {
+    logger.error('Failed to restore bookmarks', error, 'removals');
+    return {
+      success: false,
+      data: 0,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Get bookmarks removed on X, most recently removed first
+ * 
+ * @param {Object} options - Query options
+ * @param {number} options.limit - Max rows (-1 = no limit)
+ * @returns {Promise<Object>} { success, data: bookmarks[], error }
+ */
+async function getRemovedBookmarks(options = {}) {
+  try {
+    const { limit = 100 } = options;
+    
+    const dbResult = await db.getDatabase();
+    if (!dbResult.success) {
+      return dbResult;
+    }
+    const database = dbResult.data;
+    
+    const stmt = database.prepare(`
+      SELECT * FROM bookmarks
+      WHERE removed_at IS NOT NULL
+      ORDER BY removed_at DESC, timestamp DESC
+      LIMIT ?
+    `);
+    stmt.bind([limit]);
+    
+    const bookmarks = [];
+    while (stmt.step()) {
+      bookmarks.push(db.deserializeBookmark(stmt.getAsObject()));
+    }
+    stmt.free();
+    
+    return {
+      success: true,
+      data: bookmarks,
+      error: null
+    };
+    
+  } catch (error) {
+    logger.error('Failed to get removed bookmarks', error, 'removals');
+    return {
+      success: false,
+      data: [],
+      error: error.message
+    };
+  }
+}
+
+module.exports = {
+  getMissingBookmarks,
+  markBookmarksRemoved,
+  restoreBookmarks,
+  getRemovedBookmarks
+};
@@ -0,0 +1,203 @@
+/**
+ * BrainBrief - Bookmark Upload Tracking
+ * 
+ * Purpose: Map each bookmark to the source file and notebook that carried it to NotebookLM
+ * Dependencies: database.js
+ * 
+ * Rows are written as 'queued' when the bookmark file is created and flipped to
+ * 'delivered' once the file upload succeeds (directly or from the retry queue).
+ * Undelivered bookmarks: database.getBookmarks({ undeliveredOnly: true }).
+ * 
+ * @module bookmark-uploads
+ */
+
+const logger = require('../utils/logger');
+const db = require('./database');
+
+/**
+ * Record which bookmarks went into a file about to be uploaded
+ * 
+ * @param {Object} upload - Upload details
+ * @param {Array<Object>} upload.bookmarks - Bookmarks in the file (extractor objects or DB rows)
+ * @param {string} upload.fileName - File name
+ * @param {string} upload.filePath - Local path to file
+ * @param {string} upload.notebookName - Target notebook
+ * @param {number} upload.notebookId - Tracker notebook ID (may be null)
+ * @returns {Promise<Object>} { success, data: recorded, error }
+ */
+async function recordFileBookmarks(upload) {
+  try {
+    const recorded = await db.transaction(database => {
+      const stmt = database.prepare(`
+        INSERT OR IGNORE INTO bookmark_uploads (tweet_id, notebook_name, notebook_id, file_name, file_path, status)
+        VALUES (?, ?, ?, ?, ?, 'queued')
+      `);
+      
+      let inserted = 0;
+      for (const bookmark of upload.bookmarks) {
+        // DB rows carry tweet_id (their id is the row ID); extractor objects carry id
+        stmt.run([
+          String(bookmark.tweet_id || bookmark.id),
+          upload.notebookName,
+          upload.notebookId || null,
+          upload.fileName,
+          upload.filePath
+        ]);
+        inserted += database.getRowsModified();
+      }
+      stmt.free();
+      
+      return inserted;
+    });
+    
+    logger.debug(`Tracking ${recorded} bookmarks in ${upload.fileName}`, null, 'uploads');
+    
+    return {
+      success: true,
+      data: recorded,
+      error: null
+    };
+    
+  } catch (error) {
+    logger.error('Failed to record bookmark uploads', error, 'uploads');
+    return {
+      success: false,
+      data: 0,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Mark every bookmark in a file as delivered
+ * 
+ * @param {string} filePath - Uploaded file
+ * @param {number} sourceId - uploaded_sources row (null if not tracked)
+ * @returns {Promise<Object>} { success, data: delivered, error }
+ */
+async function markFileDelivered(filePath, sourceId = null) {
+  try {
+    const dbResult = await db.getDatabase();
+    if (!dbResult.success) {
+      return dbResult;
+    }
+    const database = dbResult.data;
+    
+    const stmt = database.prepare(`
+      UPDATE bookmark_uploads
+      SET status = 'delivered', source_id = ?, delivered_at = datetime('now')
+      WHERE file_path = ?
+    `);
+    stmt.run([sourceId, filePath]);
+    stmt.free();
+    const delivered = database.getRowsModified();
+    
+    db.scheduleSave();
+    
+    if (delivered > 0) {
+      logger.success(`Marked ${delivered} bookmarks as delivered`, 'uploads');
+    }
+    
+    return {
+      success: true,
+      data: delivered,
+      error: null
+    };
+    
+  } catch (error) {
+    logger.error('Failed to mark bookmarks delivered', error, 'uploads');
+    return {
+      success: false,
+      data: 0,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Forget a file that will never be uploaded (its bookmarks become undelivered again)
+ * 
+ * @param {string} filePath - Dropped file
+ * @returns {Promise<Object>} { success, data: removed, error }
+ */
+async function removeFileBookmarks(filePath) {
+  try {
+    const dbResult = await db.getDatabase();
+    if (!dbResult.success) {
+      return dbResult;
+    }
+    const database = dbResult.data;
+    
+    const stmt = database.prepare("DELETE FROM bookmark_uploads WHERE file_path = ? AND status = 'queued'");
+    stmt.run([filePath]);
+    stmt.free();
+    const removed = database.getRowsModified();
+    
+    db.scheduleSave();
+    
+    return {
+      success: true,
+      data: removed,
+      error: null
+    };
+    
+  } catch (error) {
+    logger.error('Failed to remove bookmark uploads', error, 'uploads');
+    return {
+      success: false,
+      data: 0,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Which notebooks/files contain a tweet
+ * 
+ * @param {string} tweetId - Tweet ID
+ * @returns {Promise<Object>} { success, data: [{ notebook_name, file_name, status, delivered_at }], error }
+ */
+async function getBookmarkUploads(tweetId) {
+  try {
+    const dbResult = await db.getDatabase();
+    if (!dbResult.success) {
+      return dbResult;
+    }
+    const database = dbResult.data;
+    
+    const stmt = database.prepare(`
+      SELECT notebook_name, notebook_id, file_name, file_path, status, created_at, delivered_at
+      FROM bookmark_uploads
+      WHERE tweet_id = ?
+      ORDER BY created_at
+    `);
+    stmt.bind([String(tweetId)]);
+    
+    const uploads = [];
+    while (stmt.step()) {
+      uploads.push(stmt.getAsObject());
+    }
+    stmt.free();
+    
+    return {
+      success: true,
+      data: uploads,
+      error: null
+    };
+    
+  } catch (error) {
+    logger.error('Failed to get bookmark uploads', error, 'uploads');
+    return {
+      success: false,
+      data: [],
+      error: error.message
+    };
+  }
+}
+
+module.exports = {
+  recordFileBookmarks,
+  markFileDelivered,
+  removeFileBookmarks,
+  getBookmarkUploads
+};
@@ -0,0 +1,135 @@
+/**
+ * BrainBrief - Database Write Benchmark
+ * 
+ * Purpose: Time saving 5,000 bookmarks, batched vs. one save to disk per bookmark
+ * Dependencies: database.js, sql.js
+ * 
+ * Writes to database files in a temp directory (never data/brainbrief.db).
+ * The per-bookmark run is how saves worked before batching: every bookmark
+ * exported and rewrote the whole file. It is slow, so it saves a sample into a
+ * copy of the batched database (the cost per save grows with the file).
+ * 
+ * Run with: npm run bench:db [-- --count=5000 --baseline=500]
+ * 
+ * @module database.bench
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const logger = require('../utils/logger');
+const db = require('./database');
+
+// Defaults
+const DEFAULT_COUNT = 5000;
+const DEFAULT_BASELINE_COUNT = 500;
+
+/**
+ * Read a --name=value number argument
+ * 
+ * @param {string} name - Argument name
+ * @param {number} fallback - Default value
+ * @returns {number} Value
+ */
+function _numberArg(name, fallback) {
+  const arg = process.argv.find(a => a.startsWith(`--${name}=`));
+  const value = arg ? parseInt(arg.split('=')[1], 10) : NaN;
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Build bookmarks in extractor format
+ * 
+ * @param {number} count - How many
+ * @param {number} offset - First tweet number (keeps IDs unique across runs)
+ * @returns {Array<Object>} Bookmarks
+ */
+function _bookmarks(count, offset = 0) {
+  const scrapedAt = new Date().toISOString();
+  return Array.from({ length: count }, (_, i) => {
+    const id = String(1800000000000000000n + BigInt(offset + i));
+    return {
+      id,
+      author: `author${(offset + i) % 200}`,
+      text: `Benchmark bookmark ${offset + i}: `.padEnd(240, 'lorem ipsum dolor sit amet '),
+      url: `https://x.com/author${(offset + i) % 200}/status/${id}`,
+      timestamp: new Date(Date.now() - (offset + i) * 60000).toISOString(),
+      scraped_at: scrapedAt,
+      embedded: {
+        imageUrls: i % 3 === 0 ? [`https://pbs.twimg.com/media/bench${offset + i}.jpg`] : [],
+        youtubeUrls: i % 10 === 0 ? [`https://www.youtube.com/watch?v=bench${offset + i}`] : []
+      }
+    };
+  });
+}
+
+/**
+ * Open a database file
+ * 
+ * @param {string} dbFile - File to open (created if missing)
+ */
+async function _openDatabase(dbFile) {
+  await db.closeDatabase();
+  const result = await db.initDatabase({ dbFile });
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+}
+
+/**
+ * Run the benchmark
+ */
+async function runBenchmark() {
+  const count = _numberArg('count', DEFAULT_COUNT);
+  const baselineCount = _numberArg('baseline', DEFAULT_BASELINE_COUNT);
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'brainbrief-bench-'));
+  
+  try {
+    // Batched: one transaction, one save
+    const batchedFile = path.join(tmpDir, 'batched.db');
+    await _openDatabase(batchedFile);
+    
+    const batchedStart = process.hrtime.bigint();
+    const saveResult = await db.saveBookmarks(_bookmarks(count));
+    db.flush();
+    const batchedMs = Number(process.hrtime.bigint() - batchedStart) / 1e6;
+    
+    if (!saveResult.success || saveResult.data.saved !== count) {
+      throw new Error(`Batched save stored ${saveResult.data?.saved || 0}/${count} bookmarks`);
+    }
+    
+    // One save to disk per bookmark (sample, added after the batch)
+    let baselineMs = 0;
+    if (baselineCount > 0) {
+      const baselineFile = path.join(tmpDir, 'per-bookmark.db');
+      await db.closeDatabase();
+      fs.copyFileSync(batchedFile, baselineFile);
+      await _openDatabase(baselineFile);
+      
+      const baselineStart = process.hrtime.bigint();
+      for (const bookmark of _bookmarks(baselineCount, count)) {
+        await db.saveBookmark(bookmark);
+        db.saveToFile();
+      }
+      baselineMs = Number(process.hrtime.bigint() - baselineStart) / 1e6;
+    }
+    
+    await db.closeDatabase();
+    
+    const sizeMb = fs.statSync(batchedFile).size / (1024 * 1024);
+    logger.success(`Batched: ${count} bookmarks in ${batchedMs.toFixed(0)} ms (${(batchedMs / count).toFixed(2)} ms each, ${sizeMb.toFixed(1)} MB file)`, 'bench');
+    if (baselineCount > 0) {
+      const eachMs = baselineMs / baselineCount;
+      logger.info(`One save per bookmark: ${baselineCount} more bookmarks in ${baselineMs.toFixed(0)} ms (${eachMs.toFixed(2)} ms each at this size, ~${(eachMs * count / 1000).toFixed(0)} s for ${count})`, 'bench');
+    }
+    
+  } catch (error) {
+    logger.error('Benchmark failed', error, 'bench');
+    process.exitCode = 1;
+    
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+runBenchmark();
@@ -2,7 +2,7 @@
  * BrainBrief - Database Module (sql.js version)
  * 
  * Purpose: SQLite database operations using sql.js (pure JavaScript, no native compilation)
- * Dependencies: sql.js, fs, path
+ * Dependencies: sql.js, fs, path, migrator.js (schema in src/db/migrations/)
  * 
  * @module database
  */
@@ -11,15 +11,36 @@ const initSqlJs = require('sql.js');
 const fs = require('fs');
 const path = require('path');
 const logger = require('../utils/logger');
+const migrator = require('./migrator');
+const backups = require('./backups');
 
 // Configuration
 const DB_DIR = path.join(__dirname, '../../data');
 const DB_FILE = path.join(DB_DIR, 'brainbrief.db');
-const SCHEMA_FILE = path.join(__dirname, 'schema.sql');
+const LISTS_CONFIG_FILE = path.join(__dirname, '../../lists-config.json');
+
+// Writes are saved to disk at most this often (each save exports the whole database)
+const SAVE_DELAY_MS = 1000;
+
+// Bookmark not (yet) in NotebookLM: no delivered upload, and no upload still in the retry queue
+const UNDELIVERED_CONDITION = `NOT EXISTS (
+  SELECT 1 FROM bookmark_uploads bu
+  WHERE bu.tweet_id = bookmarks.tweet_id
+    AND (bu.status = 'delivered' OR bu.file_path IN (SELECT target FROM upload_queue))
+)`;
+
+// Bookmark with its text (archive imports can list a tweet ID only until a timeline sync sees it)
+const ENRICHED_CONDITION = 'needs_enrichment IS NULL';
 
 // Singleton database instance
 let SQL = null;
 let db = null;
+let inMemory = false; // Tests: never read or written to DB_FILE
+let dbFile = DB_FILE; // options.dbFile (benchmarks)
+let transactionDepth = 0; // Open transaction() levels (savepoints)
+let saveTimer = null; // Pending scheduleSave()
+let unsavedChanges = false;
+let exitHandlerInstalled = false;
 
 /**
  * Initialize sql.js engine
@@ -50,7 +71,8 @@ async function initEngine() {
 }
 
 /**
- * Save database to disk
+ * Save database to disk now
+ * Inside a transaction the save is left to the transaction (export() would end it).
  * 
  * @returns {Object} { success, data: null, error }
  */
@@ -60,15 +82,35 @@ function saveToFile() {
       return { success: false, data: null, error: 'Database not initialized' };
     }
     
+    if (saveTimer) {
+      clearTimeout(saveTimer);
+      saveTimer = null;
+    }
+    
+    if (inMemory) {
+      unsavedChanges = false;
+      return { success: true, data: null, error: null };
+    }
+    
+    if (transactionDepth > 0) {
+      unsavedChanges = true;
+      return { success: true, data: null, error: null };
+    }
+    
     // Create directory if it doesn't exist
-    if (!fs.existsSync(DB_DIR)) {
-      fs.mkdirSync(DB_DIR, { recursive: true });
+    const dbDir = path.dirname(dbFile);
+    if (!fs.existsSync(dbDir)) {
+      fs.mkdirSync(dbDir, { recursive: true });
     }
     
-    // Export database to file
+    // First save of the day keeps a copy of the file as it was (failures are logged, not fatal)
+    backups.createDailyBackup(dbFile);
+    
+    // Export database to file (temp file + rename: a crash never leaves half a database)
     const data = db.export();
     const buffer = Buffer.from(data);
-    fs.writeFileSync(DB_FILE, buffer);
+    backups.writeFileAtomic(dbFile, buffer);
+    unsavedChanges = false;
     
     return {
       success: true,
@@ -86,12 +128,171 @@ function saveToFile() {
   }
 }
 
+/**
+ * Save database to disk soon
+ * Writes within SAVE_DELAY_MS of each other share one save; flush() (on quit and
+ * process exit) writes whatever is still pending.
+ */
+function scheduleSave() {
+  unsavedChanges = true;
+  if (saveTimer || inMemory) {
+    return;
+  }
+  
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    saveToFile();
+  }, SAVE_DELAY_MS);
+  
+  // A pending save doesn't keep CLI scripts running (the exit handler flushes it)
+  saveTimer.unref();
+}
+
+/**
+ * Write pending changes to disk now (no-op if everything is saved)
+ * 
+ * @returns {Object} { success, data: null, error }
+ */
+function flush() {
+  if (!unsavedChanges) {
+    return { success: true, data: null, error: null };
+  }
+  return saveToFile();
+}
+
+/**
+ * Name of this process for the lock file
+ * 
+ * @returns {string} 'BrainBrief app' or the CLI script
+ */
+function _processName() {
+  if (process.versions.electron) {
+    return 'the BrainBrief app';
+  }
+  return `${path.basename(process.argv[1] || 'node')} (CLI)`;
+}
+
+/**
+ * Check whether a process is still running
+ * 
+ * @param {number} pid - Process ID
+ * @returns {boolean} True if running
+ */
+function _isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM'; // Running, owned by another user
+  }
+}
+
+/**
+ * Take the database lock (<dbFile>.lock) for this process
+ * 
+ * Every process (the Electron app, each CLI script) works on its own in-memory
+ * copy and saves the whole file, so two at once would overwrite each other's
+ * changes. The lock is held until closeDatabase() or exit; one left behind by a
+ * process that no longer runs is taken over.
+ */
+function _acquireLock() {
+  const lockFile = `${dbFile}.lock`;
+  const owner = JSON.stringify({ pid: process.pid, name: _processName(), since: new Date().toISOString() });
+  
+  try {
+    fs.writeFileSync(lockFile, owner, { flag: 'wx' });
+    return;
+  } catch (error) {
+    if (error.code !== 'EEXIST') {
+      throw error;
+    }
+  }
+  
+  let holder = null;
+  try {
+    holder = JSON.parse(fs.readFileSync(lockFile, 'utf-8'));
+  } catch (e) { /* unreadable lock: treat as stale */ }
+  
+  if (holder && holder.pid === process.pid) {
+    return;
+  }
+  if (holder && _isRunning(holder.pid)) {
+    throw new Error(`The database is in use by ${holder.name} (pid ${holder.pid}). Quit it or wait for it to finish, then try again.`);
+  }
+  
+  logger.warn(`Taking over database lock left by ${holder ? `pid ${holder.pid}` : 'an unknown process'}`, 'db');
+  fs.unlinkSync(lockFile);
+  fs.writeFileSync(lockFile, owner, { flag: 'wx' });
+}
+
+/**
+ * Release the database lock if this process holds it
+ */
+function _releaseLock() {
+  const lockFile = `${dbFile}.lock`;
+  try {
+    const holder = JSON.parse(fs.readFileSync(lockFile, 'utf-8'));
+    if (holder.pid === process.pid) {
+      fs.unlinkSync(lockFile);
+    }
+  } catch (e) { /* no lock to release */ }
+}
+
+/**
+ * Run writes as one transaction (nested calls become savepoints)
+ * 
+ * @param {Object} database - sql.js Database
+ * @param {Function} work - (database) => result, synchronous
+ * @returns {*} work's result
+ */
+function _inTransaction(database, work) {
+  const savepoint = `write_${transactionDepth}`;
+  database.run(`SAVEPOINT ${savepoint}`);
+  transactionDepth++;
+  
+  try {
+    const result = work(database);
+    database.run(`RELEASE ${savepoint}`);
+    return result;
+  } catch (error) {
+    database.run(`ROLLBACK TO ${savepoint}`);
+    database.run(`RELEASE ${savepoint}`);
+    throw error;
+  } finally {
+    transactionDepth--;
+    if (transactionDepth === 0) {
+      scheduleSave();
+    }
+  }
+}
+
+/**
+ * Run a batch of writes in a single transaction, then schedule one save
+ * 
+ * work must be synchronous (no await): sql.js has one connection, so anything
+ * else awaiting in between would run inside this transaction. If work throws,
+ * all of its writes are rolled back and the error is rethrown.
+ * 
+ * @param {Function} work - (database) => result
+ * @returns {Promise<*>} work's result
+ */
+async function transaction(work) {
+  const dbResult = await getDatabase();
+  if (!dbResult.success) {
+    throw new Error(dbResult.error);
+  }
+  return _inTransaction(dbResult.data, work);
+}
+
 /**
  * Initialize database and create tables
  * 
+ * @param {Object} options - Init options
+ * @param {boolean} options.inMemory - Fresh in-memory database, never saved (tests)
+ * @param {string} options.dbFile - Database file (default data/brainbrief.db; benchmarks)
  * @returns {Promise<Object>} { success, data: db, error }
  */
-async function initDatabase() {
+async function initDatabase(options = {}) {
   try {
     logger.info('Initializing database (sql.js)', 'db');
     
@@ -101,28 +302,75 @@ async function initDatabase() {
       logger.debug('sql.js engine initialized', null, 'db');
     }
     
+    // Re-initializing reloads from disk, so write what the open database hasn't saved yet
+    if (db) {
+      flush();
+      
+      // Switching to another file (or to memory) gives up the lock on this one
+      if (!inMemory && (options.inMemory || (options.dbFile || DB_FILE) !== dbFile)) {
+        _releaseLock();
+      }
+    }
+    
+    inMemory = !!options.inMemory;
+    dbFile = options.dbFile || DB_FILE;
+    
     // Create data directory if it doesn't exist
-    if (!fs.existsSync(DB_DIR)) {
-      fs.mkdirSync(DB_DIR, { recursive: true });
-      logger.debug('Created data directory', DB_DIR, 'db');
+    if (!inMemory && !fs.existsSync(path.dirname(dbFile))) {
+      fs.mkdirSync(path.dirname(dbFile), { recursive: true });
+      logger.debug('Created data directory', path.dirname(dbFile), 'db');
+    }
+    
+    // One process at a time (CLI scripts and the Electron app)
+    if (!inMemory) {
+      _acquireLock();
     }
     
     // Load existing database or create new one
-    if (fs.existsSync(DB_FILE)) {
-      const buffer = fs.readFileSync(DB_FILE);
+    if (inMemory) {
+      db = new SQL.Database();
+      logger.debug('In-memory database created', null, 'db');
+    } else if (fs.existsSync(dbFile)) {
+      const buffer = fs.readFileSync(dbFile);
       db = new SQL.Database(buffer);
-      logger.success(`Database loaded: ${DB_FILE}`, 'db');
+      logger.success(`Database loaded: ${dbFile}`, 'db');
     } else {
       db = new SQL.Database();
       logger.success('New database created', 'db');
     }
     
-    // Read and execute schema
-    const schema = fs.readFileSync(SCHEMA_FILE, 'utf-8');
-    db.exec(schema);
+    // Bring the schema up to date (creates it in a new database)
+    // (lists-config.json belongs to data/brainbrief.db, not to other files)
+    const migration = await migrator.migrate(db, {
+      dbFile: inMemory ? null : dbFile,
+      listsConfigFile: inMemory || dbFile !== DB_FILE ? null : LISTS_CONFIG_FILE
+    });
     
-    // Save to file
-    saveToFile();
+    // Migrations that did apply are kept, even if a later one failed
+    if (migration.data.applied.length > 0) {
+      saveToFile();
+    }
+    
+    if (!migration.success) {
+      db = null;
+      if (!inMemory) {
+        _releaseLock();
+      }
+      return {
+        success: false,
+        data: null,
+        error: migration.error
+      };
+    }
+    
+    // Changes still waiting for the save timer are written when the process ends
+    if (!inMemory && !exitHandlerInstalled) {
+      process.on('exit', () => {
+        flush();
+        _releaseLock();
+      });
+      exitHandlerInstalled = true;
+    }
     
     logger.success('Database schema initialized', 'db');
     
@@ -173,73 +421,199 @@ async function getDatabase() {
   }
 }
 
+/**
+ * Write a bookmark with its links and thread (caller runs it in a transaction)
+ * 
+ * @param {Object} database - sql.js Database
+ * @param {Object} bookmark - Bookmark data
+ * @param {Object} options - Save options (restoreRemoved, see saveBookmark)
+ */
+function _saveBookmark(database, bookmark, options = {}) {
+  // Serialize embedded content to JSON
+  const youtubeUrls = bookmark.embedded?.youtubeUrls ? JSON.stringify(bookmark.embedded.youtubeUrls) : null;
+  const imageUrls = bookmark.embedded?.imageUrls ? JSON.stringify(bookmark.embedded.imageUrls) : null;
+  const imageAlts = bookmark.embedded?.imageAlts ? JSON.stringify(bookmark.embedded.imageAlts) : null;
+  const videoUrls = bookmark.embedded?.videoUrls ? JSON.stringify(bookmark.embedded.videoUrls) : null;
+  const quotedTweet = bookmark.embedded?.quotedTweet ? JSON.stringify(bookmark.embedded.quotedTweet) : null;
+  
+  // Insert or replace bookmark (upsert) with embedded content
+  const stmt = database.prepare(`
+    INSERT INTO bookmarks (
+      tweet_id, author, text, url, timestamp, scraped_at,
+      youtube_urls, image_urls, video_urls, quoted_tweet,
+      is_long_form, text_truncated, image_alts, needs_enrichment
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(tweet_id) DO UPDATE SET
+      author = excluded.author,
+      text = excluded.text,
+      url = excluded.url,
+      timestamp = excluded.timestamp,
+      scraped_at = excluded.scraped_at,
+      youtube_urls = excluded.youtube_urls,
+      image_urls = excluded.image_urls,
+      video_urls = excluded.video_urls,
+      quoted_tweet = excluded.quoted_tweet,
+      is_long_form = excluded.is_long_form,
+      text_truncated = excluded.text_truncated,
+      image_alts = excluded.image_alts,
+      needs_enrichment = excluded.needs_enrichment
+  `);
+  
+  stmt.run([
+    bookmark.id,
+    bookmark.author,
+    bookmark.text,
+    bookmark.url,
+    bookmark.timestamp,
+    bookmark.scraped_at,
+    youtubeUrls,
+    imageUrls,
+    videoUrls,
+    quotedTweet,
+    bookmark.isLongForm ? 1 : 0,
+    bookmark.textTruncated ? 1 : 0,
+    imageAlts,
+    bookmark.needsEnrichment ? 1 : null
+  ]);
+  
+  stmt.free();
+  
+  // Only a timeline sync proves it's bookmarked again (imports and re-saves leave the flag alone)
+  if (options.restoreRemoved) {
+    database.run('UPDATE bookmarks SET removed_at = NULL, deleted = NULL WHERE tweet_id = ?', [bookmark.id]);
+  }
+  
+  // Outbound links (expanded/classified by url-sources.resolveLinks)
+  if (bookmark.embedded?.links) {
+    _saveLinks(database, bookmark.id, bookmark.embedded.links);
+  }
+  
+  // Save captured thread (if this bookmark is part of one)
+  if (bookmark.thread) {
+    try {
+      _inTransaction(database, () => _saveThread(database, bookmark.thread));
+    } catch (error) {
+      logger.warn(`Failed to save thread for bookmark ${bookmark.id}: ${error.message}`, 'db');
+    }
+  }
+}
+
 /**
  * Save a bookmark to database
  * 
  * @param {Object} bookmark - Bookmark data
+ * @param {Object} options - Save options
+ * @param {boolean} options.restoreRemoved - It was just seen in the bookmarks timeline: clear a removed flag (bookmark-removals.js)
  * @returns {Promise<Object>} { success, data: insertedId, error }
  */
-async function saveBookmark(bookmark) {
+async function saveBookmark(bookmark, options = {}) {
   try {
-    const dbResult = await getDatabase();
-    if (!dbResult.success) {
-      return dbResult;
-    }
-    const database = dbResult.data;
+    await transaction(database => _saveBookmark(database, bookmark, options));
     
-    // Serialize embedded content to JSON
-    const youtubeUrls = bookmark.embedded?.youtubeUrls ? JSON.stringify(bookmark.embedded.youtubeUrls) : null;
-    const imageUrls = bookmark.embedded?.imageUrls ? JSON.stringify(bookmark.embedded.imageUrls) : null;
-    const videoUrls = bookmark.embedded?.videoUrls ? JSON.stringify(bookmark.embedded.videoUrls) : null;
-    const quotedTweet = bookmark.embedded?.quotedTweet ? JSON.stringify(bookmark.embedded.quotedTweet) : null;
+    logger.debug(`Saved bookmark: ${bookmark.id}`, null, 'db');
     
-    // Insert or replace bookmark (upsert) with embedded content
-    const stmt = database.prepare(`
-      INSERT INTO bookmarks (
-        tweet_id, author, text, url, timestamp, scraped_at,
-        youtube_urls, image_urls, video_urls, quoted_tweet
-      )
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-      ON CONFLICT(tweet_id) DO UPDATE SET
-        author = excluded.author,
-        text = excluded.text,
-        url = excluded.url,
-        timestamp = excluded.timestamp,
-        scraped_at = excluded.scraped_at,
-        youtube_urls = excluded.youtube_urls,
-        image_urls = excluded.image_urls,
-        video_urls = excluded.video_urls,
-        quoted_tweet = excluded.quoted_tweet
-    `);
+    return {
+      success: true,
+      data: 1, // sql.js doesn't return lastInsertRowid easily, just return 1
+      error: null
+    };
     
-    stmt.run([
-      bookmark.id,
-      bookmark.author,
-      bookmark.text,
-      bookmark.url,
-      bookmark.timestamp,
-      bookmark.scraped_at,
-      youtubeUrls,
-      imageUrls,
-      videoUrls,
-      quotedTweet
+  } catch (error) {
+    logger.error('Failed to save bookmark', error, 'db');
+    return {
+      success: false,
+      data: null,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Write a captured thread (caller runs it in a transaction)
+ * 
+ * @param {Object} database - sql.js Database
+ * @param {Object} thread - Thread from twitter.extractThread
+ * @returns {number} Thread ID
+ */
+function _saveThread(database, thread) {
+  if (!thread || !thread.rootTweetId || !Array.isArray(thread.tweets)) {
+    throw new Error('thread with rootTweetId and tweets is required');
+  }
+  
+  const threadStmt = database.prepare(`
+    INSERT INTO threads (root_tweet_id, author, author_handle, tweet_count, captured_at)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(root_tweet_id) DO UPDATE SET
+      author = excluded.author,
+      author_handle = excluded.author_handle,
+      tweet_count = excluded.tweet_count,
+      captured_at = excluded.captured_at
+  `);
+  threadStmt.run([
+    thread.rootTweetId,
+    thread.author,
+    thread.authorHandle || null,
+    thread.tweets.length,
+    new Date().toISOString()
+  ]);
+  threadStmt.free();
+  
+  const idStmt = database.prepare('SELECT id FROM threads WHERE root_tweet_id = ?');
+  idStmt.bind([thread.rootTweetId]);
+  idStmt.step();
+  const threadId = idStmt.getAsObject().id;
+  idStmt.free();
+  
+  // Re-captures may be longer (author kept replying), so replace all tweets
+  const deleteStmt = database.prepare('DELETE FROM thread_tweets WHERE thread_id = ?');
+  deleteStmt.run([threadId]);
+  deleteStmt.free();
+  
+  const tweetStmt = database.prepare(`
+    INSERT INTO thread_tweets (thread_id, position, tweet_id, text, url, timestamp, embedded)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+  thread.tweets.forEach((tweet, position) => {
+    tweetStmt.run([
+      threadId,
+      position,
+      tweet.id,
+      tweet.text || '',
+      tweet.url,
+      tweet.timestamp || null,
+      tweet.embedded ? JSON.stringify(tweet.embedded) : null
     ]);
+  });
+  tweetStmt.free();
+  
+  return threadId;
+}
+
+/**
+ * Save a captured thread (replaces previously captured tweets for same root)
+ * 
+ * @param {Object} thread - Thread from twitter.extractThread
+ * @param {string} thread.rootTweetId - First tweet ID
+ * @param {string} thread.author - Author display name
+ * @param {string} thread.authorHandle - Author @handle
+ * @param {Array<Object>} thread.tweets - Ordered tweets { id, text, url, timestamp, embedded }
+ * @returns {Promise<Object>} { success, data: threadId, error }
+ */
+async function saveThread(thread) {
+  try {
+    const threadId = await transaction(database => _saveThread(database, thread));
     
-    stmt.free();
-    
-    // Save to file after every insert
-    saveToFile();
-    
-    logger.debug(`Saved bookmark: ${bookmark.id}`, null, 'db');
+    logger.debug(`Saved thread ${thread.rootTweetId} (${thread.tweets.length} tweets)`, null, 'db');
     
     return {
       success: true,
-      data: 1, // sql.js doesn't return lastInsertRowid easily, just return 1
+      data: threadId,
       error: null
     };
     
   } catch (error) {
-    logger.error('Failed to save bookmark', error, 'db');
+    logger.error('Failed to save thread', error, 'db');
     return {
       success: false,
       data: null,
@@ -248,39 +622,131 @@ async function saveBookmark(bookmark) {
   }
 }
 
+/**
+ * Attach captured threads to bookmark rows (in place)
+ * 
+ * @param {Object} database - sql.js Database
+ * @param {Array<Object>} bookmarks - Deserialized bookmark rows
+ */
+function _attachThreads(database, bookmarks) {
+  if (bookmarks.length === 0) {
+    return;
+  }
+  
+  const placeholders = bookmarks.map(() => '?').join(', ');
+  const stmt = database.prepare(`
+    SELECT
+      member.tweet_id AS bookmark_tweet_id,
+      t.root_tweet_id, t.author, t.author_handle,
+      tt.tweet_id, tt.position, tt.text, tt.url, tt.timestamp, tt.embedded
+    FROM thread_tweets member
+    JOIN threads t ON t.id = member.thread_id
+    JOIN thread_tweets tt ON tt.thread_id = t.id
+    WHERE member.tweet_id IN (${placeholders})
+    ORDER BY tt.position
+  `);
+  stmt.bind(bookmarks.map(b => b.tweet_id));
+  
+  const threadsByTweet = {};
+  while (stmt.step()) {
+    const row = stmt.getAsObject();
+    const thread = threadsByTweet[row.bookmark_tweet_id] = threadsByTweet[row.bookmark_tweet_id] || {
+      rootTweetId: row.root_tweet_id,
+      author: row.author,
+      authorHandle: row.author_handle,
+      tweets: []
+    };
+    
+    let embedded = null;
+    try {
+      embedded = row.embedded ? JSON.parse(row.embedded) : null;
+    } catch (e) { /* ignore parse errors */ }
+    
+    thread.tweets.push({
+      id: row.tweet_id,
+      position: row.position,
+      text: row.text,
+      url: row.url,
+      timestamp: row.timestamp,
+      embedded
+    });
+  }
+  stmt.free();
+  
+  bookmarks.forEach(bookmark => {
+    if (threadsByTweet[bookmark.tweet_id]) {
+      bookmark.thread = threadsByTweet[bookmark.tweet_id];
+    }
+  });
+}
+
+/**
+ * Store a bookmark's outbound links (keeps earlier expansions if this one failed)
+ * 
+ * @param {Object} database - sql.js Database
+ * @param {string} tweetId - Bookmark tweet ID
+ * @param {Array<Object>} links - [{ url, expandedUrl, domain, type, title, source }]
+ */
+function _saveLinks(database, tweetId, links) {
+  const stmt = database.prepare(`
+    INSERT INTO links (tweet_id, url, expanded_url, domain, link_type, title, source)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(tweet_id, url) DO UPDATE SET
+      expanded_url = COALESCE(excluded.expanded_url, expanded_url),
+      domain = COALESCE(excluded.domain, domain),
+      link_type = COALESCE(excluded.link_type, link_type),
+      title = COALESCE(NULLIF(excluded.title, ''), title)
+  `);
+  
+  for (const link of links) {
+    stmt.run([
+      tweetId,
+      link.url,
+      link.expandedUrl || null,
+      link.domain || null,
+      link.type || null,
+      link.title || null,
+      link.source || null
+    ]);
+  }
+  
+  stmt.free();
+}
+
 /**
  * Save multiple bookmarks (batch insert)
+ * One transaction and one save to disk for the whole batch; a bookmark that fails
+ * is rolled back on its own and counted, the rest are kept.
  * 
  * @param {Array<Object>} bookmarks - Array of bookmark objects
- * @returns {Promise<Object>} { success, data: { saved, failed }, error }
+ * @param {Object} options - Save options
+ * @param {boolean} options.restoreRemoved - They were just seen in the bookmarks timeline: clear removed flags
+ * @returns {Promise<Object>} { success, data: { saved, failed, failedIds }, error }
  */
-async function saveBookmarks(bookmarks) {
+async function saveBookmarks(bookmarks, options = {}) {
   try {
-    const dbResult = await getDatabase();
-    if (!dbResult.success) {
-      return dbResult;
-    }
-    
     logger.info(`Saving ${bookmarks.length} bookmarks to database`, 'db');
     
     let saved = 0;
-    let failed = 0;
-    
-    for (const bookmark of bookmarks) {
-      const result = await saveBookmark(bookmark);
-      if (result.success) {
-        saved++;
-      } else {
-        failed++;
-        logger.warn(`Failed to save bookmark ${bookmark.id}`, 'db');
+    const failedIds = [];
+    
+    await transaction(database => {
+      for (const bookmark of bookmarks) {
+        try {
+          _inTransaction(database, () => _saveBookmark(database, bookmark, options));
+          saved++;
+        } catch (error) {
+          failedIds.push(bookmark.id);
+          logger.warn(`Failed to save bookmark ${bookmark.id}: ${error.message}`, 'db');
+        }
       }
-    }
+    });
     
-    logger.success(`Saved ${saved} bookmarks (${failed} failed)`, 'db');
+    logger.success(`Saved ${saved} bookmarks (${failedIds.length} failed)`, 'db');
     
     return {
       success: true,
-      data: { saved, failed },
+      data: { saved, failed: failedIds.length, failedIds },
       error: null
     };
     
@@ -294,15 +760,47 @@ async function saveBookmarks(bookmarks) {
   }
 }
 
+/**
+ * Deserialize embedded content columns (JSON) of a bookmarks row
+ * 
+ * @param {Object} row - Raw row from the bookmarks table
+ * @returns {Object} Same row with `embedded` populated
+ */
+function deserializeBookmark(row) {
+  const columns = {
+    youtube_urls: 'youtubeUrls',
+    image_urls: 'imageUrls',
+    image_alts: 'imageAlts',
+    video_urls: 'videoUrls',
+    quoted_tweet: 'quotedTweet'
+  };
+  
+  for (const [column, key] of Object.entries(columns)) {
+    if (row[column]) {
+      try {
+        row.embedded = row.embedded || {};
+        row.embedded[key] = JSON.parse(row[column]);
+      } catch (e) { /* ignore parse errors */ }
+    }
+  }
+  
+  return row;
+}
+
 /**
  * Get bookmarks from database
  * 
  * @param {Object} options - Query options
+ * @param {number} options.limit - Max rows (-1 = no limit)
+ * @param {number} options.offset - Rows to skip
+ * @param {boolean} options.undeliveredOnly - Only bookmarks not yet uploaded to NotebookLM
+ * @param {boolean} options.enrichedOnly - Leave out archive imports still waiting for their text (uploads)
+ * @param {boolean} options.excludeRemoved - Leave out bookmarks removed on X (bookmark-removals.js)
  * @returns {Promise<Object>} { success, data: bookmarks[], error }
  */
 async function getBookmarks(options = {}) {
   try {
-    const { limit = 100, offset = 0 } = options;
+    const { limit = 100, offset = 0, undeliveredOnly = false, enrichedOnly = false, excludeRemoved = false } = options;
     
     const dbResult = await getDatabase();
     if (!dbResult.success) {
@@ -310,8 +808,20 @@ async function getBookmarks(options = {}) {
     }
     const database = dbResult.data;
     
+    const conditions = [];
+    if (undeliveredOnly) {
+      conditions.push(UNDELIVERED_CONDITION);
+    }
+    if (enrichedOnly) {
+      conditions.push(ENRICHED_CONDITION);
+    }
+    if (excludeRemoved) {
+      conditions.push('removed_at IS NULL');
+    }
+    
     const stmt = database.prepare(`
       SELECT * FROM bookmarks
+      ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
       ORDER BY scraped_at DESC
       LIMIT ? OFFSET ?
     `);
@@ -320,38 +830,12 @@ async function getBookmarks(options = {}) {
     
     const bookmarks = [];
     while (stmt.step()) {
-      const row = stmt.getAsObject();
-      
-      // Deserialize embedded content from JSON
-      if (row.youtube_urls) {
-        try {
-          row.embedded = row.embedded || {};
-          row.embedded.youtubeUrls = JSON.parse(row.youtube_urls);
-        } catch (e) { /* ignore parse errors */ }
-      }
-      if (row.image_urls) {
-        try {
-          row.embedded = row.embedded || {};
-          row.embedded.imageUrls = JSON.parse(row.image_urls);
-        } catch (e) { /* ignore parse errors */ }
-      }
-      if (row.video_urls) {
-        try {
-          row.embedded = row.embedded || {};
-          row.embedded.videoUrls = JSON.parse(row.video_urls);
-        } catch (e) { /* ignore parse errors */ }
-      }
-      if (row.quoted_tweet) {
-        try {
-          row.embedded = row.embedded || {};
-          row.embedded.quotedTweet = JSON.parse(row.quoted_tweet);
-        } catch (e) { /* ignore parse errors */ }
-      }
-      
-      bookmarks.push(row);
+      bookmarks.push(deserializeBookmark(stmt.getAsObject()));
     }
     stmt.free();
     
+    _attachThreads(database, bookmarks);
+    
     logger.debug(`Retrieved ${bookmarks.length} bookmarks`, null, 'db');
     
     return {
@@ -429,14 +913,32 @@ async function getStats() {
     const youtubeStmt = database.prepare(`
       SELECT COUNT(DISTINCT url) as youtube_count 
       FROM uploaded_urls 
-      WHERE url_type = 'youtube'
+      WHERE url_type = 'youtube' AND status = 'uploaded'
     `);
     youtubeStmt.step();
     const youtubeResult = youtubeStmt.getAsObject();
     youtubeStmt.free();
     
+    // Count bookmarks not yet in NotebookLM (that an upload would send)
+    const undeliveredStmt = database.prepare(`
+      SELECT COUNT(*) as undelivered_count
+      FROM bookmarks
+      WHERE ${UNDELIVERED_CONDITION} AND ${ENRICHED_CONDITION}
+    `);
+    undeliveredStmt.step();
+    const undeliveredResult = undeliveredStmt.getAsObject();
+    undeliveredStmt.free();
+    
+    // Count bookmarks removed on X (found by reconciliation syncs)
+    const removedStmt = database.prepare('SELECT COUNT(*) as removed_count FROM bookmarks WHERE removed_at IS NOT NULL');
+    removedStmt.step();
+    const removedResult = removedStmt.getAsObject();
+    removedStmt.free();
+    
     const finalStats = stats || { total_bookmarks: 0, total_lists: 0, last_sync: null };
     finalStats.youtube_count = youtubeResult.youtube_count || 0;
+    finalStats.undelivered_count = undeliveredResult.undelivered_count || 0;
+    finalStats.removed_count = removedResult.removed_count || 0;
     
     return {
       success: true,
@@ -448,7 +950,7 @@ async function getStats() {
     logger.error('Failed to get stats', error, 'db');
     return {
       success: false,
-      data: { total_bookmarks: 0, total_lists: 0, last_sync: null, youtube_count: 0 },
+      data: { total_bookmarks: 0, total_lists: 0, last_sync: null, youtube_count: 0, undelivered_count: 0, removed_count: 0 },
       error: error.message
     };
   }
@@ -456,6 +958,8 @@ async function getStats() {
 
 /**
  * Check if bookmark exists
+ * Bookmarks removed on X don't count: one seen again was re-bookmarked and is saved (restored) like a new one.
+ * Neither do archive imports without text: the sync saves them with their content instead of stopping there.
  * 
  * @param {string} tweetId - Tweet ID to check
  * @returns {Promise<Object>} { success, data: exists (boolean), error }
@@ -468,7 +972,7 @@ async function bookmarkExists(tweetId) {
     }
     const database = dbResult.data;
     
-    const stmt = database.prepare('SELECT COUNT(*) as count FROM bookmarks WHERE tweet_id = ?');
+    const stmt = database.prepare(`SELECT COUNT(*) as count FROM bookmarks WHERE tweet_id = ? AND removed_at IS NULL AND ${ENRICHED_CONDITION}`);
     stmt.bind([tweetId]);
     stmt.step();
     const result = stmt.getAsObject();
@@ -490,6 +994,72 @@ async function bookmarkExists(tweetId) {
   }
 }
 
+/**
+ * List database backups (daily, pre-migration and pre-restore copies), newest first
+ * 
+ * @returns {Object} { success, data: [{ fileName, kind, createdAt, bytes }], error }
+ */
+function getBackups() {
+  return backups.listBackups(dbFile);
+}
+
+/**
+ * Replace the database with a backup
+ * The current file is copied aside first, so the restore itself can be undone.
+ * Backups from older versions are migrated when the database reopens.
+ * 
+ * @param {string} fileName - Backup file name (from getBackups)
+ * @returns {Promise<Object>} { success, data: { restored, beforeRestore }, error }
+ */
+async function restoreBackup(fileName) {
+  try {
+    const dbResult = await getDatabase();
+    if (!dbResult.success) {
+      return dbResult;
+    }
+    if (inMemory) {
+      throw new Error('In-memory databases have no backups');
+    }
+    
+    const backup = getBackups().data.find(b => b.fileName === fileName);
+    if (!backup) {
+      throw new Error(`No backup named ${fileName}`);
+    }
+    
+    // Close without giving up the lock, so no other process opens the file meanwhile
+    saveToFile();
+    db.close();
+    db = null;
+    
+    const beforeRestore = backups.backupBeforeRestore(dbFile);
+    backups.writeFileAtomic(dbFile, fs.readFileSync(path.join(backups.getBackupDir(dbFile), fileName)));
+    logger.info(`Restored ${fileName} (previous database kept as ${beforeRestore})`, 'db');
+    
+    const initResult = await initDatabase({ dbFile });
+    if (!initResult.success) {
+      return {
+        success: false,
+        data: { restored: fileName, beforeRestore },
+        error: `${initResult.error} (previous database kept as ${beforeRestore})`
+      };
+    }
+    
+    return {
+      success: true,
+      data: { restored: fileName, beforeRestore },
+      error: null
+    };
+    
+  } catch (error) {
+    logger.error('Failed to restore backup', error, 'db');
+    return {
+      success: false,
+      data: null,
+      error: error.message
+    };
+  }
+}
+
 /**
  * Close database connection
  * 
@@ -503,6 +1073,10 @@ async function closeDatabase() {
       
       db.close();
       db = null;
+      if (!inMemory) {
+        _releaseLock();
+      }
+      inMemory = false;
       logger.info('Database connection closed', 'db');
     }
     
@@ -525,12 +1099,20 @@ async function closeDatabase() {
 module.exports = {
   initDatabase,
   getDatabase,
+  saveToFile,
+  scheduleSave,
+  flush,
+  transaction,
   saveBookmark,
   saveBookmarks,
+  saveThread,
   getBookmarks,
+  deserializeBookmark,
   getBookmarkCount,
   getStats,
   bookmarkExists,
+  getBackups,
+  restoreBackup,
   closeDatabase
 };
 
@@ -0,0 +1,204 @@
+/**
+ * BrainBrief - Database File Tests (offline)
+ * 
+ * Purpose: Check the database lock, daily backups and restore on real files
+ * Dependencies: sql.js
+ * 
+ * Every database file lives in a temp directory (initDatabase({ dbFile })),
+ * so data/ and lists-config.json are never touched.
+ * 
+ * Run with: node src/db/database.test.js (or npm test)
+ * 
+ * @module database.test
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const logger = require('../utils/logger');
+const db = require('./database');
+const backups = require('./backups');
+
+let tmpDir = null;
+let failures = 0;
+
+/**
+ * Record one assertion
+ * 
+ * @param {boolean} condition - Assertion result
+ * @param {string} description - What was checked
+ */
+function _expect(condition, description) {
+  if (condition) {
+    logger.success(`✅ ${description}`, 'test');
+  } else {
+    failures++;
+    logger.error(`❌ ${description}`, null, 'test');
+  }
+}
+
+/**
+ * Read the owner of a database lock
+ * 
+ * @param {string} dbFile - Database file
+ * @returns {Object|null} { pid, name, since } or null if there is no lock
+ */
+function _lockHolder(dbFile) {
+  const lockFile = `${dbFile}.lock`;
+  return fs.existsSync(lockFile) ? JSON.parse(fs.readFileSync(lockFile, 'utf-8')) : null;
+}
+
+/**
+ * Build a bookmark in extractor format
+ * 
+ * @param {string} id - Tweet ID
+ * @returns {Object} Bookmark
+ */
+function _bookmark(id) {
+  const timestamp = '2025-10-01T12:00:00.000Z';
+  return {
+    id,
+    author: 'Test Author',
+    text: `Bookmark ${id} text`,
+    url: `https://x.com/test/status/${id}`,
+    timestamp,
+    scraped_at: timestamp
+  };
+}
+
+/**
+ * Lock: a live holder is refused, a stale one is taken over, switching files releases it
+ */
+async function testDatabaseLock() {
+  logger.info('Testing database lock...', 'test');
+  
+  // The parent process (npm or the shell) is running
+  const busyFile = path.join(tmpDir, 'busy.db');
+  fs.writeFileSync(`${busyFile}.lock`, JSON.stringify({ pid: process.ppid, name: 'another test process' }));
+  const busy = await db.initDatabase({ dbFile: busyFile });
+  _expect(!busy.success && busy.error.includes('in use by another test process'), 'Lock held by a running process refused');
+  _expect(_lockHolder(busyFile).pid === process.ppid, 'Live lock left in place');
+  
+  // A process that has already exited
+  const stalePid = spawnSync(process.execPath, ['-e', '']).pid;
+  const staleFile = path.join(tmpDir, 'stale.db');
+  fs.writeFileSync(`${staleFile}.lock`, JSON.stringify({ pid: stalePid, name: 'a crashed test process' }));
+  const stale = await db.initDatabase({ dbFile: staleFile });
+  _expect(stale.success && _lockHolder(staleFile).pid === process.pid, 'Stale lock taken over');
+  
+  const otherFile = path.join(tmpDir, 'other.db');
+  const other = await db.initDatabase({ dbFile: otherFile });
+  _expect(other.success && _lockHolder(otherFile).pid === process.pid, 'Lock taken on the new file');
+  _expect(_lockHolder(staleFile) === null, 'Lock on the previous file released when switching files');
+  
+  await db.closeDatabase();
+  _expect(_lockHolder(otherFile) === null, 'Lock released on close');
+}
+
+/**
+ * Daily backups: one per day, rotated to the newest seven (migration copies kept)
+ */
+async function testDailyBackups() {
+  logger.info('Testing daily backups...', 'test');
+  
+  const dbFile = path.join(tmpDir, 'brainbrief.db');
+  const backupDir = backups.getBackupDir(dbFile);
+  const today = new Date().toISOString().split('T')[0];
+  
+  await db.initDatabase({ dbFile });
+  _expect(db.getBackups().data.length === 0, 'New database file has no backup yet');
+  
+  db.saveToFile();
+  db.saveToFile();
+  const daily = db.getBackups().data.filter(backup => backup.kind === 'daily');
+  _expect(daily.length === 1 && daily[0].fileName === `brainbrief-${today}.db`, 'One daily backup however often the file is saved');
+  
+  // Older backups from earlier days, plus a migration copy that rotation must leave alone
+  fs.unlinkSync(path.join(backupDir, `brainbrief-${today}.db`));
+  for (let day = 1; day <= 9; day++) {
+    fs.writeFileSync(path.join(backupDir, `brainbrief-2025-01-0${day}.db`), '');
+  }
+  fs.writeFileSync(path.join(backupDir, 'brainbrief-v3-2024-12-31.db'), '');
+  
+  db.saveToFile();
+  const files = fs.readdirSync(backupDir);
+  const dailyFiles = files.filter(fileName => /^brainbrief-\d{4}-\d{2}-\d{2}\.db$/.test(fileName)).sort();
+  _expect(dailyFiles.length === 7, 'Daily backups pruned to 7');
+  _expect(dailyFiles[0] === 'brainbrief-2025-01-04.db' && dailyFiles.includes(`brainbrief-${today}.db`), 'Oldest daily backups removed first');
+  _expect(files.includes('brainbrief-v3-2024-12-31.db'), 'Migration backup kept');
+  
+  await db.closeDatabase();
+}
+
+/**
+ * Restore: a backup replaces the database, and the copy taken before it undoes the restore
+ */
+async function testRestoreRoundTrip() {
+  logger.info('Testing backup restore...', 'test');
+  
+  const dbFile = path.join(tmpDir, 'restore.db');
+  const today = new Date().toISOString().split('T')[0];
+  const dailyName = `restore-${today}.db`;
+  
+  await db.initDatabase({ dbFile });
+  await db.saveBookmark(_bookmark('1900000000000000001'));
+  db.saveToFile();
+  
+  // Today's backup as of now: only the first bookmark
+  fs.unlinkSync(path.join(backups.getBackupDir(dbFile), dailyName));
+  db.saveToFile();
+  
+  await db.saveBookmark(_bookmark('1900000000000000002'));
+  db.saveToFile();
+  
+  const restored = await db.restoreBackup(dailyName);
+  _expect(restored.success && restored.data.restored === dailyName, 'Backup restored');
+  _expect((await db.getBookmarkCount()).data === 1 && (await db.bookmarkExists('1900000000000000001')).data, 'Database back to the backup contents');
+  _expect(_lockHolder(dbFile) && _lockHolder(dbFile).pid === process.pid, 'Lock kept through the restore');
+  
+  const beforeRestore = restored.success ? restored.data.beforeRestore : null;
+  _expect(db.getBackups().data.some(backup => backup.fileName === beforeRestore && backup.kind === 'before-restore'), 'Previous database kept as a before-restore backup');
+  
+  // Before-restore copies are named to the second: don't overwrite the one being restored
+  await new Promise(resolve => setTimeout(resolve, 1100));
+  const undone = await db.restoreBackup(beforeRestore);
+  _expect(undone.success && (await db.getBookmarkCount()).data === 2, 'Restoring the before-restore copy brings the newer bookmark back');
+  
+  const missing = await db.restoreBackup('restore-1999-01-01.db');
+  _expect(!missing.success && missing.error.includes('No backup named'), 'Unknown backup refused');
+  
+  await db.closeDatabase();
+}
+
+/**
+ * Run all tests
+ */
+async function runTests() {
+  try {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'brainbrief-db-'));
+    
+    await testDatabaseLock();
+    await testDailyBackups();
+    await testRestoreRoundTrip();
+    
+  } catch (error) {
+    failures++;
+    logger.error('Test run failed', error, 'test');
+    
+  } finally {
+    await db.closeDatabase();
+    if (tmpDir) {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  }
+  
+  if (failures > 0) {
+    logger.error(`${failures} assertion(s) failed`, null, 'test');
+    process.exitCode = 1;
+  } else {
+    logger.success('All database file tests passed', 'test');
+  }
+}
+
+runTests();
@@ -0,0 +1,56 @@
+-- BrainBrief 1.0 database (before embedded content columns, lists and migrations)
+-- Loaded by migrator.test.js and migrated to the current schema
+
+-- Bookmarks table
+-- Stores extracted Twitter bookmarks with full metadata
+CREATE TABLE bookmarks (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  tweet_id TEXT UNIQUE NOT NULL,      -- Twitter tweet ID (unique)
+  author TEXT NOT NULL,                -- Tweet author username
+  text TEXT,                           -- Tweet text content
+  url TEXT NOT NULL,                   -- Full tweet URL
+  timestamp TEXT NOT NULL,             -- Original tweet timestamp (ISO 8601)
+  scraped_at TEXT NOT NULL,            -- When we scraped it (ISO 8601)
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP  -- When we saved to DB
+);
+
+-- NotebookLM notebooks table
+-- Tracks which NotebookLM notebook is active and source count
+CREATE TABLE notebooklm_notebooks (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  notebook_name TEXT UNIQUE NOT NULL,  -- Notebook name in NotebookLM
+  notebook_id TEXT,                    -- NotebookLM ID (if we can get it)
+  source_count INTEGER DEFAULT 0,      -- Number of sources uploaded
+  is_active INTEGER DEFAULT 1,         -- 1 if active, 0 if full/archived
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  last_upload_at TEXT                  -- When we last added a source
+);
+
+-- Uploaded sources table
+-- Tracks which files we've uploaded to which notebook
+CREATE TABLE uploaded_sources (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  notebook_id INTEGER NOT NULL,        -- References notebooklm_notebooks
+  file_name TEXT NOT NULL,             -- Filename uploaded
+  file_path TEXT NOT NULL,             -- Local path to file
+  bookmark_count INTEGER NOT NULL,     -- How many bookmarks in this file
+  uploaded_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY(notebook_id) REFERENCES notebooklm_notebooks(id) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_bookmarks_tweet_id ON bookmarks(tweet_id);
+CREATE INDEX idx_bookmarks_scraped_at ON bookmarks(scraped_at);
+CREATE INDEX idx_notebooks_active ON notebooklm_notebooks(is_active);
+CREATE INDEX idx_sources_notebook ON uploaded_sources(notebook_id);
+
+-- Two bookmarks synced and uploaded, one synced after the last upload
+INSERT INTO bookmarks (tweet_id, author, text, url, timestamp, scraped_at) VALUES
+  ('1800000000000000001', 'alice', 'Notes on vector databases and retrieval', 'https://x.com/alice/status/1800000000000000001', '2024-06-01T09:00:00.000Z', '2024-06-02T08:00:00.000Z'),
+  ('1800000000000000002', 'bob', 'A thread about SQLite in the browser', 'https://x.com/bob/status/1800000000000000002', '2024-06-01T12:30:00.000Z', '2024-06-02T08:00:00.000Z'),
+  ('1800000000000000003', 'carol', 'Weekend reading list', 'https://x.com/carol/status/1800000000000000003', '2024-06-03T18:45:00.000Z', '2024-06-04T08:00:00.000Z');
+
+INSERT INTO notebooklm_notebooks (notebook_name, notebook_id, source_count, is_active, last_upload_at) VALUES
+  ('BrainBrief - Twitter Bookmarks - 2024-06-02', 'nb-0001', 1, 1, '2024-06-02 08:05:00');
+
+INSERT INTO uploaded_sources (notebook_id, file_name, file_path, bookmark_count, uploaded_at) VALUES
+  (1, 'bookmarks-2024-06-02.txt', 'data/exports/bookmarks-2024-06-02.txt', 2, '2024-06-02 08:05:00');
@@ -0,0 +1,207 @@
+/**
+ * BrainBrief - Bookmark Links
+ * 
+ * Purpose: Query outbound links found in bookmarks and manage which domains
+ *          are added to NotebookLM as Website sources
+ * Dependencies: database.js
+ * 
+ * Links are written by database.saveBookmark (from embedded.links, expanded and
+ * classified by url-sources.resolveLinks). Website sources are opt-in per
+ * domain: a domain in website_domains also covers its subdomains.
+ * 
+ * @module links
+ */
+
+const logger = require('../utils/logger');
+const db = require('./database');
+
+// Domains offered in settings (most linked first)
+const MAX_DOMAINS_LISTED = 50;
+
+/**
+ * Get the stored links of some bookmarks
+ * 
+ * @param {Array<string>} tweetIds - Tweet IDs
+ * @returns {Promise<Object>} { success, data: links[], error }
+ */
+async function getLinksForTweets(tweetIds) {
+  try {
+    const dbResult = await db.getDatabase();
+    if (!dbResult.success) {
+      return dbResult;
+    }
+    const database = dbResult.data;
+    
+    const stmt = database.prepare(`
+      SELECT * FROM links
+      WHERE tweet_id IN (${tweetIds.map(() => '?').join(', ') || 'NULL'})
+      ORDER BY id
+    `);
+    stmt.bind(tweetIds.map(String));
+    
+    const rows = [];
+    while (stmt.step()) {
+      rows.push(stmt.getAsObject());
+    }
+    stmt.free();
+    
+    return {
+      success: true,
+      data: rows,
+      error: null
+    };
+    
+  } catch (error) {
+    logger.error('Failed to get links', error, 'links');
+    return {
+      success: false,
+      data: [],
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Get the most linked domains, with their link types and Website opt-in state
+ * 
+ * @returns {Promise<Object>} { success, data: [{ domain, link_count, link_types, website }], error }
+ */
+async function getLinkDomains() {
+  try {
+    const dbResult = await db.getDatabase();
+    if (!dbResult.success) {
+      return dbResult;
+    }
+    const database = dbResult.data;
+    
+    const stmt = database.prepare(`
+      SELECT
+        l.domain,
+        COUNT(*) AS link_count,
+        GROUP_CONCAT(DISTINCT l.link_type) AS link_types
+      FROM links l
+      WHERE l.domain IS NOT NULL
+      GROUP BY l.domain
+      ORDER BY link_count DESC, l.domain
+      LIMIT ?
+    `);
+    stmt.bind([MAX_DOMAINS_LISTED]);
+    
+    const websiteResult = await getWebsiteDomains();
+    const websiteDomains = websiteResult.data || [];
+    
+    const domains = [];
+    while (stmt.step()) {
+      const row = stmt.getAsObject();
+      row.website = websiteDomains.some(allowed => row.domain === allowed || row.domain.endsWith(`.${allowed}`));
+      domains.push(row);
+    }
+    stmt.free();
+    
+    // Opted-in domains with no links (yet) still need to show up
+    const listed = new Set(domains.map(row => row.domain));
+    websiteDomains.filter(domain => !listed.has(domain)).forEach(domain => {
+      domains.push({ domain, link_count: 0, link_types: null, website: true });
+    });
+    
+    return {
+      success: true,
+      data: domains,
+      error: null
+    };
+    
+  } catch (error) {
+    logger.error('Failed to get link domains', error, 'links');
+    return {
+      success: false,
+      data: [],
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Get the domains opted in as Website sources
+ * 
+ * @returns {Promise<Object>} { success, data: domains[], error }
+ */
+async function getWebsiteDomains() {
+  try {
+    const dbResult = await db.getDatabase();
+    if (!dbResult.success) {
+      return dbResult;
+    }
+    const database = dbResult.data;
+    
+    const stmt = database.prepare('SELECT domain FROM website_domains ORDER BY domain');
+    const domains = [];
+    while (stmt.step()) {
+      domains.push(stmt.getAsObject().domain);
+    }
+    stmt.free();
+    
+    return {
+      success: true,
+      data: domains,
+      error: null
+    };
+    
+  } catch (error) {
+    logger.error('Failed to get website domains', error, 'links');
+    return {
+      success: false,
+      data: [],
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Replace the domains opted in as Website sources
+ * 
+ * @param {Array<string>} domains - Domains (www. is stripped)
+ * @returns {Promise<Object>} { success, data: count, error }
+ */
+async function setWebsiteDomains(domains) {
+  try {
+    const dbResult = await db.getDatabase();
+    if (!dbResult.success) {
+      return dbResult;
+    }
+    const database = dbResult.data;
+    
+    const cleaned = [...new Set(domains
+      .map(domain => String(domain).trim().toLowerCase().replace(/^(www|m)\./, ''))
+      .filter(Boolean))];
+    
+    database.run('DELETE FROM website_domains');
+    const stmt = database.prepare('INSERT INTO website_domains (domain) VALUES (?)');
+    cleaned.forEach(domain => stmt.run([domain]));
+    stmt.free();
+    
+    db.scheduleSave();
+    
+    logger.success(`Website sources enabled for ${cleaned.length} domain(s)`, 'links');
+    
+    return {
+      success: true,
+      data: cleaned.length,
+      error: null
+    };
+    
+  } catch (error) {
+    logger.error('Failed to save website domains', error, 'links');
+    return {
+      success: false,
+      data: 0,
+      error: error.message
+    };
+  }
+}
+
+module.exports = {
+  getLinksForTweets,
+  getLinkDomains,
+  getWebsiteDomains,
+  setWebsiteDomains
+};
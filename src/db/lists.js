@@ -0,0 +1,324 @@
+/**
+ * BrainBrief - Twitter Lists
+ * 
+ * Purpose: Store the user's Twitter Lists, their sync settings and the tweets extracted from them
+ * Dependencies: database.js
+ * 
+ * Lists are found by twitter.discoverLists. Discovery sees every list the user
+ * owns or follows, so a list missing from it was probably deleted or unfollowed:
+ * it is flagged (removed_at) and left out of getLists, but its settings,
+ * high-water mark and list_tweets are kept, and it comes back as it was if a
+ * later discovery finds it again. A discovery that found nothing, or far fewer
+ * lists than are known, removes nothing (a page that didn't load looks the
+ * same). Lists configured in lists-config.json by older versions are imported
+ * once by migration 011.
+ * 
+ * @module lists
+ */
+
+const logger = require('../utils/logger');
+const db = require('./database');
+
+// Discovery safety
+const MIN_FOUND_FRACTION = 0.5; // Found fewer than this share of known lists = incomplete discovery
+
+/**
+ * Turn a list_metadata row into the object the app uses
+ * 
+ * @param {Object} row - list_metadata row
+ * @returns {Object} { listId, name, url, enabled, maxTweets, daysBack, notebookNameFormat, memberCount, owner, description, lastSyncedAt, lastTweetId, lastTweetAt, removedAt }
+ */
+function _toList(row) {
+  return {
+    listId: row.list_id,
+    name: row.list_name,
+    url: row.list_url,
+    enabled: row.enabled === 1,
+    maxTweets: row.max_tweets,
+    daysBack: row.days_back,
+    notebookNameFormat: row.notebook_name_format || null,
+    memberCount: row.member_count,
+    owner: row.owner_handle || null,
+    description: row.description || '',
+    lastSyncedAt: row.last_synced_at || null,
+    lastTweetId: row.last_tweet_id || null,
+    lastTweetAt: row.last_tweet_at || null,
+    removedAt: row.removed_at || null
+  };
+}
+
+/**
+ * Get Twitter Lists
+ * 
+ * @param {Object} options - Query options
+ * @param {boolean} options.enabledOnly - Only lists turned on for syncing
+ * @param {string} options.listId - Only this list
+ * @param {boolean} options.includeRemoved - Also lists discovery no longer finds
+ * @returns {Promise<Object>} { success, data: lists[], error }
+ */
+async function getLists(options = {}) {
+  try {
+    const { enabledOnly = false, listId = null, includeRemoved = false } = options;
+    
+    const dbResult = await db.getDatabase();
+    if (!dbResult.success) {
+      return dbResult;
+    }
+    const database = dbResult.data;
+    
+    const conditions = [];
+    const params = [];
+    if (enabledOnly) {
+      conditions.push('enabled = 1');
+    }
+    if (!includeRemoved) {
+      conditions.push('removed_at IS NULL');
+    }
+    if (listId) {
+      conditions.push('list_id = ?');
+      params.push(String(listId));
+    }
+    
+    const stmt = database.prepare(`
+      SELECT * FROM list_metadata
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY id
+    `);
+    stmt.bind(params);
+    
+    const lists = [];
+    while (stmt.step()) {
+      lists.push(_toList(stmt.getAsObject()));
+    }
+    stmt.free();
+    
+    return {
+      success: true,
+      data: lists,
+      error: null
+    };
+    
+  } catch (error) {
+    logger.error('Failed to get lists', error, 'lists');
+    return {
+      success: false,
+      data: [],
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Update list sync settings (fields left out keep their current value)
+ * 
+ * @param {Array<Object>} lists - [{ listId, enabled, maxTweets, daysBack, notebookNameFormat }]
+ * @returns {Promise<Object>} { success, data: count, error }
+ */
+async function updateListSettings(lists) {
+  try {
+    const dbResult = await db.getDatabase();
+    if (!dbResult.success) {
+      return dbResult;
+    }
+    const database = dbResult.data;
+    
+    const stmt = database.prepare(`
+      UPDATE list_metadata SET
+        enabled = COALESCE(?, enabled),
+        max_tweets = COALESCE(?, max_tweets),
+        days_back = COALESCE(?, days_back),
+        notebook_name_format = COALESCE(?, notebook_name_format)
+      WHERE list_id = ?
+    `);
+    lists.forEach(list => {
+      stmt.run([
+        typeof list.enabled === 'boolean' ? (list.enabled ? 1 : 0) : null,
+        list.maxTweets || null,
+        list.daysBack || null,
+        list.notebookNameFormat || null,
+        String(list.listId)
+      ]);
+    });
+    stmt.free();
+    
+    db.scheduleSave();
+    
+    return {
+      success: true,
+      data: lists.length,
+      error: null
+    };
+    
+  } catch (error) {
+    logger.error('Failed to update list settings', error, 'lists');
+    return {
+      success: false,
+      data: 0,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Save discovered lists: new ones added, known ones refreshed (settings kept),
+ * lists no longer found flagged as removed (unless discovery looks incomplete)
+ * 
+ * @param {Array<Object>} lists - [{ listId, name, url, memberCount, owner, description }]
+ * @returns {Promise<Object>} { success, data: { found, added: names[], removed: names[], removalSkipped }, error }
+ */
+async function saveDiscoveredLists(lists) {
+  try {
+    const { added, removed, removalSkipped } = await db.transaction(database => {
+      const known = new Map();
+      const knownStmt = database.prepare('SELECT list_id, list_name, removed_at FROM list_metadata');
+      while (knownStmt.step()) {
+        const row = knownStmt.getAsObject();
+        known.set(row.list_id, row);
+      }
+      knownStmt.free();
+      
+      const foundIds = new Set(lists.map(list => String(list.listId)));
+      const activeIds = [...known.keys()].filter(listId => !known.get(listId).removed_at);
+      const missingIds = activeIds.filter(listId => !foundIds.has(listId));
+      const skipRemoval = missingIds.length > 0 &&
+        (lists.length === 0 || lists.length < activeIds.length * MIN_FOUND_FRACTION);
+      
+      // Found again = restored, with its settings and history
+      const stmt = database.prepare(`
+        INSERT INTO list_metadata (list_id, list_name, list_url, member_count, owner_handle, description)
+        VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT(list_id) DO UPDATE SET
+          list_name = excluded.list_name,
+          list_url = excluded.list_url,
+          member_count = excluded.member_count,
+          owner_handle = excluded.owner_handle,
+          description = excluded.description,
+          removed_at = NULL
+      `);
+      lists.forEach(list => {
+        stmt.run([
+          String(list.listId),
+          list.name,
+          list.url,
+          list.memberCount === null || list.memberCount === undefined ? null : String(list.memberCount),
+          list.owner || null,
+          list.description || null
+        ]);
+      });
+      stmt.free();
+      
+      if (!skipRemoval) {
+        const removeStmt = database.prepare("UPDATE list_metadata SET removed_at = datetime('now') WHERE list_id = ?");
+        missingIds.forEach(listId => removeStmt.run([listId]));
+        removeStmt.free();
+      }
+      
+      return {
+        added: lists.filter(list => !known.has(String(list.listId))).map(list => list.name),
+        removed: skipRemoval ? [] : missingIds.map(listId => known.get(listId).list_name),
+        removalSkipped: skipRemoval
+      };
+    });
+    
+    if (removalSkipped) {
+      logger.warn(`Discovery found only ${lists.length} list(s) - looks incomplete, no lists marked as removed`, 'lists');
+    }
+    logger.success(`Saved ${lists.length} list(s) (${added.length} new, ${removed.length} removed)`, 'lists');
+    
+    return {
+      success: true,
+      data: { found: lists.length, added, removed, removalSkipped },
+      error: null
+    };
+    
+  } catch (error) {
+    logger.error('Failed to save lists', error, 'lists');
+    return {
+      success: false,
+      data: { found: 0, added: [], removed: [], removalSkipped: false },
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Save tweets extracted from a list and mark the list synced
+ * The newest tweet becomes the list's high-water mark (the next sync stops there),
+ * unless extraction stopped short of the old mark: moving it would skip the gap.
+ * 
+ * @param {string} listId - List ID
+ * @param {Array<Object>} tweets - Tweets from twitter.extractListTweets
+ * @param {Object} options - Save options
+ * @param {boolean} options.advanceMark - Move the high-water mark (false when extraction was incomplete; default: true)
+ * @returns {Promise<Object>} { success, data: addedCount, error }
+ */
+async function saveListTweets(listId, tweets, options = {}) {
+  try {
+    const { advanceMark = true } = options;
+    
+    const added = await db.transaction(database => {
+      let inserted = 0;
+      const stmt = database.prepare(`
+        INSERT OR IGNORE INTO list_tweets (list_id, tweet_id, author, text, url, timestamp, embedded)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `);
+      tweets.forEach(tweet => {
+        stmt.run([
+          String(listId),
+          String(tweet.id),
+          tweet.author || null,
+          tweet.text || null,
+          tweet.url || null,
+          tweet.timestamp || null,
+          tweet.embedded ? JSON.stringify(tweet.embedded) : null
+        ]);
+        inserted += database.getRowsModified();
+      });
+      stmt.free();
+      
+      const syncedStmt = database.prepare("UPDATE list_metadata SET last_synced_at = datetime('now') WHERE list_id = ?");
+      syncedStmt.run([String(listId)]);
+      syncedStmt.free();
+      
+      // Tweet IDs grow over time, so the highest ID is the newest tweet
+      const newest = tweets
+        .filter(tweet => /^\d+$/.test(String(tweet.id)))
+        .reduce((best, tweet) => (!best || BigInt(tweet.id) > BigInt(best.id) ? tweet : best), null);
+      
+      // Only ever moves forward (digit strings compare as numbers by length, then text)
+      if (newest && advanceMark) {
+        const markStmt = database.prepare(`
+          UPDATE list_metadata SET last_tweet_id = ?, last_tweet_at = ?
+          WHERE list_id = ?
+            AND (last_tweet_id IS NULL OR LENGTH(last_tweet_id) < LENGTH(?) OR (LENGTH(last_tweet_id) = LENGTH(?) AND last_tweet_id < ?))
+        `);
+        const newestId = String(newest.id);
+        markStmt.run([newestId, newest.timestamp || null, String(listId), newestId, newestId, newestId]);
+        markStmt.free();
+      }
+      
+      return inserted;
+    });
+    
+    return {
+      success: true,
+      data: added,
+      error: null
+    };
+    
+  } catch (error) {
+    logger.error('Failed to save list tweets', error, 'lists');
+    return {
+      success: false,
+      data: 0,
+      error: error.message
+    };
+  }
+}
+
+module.exports = {
+  getLists,
+  updateListSettings,
+  saveDiscoveredLists,
+  saveListTweets
+};
@@ -0,0 +1,175 @@
+/**
+ * BrainBrief - Local Media Store
+ * 
+ * Purpose: Query tweet media downloaded to data/media/ (paths, thumbnails, disk usage, image text)
+ * Dependencies: database.js, path
+ * 
+ * Files are written by media-fetcher.js and named by their SHA-256:
+ *   data/media/<first 2 hex chars>/<hash>.<ext>  - original image / video
+ *   data/media/thumbs/<hash>.jpg                 - thumbnail for the renderer
+ * The media table maps each bookmark (tweet ID) and source URL to a file.
+ * 
+ * @module media
+ */
+
+const path = require('path');
+const logger = require('../utils/logger');
+const db = require('./database');
+
+// Paths
+const MEDIA_DIR = path.join(__dirname, '../../data/media');
+
+/**
+ * Absolute path of a file stored under data/media/
+ * 
+ * @param {string} file - media.file or media.thumb_file value
+ * @returns {string|null} Absolute path (null if no file)
+ */
+function getMediaPath(file) {
+  return file ? path.join(MEDIA_DIR, file) : null;
+}
+
+/**
+ * Disk space used by the media store (each file counted once)
+ * 
+ * @returns {Promise<Object>} { success, data: { files, bytes }, error }
+ */
+async function getMediaUsage() {
+  try {
+    const dbResult = await db.getDatabase();
+    if (!dbResult.success) {
+      return dbResult;
+    }
+    const database = dbResult.data;
+    
+    const stmt = database.prepare(`
+      SELECT COUNT(*) AS files, COALESCE(SUM(size), 0) AS bytes
+      FROM (SELECT hash, MAX(size) AS size FROM media WHERE status = 'stored' GROUP BY hash)
+    `);
+    stmt.step();
+    const usage = stmt.getAsObject();
+    stmt.free();
+    
+    return {
+      success: true,
+      data: usage,
+      error: null
+    };
+    
+  } catch (error) {
+    logger.error('Failed to get media usage', error, 'media');
+    return {
+      success: false,
+      data: { files: 0, bytes: 0 },
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Stored media of some bookmarks, with absolute file and thumbnail paths
+ * 
+ * @param {Array<string>} tweetIds - Tweet IDs
+ * @returns {Promise<Object>} { success, data: Map(tweetId -> [{ mediaType, mime, size, path, thumbPath, sourceUrl, ocrText }]), error }
+ */
+async function getBookmarkMedia(tweetIds) {
+  const media = new Map();
+  
+  try {
+    const dbResult = await db.getDatabase();
+    if (!dbResult.success) {
+      return { success: false, data: media, error: dbResult.error };
+    }
+    const database = dbResult.data;
+    
+    const stmt = database.prepare(`
+      SELECT * FROM media
+      WHERE status = 'stored' AND bookmark_id IN (${tweetIds.map(() => '?').join(', ') || 'NULL'})
+      ORDER BY id
+    `);
+    stmt.bind(tweetIds.map(String));
+    
+    while (stmt.step()) {
+      const row = stmt.getAsObject();
+      const items = media.get(row.bookmark_id) || [];
+      items.push({
+        mediaType: row.media_type,
+        mime: row.mime,
+        size: row.size,
+        path: getMediaPath(row.file),
+        thumbPath: getMediaPath(row.thumb_file),
+        sourceUrl: row.source_url,
+        ocrText: row.ocr_text || ''
+      });
+      media.set(row.bookmark_id, items);
+    }
+    stmt.free();
+    
+    return {
+      success: true,
+      data: media,
+      error: null
+    };
+    
+  } catch (error) {
+    logger.error('Failed to get bookmark media', error, 'media');
+    return {
+      success: false,
+      data: media,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Alt text and OCR text of every bookmark image (for exports and NotebookLM files)
+ * 
+ * @param {Array<Object>} bookmarks - Bookmarks (extractor objects or deserialized DB rows)
+ * @returns {Promise<Object>} { success, data: Map(tweetId -> [{ url, altText, ocrText }]), error }
+ */
+async function getImageText(bookmarks) {
+  const images = new Map();
+  
+  try {
+    // DB rows carry tweet_id (their id is the row ID); extractor objects carry id
+    const withImages = bookmarks.filter(bookmark => bookmark.embedded?.imageUrls?.length > 0);
+    const mediaResult = await getBookmarkMedia(withImages.map(bookmark => String(bookmark.tweet_id || bookmark.id)));
+    
+    withImages.forEach(bookmark => {
+      const tweetId = String(bookmark.tweet_id || bookmark.id);
+      const stored = mediaResult.data.get(tweetId) || [];
+      const alts = bookmark.embedded.imageAlts || [];
+      
+      images.set(tweetId, bookmark.embedded.imageUrls.map((url, i) => {
+        const item = stored.find(entry => entry.sourceUrl === url);
+        return {
+          url,
+          altText: alts[i] || '',
+          ocrText: item ? item.ocrText : ''
+        };
+      }));
+    });
+    
+    return {
+      success: mediaResult.success,
+      data: images,
+      error: mediaResult.error
+    };
+    
+  } catch (error) {
+    logger.error('Failed to get image text', error, 'media');
+    return {
+      success: false,
+      data: images,
+      error: error.message
+    };
+  }
+}
+
+module.exports = {
+  getMediaPath,
+  getMediaUsage,
+  getBookmarkMedia,
+  getImageText,
+  MEDIA_DIR
+};
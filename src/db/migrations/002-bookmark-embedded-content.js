@@ -0,0 +1,18 @@
+/**
+ * Migration 002 - Embedded content on bookmarks (1.0.0 schema fix)
+ * 
+ * Databases created by early 1.0 builds have bookmarks without these columns.
+ */
+
+module.exports = {
+  description: 'Embedded content columns on bookmarks',
+  
+  up(database, { addColumns }) {
+    addColumns('bookmarks', {
+      youtube_urls: 'TEXT',                // JSON array of YouTube URLs
+      image_urls: 'TEXT',                  // JSON array of image URLs
+      video_urls: 'TEXT',                  // JSON array of video URLs
+      quoted_tweet: 'TEXT'                 // JSON object of quoted tweet
+    });
+  }
+};
@@ -0,0 +1,41 @@
+-- Twitter Lists (1.1)
+
+-- List metadata table
+-- Stores Twitter list information
+CREATE TABLE IF NOT EXISTS list_metadata (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  list_id TEXT UNIQUE NOT NULL,        -- Twitter list ID
+  list_name TEXT NOT NULL,             -- List display name
+  list_url TEXT NOT NULL,              -- Full list URL
+  enabled INTEGER DEFAULT 1,           -- 1 if enabled for sync, 0 if disabled
+  max_tweets INTEGER DEFAULT 50,       -- Max tweets to extract per sync
+  member_count TEXT,                   -- Number of members
+  last_synced_at TEXT,                 -- Last sync timestamp
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+-- List tweets table
+-- Associates tweets with lists (many-to-many: a tweet can be in multiple lists)
+-- (rebuilt with the tweet's own columns by 011-lists-in-database)
+CREATE TABLE IF NOT EXISTS list_tweets (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  list_id TEXT NOT NULL,               -- Twitter list ID
+  tweet_id TEXT NOT NULL,              -- Tweet ID
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY(list_id) REFERENCES list_metadata(list_id) ON DELETE CASCADE,
+  UNIQUE(list_id, tweet_id)            -- Prevent duplicates
+);
+
+CREATE INDEX IF NOT EXISTS idx_list_metadata_id ON list_metadata(list_id);
+CREATE INDEX IF NOT EXISTS idx_list_metadata_enabled ON list_metadata(enabled);
+CREATE INDEX IF NOT EXISTS idx_list_tweets_list ON list_tweets(list_id);
+CREATE INDEX IF NOT EXISTS idx_list_tweets_tweet ON list_tweets(tweet_id);
+
+-- Stats view (for UI display)
+CREATE VIEW IF NOT EXISTS bookmark_stats AS
+SELECT 
+  COUNT(DISTINCT bookmarks.tweet_id) as total_bookmarks,
+  COUNT(DISTINCT list_tweets.list_id) as total_lists,
+  MAX(bookmarks.scraped_at) as last_sync
+FROM bookmarks
+LEFT JOIN list_tweets ON bookmarks.tweet_id = list_tweets.tweet_id;
@@ -0,0 +1,15 @@
+-- YouTube/PDF sources (1.3)
+
+-- Uploaded URLs table
+-- Tracks YouTube/PDF URLs added as sources (prevents duplicates)
+CREATE TABLE IF NOT EXISTS uploaded_urls (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  notebook_name TEXT NOT NULL,         -- Which notebook it was added to
+  url TEXT NOT NULL,                   -- Full URL
+  url_type TEXT NOT NULL,              -- 'youtube', 'pdf', 'website'
+  uploaded_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(notebook_name, url)           -- Prevent same URL twice in same notebook
+);
+
+CREATE INDEX IF NOT EXISTS idx_uploaded_urls_notebook ON uploaded_urls(notebook_name);
+CREATE INDEX IF NOT EXISTS idx_uploaded_urls_url ON uploaded_urls(url);
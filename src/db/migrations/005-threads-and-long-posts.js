@@ -0,0 +1,46 @@
+/**
+ * Migration 005 - Self-reply threads and long-form posts
+ */
+
+module.exports = {
+  description: 'Threads tables, long-form post flags on bookmarks',
+  
+  up(database, { addColumns }) {
+    addColumns('bookmarks', {
+      is_long_form: 'INTEGER DEFAULT 0',   // 1 if the timeline showed "Show more"
+      text_truncated: 'INTEGER DEFAULT 0'  // 1 if stored text is still the cut-off preview
+    });
+    
+    database.exec(`
+      -- Threads table
+      -- A self-reply thread by one author, captured from a bookmarked tweet's status page
+      CREATE TABLE IF NOT EXISTS threads (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        root_tweet_id TEXT UNIQUE NOT NULL,  -- First tweet of the thread
+        author TEXT NOT NULL,                -- Author display name
+        author_handle TEXT,                  -- Author @handle
+        tweet_count INTEGER NOT NULL,        -- Number of tweets captured
+        captured_at TEXT NOT NULL,           -- When we captured it (ISO 8601)
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+      );
+      
+      -- Thread tweets table
+      -- Ordered tweets of a thread (the bookmarked tweet is one of them)
+      CREATE TABLE IF NOT EXISTS thread_tweets (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        thread_id INTEGER NOT NULL,          -- References threads
+        position INTEGER NOT NULL,           -- 0-based order within the thread
+        tweet_id TEXT NOT NULL,              -- Tweet ID
+        text TEXT,                           -- Tweet text content
+        url TEXT NOT NULL,                   -- Full tweet URL
+        timestamp TEXT,                      -- Original tweet timestamp (ISO 8601)
+        embedded TEXT,                       -- JSON object of embedded content (same shape as bookmarks)
+        FOREIGN KEY(thread_id) REFERENCES threads(id) ON DELETE CASCADE,
+        UNIQUE(thread_id, position)
+      );
+      
+      CREATE INDEX IF NOT EXISTS idx_thread_tweets_thread ON thread_tweets(thread_id);
+      CREATE INDEX IF NOT EXISTS idx_thread_tweets_tweet ON thread_tweets(tweet_id);
+    `);
+  }
+};
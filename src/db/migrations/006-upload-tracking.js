@@ -0,0 +1,78 @@
+/**
+ * Migration 006 - Upload retry queue and per-bookmark upload tracking
+ */
+
+module.exports = {
+  description: 'Upload queue, bookmark uploads, URL source status',
+  
+  up(database, { addColumns, tableExists }) {
+    addColumns('uploaded_urls', {
+      original_url: 'TEXT',                // URL as it appeared in the bookmark
+      status: "TEXT DEFAULT 'uploaded'",   // 'uploaded' or 'failed' (failed URLs are in upload_queue)
+      last_error: 'TEXT'                   // Why the last attempt failed
+    });
+    
+    const hadBookmarkUploads = tableExists('bookmark_uploads');
+    
+    database.exec(`
+      -- Upload queue table
+      -- File/URL sources whose NotebookLM upload failed, retried with exponential backoff
+      CREATE TABLE IF NOT EXISTS upload_queue (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        notebook_name TEXT NOT NULL,         -- Notebook the source belongs in
+        notebook_id INTEGER,                 -- References notebooklm_notebooks (NULL for list notebooks)
+        source_type TEXT NOT NULL,           -- 'file', 'youtube', 'pdf', 'google-docs', 'website'
+        target TEXT NOT NULL,                -- Local file path (file) or URL
+        bookmark_count INTEGER DEFAULT 0,    -- Bookmarks in the file (file sources only)
+        attempts INTEGER DEFAULT 0,          -- Failed attempts so far
+        last_error TEXT,                     -- Error from the last attempt
+        next_attempt_at TEXT NOT NULL,       -- Not retried before this time (ISO 8601)
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(notebook_name, target)        -- Same source is queued once per notebook
+      );
+      
+      -- Bookmark uploads table
+      -- Which bookmark went into which uploaded file and notebook (bookmark notebooks only, not lists)
+      CREATE TABLE IF NOT EXISTS bookmark_uploads (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        tweet_id TEXT NOT NULL,              -- References bookmarks
+        notebook_name TEXT NOT NULL,         -- Notebook the file was uploaded to
+        notebook_id INTEGER,                 -- References notebooklm_notebooks
+        source_id INTEGER,                   -- References uploaded_sources (set once delivered)
+        file_name TEXT NOT NULL,             -- Bookmark file containing this tweet
+        file_path TEXT NOT NULL,             -- Local path to file
+        status TEXT NOT NULL DEFAULT 'queued', -- 'queued' (upload pending/retrying) or 'delivered'
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        delivered_at TEXT,                   -- When the file reached NotebookLM
+        FOREIGN KEY(tweet_id) REFERENCES bookmarks(tweet_id) ON DELETE CASCADE,
+        UNIQUE(tweet_id, file_path)          -- A tweet appears once per file
+      );
+      
+      CREATE INDEX IF NOT EXISTS idx_upload_queue_next ON upload_queue(next_attempt_at);
+      CREATE INDEX IF NOT EXISTS idx_bookmark_uploads_tweet ON bookmark_uploads(tweet_id);
+      CREATE INDEX IF NOT EXISTS idx_bookmark_uploads_file ON bookmark_uploads(file_path);
+    `);
+    
+    if (hadBookmarkUploads) {
+      return;
+    }
+    
+    // Older versions only recorded uploaded files, so each bookmark is matched to the
+    // first upload at or after it was scraped (sync scrapes, then uploads). Bookmarks
+    // with no later upload stay undelivered.
+    database.run(`
+      INSERT OR IGNORE INTO bookmark_uploads (
+        tweet_id, notebook_name, notebook_id, source_id, file_name, file_path, status, delivered_at
+      )
+      SELECT b.tweet_id, n.notebook_name, n.id, s.id, s.file_name, s.file_path, 'delivered', s.uploaded_at
+      FROM bookmarks b
+      JOIN uploaded_sources s ON s.id = (
+        SELECT s2.id FROM uploaded_sources s2
+        WHERE datetime(s2.uploaded_at) >= datetime(b.scraped_at)
+        ORDER BY s2.uploaded_at
+        LIMIT 1
+      )
+      JOIN notebooklm_notebooks n ON n.id = s.notebook_id
+    `);
+  }
+};
@@ -0,0 +1,103 @@
+/**
+ * Migration 007 - Outbound links, archived pages, local media and image text
+ * 
+ * A search index built before image text existed is dropped here;
+ * 008-search-index recreates it with media_text and re-indexes every bookmark.
+ */
+
+// Search index triggers (dropped with the index)
+const FTS_TRIGGERS = ['bookmarks_fts_insert', 'bookmarks_fts_update', 'bookmarks_fts_delete', 'bookmarks_fts_media'];
+
+module.exports = {
+  description: 'Links, website domains, archived pages, media, image alt text and OCR',
+  
+  up(database, { addColumns }) {
+    addColumns('bookmarks', {
+      image_alts: 'TEXT'                   // JSON array of image alt text (same order as image_urls, '' = none)
+    });
+    addColumns('media', {
+      ocr_text: 'TEXT',                    // Text recognized in the image ('' = none found)
+      ocr_at: 'TEXT'                       // When OCR ran (NULL = not yet)
+    });
+    
+    database.exec(`
+      -- Links table
+      -- Outbound links found in bookmarks (inline + link cards), t.co expanded and classified
+      CREATE TABLE IF NOT EXISTS links (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        tweet_id TEXT NOT NULL,              -- References bookmarks.tweet_id
+        url TEXT NOT NULL,                   -- Link as it appeared in the tweet (often t.co)
+        expanded_url TEXT,                   -- Normalized destination (NULL if expansion failed)
+        domain TEXT,                         -- Destination host without www.
+        link_type TEXT,                      -- 'article', 'repo', 'paper', 'pdf', 'doc', 'video'
+        title TEXT,                          -- Card title or link text
+        source TEXT,                         -- 'inline' or 'card'
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY(tweet_id) REFERENCES bookmarks(tweet_id) ON DELETE CASCADE,
+        UNIQUE(tweet_id, url)                -- A link is stored once per tweet
+      );
+      
+      -- Website domains table
+      -- Domains whose links are added to NotebookLM as Website sources (opt-in, covers subdomains)
+      CREATE TABLE IF NOT EXISTS website_domains (
+        domain TEXT PRIMARY KEY,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+      );
+      
+      -- Archived pages table
+      -- Local snapshots of linked pages (data/archive/), inlined into NotebookLM files
+      CREATE TABLE IF NOT EXISTS archived_pages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        url TEXT NOT NULL UNIQUE,            -- Normalized URL (links.expanded_url)
+        final_url TEXT,                      -- URL after redirects
+        title TEXT,                          -- Page title
+        byline TEXT,                         -- Author (if the page names one)
+        word_count INTEGER DEFAULT 0,        -- Readable text length (low = paywall/cookie wall)
+        text_file TEXT,                      -- Readable text, in data/archive/
+        html_file TEXT,                      -- Single-file HTML snapshot, in data/archive/
+        status TEXT DEFAULT 'archived',      -- 'archived' or 'failed'
+        attempts INTEGER DEFAULT 0,          -- Archive attempts (failed pages stop after 3)
+        last_error TEXT,                     -- Error from the last failed attempt
+        archived_at TEXT DEFAULT CURRENT_TIMESTAMP
+      );
+      
+      -- Media table
+      -- Tweet images/videos downloaded to data/media/ (content-addressed by SHA-256, so a
+      -- file shared by several bookmarks is stored once)
+      CREATE TABLE IF NOT EXISTS media (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        bookmark_id TEXT NOT NULL,           -- References bookmarks.tweet_id
+        source_url TEXT NOT NULL,            -- image_urls / video_urls entry it came from
+        download_url TEXT,                   -- What was fetched (name=orig image, best MP4 variant)
+        media_type TEXT NOT NULL,            -- 'image' or 'video'
+        hash TEXT,                           -- SHA-256 of the file (NULL until downloaded)
+        mime TEXT,                           -- Content type, e.g. 'image/jpeg', 'video/mp4'
+        size INTEGER DEFAULT 0,              -- File size in bytes
+        file TEXT,                           -- Path under data/media/ (<hash prefix>/<hash>.<ext>)
+        thumb_file TEXT,                     -- Thumbnail under data/media/ (thumbs/<hash>.jpg)
+        ocr_text TEXT,                       -- Text recognized in the image ('' = none found)
+        ocr_at TEXT,                         -- When OCR ran (NULL = not yet)
+        status TEXT DEFAULT 'stored',        -- 'stored' or 'failed'
+        attempts INTEGER DEFAULT 0,          -- Download attempts (failed media stop after 3)
+        last_error TEXT,                     -- Error from the last failed attempt
+        downloaded_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY(bookmark_id) REFERENCES bookmarks(tweet_id) ON DELETE CASCADE,
+        UNIQUE(bookmark_id, source_url)      -- A media item is stored once per bookmark
+      );
+      
+      CREATE INDEX IF NOT EXISTS idx_links_tweet ON links(tweet_id);
+      CREATE INDEX IF NOT EXISTS idx_links_domain ON links(domain);
+      CREATE INDEX IF NOT EXISTS idx_media_bookmark ON media(bookmark_id);
+      CREATE INDEX IF NOT EXISTS idx_media_hash ON media(hash);
+    `);
+    
+    const stmt = database.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'bookmarks_fts'");
+    const indexSql = stmt.step() ? stmt.getAsObject().sql : null;
+    stmt.free();
+    
+    if (indexSql && !indexSql.includes('media_text')) {
+      FTS_TRIGGERS.forEach(trigger => database.run(`DROP TRIGGER IF EXISTS ${trigger}`));
+      database.run('DROP TABLE bookmarks_fts');
+    }
+  }
+};
@@ -0,0 +1,67 @@
+-- Bookmark search (FTS4 index kept in sync by triggers)
+
+-- Full-text search index over bookmarks (FTS4 - sql.js is not built with FTS5)
+-- docid mirrors bookmarks.id; quoted_tweet holds the quoted author + text (not the raw JSON);
+-- media_text holds image alt text + OCR text (007-links-archive-media drops indexes created without it)
+CREATE VIRTUAL TABLE IF NOT EXISTS bookmarks_fts USING fts4(
+  text,
+  author,
+  quoted_tweet,
+  media_text,
+  tokenize=unicode61
+);
+
+-- Keep search index in sync with bookmarks (saveBookmark upserts, so UPDATE matters too)
+CREATE TRIGGER IF NOT EXISTS bookmarks_fts_insert AFTER INSERT ON bookmarks BEGIN
+  INSERT INTO bookmarks_fts(docid, text, author, quoted_tweet, media_text)
+  VALUES (
+    new.id,
+    COALESCE(new.text, ''),
+    new.author,
+    TRIM(COALESCE(json_extract(new.quoted_tweet, '$.author'), '') || ' ' || COALESCE(json_extract(new.quoted_tweet, '$.text'), '')),
+    TRIM(COALESCE((SELECT GROUP_CONCAT(value, ' ') FROM json_each(new.image_alts)), '') || ' ' ||
+      COALESCE((SELECT GROUP_CONCAT(ocr_text, ' ') FROM media WHERE bookmark_id = new.tweet_id AND ocr_text != ''), ''))
+  );
+END;
+
+CREATE TRIGGER IF NOT EXISTS bookmarks_fts_update AFTER UPDATE ON bookmarks BEGIN
+  DELETE FROM bookmarks_fts WHERE docid = old.id;
+  INSERT INTO bookmarks_fts(docid, text, author, quoted_tweet, media_text)
+  VALUES (
+    new.id,
+    COALESCE(new.text, ''),
+    new.author,
+    TRIM(COALESCE(json_extract(new.quoted_tweet, '$.author'), '') || ' ' || COALESCE(json_extract(new.quoted_tweet, '$.text'), '')),
+    TRIM(COALESCE((SELECT GROUP_CONCAT(value, ' ') FROM json_each(new.image_alts)), '') || ' ' ||
+      COALESCE((SELECT GROUP_CONCAT(ocr_text, ' ') FROM media WHERE bookmark_id = new.tweet_id AND ocr_text != ''), ''))
+  );
+END;
+
+CREATE TRIGGER IF NOT EXISTS bookmarks_fts_delete AFTER DELETE ON bookmarks BEGIN
+  DELETE FROM bookmarks_fts WHERE docid = old.id;
+END;
+
+-- OCR finishes after the bookmark is indexed - refresh its media_text
+CREATE TRIGGER IF NOT EXISTS bookmarks_fts_media AFTER UPDATE OF ocr_text ON media BEGIN
+  UPDATE bookmarks_fts
+  SET media_text = (
+    SELECT
+      TRIM(COALESCE((SELECT GROUP_CONCAT(value, ' ') FROM json_each(b.image_alts)), '') || ' ' ||
+        COALESCE((SELECT GROUP_CONCAT(ocr_text, ' ') FROM media WHERE bookmark_id = b.tweet_id AND ocr_text != ''), ''))
+    FROM bookmarks b
+    WHERE b.id = bookmarks_fts.docid
+  )
+  WHERE docid IN (SELECT id FROM bookmarks WHERE tweet_id = new.bookmark_id);
+END;
+
+-- Backfill index for bookmarks saved before search existed (no-op once indexed)
+INSERT INTO bookmarks_fts(docid, text, author, quoted_tweet, media_text)
+SELECT
+  b.id,
+  COALESCE(b.text, ''),
+  b.author,
+  TRIM(COALESCE(json_extract(b.quoted_tweet, '$.author'), '') || ' ' || COALESCE(json_extract(b.quoted_tweet, '$.text'), '')),
+  TRIM(COALESCE((SELECT GROUP_CONCAT(value, ' ') FROM json_each(b.image_alts)), '') || ' ' ||
+    COALESCE((SELECT GROUP_CONCAT(ocr_text, ' ') FROM media WHERE bookmark_id = b.tweet_id AND ocr_text != ''), ''))
+FROM bookmarks b
+WHERE b.id NOT IN (SELECT docid FROM bookmarks_fts);
@@ -0,0 +1,30 @@
+/**
+ * Migration 009 - Topic notebooks chosen by routing rules
+ */
+
+module.exports = {
+  description: 'Routing rules, notebook topics',
+  
+  up(database, { addColumns }) {
+    addColumns('notebooklm_notebooks', {
+      topic: 'TEXT'                        // Routing rule topic (NULL = main bookmarks notebook)
+    });
+    
+    database.exec(`
+      -- Routing rules table
+      -- Send matching bookmarks to topic notebooks (first enabled rule in position order wins,
+      -- unmatched bookmarks go to the main bookmarks notebook)
+      CREATE TABLE IF NOT EXISTS routing_rules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        position INTEGER NOT NULL,           -- Evaluation order
+        match_type TEXT NOT NULL,            -- 'author', 'keyword', 'regex', 'hashtag', 'domain', 'youtube'
+        pattern TEXT,                        -- What to match (unused for 'youtube')
+        topic TEXT NOT NULL,                 -- Topic notebook name ("BrainBrief - <topic> - date")
+        enabled INTEGER DEFAULT 1,           -- 0 = kept but not evaluated
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+      );
+      
+      CREATE INDEX IF NOT EXISTS idx_notebooks_topic ON notebooklm_notebooks(topic);
+    `);
+  }
+};
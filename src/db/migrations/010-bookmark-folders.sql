@@ -0,0 +1,29 @@
+-- X Premium bookmark folders
+
+-- Bookmark folders table
+-- X Premium bookmark folders (found by twitter.discoverBookmarkFolders)
+CREATE TABLE IF NOT EXISTS bookmark_folders (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  folder_id TEXT UNIQUE NOT NULL,      -- ID from the folder URL (/i/bookmarks/<id>)
+  name TEXT NOT NULL,                  -- Folder name
+  url TEXT NOT NULL,                   -- Folder URL
+  enabled INTEGER DEFAULT 0,           -- 1 = extracted by folder syncs
+  own_notebook INTEGER DEFAULT 0,      -- 1 = new folder bookmarks also go to "BrainBrief - <folder> - date"
+  last_synced_at TEXT,                 -- When the folder was last extracted
+  discovered_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Bookmark folder items table
+-- Which bookmarks are in which folder (a bookmark can be in several)
+CREATE TABLE IF NOT EXISTS bookmark_folder_items (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  folder_id TEXT NOT NULL,             -- References bookmark_folders.folder_id
+  tweet_id TEXT NOT NULL,              -- References bookmarks.tweet_id
+  added_at TEXT DEFAULT CURRENT_TIMESTAMP, -- When a sync first saw it in the folder
+  FOREIGN KEY(folder_id) REFERENCES bookmark_folders(folder_id) ON DELETE CASCADE,
+  FOREIGN KEY(tweet_id) REFERENCES bookmarks(tweet_id) ON DELETE CASCADE,
+  UNIQUE(folder_id, tweet_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_folder_items_folder ON bookmark_folder_items(folder_id);
+CREATE INDEX IF NOT EXISTS idx_folder_items_tweet ON bookmark_folder_items(tweet_id);
@@ -0,0 +1,130 @@
+/**
+ * Migration 011 - Lists, their sync settings and their tweets stored in the database
+ * 
+ * list_tweets is rebuilt: it now stores the tweet itself (list tweets are not
+ * bookmarks), so its foreign key to bookmarks goes. Lists configured in
+ * lists-config.json by older versions are copied into list_metadata. The file
+ * is left as it is (migrations only change the database, so a rollback or a
+ * restored backup never loses the lists); its "lists" array is no longer read.
+ */
+
+const fs = require('fs');
+const logger = require('../../utils/logger');
+
+/**
+ * Copy lists from lists-config.json into list_metadata (lists already there are left alone)
+ * An unreadable file is skipped with a warning: lists can be discovered again.
+ * 
+ * @param {Object} database - sql.js Database
+ * @param {string} listsConfigFile - lists-config.json path
+ */
+function _importListsConfig(database, listsConfigFile) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(listsConfigFile, 'utf-8'));
+  } catch (error) {
+    logger.warn(`Could not read lists from ${listsConfigFile}: ${error.message}`, 'migrate');
+    return;
+  }
+  if (!Array.isArray(config.lists)) {
+    return;
+  }
+  
+  const stmt = database.prepare(`
+    INSERT INTO list_metadata (
+      list_id, list_name, list_url, enabled, max_tweets, days_back,
+      notebook_name_format, member_count, owner_handle, description, last_synced_at
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime(?))
+    ON CONFLICT(list_id) DO NOTHING
+  `);
+  
+  let imported = 0;
+  config.lists
+    .filter(list => list.listId && list.name && list.url)
+    .forEach(list => {
+      stmt.run([
+        String(list.listId),
+        list.name,
+        list.url,
+        list.enabled === false ? 0 : 1,
+        list.maxTweets || 50,
+        list.daysBack || config.settings?.defaultDaysBack || 1,
+        list.notebookNameFormat || null,
+        list.memberCount === undefined || list.memberCount === null ? null : String(list.memberCount).replace(/\s*members?$/i, ''),
+        list.owner || null,
+        list.description || null,
+        list.lastSynced || null
+      ]);
+      imported += database.getRowsModified();
+    });
+  stmt.free();
+  
+  logger.info(`Copied ${imported} list(s) from lists-config.json into the database`, 'migrate');
+}
+
+module.exports = {
+  description: 'List sync settings and list tweets in the database, lists imported from lists-config.json',
+  
+  up(database, { addColumns, listsConfigFile }) {
+    addColumns('list_metadata', {
+      days_back: 'INTEGER DEFAULT 1',      // Only extract tweets from the last N days
+      notebook_name_format: 'TEXT',        // Notebook name template (NULL = Settings → Notebook Names)
+      owner_handle: 'TEXT',                // @handle of the list owner (without @)
+      description: 'TEXT',                 // List description
+      last_tweet_id: 'TEXT',               // Newest tweet synced (next sync stops here)
+      last_tweet_at: 'TEXT'                // Its timestamp (ISO 8601)
+    });
+    addColumns('list_tweets', {
+      author: 'TEXT',
+      text: 'TEXT',
+      url: 'TEXT',
+      timestamp: 'TEXT',
+      embedded: 'TEXT'
+    });
+    
+    // bookmark_stats reads list_tweets, so it goes while the table is swapped
+    database.exec(`
+      DROP VIEW IF EXISTS bookmark_stats;
+      
+      -- List tweets table
+      -- Tweets extracted from each list (a tweet can be in multiple lists; list tweets
+      -- are not bookmarks, so the tweet itself is stored here)
+      CREATE TABLE list_tweets_new (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        list_id TEXT NOT NULL,               -- Twitter list ID
+        tweet_id TEXT NOT NULL,              -- Tweet ID
+        author TEXT,                         -- Tweet author username
+        text TEXT,                           -- Tweet text content
+        url TEXT,                            -- Full tweet URL
+        timestamp TEXT,                      -- Original tweet timestamp (ISO 8601)
+        embedded TEXT,                       -- JSON object of embedded content (same shape as bookmarks)
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY(list_id) REFERENCES list_metadata(list_id) ON DELETE CASCADE,
+        UNIQUE(list_id, tweet_id)            -- Prevent duplicates
+      );
+      
+      INSERT INTO list_tweets_new (id, list_id, tweet_id, author, text, url, timestamp, embedded, created_at)
+      SELECT id, list_id, tweet_id, author, text, url, timestamp, embedded, created_at FROM list_tweets;
+      
+      DROP TABLE list_tweets;
+      ALTER TABLE list_tweets_new RENAME TO list_tweets;
+      
+      CREATE INDEX IF NOT EXISTS idx_list_tweets_list ON list_tweets(list_id);
+      CREATE INDEX IF NOT EXISTS idx_list_tweets_tweet ON list_tweets(tweet_id);
+      
+      -- Stats view (for UI display)
+      CREATE VIEW bookmark_stats AS
+      SELECT
+        COUNT(DISTINCT bookmarks.tweet_id) as total_bookmarks,
+        COUNT(DISTINCT list_tweets.list_id) as total_lists,
+        MAX(bookmarks.scraped_at) as last_sync
+      FROM bookmarks
+      LEFT JOIN list_tweets ON bookmarks.tweet_id = list_tweets.tweet_id;
+    `);
+    
+    if (listsConfigFile && fs.existsSync(listsConfigFile)) {
+      _importListsConfig(database, listsConfigFile);
+    }
+  }
+};
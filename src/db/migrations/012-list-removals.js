@@ -0,0 +1,13 @@
+/**
+ * Migration 012 - Lists no longer found by discovery (kept, flagged instead of deleted)
+ */
+
+module.exports = {
+  description: 'Removed flag on lists',
+  
+  up(database, { addColumns }) {
+    addColumns('list_metadata', {
+      removed_at: 'TEXT'                   // When discovery stopped finding it (deleted/unfollowed); NULL = found
+    });
+  }
+};
@@ -0,0 +1,16 @@
+/**
+ * Migration 013 - Archive-imported bookmarks still waiting for their text
+ * 
+ * X archives often list a bookmark by tweet ID only; the archive import flags
+ * those rows so the next timeline sync fills them in.
+ */
+
+module.exports = {
+  description: 'Needs-enrichment flag on bookmarks',
+  
+  up(database, { addColumns }) {
+    addColumns('bookmarks', {
+      needs_enrichment: 'INTEGER'          // 1 = imported without text; cleared when a timeline sync saves it
+    });
+  }
+};
@@ -0,0 +1,28 @@
+-- Sync run history
+
+-- Sync runs table
+-- One row per bookmark, folder, list, upload or reconciliation run (see sync-runs.js)
+CREATE TABLE IF NOT EXISTS sync_runs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  kind TEXT NOT NULL,                  -- 'bookmarks', 'folders', 'lists', 'upload', 'reconcile'
+  triggered_by TEXT NOT NULL,          -- 'manual' (app window), 'tray', 'schedule', 'cli'
+  status TEXT NOT NULL,                -- 'success', 'partial' (some lists/folders failed), 'failed'
+  started_at TEXT NOT NULL,
+  finished_at TEXT NOT NULL,
+  duration_ms INTEGER,                 -- Whole run
+  extract_ms INTEGER,                  -- Time per phase (NULL = phase not run)
+  save_ms INTEGER,
+  upload_ms INTEGER,
+  found INTEGER DEFAULT 0,             -- New bookmarks/tweets extracted
+  checked INTEGER,                     -- Tweets looked at on X (incremental bookmark syncs)
+  duplicates INTEGER,                  -- Already-saved tweets skipped
+  scrolls INTEGER,                     -- Timeline scrolls
+  stop_reason TEXT,                    -- Why extraction stopped: 'found existing', 'reached limit', 'end of timeline'
+  saved INTEGER DEFAULT 0,             -- Rows written to the database
+  failed INTEGER DEFAULT 0,            -- Bookmarks/sources that could not be saved or uploaded
+  uploaded INTEGER DEFAULT 0,          -- Bookmarks/tweets delivered to NotebookLM
+  error TEXT,                          -- Why the run failed (or which lists/folders failed)
+  details TEXT                         -- JSON: per-list/per-folder results
+);
+
+CREATE INDEX IF NOT EXISTS idx_sync_runs_started ON sync_runs(started_at);
@@ -0,0 +1,18 @@
+/**
+ * Migration 015 - Bookmarks removed on X (soft delete by reconciliation syncs)
+ */
+
+module.exports = {
+  description: 'Removed/deleted flags on bookmarks',
+  
+  up(database, { addColumns }) {
+    addColumns('bookmarks', {
+      removed_at: 'TEXT',                  // When a reconciliation sync no longer found it in the bookmarks timeline
+      deleted: 'INTEGER'                   // 1 = tweet deleted on X, 0 = still on X (un-bookmarked), NULL = not checked
+    });
+    
+    database.exec(`
+      CREATE INDEX IF NOT EXISTS idx_bookmarks_removed ON bookmarks(removed_at);
+    `);
+  }
+};
@@ -0,0 +1,261 @@
+/**
+ * BrainBrief - Schema Migrations
+ * 
+ * Purpose: Bring a database of any earlier version up to the current schema
+ * Dependencies: fs, path (migrations in src/db/migrations/)
+ * 
+ * Migrations are files named NNN-description.sql or NNN-description.js, applied in
+ * order. schema_version records each one applied, so it runs once per database.
+ * A .js migration exports { description, up(database, context) }; context has
+ * addColumns/tableExists helpers and listsConfigFile.
+ * 
+ * Databases created before migrations existed have no schema_version and start at
+ * version 0, so every migration runs on them: migrations only create what is missing
+ * (IF NOT EXISTS, addColumns) and leave existing data alone.
+ * 
+ * Each migration runs in its own transaction. The database file is copied to
+ * data/backups/ before the first pending migration; if one fails it is rolled back,
+ * later ones are not run, and the error names the migration and the backup.
+ * 
+ * @module migrator
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+// Paths
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Migration files: 001-initial-schema.sql, 002-bookmark-embedded-content.js, ...
+const MIGRATION_FILE_PATTERN = /^(\d{3})-([\w-]+)\.(sql|js)$/;
+
+/**
+ * Check whether a table exists
+ * 
+ * @param {Object} database - sql.js Database
+ * @param {string} tableName - Table name
+ * @returns {boolean} True if the table exists
+ */
+function tableExists(database, tableName) {
+  const stmt = database.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?");
+  stmt.bind([tableName]);
+  const exists = stmt.step();
+  stmt.free();
+  return exists;
+}
+
+/**
+ * Add columns a table doesn't have yet (tables that don't exist are left alone)
+ * 
+ * @param {Object} database - sql.js Database
+ * @param {string} table - Table name
+ * @param {Object} columns - { column: 'TYPE DEFAULT ...' }
+ * @returns {Array<string>} Columns added
+ */
+function addColumns(database, table, columns) {
+  const existing = new Set();
+  const stmt = database.prepare(`PRAGMA table_info(${table})`);
+  while (stmt.step()) {
+    existing.add(stmt.getAsObject().name);
+  }
+  stmt.free();
+  
+  if (existing.size === 0) {
+    return [];
+  }
+  
+  const added = Object.keys(columns).filter(column => !existing.has(column));
+  added.forEach(column => {
+    database.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${columns[column]}`);
+    logger.info(`Added ${table}.${column} column`, 'migrate');
+  });
+  return added;
+}
+
+/**
+ * List migration files in order
+ * 
+ * @param {string} migrationsDir - Directory to read
+ * @returns {Array<Object>} [{ version, name, file }]
+ */
+function loadMigrations(migrationsDir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(migrationsDir)
+    .map(file => ({ file, match: file.match(MIGRATION_FILE_PATTERN) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => ({
+      version: parseInt(match[1], 10),
+      name: `${match[1]}-${match[2]}`,
+      file: path.join(migrationsDir, file)
+    }))
+    .sort((a, b) => a.version - b.version);
+    
+  migrations.forEach((migration, i) => {
+    if (i > 0 && migration.version === migrations[i - 1].version) {
+      throw new Error(`Two migrations numbered ${migration.version}: ${migrations[i - 1].name}, ${migration.name}`);
+    }
+  });
+  
+  return migrations;
+}
+
+/**
+ * Current schema version (highest migration applied, 0 = none)
+ * 
+ * @param {Object} database - sql.js Database
+ * @returns {number} Schema version
+ */
+function getSchemaVersion(database) {
+  if (!tableExists(database, 'schema_version')) {
+    return 0;
+  }
+  const stmt = database.prepare('SELECT MAX(version) AS version FROM schema_version');
+  stmt.step();
+  const version = stmt.getAsObject().version || 0;
+  stmt.free();
+  return version;
+}
+
+/**
+ * Copy the database file before migrating it
+ * Kept if one already exists for this version today (the first copy is the untouched one).
+ * 
+ * @param {string} dbFile - Database file
+ * @param {number} version - Schema version being migrated from
+ * @returns {string} Backup file path
+ */
+function _backupDatabase(dbFile, version) {
+  const backupDir = path.join(path.dirname(dbFile), 'backups');
+  const today = new Date().toISOString().split('T')[0];
+  const backupFile = path.join(backupDir, `${path.basename(dbFile, '.db')}-v${version}-${today}.db`);
+  
+  if (!fs.existsSync(backupDir)) {
+    fs.mkdirSync(backupDir, { recursive: true });
+  }
+  if (!fs.existsSync(backupFile)) {
+    fs.copyFileSync(dbFile, backupFile);
+  }
+  
+  logger.info(`Backed up database before migrating: ${backupFile}`, 'migrate');
+  return backupFile;
+}
+
+/**
+ * Apply one migration inside a transaction and record it in schema_version
+ * 
+ * @param {Object} database - sql.js Database
+ * @param {Object} migration - { version, name, file }
+ * @param {Object} context - Passed to .js migrations
+ */
+async function _applyMigration(database, migration, context) {
+  database.exec('BEGIN');
+  try {
+    if (migration.file.endsWith('.sql')) {
+      database.exec(fs.readFileSync(migration.file, 'utf-8'));
+    } else {
+      await require(migration.file).up(database, context);
+    }
+    
+    const stmt = database.prepare('INSERT INTO schema_version (version, name) VALUES (?, ?)');
+    stmt.run([migration.version, migration.name]);
+    stmt.free();
+    
+    database.exec('COMMIT');
+  } catch (error) {
+    database.exec('ROLLBACK');
+    throw error;
+  }
+}
+
+/**
+ * Apply pending migrations
+ * 
+ * @param {Object} database - sql.js Database
+ * @param {Object} options - Migration options
+ * @param {string} options.dbFile - File the database was loaded from (backed up first; null = in-memory)
+ * @param {string} options.listsConfigFile - lists-config.json to import lists from (null = skip)
+ * @param {string} options.migrationsDir - Migration directory (tests)
+ * @returns {Promise<Object>} { success, data: { from, to, applied: names[], backupFile }, error }
+ */
+async function migrate(database, options = {}) {
+  const { dbFile = null, listsConfigFile = null, migrationsDir = MIGRATIONS_DIR } = options;
+  const applied = [];
+  let from = 0;
+  let backupFile = null;
+  
+  try {
+    database.run(`
+      CREATE TABLE IF NOT EXISTS schema_version (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    
+    const migrations = loadMigrations(migrationsDir);
+    const latest = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+    from = getSchemaVersion(database);
+    
+    if (from > latest) {
+      throw new Error(`Database is at schema version ${from}, newer than this version of BrainBrief supports (${latest}). Update BrainBrief or restore a backup from data/backups/.`);
+    }
+    
+    const pending = migrations.filter(migration => migration.version > from);
+    if (pending.length === 0) {
+      return {
+        success: true,
+        data: { from, to: from, applied, backupFile },
+        error: null
+      };
+    }
+    
+    if (dbFile && fs.existsSync(dbFile)) {
+      backupFile = _backupDatabase(dbFile, from);
+    }
+    
+    logger.info(`Migrating database from version ${from} to ${latest} (${pending.length} migration(s))`, 'migrate');
+    
+    const context = {
+      listsConfigFile,
+      addColumns: (table, columns) => addColumns(database, table, columns),
+      tableExists: tableName => tableExists(database, tableName)
+    };
+    
+    for (const migration of pending) {
+      try {
+        await _applyMigration(database, migration, context);
+        applied.push(migration.name);
+        logger.debug(`Applied migration ${migration.name}`, null, 'migrate');
+      } catch (error) {
+        const version = applied.length > 0 ? pending[applied.length - 1].version : from;
+        throw new Error(`Migration ${migration.name} failed: ${error.message}. ` +
+          `The database was left at schema version ${version}` +
+          `${backupFile ? `; the copy from before migrating is ${backupFile}` : ''}.`);
+      }
+    }
+    
+    logger.success(`Database migrated to schema version ${latest}`, 'migrate');
+    
+    return {
+      success: true,
+      data: { from, to: latest, applied, backupFile },
+      error: null
+    };
+    
+  } catch (error) {
+    logger.error('Database migration failed', error, 'migrate');
+    return {
+      success: false,
+      data: { from, to: getSchemaVersion(database), applied, backupFile },
+      error: error.message
+    };
+  }
+}
+
+module.exports = {
+  migrate,
+  loadMigrations,
+  getSchemaVersion,
+  addColumns,
+  tableExists
+};
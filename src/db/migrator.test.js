@@ -0,0 +1,234 @@
+/**
+ * BrainBrief - Schema Migration Tests (offline)
+ * 
+ * Purpose: Migrate a BrainBrief 1.0 database to the current schema
+ * Dependencies: sql.js
+ * 
+ * Loads fixtures/brainbrief-v1.0.sql into a database file in a temp directory,
+ * migrates it and compares the result with a database created from scratch.
+ * Never touches data/ or lists-config.json.
+ * 
+ * Run with: node src/db/migrator.test.js (or npm test)
+ * 
+ * @module migrator.test
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const initSqlJs = require('sql.js');
+const logger = require('../utils/logger');
+const migrator = require('./migrator');
+
+// Fixtures
+const V1_FIXTURE = path.join(__dirname, 'fixtures', 'brainbrief-v1.0.sql');
+const LISTS_CONFIG = {
+  lists: [
+    { listId: '1700000000000000001', name: 'AI Leaders', url: 'https://x.com/i/lists/1700000000000000001', enabled: false, maxTweets: 100, memberCount: '42 Members' },
+    { listId: '1700000000000000002', name: 'No URL' }
+  ],
+  settings: { defaultDaysBack: 3 }
+};
+
+let SQL = null;
+let tmpDir = null;
+let failures = 0;
+
+/**
+ * Record one assertion
+ * 
+ * @param {boolean} condition - Assertion result
+ * @param {string} description - What was checked
+ */
+function _expect(condition, description) {
+  if (condition) {
+    logger.success(`✅ ${description}`, 'test');
+  } else {
+    failures++;
+    logger.error(`❌ ${description}`, null, 'test');
+  }
+}
+
+/**
+ * Run a query and return its rows
+ * 
+ * @param {Object} database - sql.js Database
+ * @param {string} sql - Query
+ * @param {Array} params - Bound parameters
+ * @returns {Array<Object>} Rows
+ */
+function _all(database, sql, params = []) {
+  const rows = [];
+  const stmt = database.prepare(sql);
+  stmt.bind(params);
+  while (stmt.step()) {
+    rows.push(stmt.getAsObject());
+  }
+  stmt.free();
+  return rows;
+}
+
+/**
+ * Describe a database's schema: every table, view, index and trigger, with table columns
+ * Column order is left out (columns added by migrations go at the end of a table).
+ * 
+ * @param {Object} database - sql.js Database
+ * @returns {Object} { 'table bookmarks': 'author,id,...', 'index idx_...': '', ... }
+ */
+function _describeSchema(database) {
+  const schema = {};
+  _all(database, "SELECT type, name FROM sqlite_master WHERE name NOT LIKE 'sqlite_%'")
+    .forEach(({ type, name }) => {
+      schema[`${type} ${name}`] = type === 'table'
+        ? _all(database, `PRAGMA table_info(${name})`).map(column => column.name).sort().join(',')
+        : '';
+    });
+  return schema;
+}
+
+/**
+ * Create a 1.0 database file from the fixture
+ * 
+ * @param {string} name - File name in the temp directory
+ * @returns {Object} { database, dbFile }
+ */
+function _createV1Database(name) {
+  const database = new SQL.Database();
+  database.exec(fs.readFileSync(V1_FIXTURE, 'utf-8'));
+  
+  const dbFile = path.join(tmpDir, name);
+  fs.writeFileSync(dbFile, Buffer.from(database.export()));
+  return { database, dbFile };
+}
+
+/**
+ * Test: a 1.0 database migrates to the same schema as a new one, keeping its data
+ */
+async function testMigrateV1Database() {
+  logger.info('Test: 1.0 database migrates to current', 'test');
+  
+  const { database, dbFile } = _createV1Database('brainbrief.db');
+  const listsConfigFile = path.join(tmpDir, 'lists-config.json');
+  fs.writeFileSync(listsConfigFile, JSON.stringify(LISTS_CONFIG, null, 2));
+  
+  const latest = migrator.loadMigrations().pop().version;
+  const result = await migrator.migrate(database, { dbFile, listsConfigFile });
+  
+  _expect(result.success, `Migration succeeded${result.error ? ` (${result.error})` : ''}`);
+  _expect(result.data.from === 0 && result.data.to === latest, `Migrated from version 0 to ${latest}`);
+  _expect(migrator.getSchemaVersion(database) === latest, 'schema_version records the latest migration');
+  _expect(result.data.applied.length === latest, 'Every migration applied');
+  
+  // Backup is the untouched 1.0 file
+  _expect(result.data.backupFile && fs.existsSync(result.data.backupFile), 'Database backed up before migrating');
+  _expect(path.basename(result.data.backupFile).startsWith('brainbrief-v0-'), 'Backup named after the version it came from');
+  const backup = new SQL.Database(fs.readFileSync(result.data.backupFile));
+  _expect(migrator.getSchemaVersion(backup) === 0 && !migrator.tableExists(backup, 'list_metadata'), 'Backup holds the database before migrating');
+  backup.close();
+  
+  // Same schema as a new database
+  const fresh = new SQL.Database();
+  await migrator.migrate(fresh);
+  const expected = _describeSchema(fresh);
+  const actual = _describeSchema(database);
+  const differences = Object.keys({ ...expected, ...actual }).filter(key => expected[key] !== actual[key]);
+  _expect(differences.length === 0, `Schema matches a new database${differences.length ? ` (differs: ${differences.join('; ')})` : ''}`);
+  fresh.close();
+  
+  // 1.0 data kept and reachable through later features
+  const bookmarks = _all(database, 'SELECT tweet_id, author, youtube_urls, is_long_form FROM bookmarks ORDER BY id');
+  _expect(bookmarks.length === 3 && bookmarks[0].author === 'alice', 'Bookmarks kept');
+  _expect(bookmarks[0].youtube_urls === null && bookmarks[0].is_long_form === 0, 'New bookmark columns added with their defaults');
+  
+  const found = _all(database, "SELECT docid FROM bookmarks_fts WHERE bookmarks_fts MATCH 'sqlite'");
+  _expect(found.length === 1 && found[0].docid === 2, 'Existing bookmarks indexed for search');
+  
+  const delivered = _all(database, "SELECT tweet_id FROM bookmark_uploads WHERE status = 'delivered' ORDER BY tweet_id");
+  _expect(delivered.length === 2 && delivered[1].tweet_id === '1800000000000000002', 'Uploaded bookmarks linked to their source file');
+  
+  // Lists copied from lists-config.json
+  const listRows = _all(database, 'SELECT list_id, enabled, max_tweets, days_back, member_count FROM list_metadata');
+  _expect(listRows.length === 1, 'Valid list imported, list without a URL skipped');
+  _expect(listRows[0]?.enabled === 0 && listRows[0]?.max_tweets === 100 && listRows[0]?.days_back === 3 && listRows[0]?.member_count === '42',
+    'List settings imported (days back from settings, member count cleaned)');
+  _expect(fs.readFileSync(listsConfigFile, 'utf-8') === JSON.stringify(LISTS_CONFIG, null, 2), 'lists-config.json left untouched (migrations only change the database)');
+  
+  // Nothing left to do on the next start
+  const rerun = await migrator.migrate(database, { dbFile, listsConfigFile });
+  _expect(rerun.success && rerun.data.applied.length === 0 && rerun.data.backupFile === null, 'Second run applies nothing and makes no backup');
+  
+  database.close();
+}
+
+/**
+ * Test: a failing migration is rolled back and reported, earlier ones are kept
+ */
+async function testFailedMigrationRolledBack() {
+  logger.info('Test: failed migration rolled back', 'test');
+  
+  const migrationsDir = path.join(tmpDir, 'migrations');
+  fs.mkdirSync(migrationsDir);
+  fs.writeFileSync(path.join(migrationsDir, '001-first.sql'), 'CREATE TABLE first (id INTEGER);');
+  fs.writeFileSync(path.join(migrationsDir, '002-broken.sql'), 'CREATE TABLE second (id INTEGER);\nINSERT INTO missing_table VALUES (1);');
+  fs.writeFileSync(path.join(migrationsDir, '003-never-run.sql'), 'CREATE TABLE third (id INTEGER);');
+  
+  const { database, dbFile } = _createV1Database('broken.db');
+  const result = await migrator.migrate(database, { dbFile, migrationsDir });
+  
+  _expect(!result.success, 'Migration reported as failed');
+  _expect(result.error.includes('002-broken') && result.error.includes('missing_table'), 'Error names the migration and the cause');
+  _expect(result.error.includes(result.data.backupFile), 'Error points at the backup');
+  _expect(migrator.getSchemaVersion(database) === 1 && result.data.to === 1, 'Left at the last migration that succeeded');
+  _expect(migrator.tableExists(database, 'first'), 'Earlier migration kept');
+  _expect(!migrator.tableExists(database, 'second') && !migrator.tableExists(database, 'third'), 'Failed migration rolled back, later ones not run');
+  
+  database.close();
+}
+
+/**
+ * Test: a database from a newer BrainBrief is left alone
+ */
+async function testNewerDatabaseRejected() {
+  logger.info('Test: newer database rejected', 'test');
+  
+  const database = new SQL.Database();
+  await migrator.migrate(database);
+  database.run("INSERT INTO schema_version (version, name) VALUES (999, '999-from-the-future')");
+  
+  const result = await migrator.migrate(database);
+  _expect(!result.success && result.error.includes('schema version 999'), 'Newer schema version reported');
+  
+  database.close();
+}
+
+/**
+ * Run all tests
+ */
+async function runTests() {
+  try {
+    SQL = await initSqlJs();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'brainbrief-migrate-'));
+    
+    await testMigrateV1Database();
+    await testFailedMigrationRolledBack();
+    await testNewerDatabaseRejected();
+    
+  } catch (error) {
+    failures++;
+    logger.error('Test run failed', error, 'test');
+    
+  } finally {
+    if (tmpDir) {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  }
+  
+  if (failures > 0) {
+    logger.error(`${failures} assertion(s) failed`, null, 'test');
+    process.exitCode = 1;
+  } else {
+    logger.success('All migration tests passed', 'test');
+  }
+}
+
+runTests();
@@ -4,34 +4,43 @@
  * Purpose: Track NotebookLM notebooks and source counts to prevent overflow
  * Dependencies: database.js
  * 
+ * The main bookmarks notebook and every routing topic (notebook-router.js) rotate
+ * separately: each has its own active notebook and source count.
+ * 
  * @module notebook-tracker
  */
 
 const logger = require('../utils/logger');
 const db = require('./database');
+const notebookNames = require('../utils/notebook-names');
 
 // Configuration
 const MAX_SOURCES_PER_NOTEBOOK = 300; // NotebookLM limit (CONFIRMED from UI: "0 / 300")
+const DEFAULT_NOTEBOOK_LABEL = 'Twitter Bookmarks'; // Main notebook (no routing topic)
 
 /**
- * Generate notebook name with current date
- * Format: "BrainBrief - Twitter Bookmarks - 2025-10-17"
+ * Generate notebook name from the bookmarks notebook template (Settings → Notebook Names)
+ * Default: "BrainBrief - Twitter Bookmarks - 2025-10-17" (or "BrainBrief - <topic> - 2025-10-17")
+ * 
+ * @param {string|null} topic - Routing topic (null = main bookmarks notebook)
+ * @param {Object} values - Other token values for notebookNames.formatNotebookName (date, items, sequence)
+ * @returns {string} Notebook name
  */
-function generateNotebookName() {
-  const date = new Date();
-  const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const day = String(date.getDate()).padStart(2, '0');
-  return `BrainBrief - Twitter Bookmarks - ${year}-${month}-${day}`;
+function generateNotebookName(topic = null, values = {}) {
+  return notebookNames.formatNotebookName(notebookNames.getNotebookNameFormat('bookmarks'), {
+    ...values,
+    name: topic || DEFAULT_NOTEBOOK_LABEL
+  });
 }
 
 /**
  * Get active notebook (or create new one if needed)
  * 
  * @param {Array<Object>} bookmarks - Bookmarks being uploaded (for date extraction)
- * @returns {Promise<Object>} { success, data: { id, name, sourceCount }, error }
+ * @param {string|null} topic - Routing topic (null = main bookmarks notebook)
+ * @returns {Promise<Object>} { success, data: { id, name, sourceCount, topic }, error }
  */
-async function getActiveNotebook(bookmarks = []) {
+async function getActiveNotebook(bookmarks = [], topic = null) {
   try {
     const dbResult = await db.getDatabase();
     if (!dbResult.success) {
@@ -39,13 +48,14 @@ async function getActiveNotebook(bookmarks = []) {
     }
     const database = dbResult.data;
     
-    // Find active notebook
+    // Find active notebook for this topic
     const stmt = database.prepare(`
       SELECT * FROM notebooklm_notebooks 
-      WHERE is_active = 1 
+      WHERE is_active = 1 AND topic IS ?
       ORDER BY created_at DESC 
       LIMIT 1
     `);
+    stmt.bind([topic]);
     
     stmt.step();
     const notebook = stmt.getAsObject();
@@ -58,7 +68,7 @@ async function getActiveNotebook(bookmarks = []) {
         
         // Mark as inactive and create new one with bookmark dates
         await markNotebookInactive(notebook.id);
-        return await createNewNotebook(bookmarks);
+        return await createNewNotebook(bookmarks, topic);
       }
       
       logger.info(`Active notebook: "${notebook.notebook_name}" (${notebook.source_count}/${MAX_SOURCES_PER_NOTEBOOK} sources)`, 'tracker');
@@ -68,14 +78,15 @@ async function getActiveNotebook(bookmarks = []) {
         data: {
           id: notebook.id,
           name: notebook.notebook_name,
-          sourceCount: notebook.source_count
+          sourceCount: notebook.source_count,
+          topic
         },
         error: null
       };
     } else {
       // No active notebook - create first one with bookmark dates
-      logger.info('No active notebook found, creating first one', 'tracker');
-      return await createNewNotebook(bookmarks);
+      logger.info(`No active notebook found${topic ? ` for topic "${topic}"` : ''}, creating first one`, 'tracker');
+      return await createNewNotebook(bookmarks, topic);
     }
     
   } catch (error) {
@@ -92,9 +103,10 @@ async function getActiveNotebook(bookmarks = []) {
  * Create new notebook record with date from bookmarks
  * 
  * @param {Array<Object>} bookmarks - Bookmarks being uploaded (to extract date)
- * @returns {Promise<Object>} { success, data: { id, name, sourceCount }, error }
+ * @param {string|null} topic - Routing topic (null = main bookmarks notebook)
+ * @returns {Promise<Object>} { success, data: { id, name, sourceCount, topic }, error }
  */
-async function createNewNotebook(bookmarks = []) {
+async function createNewNotebook(bookmarks = [], topic = null) {
   try {
     const dbResult = await db.getDatabase();
     if (!dbResult.success) {
@@ -102,8 +114,15 @@ async function createNewNotebook(bookmarks = []) {
     }
     const database = dbResult.data;
     
+    // Number this notebook in its topic's rotation
+    const countStmt = database.prepare('SELECT COUNT(*) AS count FROM notebooklm_notebooks WHERE topic IS ?');
+    countStmt.bind([topic]);
+    countStmt.step();
+    const sequence = countStmt.getAsObject().count + 1;
+    countStmt.free();
+    
     // Generate name based on most recent bookmark date (or today if no bookmarks)
-    let notebookName;
+    let date = new Date();
     
     if (bookmarks.length > 0) {
       // Find the most recent bookmark
@@ -114,28 +133,37 @@ async function createNewNotebook(bookmarks = []) {
       });
       
       // Use the newest bookmark's date
-      const bookmarkDate = new Date(newestBookmark.timestamp || newestBookmark.scraped_at);
-      const year = bookmarkDate.getFullYear();
-      const month = String(bookmarkDate.getMonth() + 1).padStart(2, '0');
-      const day = String(bookmarkDate.getDate()).padStart(2, '0');
-      
-      notebookName = `BrainBrief - Twitter Bookmarks - ${year}-${month}-${day}`;
-      logger.info(`Using date from newest bookmark: ${year}-${month}-${day}`, 'tracker');
+      date = new Date(newestBookmark.timestamp || newestBookmark.scraped_at);
+      logger.info(`Using date from newest bookmark: ${date.toLocaleDateString()}`, 'tracker');
     } else {
       // Fallback to today's date if no bookmarks provided
-      notebookName = generateNotebookName();
       logger.warn('No bookmarks provided, using today\'s date', 'tracker');
     }
     
+    const baseName = generateNotebookName(topic, { date, items: bookmarks, sequence });
+    
+    // Names are unique; a template without {date} or {sequence} repeats, so number the repeat
+    const takenNames = new Set();
+    const takenStmt = database.prepare('SELECT notebook_name FROM notebooklm_notebooks');
+    while (takenStmt.step()) {
+      takenNames.add(takenStmt.getAsObject().notebook_name);
+    }
+    takenStmt.free();
+    
+    let notebookName = baseName;
+    for (let suffix = 2; takenNames.has(notebookName); suffix++) {
+      notebookName = `${baseName} (${suffix})`;
+    }
+    
     logger.info(`Creating notebook record: "${notebookName}"`, 'tracker');
     
     // Insert new notebook
     const insertStmt = database.prepare(`
-      INSERT INTO notebooklm_notebooks (notebook_name, source_count, is_active)
-      VALUES (?, 0, 1)
+      INSERT INTO notebooklm_notebooks (notebook_name, source_count, is_active, topic)
+      VALUES (?, 0, 1, ?)
     `);
     
-    insertStmt.run([notebookName]);
+    insertStmt.run([notebookName, topic]);
     insertStmt.free();
     
     // Get the inserted notebook
@@ -146,13 +174,7 @@ async function createNewNotebook(bookmarks = []) {
     selectStmt.free();
     
     // Save to file
-    const saveResult = await db.getDatabase();
-    if (saveResult.success) {
-      const data = saveResult.data.export();
-      const fs = require('fs');
-      const path = require('path');
-      fs.writeFileSync(path.join(__dirname, '../../data/brainbrief.db'), Buffer.from(data));
-    }
+    db.scheduleSave();
     
     logger.success(`Created notebook: "${notebookName}"`, 'tracker');
     
@@ -161,7 +183,8 @@ async function createNewNotebook(bookmarks = []) {
       data: {
         id: notebook.id,
         name: notebook.notebook_name,
-        sourceCount: 0
+        sourceCount: 0,
+        topic
       },
       error: null
     };
@@ -195,13 +218,7 @@ async function markNotebookInactive(notebookId) {
     stmt.free();
     
     // Save to file
-    const saveResult = await db.getDatabase();
-    if (saveResult.success) {
-      const data = saveResult.data.export();
-      const fs = require('fs');
-      const path = require('path');
-      fs.writeFileSync(path.join(__dirname, '../../data/brainbrief.db'), Buffer.from(data));
-    }
+    db.scheduleSave();
     
     logger.info(`Marked notebook ${notebookId} as inactive (full)`, 'tracker');
     
@@ -228,7 +245,7 @@ async function markNotebookInactive(notebookId) {
  * @param {string} fileName - File name
  * @param {string} filePath - File path
  * @param {number} bookmarkCount - Number of bookmarks
- * @returns {Promise<Object>} { success, data: null, error }
+ * @returns {Promise<Object>} { success, data: { sourceId }, error }
  */
 async function recordUploadedSource(notebookId, fileName, filePath, bookmarkCount) {
   try {
@@ -246,6 +263,11 @@ async function recordUploadedSource(notebookId, fileName, filePath, bookmarkCoun
     insertStmt.run([notebookId, fileName, filePath, bookmarkCount]);
     insertStmt.free();
     
+    const idStmt = database.prepare('SELECT last_insert_rowid() as id');
+    idStmt.step();
+    const sourceId = idStmt.getAsObject().id;
+    idStmt.free();
+    
     // Increment notebook source count
     const updateStmt = database.prepare(`
       UPDATE notebooklm_notebooks 
@@ -257,19 +279,13 @@ async function recordUploadedSource(notebookId, fileName, filePath, bookmarkCoun
     updateStmt.free();
     
     // Save to file
-    const saveResult = await db.getDatabase();
-    if (saveResult.success) {
-      const data = saveResult.data.export();
-      const fs = require('fs');
-      const path = require('path');
-      fs.writeFileSync(path.join(__dirname, '../../data/brainbrief.db'), Buffer.from(data));
-    }
+    db.scheduleSave();
     
     logger.success(`Recorded upload: ${fileName} (${bookmarkCount} bookmarks)`, 'tracker');
     
     return {
       success: true,
-      data: null,
+      data: { sourceId },
       error: null
     };
     
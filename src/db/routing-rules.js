@@ -0,0 +1,160 @@
+/**
+ * BrainBrief - Notebook Routing Rules
+ * 
+ * Purpose: Store the user's rules for sending bookmarks to topic notebooks
+ * Dependencies: database.js
+ * 
+ * Rules are evaluated by notebook-router.js in position order; the first enabled
+ * rule that matches decides the topic. Edited as a whole set from the Settings page.
+ * 
+ * @module routing-rules
+ */
+
+const logger = require('../utils/logger');
+const db = require('./database');
+
+// Match types (pattern meaning)
+const MATCH_TYPES = {
+  author: 'Author',        // @handle or display name
+  keyword: 'Keyword',      // Substring of the tweet or quoted tweet text
+  regex: 'Regex',          // Case-insensitive regular expression over the same text
+  hashtag: 'Hashtag',      // #tag (with or without the #)
+  domain: 'Link domain',   // Linked domain, subdomains included
+  youtube: 'Has YouTube'   // Any YouTube link (no pattern)
+};
+
+/**
+ * Check one rule and clean up its fields
+ * 
+ * @param {Object} rule - { matchType, pattern, topic, enabled }
+ * @returns {Object} { rule, error } - error is a message for the settings page, or null
+ */
+function _validateRule(rule) {
+  const matchType = String(rule.matchType || '').trim();
+  const pattern = String(rule.pattern || '').trim();
+  const topic = String(rule.topic || '').trim();
+  
+  if (!MATCH_TYPES[matchType]) {
+    return { rule: null, error: `Unknown rule type "${matchType}"` };
+  }
+  if (!topic) {
+    return { rule: null, error: 'Every rule needs a notebook topic' };
+  }
+  if (!pattern && matchType !== 'youtube') {
+    return { rule: null, error: `${MATCH_TYPES[matchType]} rule for "${topic}" needs a pattern` };
+  }
+  if (matchType === 'regex') {
+    try {
+      new RegExp(pattern, 'i');
+    } catch (error) {
+      return { rule: null, error: `Invalid regex "${pattern}": ${error.message}` };
+    }
+  }
+  
+  return {
+    rule: {
+      matchType,
+      pattern: matchType === 'youtube' ? '' : pattern,
+      topic,
+      enabled: rule.enabled !== false
+    },
+    error: null
+  };
+}
+
+/**
+ * Get all routing rules in evaluation order
+ * 
+ * @returns {Promise<Object>} { success, data: [{ id, matchType, pattern, topic, enabled }], error }
+ */
+async function getRoutingRules() {
+  try {
+    const dbResult = await db.getDatabase();
+    if (!dbResult.success) {
+      return dbResult;
+    }
+    const database = dbResult.data;
+    
+    const stmt = database.prepare('SELECT * FROM routing_rules ORDER BY position, id');
+    const rules = [];
+    while (stmt.step()) {
+      const row = stmt.getAsObject();
+      rules.push({
+        id: row.id,
+        matchType: row.match_type,
+        pattern: row.pattern || '',
+        topic: row.topic,
+        enabled: row.enabled === 1
+      });
+    }
+    stmt.free();
+    
+    return {
+      success: true,
+      data: rules,
+      error: null
+    };
+    
+  } catch (error) {
+    logger.error('Failed to get routing rules', error, 'routing');
+    return {
+      success: false,
+      data: [],
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Replace the routing rules (nothing is saved if any rule is invalid)
+ * 
+ * @param {Array<Object>} rules - [{ matchType, pattern, topic, enabled }] in evaluation order
+ * @returns {Promise<Object>} { success, data: count, error }
+ */
+async function saveRoutingRules(rules) {
+  try {
+    const cleaned = [];
+    for (const rule of rules) {
+      const { rule: valid, error } = _validateRule(rule);
+      if (error) {
+        return { success: false, data: 0, error };
+      }
+      cleaned.push(valid);
+    }
+    
+    // All or nothing: a failed insert must not leave the rules wiped
+    await db.transaction(database => {
+      database.run('DELETE FROM routing_rules');
+      const stmt = database.prepare(`
+        INSERT INTO routing_rules (position, match_type, pattern, topic, enabled)
+        VALUES (?, ?, ?, ?, ?)
+      `);
+      cleaned.forEach((rule, position) => {
+        stmt.run([position, rule.matchType, rule.pattern, rule.topic, rule.enabled ? 1 : 0]);
+      });
+      stmt.free();
+    });
+    
+    logger.success(`Saved ${cleaned.length} routing rule(s)`, 'routing');
+    
+    return {
+      success: true,
+      data: cleaned.length,
+      error: null
+    };
+    
+  } catch (error) {
+    logger.error('Failed to save routing rules', error, 'routing');
+    return {
+      success: false,
+      data: 0,
+      error: error.message
+    };
+  }
+}
+
+module.exports = {
+  getRoutingRules,
+  saveRoutingRules,
+  MATCH_TYPES
+};
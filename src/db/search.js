@@ -0,0 +1,309 @@
+/**
+ * BrainBrief - Bookmark Search
+ * 
+ * Purpose: Full-text search over locally synced bookmarks (text, author, quoted tweet, image text)
+ * Dependencies: database.js (bookmarks_fts FTS4 index created by migrations/008-search-index.sql), media.js
+ * 
+ * @module search
+ */
+
+const { pathToFileURL } = require('url');
+const logger = require('../utils/logger');
+const db = require('./database');
+const media = require('./media');
+
+// Paging
+const DEFAULT_SEARCH_LIMIT = 50;
+const MAX_SEARCH_LIMIT = 500;
+
+// Snippets
+const SNIPPET_TOKENS = 24;
+const SNIPPET_ELLIPSIS = '…';
+// Control characters never appear in tweet text, so they are safe placeholders
+// for highlight boundaries until the snippet has been HTML-escaped
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_END = '\u0003';
+
+// Ranking (BM25 over FTS4 matchinfo - FTS4 has no built-in ranking function)
+const RANK_FUNCTION_NAME = 'bookmarks_rank';
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const COLUMN_WEIGHTS = [1.0, 0.5, 0.75, 0.6]; // text, author, quoted_tweet, media_text
+
+/**
+ * Compute BM25 score from matchinfo(bookmarks_fts, 'pcnalx') blob
+ * 
+ * @param {Uint8Array} matchinfo - Raw matchinfo blob (unsigned 32-bit ints)
+ * @returns {number} Relevance score (higher is better)
+ */
+function _rankMatchinfo(matchinfo) {
+  if (!matchinfo || matchinfo.length < 12) {
+    return 0;
+  }
+  
+  const view = new DataView(matchinfo.buffer, matchinfo.byteOffset, matchinfo.byteLength);
+  const value = (index) => view.getUint32(index * 4, true);
+  
+  const phraseCount = value(0);
+  const columnCount = value(1);
+  const rowCount = value(2);
+  const avgLengthOffset = 3;
+  const rowLengthOffset = avgLengthOffset + columnCount;
+  const hitsOffset = rowLengthOffset + columnCount;
+  
+  let score = 0;
+  
+  for (let phrase = 0; phrase < phraseCount; phrase++) {
+    for (let column = 0; column < columnCount; column++) {
+      const hitIndex = hitsOffset + 3 * (column + phrase * columnCount);
+      const hitsInRow = value(hitIndex);
+      const docsWithHit = value(hitIndex + 2);
+      
+      if (hitsInRow === 0) {
+        continue;
+      }
+      
+      const avgLength = value(avgLengthOffset + column) || 1;
+      const rowLength = value(rowLengthOffset + column);
+      const idf = Math.log((rowCount - docsWithHit + 0.5) / (docsWithHit + 0.5) + 1);
+      const tf = (hitsInRow * (BM25_K1 + 1)) /
+        (hitsInRow + BM25_K1 * (1 - BM25_B + BM25_B * (rowLength / avgLength)));
+        
+      score += (COLUMN_WEIGHTS[column] || 1) * idf * tf;
+    }
+  }
+  
+  return score;
+}
+
+/**
+ * Register the ranking SQL function on the current database instance
+ * Done before every search: sql.js drops custom functions on export(), which
+ * runs on every saveToFile.
+ * 
+ * @param {Object} database - sql.js Database
+ */
+function _ensureRankFunction(database) {
+  database.create_function(RANK_FUNCTION_NAME, _rankMatchinfo);
+}
+
+/**
+ * Convert free-text user input into a safe FTS4 MATCH expression
+ * 
+ * - Strips punctuation and lowercases terms so user input can't produce FTS
+ *   syntax errors (AND/OR/NEAR are only operators when uppercase)
+ * - "quoted phrases" are kept as phrases
+ * - Last term is prefix-matched so results update while typing
+ * 
+ * @param {string} query - Raw search input
+ * @returns {string} MATCH expression ('' if nothing searchable)
+ */
+function _buildMatchExpression(query) {
+  const terms = [];
+  const partRegex = /"([^"]*)"|(\S+)/g;
+  let match;
+  
+  while ((match = partRegex.exec(query)) !== null) {
+    const isPhrase = match[1] !== undefined;
+    const tokens = (match[1] || match[2] || '').toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+    
+    if (tokens.length === 0) {
+      continue;
+    }
+    
+    terms.push(isPhrase ? `"${tokens.join(' ')}"` : tokens.join(' '));
+  }
+  
+  if (terms.length === 0) {
+    return '';
+  }
+  
+  // Prefix-match the last bare term (phrases stay exact)
+  const last = terms[terms.length - 1];
+  if (!last.startsWith('"')) {
+    terms[terms.length - 1] = `${last}*`;
+  }
+  
+  return terms.join(' ');
+}
+
+/**
+ * Escape snippet text and turn highlight placeholders into <mark> tags
+ * 
+ * @param {string} snippet - Raw snippet from FTS4 snippet()
+ * @returns {string} HTML-safe snippet
+ */
+function _snippetToHtml(snippet) {
+  return String(snippet || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .split(HIGHLIGHT_START).join('<mark>')
+    .split(HIGHLIGHT_END).join('</mark>');
+}
+
+/**
+ * Build WHERE clause + params for optional filters
+ * 
+ * @param {Object} filters - Search filters
+ * @returns {Object} { clauses: string[], params: any[] }
+ */
+function _buildFilterClauses(filters) {
+  const clauses = [];
+  const params = [];
+  
+  if (filters.author) {
+    clauses.push('b.author LIKE ?');
+    params.push(`%${filters.author}%`);
+  }
+  
+  if (filters.from) {
+    clauses.push('b.timestamp >= ?');
+    params.push(filters.from);
+  }
+  
+  if (filters.to) {
+    clauses.push('b.timestamp <= ?');
+    params.push(filters.to);
+  }
+  
+  if (filters.hasYoutube) {
+    clauses.push("b.youtube_urls IS NOT NULL AND b.youtube_urls != '[]'");
+  }
+  
+  if (filters.hasMedia) {
+    clauses.push("((b.image_urls IS NOT NULL AND b.image_urls != '[]') OR (b.video_urls IS NOT NULL AND b.video_urls != '[]'))");
+  }
+  
+  return { clauses, params };
+}
+
+/**
+ * Search bookmarks (ranked, with highlighted snippets)
+ * 
+ * @param {string} query - Free-text query (words, "quoted phrases")
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.author - Author name contains
+ * @param {string} filters.from - Tweet timestamp >= (ISO 8601)
+ * @param {string} filters.to - Tweet timestamp <= (ISO 8601)
+ * @param {boolean} filters.hasYoutube - Only bookmarks with YouTube links
+ * @param {boolean} filters.hasMedia - Only bookmarks with images/videos
+ * @param {number} filters.limit - Max results (default 50)
+ * @param {number} filters.offset - Result offset for paging
+ * @returns {Promise<Object>} { success, data: { query, total, results[] }, error }
+ */
+async function searchBookmarks(query, filters = {}) {
+  try {
+    if (typeof query !== 'string') {
+      throw new Error('query must be a string');
+    }
+    
+    const matchExpression = _buildMatchExpression(query);
+    if (!matchExpression) {
+      return {
+        success: true,
+        data: { query, total: 0, results: [] },
+        error: null
+      };
+    }
+    
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || DEFAULT_SEARCH_LIMIT, 1), MAX_SEARCH_LIMIT);
+    const offset = Math.max(parseInt(filters.offset, 10) || 0, 0);
+    
+    const dbResult = await db.getDatabase();
+    if (!dbResult.success) {
+      return dbResult;
+    }
+    const database = dbResult.data;
+    
+    _ensureRankFunction(database);
+    
+    const { clauses, params } = _buildFilterClauses(filters);
+    const where = ['bookmarks_fts MATCH ?', ...clauses].join(' AND ');
+    
+    // Total matches (for "showing X of Y")
+    const countStmt = database.prepare(`
+      SELECT COUNT(*) as count
+      FROM bookmarks_fts
+      JOIN bookmarks b ON b.id = bookmarks_fts.docid
+      WHERE ${where}
+    `);
+    countStmt.bind([matchExpression, ...params]);
+    countStmt.step();
+    const total = countStmt.getAsObject().count;
+    countStmt.free();
+    
+    const stmt = database.prepare(`
+      SELECT
+        b.*,
+        snippet(bookmarks_fts, ?, ?, ?, -1, ?) AS snippet,
+        ${RANK_FUNCTION_NAME}(matchinfo(bookmarks_fts, 'pcnalx')) AS rank,
+        (
+          SELECT bu.notebook_name FROM bookmark_uploads bu
+          WHERE bu.tweet_id = b.tweet_id AND bu.status = 'delivered'
+          ORDER BY bu.delivered_at DESC
+          LIMIT 1
+        ) AS delivered_notebook,
+        EXISTS (
+          SELECT 1 FROM bookmark_uploads bu
+          WHERE bu.tweet_id = b.tweet_id AND bu.status = 'queued'
+        ) AS upload_queued
+      FROM bookmarks_fts
+      JOIN bookmarks b ON b.id = bookmarks_fts.docid
+      WHERE ${where}
+      ORDER BY rank DESC, b.timestamp DESC
+      LIMIT ? OFFSET ?
+    `);
+    stmt.bind([
+      HIGHLIGHT_START,
+      HIGHLIGHT_END,
+      SNIPPET_ELLIPSIS,
+      SNIPPET_TOKENS,
+      matchExpression,
+      ...params,
+      limit,
+      offset
+    ]);
+    
+    const results = [];
+    while (stmt.step()) {
+      const row = db.deserializeBookmark(stmt.getAsObject());
+      row.snippetHtml = _snippetToHtml(row.snippet);
+      delete row.snippet;
+      results.push(row);
+    }
+    stmt.free();
+    
+    // Thumbnails of locally stored media (file:// URLs for the renderer)
+    const mediaResult = await media.getBookmarkMedia(results.map(row => row.tweet_id));
+    results.forEach(row => {
+      row.thumbnails = (mediaResult.data.get(row.tweet_id) || [])
+        .filter(item => item.thumbPath)
+        .map(item => pathToFileURL(item.thumbPath).href);
+    });
+    
+    logger.debug(`Search "${query}" matched ${total} bookmarks`, null, 'search');
+    
+    return {
+      success: true,
+      data: { query, total, results },
+      error: null
+    };
+    
+  } catch (error) {
+    logger.error('Bookmark search failed', error, 'search');
+    return {
+      success: false,
+      data: { query, total: 0, results: [] },
+      error: error.message
+    };
+  }
+}
+
+module.exports = {
+  searchBookmarks,
+  // Exposed for search.test.js
+  _buildMatchExpression,
+  _snippetToHtml
+};
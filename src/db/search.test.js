@@ -0,0 +1,184 @@
+/**
+ * BrainBrief - Bookmark Search Tests (offline)
+ * 
+ * Purpose: Check ranking, filters, query sanitizing and snippet escaping of searchBookmarks
+ * Dependencies: sql.js
+ * 
+ * Runs on an in-memory database (initDatabase({ inMemory: true })),
+ * so data/ and lists-config.json are never touched.
+ * 
+ * Run with: node src/db/search.test.js (or npm test)
+ * 
+ * @module search.test
+ */
+
+const logger = require('../utils/logger');
+const db = require('./database');
+const search = require('./search');
+
+// Indexed bookmarks (ids end in their letter's position)
+const BOOKMARKS = [
+  {
+    id: '1700000000000000001',
+    author: 'Alice',
+    text: 'Attention explained: attention, attention - attention is all you need',
+    timestamp: '2025-10-01T12:00:00.000Z',
+    embedded: { youtubeUrls: ['https://www.youtube.com/watch?v=attention01'], imageUrls: [], videoUrls: [], quotedTweet: null }
+  },
+  {
+    id: '1700000000000000002',
+    author: 'Bob',
+    text: 'Pasta night: tomato sauce, basil, garlic and olive oil. Pay attention to the salt in the water, the rest is easy',
+    timestamp: '2025-09-01T12:00:00.000Z',
+    embedded: { youtubeUrls: [], imageUrls: ['https://pbs.twimg.com/media/Gpasta01?format=jpg&name=orig'], videoUrls: [], quotedTweet: null }
+  },
+  {
+    id: '1700000000000000003',
+    author: 'Carol',
+    text: 'Never paste <script>alert("hi")</script> & friends into a page',
+    timestamp: '2025-08-01T12:00:00.000Z',
+    embedded: { youtubeUrls: [], imageUrls: [], videoUrls: [], quotedTweet: null }
+  }
+];
+
+let failures = 0;
+
+/**
+ * Record one assertion
+ * 
+ * @param {boolean} condition - Assertion result
+ * @param {string} description - What was checked
+ */
+function _expect(condition, description) {
+  if (condition) {
+    logger.success(`✅ ${description}`, 'test');
+  } else {
+    failures++;
+    logger.error(`❌ ${description}`, null, 'test');
+  }
+}
+
+/**
+ * Tweet IDs of a search result, in result order
+ * 
+ * @param {Object} result - searchBookmarks result
+ * @returns {string} Comma-separated IDs
+ */
+function _ids(result) {
+  return result.success ? result.data.results.map(row => row.tweet_id).join(',') : `error: ${result.error}`;
+}
+
+/**
+ * _buildMatchExpression: operators and punctuation can't reach FTS as syntax
+ */
+function testBuildMatchExpression() {
+  logger.info('Testing _buildMatchExpression...', 'test');
+  
+  _expect(search._buildMatchExpression('Attention') === 'attention*', 'Last term prefix-matched and lowercased');
+  _expect(search._buildMatchExpression('foo AND "Bar baz" -qux*') === 'foo and "bar baz" qux*', 'AND lowercased, - and * stripped, phrase kept');
+  _expect(search._buildMatchExpression('x OR y NEAR z') === 'x or y near z*', 'OR and NEAR lowercased (no longer operators)');
+  _expect(search._buildMatchExpression('"all you need"') === '"all you need"', 'Trailing phrase not prefix-matched');
+  _expect(search._buildMatchExpression('c++ (a) "unclosed') === 'c a unclosed*', 'Brackets and a stray quote stripped');
+  _expect(search._buildMatchExpression('*** -- ""') === '', 'Punctuation only: nothing to search');
+}
+
+/**
+ * _snippetToHtml: snippet text is escaped, only the highlight marks become tags
+ */
+function testSnippetToHtml() {
+  logger.info('Testing _snippetToHtml...', 'test');
+  
+  _expect(search._snippetToHtml('<b>\u0002x\u0003</b> & "q"') === '&lt;b&gt;<mark>x</mark>&lt;/b&gt; &amp; &quot;q&quot;', 'HTML escaped, highlights turned into <mark>');
+  _expect(search._snippetToHtml(null) === '', 'Missing snippet renders empty');
+}
+
+/**
+ * searchBookmarks: BM25 ranking, prefix and phrase matching, operator input
+ */
+async function testRankingAndQueries() {
+  logger.info('Testing searchBookmarks ranking...', 'test');
+  
+  const ranked = await search.searchBookmarks('attention');
+  _expect(_ids(ranked) === `${BOOKMARKS[0].id},${BOOKMARKS[1].id}`, 'Denser, shorter match ranked first');
+  _expect(ranked.data.total === 2, 'Total counts every match');
+  _expect(ranked.data.results[0].rank > ranked.data.results[1].rank, 'Rank score decreases down the list');
+  
+  _expect(_ids(await search.searchBookmarks('atten')) === `${BOOKMARKS[0].id},${BOOKMARKS[1].id}`, 'Partial last word matches while typing');
+  _expect(_ids(await search.searchBookmarks('"attention is all"')) === BOOKMARKS[0].id, 'Phrase matched exactly');
+  _expect(_ids(await search.searchBookmarks('carol')) === BOOKMARKS[2].id, 'Author indexed');
+  
+  const operators = await search.searchBookmarks('attention AND NEAR OR -salt "unclosed');
+  _expect(operators.success && operators.data.total === 0, 'FTS operator characters searched as words, no syntax error');
+  
+  const empty = await search.searchBookmarks('*** ()');
+  _expect(empty.success && empty.data.total === 0 && empty.data.results.length === 0, 'Punctuation-only query returns nothing');
+}
+
+/**
+ * searchBookmarks: author, date, YouTube and media filters, paging
+ */
+async function testFilters() {
+  logger.info('Testing searchBookmarks filters...', 'test');
+  
+  _expect(_ids(await search.searchBookmarks('attention', { author: 'bob' })) === BOOKMARKS[1].id, 'Author filter (case-insensitive)');
+  _expect(_ids(await search.searchBookmarks('attention', { from: '2025-09-15T00:00:00.000Z' })) === BOOKMARKS[0].id, 'From date filter');
+  _expect(_ids(await search.searchBookmarks('attention', { to: '2025-09-15T00:00:00.000Z' })) === BOOKMARKS[1].id, 'To date filter');
+  _expect(_ids(await search.searchBookmarks('attention', { hasYoutube: true })) === BOOKMARKS[0].id, 'YouTube filter');
+  _expect(_ids(await search.searchBookmarks('attention', { hasMedia: true })) === BOOKMARKS[1].id, 'Media filter');
+  
+  const page = await search.searchBookmarks('attention', { limit: 1, offset: 1 });
+  _expect(_ids(page) === BOOKMARKS[1].id && page.data.total === 2, 'Limit and offset page through results, total unchanged');
+}
+
+/**
+ * searchBookmarks: tweet text in snippets can't inject HTML (rendered with innerHTML)
+ */
+async function testSnippetEscaping() {
+  logger.info('Testing snippet escaping...', 'test');
+  
+  const result = await search.searchBookmarks('script');
+  const snippet = result.success && result.data.results[0] ? result.data.results[0].snippetHtml : '';
+  
+  _expect(snippet.includes('&lt;<mark>script</mark>&gt;alert(&quot;hi&quot;)'), 'Snippet escaped around the highlight');
+  _expect(!snippet.includes('<script') && snippet.includes('&amp; friends'), 'No raw tags or ampersands in the snippet');
+}
+
+/**
+ * Run all tests
+ */
+async function runTests() {
+  try {
+    const initResult = await db.initDatabase({ inMemory: true });
+    if (!initResult.success) {
+      throw new Error(initResult.error);
+    }
+    
+    await db.saveBookmarks(BOOKMARKS.map(bookmark => ({
+      ...bookmark,
+      url: `https://x.com/${bookmark.author.toLowerCase()}/status/${bookmark.id}`,
+      scraped_at: bookmark.timestamp
+    })));
+    
+    testBuildMatchExpression();
+    testSnippetToHtml();
+    await testRankingAndQueries();
+    await testFilters();
+    await testSnippetEscaping();
+    
+  } catch (error) {
+    failures++;
+    logger.error('Test run failed', error, 'test');
+    
+  } finally {
+    await db.closeDatabase();
+  }
+  
+  if (failures > 0) {
+    logger.error(`${failures} assertion(s) failed`, null, 'test');
+    process.exitCode = 1;
+  } else {
+    logger.success('All search tests passed', 'test');
+  }
+}
+
+runTests();
@@ -0,0 +1,237 @@
+/**
+ * BrainBrief - Sync Run History
+ * 
+ * Purpose: Record every bookmark, folder, list, upload and reconciliation run for the Sync History view
+ * Dependencies: database.js
+ * 
+ * A run is started in memory (startRun), its phases are timed as it goes
+ * (timePhase) and the caller fills in its counts. recordRun writes it once it
+ * has finished, whatever the outcome. Recording never fails the run itself.
+ * 
+ * @module sync-runs
+ */
+
+const logger = require('../utils/logger');
+const db = require('./database');
+
+// Retention
+const MAX_RUNS_KEPT = 1000;
+
+/**
+ * Start a run
+ * 
+ * @param {string} kind - 'bookmarks', 'folders', 'lists', 'upload' or 'reconcile'
+ * @param {string} trigger - 'manual', 'tray', 'schedule' or 'cli'
+ * @returns {Object} Run, with counts for the caller to fill in
+ */
+function startRun(kind, trigger = 'manual') {
+  return {
+    kind,
+    trigger,
+    startedAt: new Date(),
+    phases: {},
+    counts: {
+      found: 0,
+      checked: null,
+      duplicates: null,
+      scrolls: null,
+      saved: 0,
+      failed: 0,
+      uploaded: 0
+    },
+    stopReason: null,
+    details: null
+  };
+}
+
+/**
+ * Time one phase of a run (a phase run more than once, e.g. per list, adds up)
+ * 
+ * @param {Object} run - Run from startRun
+ * @param {string} phase - 'extract', 'save' or 'upload'
+ * @param {Function} work - Async work
+ * @returns {Promise<*>} What work returned
+ */
+async function timePhase(run, phase, work) {
+  const start = Date.now();
+  try {
+    return await work();
+  } finally {
+    run.phases[phase] = (run.phases[phase] || 0) + (Date.now() - start);
+  }
+}
+
+/**
+ * Record a finished run
+ * 
+ * @param {Object} run - Run from startRun
+ * @param {Object} outcome - How it ended
+ * @param {string} outcome.status - 'success', 'partial' or 'failed'
+ * @param {string} outcome.error - Error message (failed/partial runs)
+ * @returns {Promise<Object>} { success, data: runId, error }
+ */
+async function recordRun(run, { status, error = null }) {
+  try {
+    const dbResult = await db.getDatabase();
+    if (!dbResult.success) {
+      return dbResult;
+    }
+    const database = dbResult.data;
+    
+    const finishedAt = new Date();
+    const { counts, phases } = run;
+    
+    const stmt = database.prepare(`
+      INSERT INTO sync_runs (
+        kind, triggered_by, status, started_at, finished_at, duration_ms,
+        extract_ms, save_ms, upload_ms,
+        found, checked, duplicates, scrolls, stop_reason,
+        saved, failed, uploaded, error, details
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    stmt.run([
+      run.kind,
+      run.trigger,
+      status,
+      run.startedAt.toISOString(),
+      finishedAt.toISOString(),
+      finishedAt - run.startedAt,
+      phases.extract ?? null,
+      phases.save ?? null,
+      phases.upload ?? null,
+      counts.found,
+      counts.checked,
+      counts.duplicates,
+      counts.scrolls,
+      run.stopReason,
+      counts.saved,
+      counts.failed,
+      counts.uploaded,
+      error,
+      run.details ? JSON.stringify(run.details) : null
+    ]);
+    stmt.free();
+    
+    const idStmt = database.prepare('SELECT last_insert_rowid() as id');
+    idStmt.step();
+    const runId = idStmt.getAsObject().id;
+    idStmt.free();
+    
+    database.run('DELETE FROM sync_runs WHERE id <= ?', [runId - MAX_RUNS_KEPT]);
+    
+    db.scheduleSave();
+    
+    logger.debug(`Recorded ${run.kind} run ${runId} (${status})`, null, 'sync-runs');
+    
+    return {
+      success: true,
+      data: runId,
+      error: null
+    };
+    
+  } catch (error) {
+    logger.error('Failed to record sync run', error, 'sync-runs');
+    return {
+      success: false,
+      data: null,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Turn a sync_runs row into the object the app uses
+ * 
+ * @param {Object} row - sync_runs row
+ * @returns {Object} { id, kind, trigger, status, startedAt, finishedAt, durationMs, phases, counts, stopReason, error, details }
+ */
+function _toRun(row) {
+  return {
+    id: row.id,
+    kind: row.kind,
+    trigger: row.triggered_by,
+    status: row.status,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    durationMs: row.duration_ms,
+    phases: {
+      extract: row.extract_ms,
+      save: row.save_ms,
+      upload: row.upload_ms
+    },
+    counts: {
+      found: row.found,
+      checked: row.checked,
+      duplicates: row.duplicates,
+      scrolls: row.scrolls,
+      saved: row.saved,
+      failed: row.failed,
+      uploaded: row.uploaded
+    },
+    stopReason: row.stop_reason,
+    error: row.error,
+    details: row.details ? JSON.parse(row.details) : null
+  };
+}
+
+/**
+ * Get recorded runs, newest first
+ * 
+ * @param {Object} options - Query options
+ * @param {number} options.limit - Maximum runs (default: 50)
+ * @param {string} options.kind - Only runs of this kind
+ * @returns {Promise<Object>} { success, data: runs[], error }
+ */
+async function getSyncRuns(options = {}) {
+  try {
+    const { limit = 50, kind = null } = options;
+    
+    const dbResult = await db.getDatabase();
+    if (!dbResult.success) {
+      return dbResult;
+    }
+    const database = dbResult.data;
+    
+    let sql = 'SELECT * FROM sync_runs';
+    const params = [];
+    
+    if (kind) {
+      sql += ' WHERE kind = ?';
+      params.push(kind);
+    }
+    
+    sql += ' ORDER BY id DESC LIMIT ?';
+    params.push(limit);
+    
+    const stmt = database.prepare(sql);
+    stmt.bind(params);
+    
+    const runs = [];
+    while (stmt.step()) {
+      runs.push(_toRun(stmt.getAsObject()));
+    }
+    stmt.free();
+    
+    return {
+      success: true,
+      data: runs,
+      error: null
+    };
+    
+  } catch (error) {
+    logger.error('Failed to get sync history', error, 'sync-runs');
+    return {
+      success: false,
+      data: [],
+      error: error.message
+    };
+  }
+}
+
+module.exports = {
+  startRun,
+  timePhase,
+  recordRun,
+  getSyncRuns
+};
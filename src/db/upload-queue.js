@@ -0,0 +1,265 @@
+/**
+ * BrainBrief - NotebookLM Upload Queue
+ * 
+ * Purpose: Persist file/URL sources whose upload failed so a later sync can retry them
+ * Dependencies: database.js
+ * 
+ * Retries back off exponentially (5 min, 10 min, 20 min ... capped at 24 h).
+ * After MAX_AUTO_ATTEMPTS failures an item is "stuck": sync stops retrying it
+ * and the UI offers retry now / drop.
+ * 
+ * @module upload-queue
+ */
+
+const logger = require('../utils/logger');
+const db = require('./database');
+
+// Configuration
+const BASE_RETRY_DELAY_MS = 5 * 60 * 1000; // 5 minutes
+const MAX_RETRY_DELAY_MS = 24 * 60 * 60 * 1000; // 24 hours
+const MAX_AUTO_ATTEMPTS = 6;
+
+/**
+ * Delay before the next attempt after `attempts` failures
+ * 
+ * @param {number} attempts - Failed attempts so far (>= 1)
+ * @returns {number} Delay in ms
+ */
+function getRetryDelayMs(attempts) {
+  return Math.min(BASE_RETRY_DELAY_MS * Math.pow(2, Math.max(attempts - 1, 0)), MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Queue a failed upload (or record another failure if already queued)
+ * 
+ * @param {Object} item - Source to retry
+ * @param {string} item.notebookName - Notebook the source belongs in
+ * @param {number} item.notebookId - Tracker notebook ID (null for list notebooks)
+ * @param {string} item.sourceType - 'file', 'youtube', 'pdf', 'google-docs'
+ * @param {string} item.target - File path or URL
+ * @param {number} item.bookmarkCount - Bookmarks in the file (file sources)
+ * @param {string} errorMessage - Why the upload failed
+ * @returns {Promise<Object>} { success, data: null, error }
+ */
+async function enqueueUpload(item, errorMessage) {
+  try {
+    const dbResult = await db.getDatabase();
+    if (!dbResult.success) {
+      return dbResult;
+    }
+    const database = dbResult.data;
+    
+    // Already queued: this failure is one more attempt, so it backs off further
+    const selectStmt = database.prepare('SELECT attempts FROM upload_queue WHERE notebook_name = ? AND target = ?');
+    selectStmt.bind([item.notebookName, item.target]);
+    const attempts = selectStmt.step() ? selectStmt.getAsObject().attempts + 1 : 1;
+    selectStmt.free();
+    
+    const nextAttemptAt = new Date(Date.now() + getRetryDelayMs(attempts)).toISOString();
+    
+    const stmt = database.prepare(`
+      INSERT INTO upload_queue (
+        notebook_name, notebook_id, source_type, target, bookmark_count,
+        attempts, last_error, next_attempt_at
+      )
+      VALUES (?, ?, ?, ?, ?, 1, ?, ?)
+      ON CONFLICT(notebook_name, target) DO UPDATE SET
+        attempts = attempts + 1,
+        last_error = excluded.last_error,
+        next_attempt_at = excluded.next_attempt_at
+    `);
+    stmt.run([
+      item.notebookName,
+      item.notebookId || null,
+      item.sourceType,
+      item.target,
+      item.bookmarkCount || 0,
+      errorMessage || 'Unknown error',
+      nextAttemptAt
+    ]);
+    stmt.free();
+    
+    db.scheduleSave();
+    
+    logger.warn(`Queued ${item.sourceType} for retry: ${item.target}`, 'queue');
+    
+    return {
+      success: true,
+      data: null,
+      error: null
+    };
+    
+  } catch (error) {
+    logger.error('Failed to queue upload', error, 'queue');
+    return {
+      success: false,
+      data: null,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Get queued uploads
+ * 
+ * @param {Object} options - Query options
+ * @param {boolean} options.dueOnly - Only items whose backoff has passed and that are not stuck
+ * @param {Array<number>} options.ids - Only these items (ignores backoff and stuck state)
+ * @returns {Promise<Object>} { success, data: items[], error }
+ */
+async function getQueuedUploads(options = {}) {
+  try {
+    const { dueOnly = false, ids = null } = options;
+    
+    const dbResult = await db.getDatabase();
+    if (!dbResult.success) {
+      return dbResult;
+    }
+    const database = dbResult.data;
+    
+    let sql = 'SELECT * FROM upload_queue';
+    const params = [];
+    
+    if (ids) {
+      sql += ` WHERE id IN (${ids.map(() => '?').join(', ') || 'NULL'})`;
+      params.push(...ids);
+    } else if (dueOnly) {
+      sql += ' WHERE attempts < ? AND next_attempt_at <= ?';
+      params.push(MAX_AUTO_ATTEMPTS, new Date().toISOString());
+    }
+    
+    sql += ' ORDER BY notebook_name, created_at';
+    
+    const stmt = database.prepare(sql);
+    stmt.bind(params);
+    
+    const items = [];
+    while (stmt.step()) {
+      const row = stmt.getAsObject();
+      row.stuck = row.attempts >= MAX_AUTO_ATTEMPTS;
+      items.push(row);
+    }
+    stmt.free();
+    
+    return {
+      success: true,
+      data: items,
+      error: null
+    };
+    
+  } catch (error) {
+    logger.error('Failed to get upload queue', error, 'queue');
+    return {
+      success: false,
+      data: [],
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Record a failed retry (bumps attempts and pushes next attempt out)
+ * 
+ * @param {number} id - Queue item ID
+ * @param {string} errorMessage - Why the retry failed
+ * @returns {Promise<Object>} { success, data: { attempts, nextAttemptAt }, error }
+ */
+async function markUploadFailed(id, errorMessage) {
+  try {
+    const dbResult = await db.getDatabase();
+    if (!dbResult.success) {
+      return dbResult;
+    }
+    const database = dbResult.data;
+    
+    const selectStmt = database.prepare('SELECT attempts FROM upload_queue WHERE id = ?');
+    selectStmt.bind([id]);
+    const found = selectStmt.step();
+    const row = found ? selectStmt.getAsObject() : null;
+    selectStmt.free();
+    
+    if (!row) {
+      throw new Error(`Queue item ${id} not found`);
+    }
+    
+    const attempts = row.attempts + 1;
+    const nextAttemptAt = new Date(Date.now() + getRetryDelayMs(attempts)).toISOString();
+    
+    const updateStmt = database.prepare(`
+      UPDATE upload_queue
+      SET attempts = ?, last_error = ?, next_attempt_at = ?
+      WHERE id = ?
+    `);
+    updateStmt.run([attempts, errorMessage || 'Unknown error', nextAttemptAt, id]);
+    updateStmt.free();
+    
+    db.scheduleSave();
+    
+    if (attempts >= MAX_AUTO_ATTEMPTS) {
+      logger.warn(`Upload ${id} is stuck after ${attempts} attempts (retry or drop it from the app)`, 'queue');
+    } else {
+      logger.info(`Upload ${id} failed (attempt ${attempts}), next try at ${nextAttemptAt}`, 'queue');
+    }
+    
+    return {
+      success: true,
+      data: { attempts, nextAttemptAt },
+      error: null
+    };
+    
+  } catch (error) {
+    logger.error('Failed to update upload queue', error, 'queue');
+    return {
+      success: false,
+      data: null,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Remove an item from the queue (uploaded, or dropped by the user)
+ * 
+ * @param {number} id - Queue item ID
+ * @returns {Promise<Object>} { success, data: null, error }
+ */
+async function removeUpload(id) {
+  try {
+    const dbResult = await db.getDatabase();
+    if (!dbResult.success) {
+      return dbResult;
+    }
+    const database = dbResult.data;
+    
+    const stmt = database.prepare('DELETE FROM upload_queue WHERE id = ?');
+    stmt.run([id]);
+    stmt.free();
+    
+    db.scheduleSave();
+    
+    logger.debug(`Removed upload ${id} from queue`, null, 'queue');
+    
+    return {
+      success: true,
+      data: null,
+      error: null
+    };
+    
+  } catch (error) {
+    logger.error('Failed to remove queued upload', error, 'queue');
+    return {
+      success: false,
+      data: null,
+      error: error.message
+    };
+  }
+}
+
+module.exports = {
+  enqueueUpload,
+  getQueuedUploads,
+  markUploadFailed,
+  removeUpload,
+  getRetryDelayMs,
+  MAX_AUTO_ATTEMPTS
+};
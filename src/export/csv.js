@@ -0,0 +1,69 @@
+/**
+ * BrainBrief - CSV Exporter
+ * 
+ * Purpose: One row per bookmark (RFC 4180) for spreadsheets
+ * Dependencies: fs
+ * 
+ * URL lists, the quoted tweet and the thread are JSON-encoded in their cells
+ * (same representation as the database), so they parse back losslessly.
+ * 
+ * @module export/csv
+ */
+
+const fs = require('fs');
+
+// Columns (header row, in order)
+const COLUMNS = [
+  ['id', r => r.id],
+  ['author', r => r.author],
+  ['text', r => r.text],
+  ['url', r => r.url],
+  ['timestamp', r => r.timestamp],
+  ['scraped_at', r => r.scrapedAt],
+  ['youtube_urls', r => JSON.stringify(r.embedded.youtubeUrls)],
+  ['image_urls', r => JSON.stringify(r.embedded.imageUrls)],
+  ['image_alt_text', r => JSON.stringify(r.embedded.images.map(image => image.altText))],
+  ['image_ocr_text', r => JSON.stringify(r.embedded.images.map(image => image.ocrText))],
+  ['video_urls', r => JSON.stringify(r.embedded.videoUrls)],
+  ['quoted_tweet', r => (r.embedded.quotedTweet ? JSON.stringify(r.embedded.quotedTweet) : '')],
+  ['thread', r => (r.thread ? JSON.stringify(r.thread) : '')],
+  ['text_truncated', r => (r.textTruncated ? 1 : 0)],
+  ['removed_at', r => r.removedAt || '']
+];
+
+/**
+ * Quote one CSV field (always quoted - tweet text is full of commas and newlines)
+ * 
+ * @param {*} value - Cell value
+ * @returns {string} Quoted field
+ */
+function _field(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Write records as CSV
+ * 
+ * @param {Array<Object>} records - Export records
+ * @param {string} outputPath - Output .csv file
+ * @returns {Object} { files }
+ */
+function write(records, outputPath) {
+  const rows = [COLUMNS.map(([name]) => _field(name)).join(',')];
+  records.forEach(record => {
+    rows.push(COLUMNS.map(([, getValue]) => _field(getValue(record))).join(','));
+  });
+  
+  fs.writeFileSync(outputPath, `${rows.join('\r\n')}\r\n`, 'utf-8');
+  
+  return { files: 1 };
+}
+
+module.exports = {
+  id: 'csv',
+  name: 'CSV',
+  extension: '.csv',
+  directory: false,
+  write
+};
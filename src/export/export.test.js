@@ -0,0 +1,282 @@
+/**
+ * BrainBrief - Export Format Tests (offline)
+ * 
+ * Purpose: Write one fully populated bookmark in every registered format and read it back
+ * Dependencies: sql.js
+ * 
+ * JSONL and CSV are parsed back and compared field by field; Markdown, HTML and
+ * Obsidian are checked for every embedded field and the [[author]] links.
+ * Output goes to a temp directory and the database is in memory, so data/ and
+ * lists-config.json are never touched.
+ * 
+ * Run with: node src/export/export.test.js (or npm test)
+ * 
+ * @module export/export.test
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const logger = require('../utils/logger');
+const db = require('../db/database');
+const exporters = require('./index');
+
+// One bookmark with every embedded field (text needs CSV quoting and HTML escaping)
+const BOOKMARK = {
+  id: '1700000000000000042',
+  author: 'Ada Lovelace',
+  text: 'Notes on the "Analytical Engine", part 1:\n<b>it weaves algebra</b> & patterns',
+  url: 'https://x.com/ada/status/1700000000000000042',
+  timestamp: '2025-10-01T12:00:00.000Z',
+  scraped_at: '2025-10-02T08:00:00.000Z',
+  isLongForm: true,
+  textTruncated: true,
+  embedded: {
+    youtubeUrls: ['https://www.youtube.com/watch?v=engine00001'],
+    imageUrls: ['https://pbs.twimg.com/media/Gengine01?format=jpg&name=orig', 'https://pbs.twimg.com/media/Gengine02?format=png&name=orig'],
+    imageAlts: ['Diagram of the mill', ''],
+    videoUrls: ['https://video.twimg.com/ext_tw_video/1/pu/vid/720x1280/engine.mp4'],
+    quotedTweet: { author: 'Charles Babbage', text: 'The engine is ready, "almost"' }
+  }
+};
+
+let tmpDir = null;
+let failures = 0;
+
+/**
+ * Record one assertion
+ * 
+ * @param {boolean} condition - Assertion result
+ * @param {string} description - What was checked
+ */
+function _expect(condition, description) {
+  if (condition) {
+    logger.success(`✅ ${description}`, 'test');
+  } else {
+    failures++;
+    logger.error(`❌ ${description}`, null, 'test');
+  }
+}
+
+/**
+ * Compare two values as JSON
+ * 
+ * @param {*} a - Value
+ * @param {*} b - Value
+ * @returns {boolean} True if they serialize the same
+ */
+function _sameJson(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Parse RFC 4180 CSV (quoted fields with "" escapes, CRLF rows)
+ * 
+ * @param {string} text - CSV content
+ * @returns {Array<Object>} Rows keyed by the header row
+ */
+function _parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n') {
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else if (char !== '\r') {
+      field += char;
+    }
+  }
+  
+  const [header, ...records] = rows;
+  return records.map(values => Object.fromEntries(header.map((name, i) => [name, values[i]])));
+}
+
+/**
+ * Export BOOKMARK in one format
+ * 
+ * @param {string} format - Exporter id
+ * @returns {Promise<Object>} exportBookmarks result
+ */
+async function _export(format) {
+  const exporter = exporters.getExporters().find(item => item.id === format);
+  return exporters.exportBookmarks(format, {
+    bookmarks: [BOOKMARK],
+    outputPath: path.join(tmpDir, `bookmarks-${format}${exporter.directory ? '' : exporter.extension}`)
+  });
+}
+
+/**
+ * Every built-in format is registered and writes the bookmark
+ */
+async function testEveryFormatWrites() {
+  logger.info('Testing registered formats...', 'test');
+  
+  const formats = exporters.getExporters().map(item => item.id);
+  _expect(_sameJson(formats, ['markdown', 'jsonl', 'csv', 'html', 'obsidian']), 'Built-in formats registered');
+  
+  for (const format of formats) {
+    const result = await _export(format);
+    _expect(result.success && result.data.count === 1 && fs.existsSync(result.data.path), `${format}: export written`);
+  }
+}
+
+/**
+ * JSONL: the line parses back to the full export record
+ */
+async function testJsonlRoundTrip() {
+  logger.info('Testing JSONL round trip...', 'test');
+  
+  const result = await _export('jsonl');
+  const lines = fs.readFileSync(result.data.path, 'utf-8').split('\n').filter(Boolean);
+  const parsed = JSON.parse(lines[0]);
+  
+  _expect(lines.length === 1, 'One line per bookmark');
+  _expect(_sameJson(parsed, exporters.toExportRecord(BOOKMARK)), 'Line parses back to the export record');
+  _expect(parsed.embedded.images[0].altText === 'Diagram of the mill', 'Image alt text kept');
+}
+
+/**
+ * CSV: quoted cells and JSON-encoded lists parse back to the record
+ */
+async function testCsvRoundTrip() {
+  logger.info('Testing CSV round trip...', 'test');
+  
+  const result = await _export('csv');
+  const rows = _parseCsv(fs.readFileSync(result.data.path, 'utf-8'));
+  const row = rows[0] || {};
+  const record = exporters.toExportRecord(BOOKMARK);
+  
+  _expect(rows.length === 1, 'One row per bookmark');
+  _expect(row.id === record.id && row.author === record.author && row.url === record.url, 'ID, author and URL');
+  _expect(row.text === BOOKMARK.text, 'Text with quotes, commas and newlines survives quoting');
+  _expect(row.timestamp === record.timestamp && row.scraped_at === record.scrapedAt, 'Timestamps');
+  _expect(_sameJson(JSON.parse(row.youtube_urls), record.embedded.youtubeUrls), 'YouTube URLs');
+  _expect(_sameJson(JSON.parse(row.image_urls), record.embedded.imageUrls), 'Image URLs');
+  _expect(_sameJson(JSON.parse(row.image_alt_text), BOOKMARK.embedded.imageAlts), 'Image alt text');
+  _expect(_sameJson(JSON.parse(row.video_urls), record.embedded.videoUrls), 'Video URLs');
+  _expect(_sameJson(JSON.parse(row.quoted_tweet), record.embedded.quotedTweet), 'Quoted tweet');
+  _expect(row.thread === '' && row.text_truncated === '1' && row.removed_at === '', 'Thread, truncation and removal columns');
+}
+
+/**
+ * Markdown: front-matter and body carry every embedded field
+ */
+async function testMarkdown() {
+  logger.info('Testing Markdown export...', 'test');
+  
+  const result = await _export('markdown');
+  const content = fs.readFileSync(path.join(result.data.path, `${BOOKMARK.id}.md`), 'utf-8');
+  const { embedded } = BOOKMARK;
+  
+  _expect(content.startsWith(`---\nid: "${BOOKMARK.id}"\nauthor: "Ada Lovelace"\n`), 'Front-matter with ID and author');
+  _expect(content.includes(`youtube:\n  - "${embedded.youtubeUrls[0]}"`) && content.includes(`- ${embedded.youtubeUrls[0]}`), 'YouTube link in front-matter and body');
+  _expect(content.includes(`images:\n  - "${embedded.imageUrls[0]}"\n  - "${embedded.imageUrls[1]}"`), 'Image URLs in front-matter');
+  _expect(content.includes(`![Diagram of the mill](${embedded.imageUrls[0]})`) && content.includes(`![](${embedded.imageUrls[1]})`), 'Images with alt text in body');
+  _expect(content.includes(`videos:\n  - "${embedded.videoUrls[0]}"`), 'Video URL in front-matter');
+  _expect(content.includes('quoted_tweet:\n  author: "Charles Babbage"') && content.includes('> **Charles Babbage**\n> The engine is ready, "almost"'), 'Quoted tweet in front-matter and body');
+  _expect(content.includes(BOOKMARK.text) && content.includes('text_truncated: true') && content.includes('*(Truncated preview'), 'Text and truncation note');
+}
+
+/**
+ * HTML: escaped text, every embedded field, and the records embedded as JSON
+ */
+async function testHtml() {
+  logger.info('Testing HTML export...', 'test');
+  
+  const result = await _export('html');
+  const html = fs.readFileSync(result.data.path, 'utf-8');
+  const { embedded } = BOOKMARK;
+  
+  const article = html.slice(html.indexOf('<article'), html.indexOf('</article>'));
+  _expect(article.includes('&lt;b&gt;it weaves algebra&lt;/b&gt; &amp; patterns') && !article.includes('<b>'), 'Tweet text HTML-escaped');
+  _expect(article.includes('<span class="author">Ada Lovelace</span>'), 'Author');
+  _expect(article.includes(`<a href="${embedded.youtubeUrls[0]}">`), 'YouTube link');
+  _expect(article.includes(`<img src="${embedded.imageUrls[0].replace('&', '&amp;')}" alt="Diagram of the mill"`), 'Image with alt text');
+  _expect(article.includes(`<a href="${embedded.videoUrls[0]}">`), 'Video link');
+  _expect(article.includes('<blockquote><div class="author">Charles Babbage</div>'), 'Quoted tweet');
+  
+  const data = html.match(/<script type="application\/json" id="bookmarks-data">([\s\S]*?)<\/script>/);
+  _expect(data && _sameJson(JSON.parse(data[1]), [exporters.toExportRecord(BOOKMARK)]), 'Embedded JSON parses back to the export records');
+}
+
+/**
+ * Obsidian: bookmark note links its author note, and the author note links back
+ */
+async function testObsidian() {
+  logger.info('Testing Obsidian export...', 'test');
+  
+  const result = await _export('obsidian');
+  const noteName = `2025-10-01 Ada Lovelace ${BOOKMARK.id}`;
+  const notePath = path.join(result.data.path, 'Bookmarks', `${noteName}.md`);
+  const authorPath = path.join(result.data.path, 'Authors', 'Ada Lovelace.md');
+  
+  _expect(fs.existsSync(notePath) && fs.existsSync(authorPath), 'Bookmark and author notes written');
+  
+  const note = fs.existsSync(notePath) ? fs.readFileSync(notePath, 'utf-8') : '';
+  _expect(note.includes('author: "[[Ada Lovelace]]"') && note.includes('author_name: "Ada Lovelace"'), 'Front-matter links the author note');
+  _expect(note.startsWith('---\nid: ') && note.includes('\n[[Ada Lovelace]] · [Original tweet]'), 'Body links the author note');
+  _expect(note.includes(`youtube:\n  - "${BOOKMARK.embedded.youtubeUrls[0]}"`) && note.includes('![Diagram of the mill]') && note.includes('> **Charles Babbage**'), 'Embedded fields in the note');
+  
+  const authorNote = fs.existsSync(authorPath) ? fs.readFileSync(authorPath, 'utf-8') : '';
+  _expect(authorNote.includes(`- [[${noteName}]]`), 'Author note lists the bookmark');
+}
+
+/**
+ * Run all tests
+ */
+async function runTests() {
+  try {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'brainbrief-export-'));
+    
+    const initResult = await db.initDatabase({ inMemory: true });
+    if (!initResult.success) {
+      throw new Error(initResult.error);
+    }
+    
+    await testEveryFormatWrites();
+    await testJsonlRoundTrip();
+    await testCsvRoundTrip();
+    await testMarkdown();
+    await testHtml();
+    await testObsidian();
+    
+  } catch (error) {
+    failures++;
+    logger.error('Test run failed', error, 'test');
+    
+  } finally {
+    await db.closeDatabase();
+    if (tmpDir) {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  }
+  
+  if (failures > 0) {
+    logger.error(`${failures} assertion(s) failed`, null, 'test');
+    process.exitCode = 1;
+  } else {
+    logger.success('All export format tests passed', 'test');
+  }
+}
+
+runTests();
@@ -0,0 +1,151 @@
+/**
+ * BrainBrief - HTML Archive Exporter
+ * 
+ * Purpose: Single self-contained HTML file (inline CSS, no scripts to run) for browsing offline
+ * Dependencies: fs
+ * 
+ * The full export records are also embedded as JSON in
+ * <script type="application/json" id="bookmarks-data">, so the archive can be re-imported.
+ * Images stay remote links (pbs.twimg.com).
+ * 
+ * @module export/html
+ */
+
+const fs = require('fs');
+
+const STYLES = `
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; max-width: 760px; margin: 0 auto; padding: 24px; color: #14171a; }
+  header { border-bottom: 1px solid #e1e8ed; margin-bottom: 24px; }
+  article { border: 1px solid #e1e8ed; border-radius: 12px; padding: 16px; margin-bottom: 16px; }
+  .meta { color: #657786; font-size: 14px; margin-bottom: 8px; }
+  .author { font-weight: 600; color: #14171a; }
+  .text, .thread li { white-space: pre-wrap; }
+  blockquote { border-left: 3px solid #1da1f2; margin: 12px 0; padding: 4px 12px; color: #333; }
+  .images img { max-width: 100%; border-radius: 8px; margin-top: 8px; }
+  .image-text { white-space: pre-wrap; font-size: 14px; color: #333; background: #f5f8fa; border-radius: 8px; padding: 8px 12px; }
+  .truncated { color: #b35900; font-style: italic; }
+  h3 { font-size: 14px; margin: 12px 0 4px; color: #657786; }
+`;
+
+/**
+ * Escape text for HTML
+ * 
+ * @param {string} text - Raw text
+ * @returns {string} HTML-safe text
+ */
+function _escapeHtml(text) {
+  return String(text === null || text === undefined ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render link list section
+ * 
+ * @param {string} title - Section title
+ * @param {Array<string>} urls - URLs
+ * @returns {string} HTML ('' if empty)
+ */
+function _renderLinks(title, urls) {
+  if (urls.length === 0) {
+    return '';
+  }
+  const items = urls.map(url => `<li><a href="${_escapeHtml(url)}">${_escapeHtml(url)}</a></li>`).join('');
+  return `<h3>${title}</h3><ul>${items}</ul>`;
+}
+
+/**
+ * Render one bookmark
+ * 
+ * @param {Object} record - Export record
+ * @returns {string} <article> HTML
+ */
+function _renderArticle(record) {
+  const emb = record.embedded;
+  const thread = record.thread && record.thread.tweets && record.thread.tweets.length > 1 ? record.thread : null;
+  let html = `<article id="tweet-${_escapeHtml(record.id)}">`;
+  
+  html += `<div class="meta"><span class="author">${_escapeHtml(record.author)}</span> · ` +
+    `<a href="${_escapeHtml(record.url)}">${_escapeHtml(record.timestamp || 'Original tweet')}</a></div>`;
+    
+  if (thread) {
+    const items = thread.tweets.map(tweet => `<li>${_escapeHtml(tweet.text)}</li>`).join('');
+    html += `<h3>Thread (${thread.tweets.length} tweets)</h3><ol class="thread">${items}</ol>`;
+  } else if (record.text) {
+    html += `<div class="text">${_escapeHtml(record.text)}</div>`;
+  }
+  
+  if (record.textTruncated) {
+    html += '<p class="truncated">Truncated preview - open the original tweet for the full post.</p>';
+  }
+  
+  if (emb.quotedTweet) {
+    html += `<blockquote><div class="author">${_escapeHtml(emb.quotedTweet.author)}</div>` +
+      `<div class="text">${_escapeHtml(emb.quotedTweet.text)}</div></blockquote>`;
+  }
+  
+  html += _renderLinks('YouTube Videos', emb.youtubeUrls);
+  
+  if (emb.images.length > 0) {
+    const images = emb.images.map(image => {
+      let figure = `<a href="${_escapeHtml(image.url)}"><img src="${_escapeHtml(image.url)}" alt="${_escapeHtml(image.altText)}" loading="lazy"></a>`;
+      if (image.ocrText) {
+        figure += `<div class="image-text">${_escapeHtml(image.ocrText)}</div>`;
+      }
+      return figure;
+    }).join('');
+    html += `<div class="images">${images}</div>`;
+  }
+  
+  html += _renderLinks('Videos', emb.videoUrls);
+  
+  return `${html}</article>`;
+}
+
+/**
+ * Write records as a single HTML archive
+ * 
+ * @param {Array<Object>} records - Export records
+ * @param {string} outputPath - Output .html file
+ * @returns {Object} { files }
+ */
+function write(records, outputPath) {
+  // "</" inside a script block would end it early
+  const data = JSON.stringify(records).replace(/<\//g, '<\\/');
+  
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>BrainBrief - Twitter Bookmarks</title>
+  <style>${STYLES}</style>
+</head>
+<body>
+  <header>
+    <h1>🧠 Twitter Bookmarks</h1>
+    <p>${records.length} bookmarks · exported ${_escapeHtml(new Date().toISOString())}</p>
+  </header>
+  <main>
+${records.map(_renderArticle).join('\n')}
+  </main>
+  <script type="application/json" id="bookmarks-data">${data}</script>
+</body>
+</html>
+`;
+
+  fs.writeFileSync(outputPath, html, 'utf-8');
+  
+  return { files: 1 };
+}
+
+module.exports = {
+  id: 'html',
+  name: 'HTML archive',
+  extension: '.html',
+  directory: false,
+  write
+};
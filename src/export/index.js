@@ -0,0 +1,180 @@
+/**
+ * BrainBrief - Export Registry
+ * 
+ * Purpose: Export locally synced bookmarks in pluggable formats (Markdown, JSONL, CSV, HTML, Obsidian)
+ * Dependencies: database.js, media.js, settings.js, one module per format in this directory
+ * 
+ * Exporter contract:
+ *   { id, name, extension, directory, write(records, outputPath) => { files } }
+ * - `write` gets normalized records (see toExportRecord) and throws on failure
+ * - `directory: true` formats write a folder at outputPath instead of a single file
+ * 
+ * @module export
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { getAppSetting } = require('../utils/settings');
+const db = require('../db/database');
+const media = require('../db/media');
+
+// Configuration
+const EXPORT_DIR = path.join(__dirname, '../../data/exports');
+const DEFAULT_FORMAT = 'markdown';
+
+// Registered exporters (id -> exporter)
+const exporters = new Map();
+
+/**
+ * Register an export format
+ * 
+ * @param {Object} exporter - Exporter implementing the contract above
+ */
+function registerExporter(exporter) {
+  if (!exporter || !exporter.id || typeof exporter.write !== 'function') {
+    throw new Error('Exporter needs an id and a write(records, outputPath) function');
+  }
+  exporters.set(exporter.id, exporter);
+}
+
+/**
+ * List available formats (for UI/CLI)
+ * 
+ * @returns {Array<Object>} [{ id, name, extension, directory }]
+ */
+function getExporters() {
+  return Array.from(exporters.values()).map(({ id, name, extension, directory }) => ({
+    id,
+    name,
+    extension,
+    directory: !!directory
+  }));
+}
+
+/**
+ * Check whether bookmarks removed on X are left out of exports
+ * (lists-config.json settings.excludeRemovedFromExports)
+ * 
+ * @returns {boolean} True if removed bookmarks should be skipped
+ */
+function isExcludingRemoved() {
+  return getAppSetting('excludeRemovedFromExports', false) === true;
+}
+
+/**
+ * Normalize a bookmark (database row or extractor object) for exporters
+ * 
+ * @param {Object} bookmark - Bookmark from getBookmarks or extraction
+ * @param {Array<Object>} images - [{ url, altText, ocrText }] per image (media.getImageText)
+ * @returns {Object} Export record
+ */
+function toExportRecord(bookmark, images = null) {
+  const embedded = bookmark.embedded || {};
+  const imageUrls = embedded.imageUrls || [];
+  const imageAlts = embedded.imageAlts || [];
+  
+  return {
+    id: String(bookmark.tweet_id || bookmark.id),
+    author: bookmark.author || 'Unknown',
+    text: bookmark.text || '',
+    url: bookmark.url,
+    timestamp: bookmark.timestamp || null,
+    scrapedAt: bookmark.scraped_at || null,
+    isLongForm: !!(bookmark.is_long_form || bookmark.isLongForm),
+    textTruncated: !!(bookmark.text_truncated || bookmark.textTruncated),
+    removedAt: bookmark.removed_at || null,
+    embedded: {
+      youtubeUrls: embedded.youtubeUrls || [],
+      imageUrls,
+      images: images || imageUrls.map((url, i) => ({ url, altText: imageAlts[i] || '', ocrText: '' })),
+      videoUrls: embedded.videoUrls || [],
+      quotedTweet: embedded.quotedTweet || null
+    },
+    thread: bookmark.thread || null
+  };
+}
+
+/**
+ * Export bookmarks in the given format
+ * 
+ * @param {string} format - Exporter id (see getExporters)
+ * @param {Object} options - Export options
+ * @param {string} options.outputPath - File/folder to write (default: data/exports/bookmarks-<format>-<timestamp>)
+ * @param {Array<Object>} options.bookmarks - Bookmarks to export (default: all in database)
+ * @param {boolean} options.excludeRemoved - Leave out bookmarks removed on X (default: settings.excludeRemovedFromExports)
+ * @returns {Promise<Object>} { success, data: { format, path, count, files }, error }
+ */
+async function exportBookmarks(format = DEFAULT_FORMAT, options = {}) {
+  try {
+    const exporter = exporters.get(format);
+    if (!exporter) {
+      throw new Error(`Unknown export format "${format}" (available: ${Array.from(exporters.keys()).join(', ')})`);
+    }
+    
+    let bookmarks = options.bookmarks;
+    if (!bookmarks) {
+      const excludeRemoved = options.excludeRemoved ?? isExcludingRemoved();
+      const bookmarksResult = await db.getBookmarks({ limit: -1, excludeRemoved }); // -1 = no limit in SQLite
+      if (!bookmarksResult.success) {
+        return bookmarksResult;
+      }
+      bookmarks = bookmarksResult.data;
+    }
+    
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const outputPath = options.outputPath ||
+      path.join(EXPORT_DIR, `bookmarks-${exporter.id}-${timestamp}${exporter.directory ? '' : exporter.extension}`);
+      
+    fs.mkdirSync(exporter.directory ? outputPath : path.dirname(outputPath), { recursive: true });
+    
+    logger.info(`Exporting ${bookmarks.length} bookmarks as ${exporter.name}`, 'export');
+    
+    // Alt text + OCR text of each image, emitted under the bookmark
+    const imageTextResult = await media.getImageText(bookmarks);
+    const records = bookmarks.map(bookmark => toExportRecord(
+      bookmark,
+      imageTextResult.data.get(String(bookmark.tweet_id || bookmark.id))
+    ));
+    
+    const { files } = exporter.write(records, outputPath);
+    
+    logger.success(`Exported ${bookmarks.length} bookmarks: ${outputPath}`, 'export');
+    
+    return {
+      success: true,
+      data: {
+        format: exporter.id,
+        path: outputPath,
+        count: bookmarks.length,
+        files
+      },
+      error: null
+    };
+    
+  } catch (error) {
+    logger.error('Export failed', error, 'export');
+    return {
+      success: false,
+      data: null,
+      error: error.message
+    };
+  }
+}
+
+// Built-in formats
+[
+  require('./markdown'),
+  require('./jsonl'),
+  require('./csv'),
+  require('./html'),
+  require('./obsidian')
+].forEach(registerExporter);
+
+module.exports = {
+  exportBookmarks,
+  getExporters,
+  registerExporter,
+  toExportRecord,
+  DEFAULT_FORMAT
+};
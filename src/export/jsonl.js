@@ -0,0 +1,32 @@
+/**
+ * BrainBrief - JSON Lines Exporter
+ * 
+ * Purpose: One JSON object per line (full export record, lossless)
+ * Dependencies: fs
+ * 
+ * @module export/jsonl
+ */
+
+const fs = require('fs');
+
+/**
+ * Write records as JSON Lines
+ * 
+ * @param {Array<Object>} records - Export records
+ * @param {string} outputPath - Output .jsonl file
+ * @returns {Object} { files }
+ */
+function write(records, outputPath) {
+  const lines = records.map(record => JSON.stringify(record));
+  fs.writeFileSync(outputPath, lines.length > 0 ? `${lines.join('\n')}\n` : '', 'utf-8');
+  
+  return { files: 1 };
+}
+
+module.exports = {
+  id: 'jsonl',
+  name: 'JSON Lines',
+  extension: '.jsonl',
+  directory: false,
+  write
+};
@@ -0,0 +1,165 @@
+/**
+ * BrainBrief - Markdown Exporter
+ * 
+ * Purpose: One .md file per bookmark with YAML front-matter (machine-readable) and a readable body
+ * Dependencies: fs, path
+ * 
+ * Front-matter values are written as JSON scalars (valid YAML double-quoted strings),
+ * so every field - including embedded content - parses back exactly.
+ * 
+ * @module export/markdown
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Render one YAML value (scalars as JSON, lists/mappings as nested blocks)
+ * 
+ * @param {*} value - Value to render
+ * @param {string} indent - Current indentation
+ * @returns {string} YAML fragment (starts with ' ' for inline or '\n' for blocks)
+ */
+function _yamlValue(value, indent) {
+  if (Array.isArray(value)) {
+    if (value.length === 0) {
+      return ' []';
+    }
+    return value.map(item => `\n${indent}  -${_yamlValue(item, `${indent}  `)}`).join('');
+  }
+  
+  if (value && typeof value === 'object') {
+    return Object.entries(value)
+      .map(([key, item]) => `\n${indent}  ${key}:${_yamlValue(item, `${indent}  `)}`)
+      .join('');
+  }
+  
+  return ` ${value === undefined ? 'null' : JSON.stringify(value)}`;
+}
+
+/**
+ * Render YAML front-matter block
+ * 
+ * @param {Object} fields - Front-matter fields (insertion order is kept)
+ * @returns {string} Front-matter including --- fences
+ */
+function renderFrontMatter(fields) {
+  const lines = Object.entries(fields).map(([key, value]) => `${key}:${_yamlValue(value, '')}`);
+  return `---\n${lines.join('\n')}\n---\n`;
+}
+
+/**
+ * Front-matter fields for a record (shared with the Obsidian exporter)
+ * 
+ * @param {Object} record - Export record
+ * @returns {Object} Front-matter fields
+ */
+function frontMatterFields(record) {
+  return {
+    id: record.id,
+    author: record.author,
+    url: record.url,
+    date: record.timestamp,
+    scraped_at: record.scrapedAt,
+    youtube: record.embedded.youtubeUrls,
+    images: record.embedded.imageUrls,
+    videos: record.embedded.videoUrls,
+    quoted_tweet: record.embedded.quotedTweet,
+    thread_root: record.thread ? record.thread.rootTweetId : null,
+    text_truncated: record.textTruncated,
+    removed_at: record.removedAt
+  };
+}
+
+/**
+ * Render readable body (text, thread, quoted tweet, embedded links)
+ * 
+ * @param {Object} record - Export record
+ * @param {Object} options - Render options
+ * @param {string} options.authorLabel - How to show the author (e.g. an Obsidian [[link]])
+ * @returns {string} Markdown body
+ */
+function renderBody(record, options = {}) {
+  const authorLabel = options.authorLabel || `**${record.author}**`;
+  const emb = record.embedded;
+  const thread = record.thread && record.thread.tweets && record.thread.tweets.length > 1 ? record.thread : null;
+  
+  let body = `${authorLabel} · [Original tweet](${record.url}) · ${record.timestamp || 'unknown date'}\n\n`;
+  
+  if (thread) {
+    const total = thread.tweets.length;
+    body += `## Thread (${total} tweets)\n\n`;
+    thread.tweets.forEach((tweet, i) => {
+      body += `(${i + 1}/${total}) ${tweet.text || ''}\n\n`;
+    });
+  } else if (record.text) {
+    body += `${record.text}\n\n`;
+  }
+  
+  if (record.textTruncated) {
+    body += `*(Truncated preview - full post: ${record.url})*\n\n`;
+  }
+  
+  if (emb.quotedTweet) {
+    body += '## Quoted Tweet\n\n';
+    body += `> **${emb.quotedTweet.author}**\n`;
+    (emb.quotedTweet.text || '').split('\n').forEach(line => {
+      body += `> ${line}\n`;
+    });
+    body += '\n';
+  }
+  
+  if (emb.youtubeUrls.length > 0) {
+    body += '## YouTube Videos\n\n';
+    emb.youtubeUrls.forEach(url => { body += `- ${url}\n`; });
+    body += '\n';
+  }
+  
+  if (emb.images.length > 0) {
+    body += '## Images\n\n';
+    emb.images.forEach(image => {
+      body += `![${image.altText.replace(/[[\]\n]/g, ' ')}](${image.url})\n`;
+      if (image.ocrText) {
+        body += '\n> **Text in image:**\n';
+        image.ocrText.split('\n').forEach(line => { body += `> ${line}\n`; });
+        body += '\n';
+      }
+    });
+    body += '\n';
+  }
+  
+  if (emb.videoUrls.length > 0) {
+    body += '## Videos\n\n';
+    emb.videoUrls.forEach(url => { body += `- ${url}\n`; });
+    body += '\n';
+  }
+  
+  return body;
+}
+
+/**
+ * Write one Markdown file per bookmark into outputPath (a folder)
+ * 
+ * @param {Array<Object>} records - Export records
+ * @param {string} outputPath - Output folder
+ * @returns {Object} { files }
+ */
+function write(records, outputPath) {
+  records.forEach(record => {
+    const content = `${renderFrontMatter(frontMatterFields(record))}\n${renderBody(record)}`;
+    fs.writeFileSync(path.join(outputPath, `${record.id}.md`), content, 'utf-8');
+  });
+  
+  return { files: records.length };
+}
+
+module.exports = {
+  id: 'markdown',
+  name: 'Markdown (one file per bookmark)',
+  extension: '.md',
+  directory: true,
+  write,
+  renderFrontMatter,
+  frontMatterFields,
+  renderBody
+};
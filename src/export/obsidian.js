@@ -0,0 +1,83 @@
+/**
+ * BrainBrief - Obsidian Vault Exporter
+ * 
+ * Purpose: Vault folder with one note per bookmark and one note per author, linked via [[author]]
+ * Dependencies: fs, path, markdown.js (front-matter + body rendering)
+ * 
+ * Layout:
+ *   <vault>/Bookmarks/<date> <author> <id>.md   (front-matter author: "[[Author]]")
+ *   <vault>/Authors/<Author>.md                 (lists that author's bookmarks)
+ * 
+ * @module export/obsidian
+ */
+
+const fs = require('fs');
+const path = require('path');
+const markdown = require('./markdown');
+
+// Vault folders
+const BOOKMARKS_FOLDER = 'Bookmarks';
+const AUTHORS_FOLDER = 'Authors';
+
+/**
+ * Make a string safe as an Obsidian note name (no path or link syntax characters)
+ * 
+ * @param {string} name - Raw name
+ * @returns {string} Safe note name
+ */
+function _noteName(name) {
+  const safe = String(name || '').replace(/[\\/:*?"<>|#^[\]]/g, '').replace(/\s+/g, ' ').trim();
+  return safe || 'Unknown';
+}
+
+/**
+ * Write records as an Obsidian vault
+ * 
+ * @param {Array<Object>} records - Export records
+ * @param {string} outputPath - Vault folder
+ * @returns {Object} { files }
+ */
+function write(records, outputPath) {
+  const bookmarksDir = path.join(outputPath, BOOKMARKS_FOLDER);
+  const authorsDir = path.join(outputPath, AUTHORS_FOLDER);
+  fs.mkdirSync(bookmarksDir, { recursive: true });
+  fs.mkdirSync(authorsDir, { recursive: true });
+  
+  // Author note name -> bookmark note names
+  const notesByAuthor = new Map();
+  
+  records.forEach(record => {
+    const authorNote = _noteName(record.author);
+    const date = (record.timestamp || '').slice(0, 10) || 'undated';
+    const bookmarkNote = _noteName(`${date} ${authorNote} ${record.id}`);
+    
+    const fields = markdown.frontMatterFields(record);
+    fields.author = `[[${authorNote}]]`;
+    fields.author_name = record.author;
+    fields.tags = ['bookmark'];
+    
+    const content = `${markdown.renderFrontMatter(fields)}\n${markdown.renderBody(record, { authorLabel: `[[${authorNote}]]` })}`;
+    fs.writeFileSync(path.join(bookmarksDir, `${bookmarkNote}.md`), content, 'utf-8');
+    
+    if (!notesByAuthor.has(authorNote)) {
+      notesByAuthor.set(authorNote, []);
+    }
+    notesByAuthor.get(authorNote).push(bookmarkNote);
+  });
+  
+  notesByAuthor.forEach((notes, authorNote) => {
+    const content = `${markdown.renderFrontMatter({ tags: ['author'] })}\n# ${authorNote}\n\n## Bookmarks\n\n` +
+      `${notes.map(note => `- [[${note}]]`).join('\n')}\n`;
+    fs.writeFileSync(path.join(authorsDir, `${authorNote}.md`), content, 'utf-8');
+  });
+  
+  return { files: records.length + notesByAuthor.size };
+}
+
+module.exports = {
+  id: 'obsidian',
+  name: 'Obsidian vault',
+  extension: '',
+  directory: true,
+  write
+};
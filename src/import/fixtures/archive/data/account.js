@@ -0,0 +1,8 @@
+window.YTD.account.part0 = [
+  {
+    "account" : {
+      "username" : "me",
+      "accountDisplayName" : "Me Myself"
+    }
+  }
+]
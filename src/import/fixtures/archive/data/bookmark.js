@@ -0,0 +1,43 @@
+window.YTD.bookmark.part0 = [
+  {
+    "bookmark" : {
+      "tweetId" : "1850000000000000001"
+    }
+  },
+  {
+    "bookmark" : {
+      "tweetId" : "1850000000000000002",
+      "fullText" : "Worth watching: https://www.youtube.com/watch?v=dQw4w9WgXcQ &amp; more",
+      "expandedUrl" : "https://twitter.com/bob/status/1850000000000000002"
+    }
+  },
+  {
+    "bookmark" : {
+      "tweetId" : "1850000000000000003"
+    }
+  },
+  {
+    "bookmark" : {
+      "tweetId" : "1850000000000000004",
+      "fullText" : "Archive text that must not replace the scraped text",
+      "expandedUrl" : "https://twitter.com/carol/status/1850000000000000004"
+    }
+  },
+  {
+    "bookmark" : {
+      "tweetId" : "1850000000000000005",
+      "fullText" : "Text only the archive has",
+      "expandedUrl" : "https://twitter.com/dave/status/1850000000000000005"
+    }
+  },
+  {
+    "bookmark" : {
+      "tweetId" : "1850000000000000001"
+    }
+  },
+  {
+    "bookmark" : {
+      "tweetId" : "abc"
+    }
+  }
+]
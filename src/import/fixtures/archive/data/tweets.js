@@ -0,0 +1,27 @@
+window.YTD.tweets.part0 = [
+  {
+    "tweet" : {
+      "id_str" : "1850000000000000003",
+      "created_at" : "Wed Oct 23 10:00:00 +0000 2024",
+      "full_text" : "My own thread starter https://t.co/abc https://t.co/pic",
+      "entities" : {
+        "urls" : [
+          {
+            "url" : "https://t.co/abc",
+            "expanded_url" : "https://example.com/article"
+          }
+        ]
+      },
+      "extended_entities" : {
+        "media" : [
+          {
+            "url" : "https://t.co/pic",
+            "type" : "photo",
+            "media_url_https" : "https://pbs.twimg.com/media/own.jpg",
+            "ext_alt_text" : "A chart"
+          }
+        ]
+      }
+    }
+  }
+]
@@ -0,0 +1,447 @@
+/**
+ * BrainBrief - X Data Archive Importer
+ * 
+ * Purpose: Import bookmarks from the official "Download your data" archive (ZIP or extracted folder)
+ * Dependencies: yauzl, database.js
+ * 
+ * Archive files are JS-wrapped JSON (`window.YTD.bookmark.part0 = [...]`):
+ * - data/bookmark.js (+ bookmark-part1.js ...) - { bookmark: { tweetId, fullText?, expandedUrl? } }
+ * - data/tweets.js (older: tweet.js)           - the account's own tweets (full text, media, dates)
+ * - data/account.js                            - username/display name for own tweets
+ * 
+ * Bookmark entries only carry a tweet ID (sometimes text + URL), so the import never
+ * overwrites richer rows scraped from the timeline - it only fills empty fields.
+ * Rows left without text are saved with needsEnrichment: incremental syncs don't
+ * stop at them (the timeline fills them in) and uploads skip them until then.
+ * 
+ * @module import/x-archive
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yauzl = require('yauzl');
+const logger = require('../utils/logger');
+const db = require('../db/database');
+
+// Archive files we read (path inside the archive, split parts included)
+const ARCHIVE_FILE_PATTERN = /(^|\/)data\/(bookmarks?|tweets?|account)(-part\d+)?\.js$/;
+
+// Twitter snowflake epoch (ms) - tweet IDs encode their creation time
+const TWITTER_EPOCH_MS = 1288834974657;
+
+// Same patterns the timeline extractor uses
+const YOUTUBE_URL_PATTERN = /(youtube\.com\/watch\?v=|youtube\.com\/shorts\/|youtu\.be\/)[\w-]+/i;
+const STATUS_URL_PATTERN = /(?:twitter|x)\.com\/([A-Za-z0-9_]+)\/status\/(\d+)/;
+
+/**
+ * Parse one archive data file (strip the `window.YTD.x.partN =` prefix)
+ * 
+ * @param {string} content - File content
+ * @returns {Array<Object>} Parsed entries
+ */
+function parseArchiveFile(content) {
+  const start = content.indexOf('[');
+  if (start === -1) {
+    throw new Error('Not an archive data file (no JSON array found)');
+  }
+  const entries = JSON.parse(content.slice(start));
+  
+  if (!Array.isArray(entries)) {
+    throw new Error('Archive data file does not contain an array');
+  }
+  
+  return entries;
+}
+
+/**
+ * Read archive data files from a ZIP
+ * 
+ * @param {string} zipPath - Path to the archive ZIP
+ * @returns {Promise<Object>} { '<name>': content } keyed by path inside the ZIP
+ */
+function _readZipFiles(zipPath) {
+  return new Promise((resolve, reject) => {
+    yauzl.open(zipPath, { lazyEntries: true }, (openError, zipfile) => {
+      if (openError) {
+        reject(openError);
+        return;
+      }
+      
+      const files = {};
+      
+      zipfile.on('entry', entry => {
+        if (!ARCHIVE_FILE_PATTERN.test(entry.fileName)) {
+          zipfile.readEntry();
+          return;
+        }
+        
+        zipfile.openReadStream(entry, (streamError, stream) => {
+          if (streamError) {
+            reject(streamError);
+            return;
+          }
+          const chunks = [];
+          stream.on('data', chunk => chunks.push(chunk));
+          stream.on('error', reject);
+          stream.on('end', () => {
+            files[entry.fileName] = Buffer.concat(chunks).toString('utf-8');
+            zipfile.readEntry();
+          });
+        });
+      });
+      
+      zipfile.on('end', () => resolve(files));
+      zipfile.on('error', reject);
+      zipfile.readEntry();
+    });
+  });
+}
+
+/**
+ * Read archive data files from an already extracted archive folder
+ * 
+ * @param {string} folderPath - Extracted archive root (contains data/)
+ * @returns {Object} { 'data/<name>': content }
+ */
+function _readFolderFiles(folderPath) {
+  const dataDir = path.join(folderPath, 'data');
+  if (!fs.existsSync(dataDir)) {
+    throw new Error(`No data/ folder in ${folderPath} - is this an X archive?`);
+  }
+  
+  const files = {};
+  fs.readdirSync(dataDir).forEach(name => {
+    const fileName = `data/${name}`;
+    if (ARCHIVE_FILE_PATTERN.test(fileName)) {
+      files[fileName] = fs.readFileSync(path.join(dataDir, name), 'utf-8');
+    }
+  });
+  
+  return files;
+}
+
+/**
+ * Collect entries of one kind across split parts (bookmark.js, bookmark-part1.js, ...)
+ * 
+ * @param {Object} files - { name: content }
+ * @param {Array<string>} kinds - File kinds to collect (e.g. ['tweets', 'tweet'])
+ * @returns {Array<Object>} All entries
+ */
+function _collectEntries(files, kinds) {
+  const entries = [];
+  
+  Object.keys(files).sort().forEach(name => {
+    const match = name.match(ARCHIVE_FILE_PATTERN);
+    if (match && kinds.includes(match[2])) {
+      entries.push(...parseArchiveFile(files[name]));
+    }
+  });
+  
+  return entries;
+}
+
+/**
+ * Tweet creation time from its snowflake ID
+ * 
+ * @param {string} tweetId - Tweet ID
+ * @returns {string} ISO timestamp
+ */
+function _timestampFromId(tweetId) {
+  const ms = Number(BigInt(tweetId) >> 22n) + TWITTER_EPOCH_MS;
+  return new Date(ms).toISOString();
+}
+
+/**
+ * Decode the HTML entities the archive keeps in tweet text
+ * 
+ * @param {string} text - Archive text
+ * @returns {string} Plain text
+ */
+function _decodeEntities(text) {
+  return String(text || '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Map an archive tweet (tweets.js) to text + embedded content
+ * 
+ * @param {Object} tweet - Archive tweet object
+ * @returns {Object} { text, timestamp, embedded }
+ */
+function _mapArchiveTweet(tweet) {
+  const urls = (tweet.entities && tweet.entities.urls) || [];
+  const media = (tweet.extended_entities && tweet.extended_entities.media) ||
+    (tweet.entities && tweet.entities.media) || [];
+    
+  const embedded = {
+    youtubeUrls: [],
+    imageUrls: [],
+    imageAlts: [],
+    videoUrls: [],
+    quotedTweet: null
+  };
+  
+  // Expand t.co links like the timeline shows them; media links are dropped from the text
+  let text = _decodeEntities(tweet.full_text || tweet.text);
+  urls.forEach(url => {
+    if (url.url && url.expanded_url) {
+      text = text.split(url.url).join(url.expanded_url);
+    }
+    if (url.expanded_url && YOUTUBE_URL_PATTERN.test(url.expanded_url) && !embedded.youtubeUrls.includes(url.expanded_url)) {
+      embedded.youtubeUrls.push(url.expanded_url);
+    }
+  });
+  
+  media.forEach(item => {
+    if (item.url) {
+      text = text.split(item.url).join('');
+    }
+    
+    if (item.type === 'photo' && item.media_url_https && !embedded.imageUrls.includes(item.media_url_https)) {
+      embedded.imageUrls.push(item.media_url_https);
+      embedded.imageAlts.push(item.ext_alt_text || '');
+    } else if (item.video_info && Array.isArray(item.video_info.variants)) {
+      // Highest bitrate MP4
+      const best = item.video_info.variants
+        .filter(variant => variant.content_type === 'video/mp4')
+        .sort((a, b) => Number(b.bitrate || 0) - Number(a.bitrate || 0))[0];
+      if (best && !embedded.videoUrls.includes(best.url)) {
+        embedded.videoUrls.push(best.url);
+      }
+    }
+  });
+  
+  return {
+    text: text.trim(),
+    timestamp: tweet.created_at ? new Date(tweet.created_at).toISOString() : null,
+    embedded
+  };
+}
+
+/**
+ * Map archive bookmark entries to the saveBookmark shape
+ * 
+ * @param {Object} files - Archive data files { name: content }
+ * @returns {Object} { bookmarks, skipped } - skipped = entries without a usable tweet ID or repeated
+ */
+function mapArchive(files) {
+  const accountEntry = _collectEntries(files, ['account'])[0];
+  const account = accountEntry ? accountEntry.account || accountEntry : null;
+  
+  // Own tweets by ID (bookmarked own tweets get full text + media)
+  const ownTweets = new Map();
+  _collectEntries(files, ['tweets', 'tweet']).forEach(entry => {
+    const tweet = entry.tweet || entry;
+    if (tweet.id_str) {
+      ownTweets.set(tweet.id_str, tweet);
+    }
+  });
+  
+  const bookmarks = [];
+  const seen = new Set();
+  let skipped = 0;
+  const scrapedAt = new Date().toISOString();
+  
+  _collectEntries(files, ['bookmark', 'bookmarks']).forEach(entry => {
+    const item = entry.bookmark || entry;
+    const tweetId = String(item.tweetId || item.tweet_id || item.id || '');
+    
+    if (!/^\d+$/.test(tweetId) || seen.has(tweetId)) {
+      skipped++;
+      return;
+    }
+    seen.add(tweetId);
+    
+    const statusMatch = (item.expandedUrl || '').match(STATUS_URL_PATTERN);
+    const handle = statusMatch && statusMatch[1] !== 'i' ? statusMatch[1] : null;
+    
+    const bookmark = {
+      id: tweetId,
+      author: handle ? `@${handle}` : 'Unknown',
+      text: _decodeEntities(item.fullText),
+      url: handle ? `https://x.com/${handle}/status/${tweetId}` : `https://x.com/i/web/status/${tweetId}`,
+      timestamp: _timestampFromId(tweetId),
+      scraped_at: scrapedAt,
+      embedded: {
+        youtubeUrls: [],
+        imageUrls: [],
+        imageAlts: [],
+        videoUrls: [],
+        quotedTweet: null
+      }
+    };
+    
+    const ownTweet = ownTweets.get(tweetId);
+    if (ownTweet) {
+      const mapped = _mapArchiveTweet(ownTweet);
+      bookmark.text = mapped.text || bookmark.text;
+      bookmark.timestamp = mapped.timestamp || bookmark.timestamp;
+      bookmark.embedded = mapped.embedded;
+      
+      if (account && account.username) {
+        bookmark.author = account.accountDisplayName || `@${account.username}`;
+        bookmark.url = `https://x.com/${account.username}/status/${tweetId}`;
+      }
+    } else if (bookmark.text) {
+      const youtube = bookmark.text.match(new RegExp(`https?://(www\\.)?${YOUTUBE_URL_PATTERN.source}`, 'gi'));
+      bookmark.embedded.youtubeUrls = youtube ? Array.from(new Set(youtube)) : [];
+    }
+    
+    bookmark.needsEnrichment = !ownTweet && !bookmark.text;
+    bookmarks.push(bookmark);
+  });
+  
+  return { bookmarks, skipped };
+}
+
+/**
+ * Merge an archive bookmark into an existing row (only fills empty fields)
+ * 
+ * @param {Object} existing - Row from getBookmarks (deserialized)
+ * @param {Object} imported - Mapped archive bookmark
+ * @returns {Object|null} Bookmark to save, or null if the archive adds nothing
+ */
+function _mergeIntoExisting(existing, imported) {
+  const embedded = Object.assign({
+    youtubeUrls: [],
+    imageUrls: [],
+    imageAlts: [],
+    videoUrls: [],
+    quotedTweet: null
+  }, existing.embedded);
+  
+  const merged = {
+    id: existing.tweet_id,
+    author: existing.author,
+    text: existing.text,
+    url: existing.url,
+    timestamp: existing.timestamp,
+    scraped_at: existing.scraped_at,
+    isLongForm: !!existing.is_long_form,
+    textTruncated: !!existing.text_truncated,
+    needsEnrichment: !!existing.needs_enrichment,
+    embedded
+  };
+  
+  let changed = false;
+  
+  if (!merged.text && imported.text) {
+    merged.text = imported.text;
+    merged.needsEnrichment = false;
+    changed = true;
+  }
+  if ((!merged.author || merged.author === 'Unknown') && imported.author !== 'Unknown') {
+    merged.author = imported.author;
+    merged.url = imported.url;
+    changed = true;
+  }
+  ['youtubeUrls', 'imageUrls', 'videoUrls'].forEach(key => {
+    if (embedded[key].length === 0 && imported.embedded[key].length > 0) {
+      embedded[key] = imported.embedded[key];
+      changed = true;
+    }
+  });
+  if (embedded.imageUrls === imported.embedded.imageUrls) {
+    embedded.imageAlts = imported.embedded.imageAlts;
+  }
+  
+  return changed ? merged : null;
+}
+
+/**
+ * Import bookmarks from an X data archive
+ * 
+ * @param {string} archivePath - Archive ZIP or extracted archive folder
+ * @returns {Promise<Object>} { success, data: { total, inserted, updated, skipped, failed }, error }
+ */
+async function importArchive(archivePath) {
+  try {
+    if (!archivePath || !fs.existsSync(archivePath)) {
+      throw new Error(`Archive not found: ${archivePath}`);
+    }
+    
+    logger.info(`Reading X archive: ${archivePath}`, 'import');
+    
+    const files = fs.statSync(archivePath).isDirectory()
+      ? _readFolderFiles(archivePath)
+      : await _readZipFiles(archivePath);
+      
+    if (!Object.keys(files).some(name => /(^|\/)data\/bookmarks?(-part\d+)?\.js$/.test(name))) {
+      throw new Error('No data/bookmark.js in archive - request a newer archive from X (Settings → Your account → Download an archive)');
+    }
+    
+    const mapped = mapArchive(files);
+    const bookmarks = mapped.bookmarks;
+    logger.info(`Archive contains ${bookmarks.length} bookmarks`, 'import');
+    
+    // Existing rows, to decide insert vs update vs skip
+    const existingResult = await db.getBookmarks({ limit: -1 });
+    if (!existingResult.success) {
+      return existingResult;
+    }
+    const existingById = new Map(existingResult.data.map(row => [String(row.tweet_id), row]));
+    
+    const counts = {
+      total: bookmarks.length + mapped.skipped,
+      inserted: 0,
+      updated: 0,
+      skipped: mapped.skipped,
+      failed: 0
+    };
+    
+    // Merge first, then write everything in one batch
+    const toSave = [];
+    for (const bookmark of bookmarks) {
+      const existing = existingById.get(bookmark.id);
+      const merged = existing ? _mergeIntoExisting(existing, bookmark) : bookmark;
+      
+      if (merged) {
+        toSave.push(merged);
+      } else {
+        counts.skipped++;
+      }
+    }
+    
+    const saveResult = await db.saveBookmarks(toSave);
+    if (!saveResult.success) {
+      return saveResult;
+    }
+    
+    const failedIds = new Set(saveResult.data.failedIds);
+    toSave.forEach(bookmark => {
+      if (failedIds.has(bookmark.id)) {
+        counts.failed++;
+      } else if (existingById.has(bookmark.id)) {
+        counts.updated++;
+      } else {
+        counts.inserted++;
+      }
+    });
+    
+    logger.success(`Archive import: ${counts.inserted} inserted, ${counts.updated} updated, ${counts.skipped} skipped, ${counts.failed} failed`, 'import');
+    
+    return {
+      success: true,
+      data: counts,
+      error: null
+    };
+    
+  } catch (error) {
+    logger.error('Archive import failed', error, 'import');
+    return {
+      success: false,
+      data: null,
+      error: error.message
+    };
+  }
+}
+
+module.exports = {
+  importArchive,
+  mapArchive,
+  parseArchiveFile,
+  // Exposed for x-archive.test.js
+  _mergeIntoExisting
+};
@@ -0,0 +1,228 @@
+/**
+ * BrainBrief - X Archive Import Tests (offline)
+ * 
+ * Purpose: Check archive parsing, mapping and the insert/update/skip merge against the fixture archive
+ * Dependencies: sql.js, fixtures/archive
+ * 
+ * Runs on an in-memory database (initDatabase({ inMemory: true })),
+ * so data/ and lists-config.json are never touched.
+ * 
+ * Run with: node src/import/x-archive.test.js (or npm test)
+ * 
+ * @module import/x-archive.test
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const db = require('../db/database');
+const xArchive = require('./x-archive');
+
+const ARCHIVE_DIR = path.join(__dirname, 'fixtures', 'archive');
+
+// Fixture tweet IDs (see fixtures/archive/data/bookmark.js)
+const ID_ONLY = '1850000000000000001';
+const WITH_TEXT = '1850000000000000002';
+const OWN_TWEET = '1850000000000000003';
+const SCRAPED = '1850000000000000004';
+const SCRAPED_EMPTY = '1850000000000000005';
+
+let failures = 0;
+
+/**
+ * Record one assertion
+ * 
+ * @param {boolean} condition - Assertion result
+ * @param {string} description - What was checked
+ */
+function _expect(condition, description) {
+  if (condition) {
+    logger.success(`✅ ${description}`, 'test');
+  } else {
+    failures++;
+    logger.error(`❌ ${description}`, null, 'test');
+  }
+}
+
+/**
+ * Read the fixture archive like importArchive does for a folder
+ * 
+ * @returns {Object} { 'data/<name>': content }
+ */
+function _fixtureFiles() {
+  const files = {};
+  fs.readdirSync(path.join(ARCHIVE_DIR, 'data')).forEach(name => {
+    files[`data/${name}`] = fs.readFileSync(path.join(ARCHIVE_DIR, 'data', name), 'utf-8');
+  });
+  return files;
+}
+
+/**
+ * Load one bookmark row by tweet ID
+ * 
+ * @param {string} tweetId - Tweet ID
+ * @returns {Promise<Object|undefined>} Deserialized row
+ */
+async function _row(tweetId) {
+  const result = await db.getBookmarks({ limit: -1 });
+  return result.data.find(row => String(row.tweet_id) === tweetId);
+}
+
+/**
+ * parseArchiveFile: the window.YTD prefix is stripped, anything else refused
+ */
+function testParseArchiveFile() {
+  logger.info('Testing parseArchiveFile...', 'test');
+  
+  const entries = xArchive.parseArchiveFile('window.YTD.bookmark.part0 = [ { "bookmark" : { "tweetId" : "1" } } ]');
+  _expect(entries.length === 1 && entries[0].bookmark.tweetId === '1', 'JS-wrapped array parsed');
+  
+  let refused = false;
+  try {
+    xArchive.parseArchiveFile('window.YTD.bookmark.part0 = {}');
+  } catch (error) {
+    refused = true;
+  }
+  _expect(refused, 'File without an array refused');
+}
+
+/**
+ * mapArchive: bookmark entries mapped, own tweets filled in from tweets.js + account.js
+ */
+function testMapArchive() {
+  logger.info('Testing mapArchive...', 'test');
+  
+  const { bookmarks, skipped } = xArchive.mapArchive(_fixtureFiles());
+  const byId = new Map(bookmarks.map(bookmark => [bookmark.id, bookmark]));
+  
+  _expect(bookmarks.length === 5 && skipped === 2, 'Repeated and non-numeric tweet IDs skipped');
+  
+  const idOnly = byId.get(ID_ONLY);
+  _expect(idOnly.author === 'Unknown' && idOnly.text === '' && idOnly.needsEnrichment, 'ID-only entry saved for enrichment');
+  _expect(idOnly.url === `https://x.com/i/web/status/${ID_ONLY}`, 'ID-only entry links to the web status URL');
+  _expect(idOnly.timestamp.startsWith('2024-'), 'Timestamp decoded from the snowflake ID');
+  
+  const withText = byId.get(WITH_TEXT);
+  _expect(withText.author === '@bob' && withText.url === `https://x.com/bob/status/${WITH_TEXT}`, 'Author and URL taken from expandedUrl');
+  _expect(withText.text.includes('& more') && !withText.needsEnrichment, 'Archive text decoded');
+  _expect(withText.embedded.youtubeUrls.length === 1 && withText.embedded.youtubeUrls[0].includes('dQw4w9WgXcQ'), 'YouTube link found in archive text');
+  
+  const own = byId.get(OWN_TWEET);
+  _expect(own.author === 'Me Myself' && own.url === `https://x.com/me/status/${OWN_TWEET}`, 'Own tweet credited to the account');
+  _expect(own.text === 'My own thread starter https://example.com/article', 'Own tweet t.co links expanded and media links dropped');
+  _expect(own.embedded.imageUrls[0] === 'https://pbs.twimg.com/media/own.jpg' && own.embedded.imageAlts[0] === 'A chart', 'Own tweet photo and alt text kept');
+  _expect(own.timestamp === '2024-10-23T10:00:00.000Z' && !own.needsEnrichment, 'Own tweet dated from created_at');
+}
+
+/**
+ * _mergeIntoExisting: only empty fields are filled, never overwritten
+ */
+function testMergeIntoExisting() {
+  logger.info('Testing _mergeIntoExisting...', 'test');
+  
+  const imported = {
+    id: '1',
+    author: '@bob',
+    text: 'Archive text',
+    url: 'https://x.com/bob/status/1',
+    embedded: { youtubeUrls: ['https://youtu.be/archive'], imageUrls: ['https://pbs.twimg.com/media/a.jpg'], imageAlts: ['alt'], videoUrls: [], quotedTweet: null }
+  };
+  const existing = {
+    tweet_id: '1',
+    author: '@alice',
+    text: 'Scraped text',
+    url: 'https://x.com/alice/status/1',
+    timestamp: '2025-01-01T00:00:00.000Z',
+    scraped_at: '2025-01-01T00:00:00.000Z',
+    embedded: { youtubeUrls: ['https://youtu.be/scraped'], imageUrls: [], imageAlts: [], videoUrls: [], quotedTweet: null }
+  };
+  
+  const merged = xArchive._mergeIntoExisting(existing, imported);
+  _expect(merged.text === 'Scraped text' && merged.author === '@alice', 'Scraped text and author kept');
+  _expect(merged.embedded.youtubeUrls[0] === 'https://youtu.be/scraped', 'Scraped YouTube links kept');
+  _expect(merged.embedded.imageUrls[0] === 'https://pbs.twimg.com/media/a.jpg' && merged.embedded.imageAlts[0] === 'alt', 'Empty image list filled from the archive');
+  
+  const unchanged = xArchive._mergeIntoExisting(Object.assign({}, existing, { embedded: merged.embedded }), imported);
+  _expect(unchanged === null, 'Nothing to add: no save');
+}
+
+/**
+ * importArchive: counts, merge into scraped rows, and a repeated import changes nothing
+ */
+async function testImportArchive() {
+  logger.info('Testing importArchive...', 'test');
+  
+  const scrapedAt = '2025-10-01T12:00:00.000Z';
+  await db.saveBookmark({
+    id: SCRAPED,
+    author: '@carol',
+    text: 'Scraped from the timeline',
+    url: `https://x.com/carol/status/${SCRAPED}`,
+    timestamp: scrapedAt,
+    scraped_at: scrapedAt
+  });
+  await db.saveBookmark({
+    id: SCRAPED_EMPTY,
+    author: 'Unknown',
+    text: '',
+    url: `https://x.com/i/web/status/${SCRAPED_EMPTY}`,
+    timestamp: scrapedAt,
+    scraped_at: scrapedAt,
+    needsEnrichment: true
+  });
+  
+  const result = await xArchive.importArchive(ARCHIVE_DIR);
+  const counts = result.data || {};
+  _expect(result.success, 'Fixture archive imported');
+  _expect(counts.total === 7 && counts.inserted === 3 && counts.updated === 1 && counts.skipped === 3 && counts.failed === 0,
+    `Counts: 3 inserted, 1 updated, 3 skipped (got ${JSON.stringify(counts)})`);
+    
+  const scraped = await _row(SCRAPED);
+  _expect(scraped.text === 'Scraped from the timeline', 'Scraped text not replaced by archive text');
+  
+  const filled = await _row(SCRAPED_EMPTY);
+  _expect(filled.text === 'Text only the archive has' && filled.author === '@dave', 'Empty scraped row filled from the archive');
+  _expect(!filled.needs_enrichment, 'Filled row no longer waits for enrichment');
+  
+  const idOnly = await _row(ID_ONLY);
+  _expect(idOnly && idOnly.needs_enrichment, 'ID-only bookmark stored for enrichment');
+  _expect((await db.getBookmarks({ limit: -1, enrichedOnly: true })).data.every(row => String(row.tweet_id) !== ID_ONLY),
+    'ID-only bookmark left out of enriched bookmarks');
+    
+  const again = await xArchive.importArchive(ARCHIVE_DIR);
+  _expect(again.success && again.data.inserted === 0 && again.data.updated === 0 && again.data.skipped === 7, 'Repeated import skips everything');
+  _expect((await db.getBookmarkCount()).data === 5, 'No duplicate rows');
+}
+
+/**
+ * Run all tests
+ */
+async function runTests() {
+  try {
+    const initResult = await db.initDatabase({ inMemory: true });
+    if (!initResult.success) {
+      throw new Error(initResult.error);
+    }
+    
+    testParseArchiveFile();
+    testMapArchive();
+    testMergeIntoExisting();
+    await testImportArchive();
+    
+  } catch (error) {
+    failures++;
+    logger.error('Test run failed', error, 'test');
+    
+  } finally {
+    await db.closeDatabase();
+  }
+  
+  if (failures > 0) {
+    logger.error(`${failures} assertion(s) failed`, null, 'test');
+    process.exitCode = 1;
+  } else {
+    logger.success('All X archive import tests passed', 'test');
+  }
+}
+
+runTests();
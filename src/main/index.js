@@ -3,12 +3,11 @@
  * Handles Electron app lifecycle, system tray, and window management
  */
 
-const { app, BrowserWindow, Tray, Menu, ipcMain, Notification } = require('electron');
+const { app, BrowserWindow, Tray, Menu, ipcMain, Notification, dialog } = require('electron');
 const path = require('path');
 const logger = require('../utils/logger');
 const twitter = require('../automation/twitter');
 const db = require('../db/database');
-const notebooklm = require('../automation/notebooklm');
 const scheduler = require('./scheduler');
 
 let mainWindow = null;
@@ -78,7 +77,7 @@ function createTray() {
       label: 'Sync Bookmarks',
       click: async () => {
         logger.info('Manual bookmark sync from tray menu', 'main');
-        const result = await scheduler.runSync({ limit: 50 });
+        const result = await scheduler.runSync({ limit: 50, trigger: 'tray' });
         
         if (result.success) {
           showSystemNotification('Sync Complete', `Synced ${result.data.count} bookmarks`);
@@ -94,47 +93,16 @@ function createTray() {
       click: async () => {
         logger.info('Manual list sync from tray menu', 'main');
         
-        const fs = require('fs');
-        const path = require('path');
-        const { extractListTweets } = require('../automation/twitter');
-        const { uploadListTweets } = require('../automation/notebooklm');
+        showSystemNotification('Syncing Lists', 'Syncing enabled lists...');
         
-        try {
-          // Load lists config
-          const configPath = path.join(__dirname, '../../lists-config.json');
-          if (!fs.existsSync(configPath)) {
-            showSystemNotification('No Lists Config', 'Run discovery first');
-            return;
-          }
-          
-          const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
-          const enabledLists = config.lists.filter(l => l.enabled);
-          
-          if (enabledLists.length === 0) {
-            showSystemNotification('No Lists Enabled', 'Enable lists in config');
-            return;
-          }
-          
-          showSystemNotification('Syncing Lists', `${enabledLists.length} lists...`);
-          
-          let synced = 0;
-          for (const list of enabledLists) {
-            const extractResult = await extractListTweets(list);
-            if (extractResult.success && extractResult.data.tweets.length > 0) {
-              const uploadResult = await uploadListTweets(extractResult.data.tweets, {
-                name: list.name,
-                listId: list.listId,
-                url: list.url
-              });
-              if (uploadResult.success) synced++;
-            }
-          }
-          
-          showSystemNotification('Lists Synced', `${synced}/${enabledLists.length} lists uploaded`);
-          
-        } catch (error) {
-          logger.error('List sync failed', error, 'main');
-          showSystemNotification('List Sync Failed', error.message);
+        const result = await scheduler.runListSync({ trigger: 'tray' });
+        const lists = result.data?.lists || [];
+        
+        if (lists.length === 0) {
+          showSystemNotification('List Sync Failed', result.error);
+        } else {
+          const synced = lists.filter(list => list.uploaded).length;
+          showSystemNotification('Lists Synced', `${synced}/${lists.length} lists uploaded`);
         }
       }
     },
@@ -266,6 +234,9 @@ app.on('before-quit', async () => {
   console.log('👋 BrainBrief shutting down...');
   app.isQuitting = true;
   
+  // Write database changes still waiting for their debounced save
+  db.flush();
+  
   // Close all persistent browsers
   try {
     const browserManager = require('../automation/browser-manager');
@@ -303,6 +274,99 @@ ipcMain.handle('get-stats', async () => {
   }
 });
 
+// Get NotebookLM uploads waiting for retry
+ipcMain.handle('get-upload-queue', async () => {
+  try {
+    const uploadQueue = require('../db/upload-queue');
+    return await uploadQueue.getQueuedUploads();
+  } catch (error) {
+    logger.error('Failed to get upload queue', error, 'main');
+    return { success: false, data: [], error: error.message };
+  }
+});
+
+// Get recorded bookmark/folder/list/upload/reconcile runs, newest first
+ipcMain.handle('get-sync-history', async (event, { limit = 50, kind = null } = {}) => {
+  try {
+    const syncRuns = require('../db/sync-runs');
+    return await syncRuns.getSyncRuns({ limit, kind });
+  } catch (error) {
+    logger.error('Failed to get sync history', error, 'main');
+    return { success: false, data: [], error: error.message };
+  }
+});
+
+// Get bookmarks a reconciliation sync found removed on X
+ipcMain.handle('get-removed-bookmarks', async () => {
+  try {
+    const bookmarkRemovals = require('../db/bookmark-removals');
+    return await bookmarkRemovals.getRemovedBookmarks();
+  } catch (error) {
+    logger.error('Failed to get removed bookmarks', error, 'main');
+    return { success: false, data: [], error: error.message };
+  }
+});
+
+// Retry one queued upload now (ignores backoff)
+ipcMain.handle('retry-upload', async (event, { id }) => {
+  try {
+    logger.info(`UI requested retry of queued upload ${id}`, 'main');
+    const { processUploadQueue } = require('../automation/notebooklm');
+    const syncRuns = require('../db/sync-runs');
+    
+    const run = syncRuns.startRun('upload', 'manual');
+    const result = await syncRuns.timePhase(run, 'upload', () => processUploadQueue({ ids: [id] }));
+    if (result.success) {
+      run.counts.found = result.data.attempted;
+      run.counts.uploaded = result.data.uploaded;
+      run.counts.failed = result.data.failed;
+    }
+    await syncRuns.recordRun(run, {
+      status: result.success && result.data.failed === 0 ? 'success' : 'failed',
+      error: result.error || (result.data?.failed ? 'Upload failed again' : null)
+    });
+    
+    return result;
+  } catch (error) {
+    logger.error('Failed to retry upload', error, 'main');
+    return { success: false, error: error.message };
+  }
+});
+
+// Drop a queued upload (stop retrying it)
+ipcMain.handle('drop-upload', async (event, { id }) => {
+  try {
+    logger.info(`UI dropped queued upload ${id}`, 'main');
+    const uploadQueue = require('../db/upload-queue');
+    const bookmarkUploads = require('../db/bookmark-uploads');
+    
+    // A dropped file never reaches NotebookLM - its bookmarks count as undelivered again
+    const itemResult = await uploadQueue.getQueuedUploads({ ids: [id] });
+    const item = itemResult.success ? itemResult.data[0] : null;
+    if (item && item.source_type === 'file') {
+      await bookmarkUploads.removeFileBookmarks(item.target);
+    }
+    
+    return await uploadQueue.removeUpload(id);
+  } catch (error) {
+    logger.error('Failed to drop upload', error, 'main');
+    return { success: false, error: error.message };
+  }
+});
+
+// Search local bookmarks (full-text)
+ipcMain.handle('search-bookmarks', async (event, { query = '', filters = {} } = {}) => {
+  try {
+    const search = require('../db/search');
+    logger.debug(`UI search: "${query}"`, filters, 'main');
+    
+    return await search.searchBookmarks(query, filters);
+  } catch (error) {
+    logger.error('Search failed', error, 'main');
+    return { success: false, data: null, error: error.message };
+  }
+});
+
 // Sync bookmarks from Twitter
 ipcMain.handle('sync-bookmarks', async (event, options = {}) => {
   try {
@@ -319,48 +383,13 @@ ipcMain.handle('sync-bookmarks', async (event, options = {}) => {
     const syncType = isFirstSync ? 'first-sync (limited to 100)' : useIncremental ? 'incremental' : 'full';
     logger.info(`UI triggered ${syncType} sync (max: ${limit})`, 'main');
     
-    // Send status update to renderer
-    event.sender.send('sync-status', { status: 'extracting', message: 'Extracting NEW bookmarks from Twitter...' });
-    
-    // Extract from Twitter (incremental by default - stops at existing)
-    const twitterResult = useIncremental
-      ? await twitter.extractNewBookmarks({ maxNew: limit })
-      : await twitter.extractBookmarks({ limit });
-      
-    if (!twitterResult.success) {
-      event.sender.send('sync-status', { status: 'error', message: `Twitter extraction failed: ${twitterResult.error}` });
-      return twitterResult;
-    }
-    
-    const bookmarks = twitterResult.data.bookmarks;
-    
-    // Show if incremental sync worked
-    if (useIncremental && twitterResult.metadata) {
-      const meta = twitterResult.metadata;
-      logger.info(`Incremental sync: ${meta.newBookmarks} new, ${meta.duplicatesSkipped} duplicates`, 'main');
-    }
-    
-    event.sender.send('sync-status', { status: 'saving', message: `Saving ${bookmarks.length} NEW bookmarks to database...` });
-    
-    // Save to database
-    const saveResult = await db.saveBookmarks(bookmarks);
-    if (!saveResult.success) {
-      event.sender.send('sync-status', { status: 'error', message: `Database save failed: ${saveResult.error}` });
-      return saveResult;
-    }
-    
-    event.sender.send('sync-status', { status: 'complete', message: `Synced ${bookmarks.length} bookmarks!` });
-    
-    logger.success(`Sync complete: ${bookmarks.length} bookmarks`, 'main');
-    return {
-      success: true,
-      data: {
-        count: bookmarks.length,
-        saved: saveResult.data.saved,
-        failed: saveResult.data.failed
-      },
-      error: null
-    };
+    // Extract (incremental by default - stops at existing) and save, with status updates to the renderer
+    return await scheduler.runSync({
+      limit,
+      useIncremental,
+      trigger: 'manual',
+      onProgress: status => event.sender.send('sync-status', status)
+    });
     
   } catch (error) {
     logger.error('Sync failed', error, 'main');
@@ -369,35 +398,25 @@ ipcMain.handle('sync-bookmarks', async (event, options = {}) => {
   }
 });
 
-// Export bookmarks to NotebookLM format
+// Reconcile with X: walk the whole bookmarks timeline and mark removed/deleted tweets
+ipcMain.handle('reconcile-bookmarks', async (event, { force = false } = {}) => {
+  try {
+    logger.info(`UI triggered reconciliation${force ? ' (forced)' : ''}`, 'main');
+    return await scheduler.runReconcile({ force, trigger: 'manual' });
+  } catch (error) {
+    logger.error('Reconciliation failed', error, 'main');
+    return { success: false, data: null, error: error.message };
+  }
+});
+
+// Export bookmarks in a pluggable format (markdown, jsonl, csv, html, obsidian)
 ipcMain.handle('export-bookmarks', async (event, options = {}) => {
   try {
-    const { limit = 100 } = options;
-    logger.info('UI requested export', 'main');
+    const { exportBookmarks, DEFAULT_FORMAT } = require('../export');
+    const { format = DEFAULT_FORMAT } = options;
+    logger.info(`UI requested export (${format})`, 'main');
     
-    // Get bookmarks from database
-    const bookmarksResult = await db.getBookmarks({ limit });
-    if (!bookmarksResult.success) {
-      return bookmarksResult;
-    }
-    
-    const bookmarks = bookmarksResult.data.map(b => ({
-      id: b.tweet_id,
-      author: b.author,
-      text: b.text,
-      url: b.url,
-      timestamp: b.timestamp,
-      scraped_at: b.scraped_at
-    }));
-    
-    // Create export file
-    const fileResult = notebooklm.testFileCreation(bookmarks);
-    
-    if (fileResult.success) {
-      logger.success(`Exported ${bookmarks.length} bookmarks`, 'main');
-    }
-    
-    return fileResult;
+    return await exportBookmarks(format);
     
   } catch (error) {
     logger.error('Export failed', error, 'main');
@@ -405,10 +424,22 @@ ipcMain.handle('export-bookmarks', async (event, options = {}) => {
   }
 });
 
+// List available export formats
+ipcMain.handle('get-export-formats', async () => {
+  try {
+    const { getExporters } = require('../export');
+    return { success: true, data: getExporters(), error: null };
+    
+  } catch (error) {
+    logger.error('Failed to list export formats', error, 'main');
+    return { success: false, data: [], error: error.message };
+  }
+});
+
 // Get schedule status
 ipcMain.handle('get-schedule-status', async () => {
   try {
-    return scheduler.getScheduleStatus();
+    return await scheduler.getScheduleStatus();
   } catch (error) {
     logger.error('Failed to get schedule status', error, 'main');
     return { success: false, error: error.message };
@@ -517,6 +548,33 @@ ipcMain.handle('reset-database', async () => {
   }
 });
 
+// Database backups (daily, before migrations, before restores)
+ipcMain.handle('get-backups', async () => {
+  try {
+    return db.getBackups();
+  } catch (error) {
+    logger.error('Failed to get backups', error, 'main');
+    return { success: false, data: [], error: error.message };
+  }
+});
+
+// Replace the database with a backup
+ipcMain.handle('restore-backup', async (event, { fileName }) => {
+  try {
+    logger.info(`UI requested restore of ${fileName}`, 'main');
+    const result = await db.restoreBackup(fileName);
+    
+    if (result.success) {
+      showSystemNotification('Database Restored', `Restored ${fileName}`);
+    }
+    
+    return result;
+  } catch (error) {
+    logger.error('Failed to restore backup', error, 'main');
+    return { success: false, data: null, error: error.message };
+  }
+});
+
 // Check if first run (for onboarding)
 ipcMain.handle('is-first-run', async () => {
   const fs = require('fs');
@@ -554,6 +612,30 @@ ipcMain.handle('complete-onboarding', async () => {
   return { success: true, data: null, error: null };
 });
 
+// Import bookmarks from an X data archive (ZIP picked by the user)
+ipcMain.handle('import-x-archive', async () => {
+  try {
+    const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+      title: 'Select your X data archive',
+      filters: [{ name: 'X archive', extensions: ['zip'] }],
+      properties: ['openFile']
+    });
+    
+    if (canceled || filePaths.length === 0) {
+      return { success: true, data: null, error: null };
+    }
+    
+    logger.info('UI requested archive import', 'main');
+    
+    const { importArchive } = require('../import/x-archive');
+    return await importArchive(filePaths[0]);
+    
+  } catch (error) {
+    logger.error('Archive import failed', error, 'main');
+    return { success: false, error: error.message };
+  }
+});
+
 // Test Twitter connection
 ipcMain.handle('test-twitter-connection', async () => {
   try {
@@ -605,19 +687,20 @@ ipcMain.handle('check-notebooklm-connected', async () => {
   return { success: true, data: { connected }, error: null };
 });
 
-// Get lists config
+// Get lists (database) and app settings (lists-config.json)
 ipcMain.handle('get-lists-config', async () => {
   try {
-    const fs = require('fs');
-    const path = require('path');
-    const configPath = path.join(__dirname, '../../lists-config.json');
+    const lists = require('../db/lists');
+    const { getAppSettings } = require('../utils/settings');
     
-    if (!fs.existsSync(configPath)) {
-      return { success: false, data: null, error: 'No lists config found' };
+    const listsResult = await lists.getLists();
+    if (!listsResult.success) {
+      return { success: false, data: null, error: listsResult.error };
     }
     
-    const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
-    return { success: true, data: config, error: null };
+    const settings = getAppSettings();
+    
+    return { success: true, data: { lists: listsResult.data, settings }, error: null };
     
   } catch (error) {
     logger.error('Failed to get lists config', error, 'main');
@@ -625,23 +708,26 @@ ipcMain.handle('get-lists-config', async () => {
   }
 });
 
-// Save lists config
-ipcMain.handle('save-lists-config', async (event, { lists }) => {
+// Save list sync settings (database) and app settings (lists-config.json)
+ipcMain.handle('save-lists-config', async (event, { lists, settings }) => {
   try {
-    const fs = require('fs');
-    const path = require('path');
-    const configPath = path.join(__dirname, '../../lists-config.json');
+    const listsDb = require('../db/lists');
+    const { saveAppSettings } = require('../utils/settings');
     
-    // Load existing config or create new
-    let config = { lists: [], settings: {} };
-    if (fs.existsSync(configPath)) {
-      config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+    if (lists) {
+      const listsResult = await listsDb.updateListSettings(lists);
+      if (!listsResult.success) {
+        return { success: false, data: null, error: listsResult.error };
+      }
+      logger.success(`Saved settings for ${lists.length} lists`, 'main');
     }
     
-    config.lists = lists;
-    
-    fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
-    logger.success(`Saved ${lists.length} lists to config`, 'main');
+    if (settings) {
+      const settingsResult = saveAppSettings(settings);
+      if (!settingsResult.success) {
+        return { success: false, data: null, error: settingsResult.error };
+      }
+    }
     
     return { success: true, data: null, error: null };
     
@@ -651,92 +737,189 @@ ipcMain.handle('save-lists-config', async (event, { lists }) => {
   }
 });
 
-// Discover lists
-ipcMain.handle('discover-lists', async () => {
+// Preview a notebook name template (Settings → Notebook Names, list "Open" button)
+ipcMain.handle('preview-notebook-name', async (event, { template, kind = 'list', name }) => {
   try {
-    logger.info('UI requested list discovery', 'main');
-    
-    // Run the discovery script
-    const { exec } = require('child_process');
-    const path = require('path');
-    const scriptPath = path.join(__dirname, '../../click-and-extract-lists.js');
-    
-    return new Promise((resolve) => {
-      exec(`node "${scriptPath}"`, (error, stdout, stderr) => {
-        if (error) {
-          logger.error('Discovery failed', error, 'main');
-          resolve({ success: false, data: null, error: error.message });
-          return;
-        }
-        
-        // Parse output to count lists
-        const match = stdout.match(/Extracted (\d+) lists/);
-        const count = match ? parseInt(match[1]) : 0;
-        
-        logger.success(`Discovered ${count} lists`, 'main');
-        resolve({ success: true, data: { count }, error: null });
-      });
-    });
+    const notebookNames = require('../utils/notebook-names');
+    const format = template ?? notebookNames.getNotebookNameFormat(kind);
     
+    return {
+      success: true,
+      data: {
+        name: notebookNames.formatNotebookName(format, {
+          name: name || (kind === 'bookmarks' ? 'Twitter Bookmarks' : 'AI Leaders')
+        }),
+        unknownTokens: notebookNames.getUnknownTokens(format)
+      },
+      error: null
+    };
   } catch (error) {
-    logger.error('Failed to discover lists', error, 'main');
+    logger.error('Failed to preview notebook name', error, 'main');
     return { success: false, data: null, error: error.message };
   }
 });
 
-// Sync single list
-ipcMain.handle('sync-single-list', async (event, { listIndex }) => {
+// Disk space used by downloaded tweet media (data/media/)
+ipcMain.handle('get-media-usage', async () => {
   try {
-    const fs = require('fs');
-    const path = require('path');
-    const { extractListTweets } = require('../automation/twitter');
-    const { uploadListTweets } = require('../automation/notebooklm');
-    
-    logger.info(`UI requested sync for list index ${listIndex}`, 'main');
+    const media = require('../db/media');
+    return await media.getMediaUsage();
+  } catch (error) {
+    logger.error('Failed to get media usage', error, 'main');
+    return { success: false, data: { files: 0, bytes: 0 }, error: error.message };
+  }
+});
+
+// Domains seen in bookmark links (with Website source opt-in state)
+ipcMain.handle('get-link-domains', async () => {
+  try {
+    const links = require('../db/links');
+    return await links.getLinkDomains();
+  } catch (error) {
+    logger.error('Failed to get link domains', error, 'main');
+    return { success: false, data: [], error: error.message };
+  }
+});
+
+// Save which domains are added to NotebookLM as Website sources
+ipcMain.handle('save-website-domains', async (event, { domains }) => {
+  try {
+    const links = require('../db/links');
+    return await links.setWebsiteDomains(domains);
+  } catch (error) {
+    logger.error('Failed to save website domains', error, 'main');
+    return { success: false, data: 0, error: error.message };
+  }
+});
+
+// Notebook routing rules (bookmarks sent to topic notebooks)
+ipcMain.handle('get-routing-rules', async () => {
+  try {
+    const routingRules = require('../db/routing-rules');
+    return await routingRules.getRoutingRules();
+  } catch (error) {
+    logger.error('Failed to get routing rules', error, 'main');
+    return { success: false, data: [], error: error.message };
+  }
+});
+
+// Replace the notebook routing rules (rejected as a whole if one is invalid)
+ipcMain.handle('save-routing-rules', async (event, { rules }) => {
+  try {
+    const routingRules = require('../db/routing-rules');
+    return await routingRules.saveRoutingRules(rules);
+  } catch (error) {
+    logger.error('Failed to save routing rules', error, 'main');
+    return { success: false, data: 0, error: error.message };
+  }
+});
+
+// Bookmark folders (X Premium) with their sync / own-notebook settings
+ipcMain.handle('get-bookmark-folders', async () => {
+  try {
+    const bookmarkFolders = require('../db/bookmark-folders');
+    return await bookmarkFolders.getBookmarkFolders();
+  } catch (error) {
+    logger.error('Failed to get bookmark folders', error, 'main');
+    return { success: false, data: [], error: error.message };
+  }
+});
+
+// Save which folders are synced and which get their own notebook
+ipcMain.handle('save-bookmark-folders', async (event, { folders }) => {
+  try {
+    const bookmarkFolders = require('../db/bookmark-folders');
+    return await bookmarkFolders.updateFolderSettings(folders);
+  } catch (error) {
+    logger.error('Failed to save bookmark folders', error, 'main');
+    return { success: false, data: 0, error: error.message };
+  }
+});
+
+// Find bookmark folders on the bookmarks page
+ipcMain.handle('discover-bookmark-folders', async () => {
+  try {
+    logger.info('UI requested bookmark folder discovery', 'main');
     
-    // Load config
-    const configPath = path.join(__dirname, '../../lists-config.json');
-    if (!fs.existsSync(configPath)) {
-      return { success: false, data: null, error: 'No lists config found.' };
+    const bookmarkFolders = require('../db/bookmark-folders');
+    const discoverResult = await twitter.discoverBookmarkFolders();
+    if (!discoverResult.success) {
+      return { success: false, data: null, error: discoverResult.error };
     }
     
-    const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
-    const list = config.lists[listIndex];
+    return await bookmarkFolders.saveDiscoveredFolders(discoverResult.data);
     
-    if (!list) {
-      return { success: false, data: null, error: 'List not found.' };
-    }
+  } catch (error) {
+    logger.error('Failed to discover bookmark folders', error, 'main');
+    return { success: false, data: null, error: error.message };
+  }
+});
+
+// Sync enabled bookmark folders
+ipcMain.handle('sync-bookmark-folders', async () => {
+  try {
+    logger.info('UI requested bookmark folder sync', 'main');
+    return await scheduler.runFolderSync();
+  } catch (error) {
+    logger.error('Bookmark folder sync failed', error, 'main');
+    return { success: false, data: null, error: error.message };
+  }
+});
+
+// Discover lists (from the Lists page's GraphQL responses)
+ipcMain.handle('discover-lists', async () => {
+  try {
+    const twitter = require('../automation/twitter');
+    const lists = require('../db/lists');
     
-    logger.info(`Syncing list: "${list.name}"`, 'main');
+    logger.info('UI requested list discovery', 'main');
     
-    // Extract tweets
-    const extractResult = await extractListTweets(list);
-    if (!extractResult.success) {
-      return { success: false, data: null, error: extractResult.error };
+    const discoverResult = await twitter.discoverLists();
+    if (!discoverResult.success) {
+      return { success: false, data: null, error: discoverResult.error };
     }
     
-    if (extractResult.data.tweets.length === 0) {
-      return { success: false, data: null, error: 'No tweets found in list.' };
+    const saveResult = await lists.saveDiscoveredLists(discoverResult.data);
+    if (!saveResult.success) {
+      return { success: false, data: null, error: saveResult.error };
     }
     
-    // Upload to NotebookLM
-    const uploadResult = await uploadListTweets(extractResult.data.tweets, {
-      name: list.name,
-      listId: list.listId,
-      url: list.url
-    });
+    logger.success(`Discovered ${discoverResult.data.length} lists`, 'main');
+    return {
+      success: true,
+      data: {
+        count: discoverResult.data.length,
+        added: saveResult.data.added,
+        removed: saveResult.data.removed,
+        removalSkipped: saveResult.data.removalSkipped
+      },
+      error: null
+    };
     
-    if (!uploadResult.success) {
-      return { success: false, data: null, error: uploadResult.error };
+  } catch (error) {
+    logger.error('Failed to discover lists', error, 'main');
+    return { success: false, data: null, error: error.message };
+  }
+});
+
+// Sync single list
+ipcMain.handle('sync-single-list', async (event, { listId }) => {
+  try {
+    logger.info(`UI requested sync for list ${listId}`, 'main');
+    
+    const result = await scheduler.runListSync({ listId });
+    if (!result.success) {
+      return { success: false, data: null, error: result.error };
     }
     
-    // Update last synced time in config
-    config.lists[listIndex].lastSynced = new Date().toISOString();
-    fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+    const list = result.data.lists[0];
+    if (list.count === 0) {
+      return { success: false, data: null, error: 'No tweets found in list.' };
+    }
     
     return {
       success: true,
-      data: { count: extractResult.data.tweets.length },
+      data: { count: list.count },
       error: null
     };
     
@@ -749,49 +932,19 @@ ipcMain.handle('sync-single-list', async (event, { listIndex }) => {
 // Sync all enabled lists
 ipcMain.handle('sync-lists', async () => {
   try {
-    const fs = require('fs');
-    const path = require('path');
-    const { extractListTweets } = require('../automation/twitter');
-    const { uploadListTweets } = require('../automation/notebooklm');
-    
     logger.info('UI requested list sync', 'main');
     
-    // Load config
-    const configPath = path.join(__dirname, '../../lists-config.json');
-    if (!fs.existsSync(configPath)) {
-      return { success: false, data: null, error: 'No lists config found. Run discovery first.' };
-    }
-    
-    const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
-    const enabledLists = config.lists.filter(l => l.enabled);
-    
-    if (enabledLists.length === 0) {
-      return { success: false, data: null, error: 'No lists enabled. Go to Settings to enable lists.' };
-    }
+    const result = await scheduler.runListSync();
+    const lists = result.data?.lists || [];
     
-    logger.info(`Syncing ${enabledLists.length} enabled lists`, 'main');
-    
-    let synced = 0;
-    for (const list of enabledLists) {
-      try {
-        const extractResult = await extractListTweets(list);
-        if (extractResult.success && extractResult.data.tweets.length > 0) {
-          const uploadResult = await uploadListTweets(extractResult.data.tweets, {
-            name: list.name,
-            listId: list.listId,
-            url: list.url
-          });
-          if (uploadResult.success) synced++;
-        }
-      } catch (error) {
-        logger.error(`Failed to sync list "${list.name}"`, error, 'main');
-      }
+    if (lists.length === 0) {
+      return { success: false, data: null, error: result.error };
     }
     
     return { 
       success: true, 
-      data: { synced, total: enabledLists.length }, 
-      error: null 
+      data: { synced: lists.filter(list => list.uploaded).length, total: lists.length }, 
+      error: result.error 
     };
     
   } catch (error) {
@@ -11,14 +11,18 @@ const schedule = require('node-schedule');
 const logger = require('../utils/logger');
 const twitter = require('../automation/twitter');
 const db = require('../db/database');
+const syncRuns = require('../db/sync-runs');
 
 // Configuration
 const DEFAULT_SCHEDULE = '0 8 * * *'; // Daily at 8 AM
 const DEFAULT_LIMIT = 50; // Sync 50 bookmarks by default
 
+// Reconciliation
+const MAX_REMOVED_FRACTION = 0.5; // More missing than this looks like a scan that didn't load, not removals
+const MIN_BOOKMARKS_FOR_FRACTION_CHECK = 20;
+
 // State
 let syncJob = null;
-let lastSyncResult = null;
 let isScheduleEnabled = false;
 
 /**
@@ -29,9 +33,12 @@ let isScheduleEnabled = false;
  * - Much faster for daily syncs
  * - Avoids re-processing duplicates
  * 
+ * Every run is recorded in the sync history (sync-runs.js).
+ * 
  * @param {Object} options - Sync options
  * @param {number} options.limit - Maximum new bookmarks to extract
  * @param {boolean} options.useIncremental - Use incremental sync (default: true)
+ * @param {string} options.trigger - 'manual', 'tray', 'schedule' or 'cli' (default: 'manual')
  * @param {Function} options.onProgress - Progress callback
  * @returns {Promise<Object>} { success, data, error }
  */
@@ -39,9 +46,12 @@ async function runSync(options = {}) {
   const { 
     limit = DEFAULT_LIMIT, 
     useIncremental = true,  // Use incremental by default
+    trigger = 'manual',
     onProgress = null 
   } = options;
   
+  const run = syncRuns.startRun('bookmarks', trigger);
+  
   try {
     const syncType = useIncremental ? 'INCREMENTAL' : 'FULL';
     logger.info(`Starting ${syncType} sync (max: ${limit})`, 'scheduler');
@@ -51,21 +61,26 @@ async function runSync(options = {}) {
     }
     
     // Extract from Twitter (incremental or full)
-    const twitterResult = useIncremental
-      ? await twitter.extractNewBookmarks({ maxNew: limit })
-      : await twitter.extractBookmarks({ limit });
+    const twitterResult = await syncRuns.timePhase(run, 'extract', () => useIncremental
+      ? twitter.extractNewBookmarks({ maxNew: limit })
+      : twitter.extractBookmarks({ limit }));
       
     if (!twitterResult.success) {
       logger.error('Twitter extraction failed', twitterResult.error, 'scheduler');
-      return twitterResult;
+      return await _failRun(run, twitterResult, `Twitter extraction failed: ${twitterResult.error}`, onProgress);
     }
     
     const bookmarks = twitterResult.data.bookmarks;
+    run.counts.found = bookmarks.length;
     logger.info(`Extracted ${bookmarks.length} NEW bookmarks`, 'scheduler');
     
     // Log metadata if incremental
     if (useIncremental && twitterResult.metadata) {
       const meta = twitterResult.metadata;
+      run.counts.checked = meta.totalExtracted;
+      run.counts.duplicates = meta.duplicatesSkipped;
+      run.counts.scrolls = meta.scrolls;
+      run.stopReason = meta.stoppedReason;
       logger.info(`Stopped: ${meta.stoppedReason} (checked ${meta.totalExtracted}, found ${meta.newBookmarks} new)`, 'scheduler');
     }
     
@@ -74,19 +89,17 @@ async function runSync(options = {}) {
     }
     
     // Save to database
-    const saveResult = await db.saveBookmarks(bookmarks);
+    const saveResult = await syncRuns.timePhase(run, 'save', () => db.saveBookmarks(bookmarks, { restoreRemoved: true }));
     if (!saveResult.success) {
       logger.error('Database save failed', saveResult.error, 'scheduler');
-      return saveResult;
+      return await _failRun(run, saveResult, `Database save failed: ${saveResult.error}`, onProgress);
     }
     
-    logger.success(`Sync complete: ${bookmarks.length} bookmarks saved`, 'scheduler');
+    run.counts.saved = saveResult.data.saved;
+    run.counts.failed = saveResult.data.failed;
+    await syncRuns.recordRun(run, { status: 'success' });
     
-    lastSyncResult = {
-      timestamp: new Date().toISOString(),
-      count: bookmarks.length,
-      success: true
-    };
+    logger.success(`Sync complete: ${bookmarks.length} bookmarks saved`, 'scheduler');
     
     if (onProgress) {
       onProgress({ status: 'complete', message: `Synced ${bookmarks.length} bookmarks!` });
@@ -98,7 +111,7 @@ async function runSync(options = {}) {
         count: bookmarks.length,
         saved: saveResult.data.saved,
         failed: saveResult.data.failed,
-        timestamp: lastSyncResult.timestamp
+        timestamp: new Date().toISOString()
       },
       error: null
     };
@@ -106,17 +119,252 @@ async function runSync(options = {}) {
   } catch (error) {
     logger.error('Sync failed', error, 'scheduler');
     
-    lastSyncResult = {
-      timestamp: new Date().toISOString(),
-      count: 0,
+    return await _failRun(run, {
       success: false,
+      data: null,
       error: error.message
+    }, error.message, onProgress);
+  }
+}
+
+/**
+ * Record a failed bookmark sync and report it
+ * 
+ * @param {Object} run - Run from syncRuns.startRun
+ * @param {Object} result - Failed result to return
+ * @param {string} message - Progress message
+ * @param {Function} onProgress - Progress callback
+ * @returns {Promise<Object>} result
+ */
+async function _failRun(run, result, message, onProgress) {
+  await syncRuns.recordRun(run, { status: 'failed', error: result.error });
+  
+  if (onProgress) {
+    onProgress({ status: 'error', message });
+  }
+  
+  return result;
+}
+
+/**
+ * Status of a sync that went through lists or folders one by one
+ * 
+ * @param {Array<Object>} items - Per-list/per-folder results ({ error })
+ * @returns {string} 'success', 'partial' or 'failed'
+ */
+function _itemsStatus(items) {
+  const failed = items.filter(item => item.error).length;
+  if (failed === 0) {
+    return 'success';
+  }
+  return failed < items.length ? 'partial' : 'failed';
+}
+
+/**
+ * Sync bookmark folders (X Premium)
+ * 
+ * Each enabled folder is extracted incrementally (stops at the first bookmark
+ * already recorded in that folder), its bookmarks are saved like any other and
+ * the membership recorded. Folders with their own notebook upload their new
+ * bookmarks to "BrainBrief - <folder> - date", the way lists do.
+ * 
+ * @param {Object} options - Sync options
+ * @param {number} options.limit - Maximum new bookmarks per folder
+ * @param {string} options.trigger - 'manual', 'tray', 'schedule' or 'cli' (default: 'manual')
+ * @returns {Promise<Object>} { success, data: { folders: [{ name, count, uploaded, error }] }, error }
+ */
+async function runFolderSync(options = {}) {
+  const { limit = DEFAULT_LIMIT, trigger = 'manual' } = options;
+  const run = syncRuns.startRun('folders', trigger);
+  
+  try {
+    const bookmarkFolders = require('../db/bookmark-folders');
+    
+    const foldersResult = await bookmarkFolders.getBookmarkFolders({ enabledOnly: true });
+    if (!foldersResult.success) {
+      await syncRuns.recordRun(run, { status: 'failed', error: foldersResult.error });
+      return foldersResult;
+    }
+    if (foldersResult.data.length === 0) {
+      const error = 'No bookmark folders enabled. Go to Settings to enable folders.';
+      await syncRuns.recordRun(run, { status: 'failed', error });
+      return {
+        success: false,
+        data: { folders: [] },
+        error
+      };
+    }
+    
+    logger.info(`Syncing ${foldersResult.data.length} bookmark folder(s)`, 'scheduler');
+    
+    const folders = [];
+    
+    for (const folder of foldersResult.data) {
+      const result = { name: folder.name, count: 0, uploaded: false, error: null };
+      folders.push(result);
+      
+      const twitterResult = await syncRuns.timePhase(run, 'extract', () => twitter.extractNewBookmarks({ folder, maxNew: limit }));
+      if (!twitterResult.success) {
+        logger.error(`Failed to extract folder "${folder.name}"`, twitterResult.error, 'scheduler');
+        result.error = twitterResult.error;
+        continue;
+      }
+      
+      const bookmarks = twitterResult.data.bookmarks;
+      run.counts.found += bookmarks.length;
+      
+      const saveResult = await syncRuns.timePhase(run, 'save', async () => {
+        const bookmarksResult = await db.saveBookmarks(bookmarks, { restoreRemoved: true });
+        if (bookmarksResult.success) {
+          await bookmarkFolders.recordFolderItems(folder.folderId, bookmarks.map(bookmark => bookmark.id));
+        }
+        return bookmarksResult;
+      });
+      if (!saveResult.success) {
+        logger.error(`Failed to save folder "${folder.name}"`, saveResult.error, 'scheduler');
+        result.error = saveResult.error;
+        continue;
+      }
+      
+      result.count = bookmarks.length;
+      run.counts.saved += saveResult.data.saved;
+      run.counts.failed += saveResult.data.failed;
+      
+      // Folder mapped to its own notebook
+      if (folder.ownNotebook && bookmarks.length > 0) {
+        const { uploadFolderBookmarks } = require('../automation/notebooklm');
+        const uploadResult = await syncRuns.timePhase(run, 'upload', () => uploadFolderBookmarks(bookmarks, folder));
+        result.uploaded = uploadResult.success;
+        result.error = uploadResult.error;
+        if (uploadResult.success) {
+          run.counts.uploaded += bookmarks.length;
+        }
+      }
+      
+      logger.success(`Folder "${folder.name}": ${bookmarks.length} new bookmarks`, 'scheduler');
+    }
+    
+    const failed = folders.filter(folder => folder.error);
+    const error = failed.length > 0
+      ? failed.map(folder => `${folder.name}: ${folder.error}`).join('; ')
+      : null;
+    
+    run.details = folders;
+    await syncRuns.recordRun(run, { status: _itemsStatus(folders), error });
+    
+    return {
+      success: failed.length === 0,
+      data: { folders },
+      error
     };
     
-    if (onProgress) {
-      onProgress({ status: 'error', message: error.message });
+  } catch (error) {
+    logger.error('Folder sync failed', error, 'scheduler');
+    await syncRuns.recordRun(run, { status: 'failed', error: error.message });
+    return {
+      success: false,
+      data: null,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Sync Twitter Lists
+ * 
+ * Each list is extracted back to the newest tweet of its previous sync (first
+ * sync: its daysBack, up to its maxTweets). Only those new tweets are saved to
+ * list_tweets and uploaded to the list's own notebook. If extraction stopped
+ * before reaching the previous sync's newest tweet, the list's high-water mark
+ * stays where it was (result.gap), so the next sync covers the tweets in between.
+ * 
+ * @param {Object} options - Sync options
+ * @param {string} options.listId - Sync only this list (default: every enabled list)
+ * @param {string} options.trigger - 'manual', 'tray', 'schedule' or 'cli' (default: 'manual')
+ * @returns {Promise<Object>} { success, data: { lists: [{ name, count, added, uploaded, gap, error }] }, error }
+ */
+async function runListSync(options = {}) {
+  const { listId = null, trigger = 'manual' } = options;
+  const run = syncRuns.startRun('lists', trigger);
+  
+  try {
+    const listsDb = require('../db/lists');
+    const { uploadListTweets } = require('../automation/notebooklm');
+    
+    const listsResult = await listsDb.getLists(listId ? { listId } : { enabledOnly: true });
+    if (!listsResult.success) {
+      await syncRuns.recordRun(run, { status: 'failed', error: listsResult.error });
+      return listsResult;
+    }
+    if (listsResult.data.length === 0) {
+      const error = listId ? 'List not found.' : 'No lists enabled. Go to Settings to enable lists.';
+      await syncRuns.recordRun(run, { status: 'failed', error });
+      return {
+        success: false,
+        data: { lists: [] },
+        error
+      };
+    }
+    
+    logger.info(`Syncing ${listsResult.data.length} list(s)`, 'scheduler');
+    
+    const lists = [];
+    
+    for (const list of listsResult.data) {
+      const result = { name: list.name, count: 0, added: 0, uploaded: false, gap: false, error: null };
+      lists.push(result);
+      
+      const extractResult = await syncRuns.timePhase(run, 'extract', () => twitter.extractListTweets(list));
+      if (!extractResult.success) {
+        logger.error(`Failed to extract list "${list.name}"`, extractResult.error, 'scheduler');
+        result.error = extractResult.error;
+        continue;
+      }
+      
+      const tweets = extractResult.data.tweets;
+      run.counts.found += tweets.length;
+      result.gap = !extractResult.data.complete;
+      
+      const saveResult = await syncRuns.timePhase(run, 'save', () => listsDb.saveListTweets(list.listId, tweets, { advanceMark: !result.gap }));
+      if (!saveResult.success) {
+        logger.error(`Failed to save list "${list.name}"`, saveResult.error, 'scheduler');
+        result.error = saveResult.error;
+        continue;
+      }
+      
+      result.count = tweets.length;
+      result.added = saveResult.data;
+      run.counts.saved += saveResult.data;
+      
+      if (tweets.length > 0) {
+        const uploadResult = await syncRuns.timePhase(run, 'upload', () => uploadListTweets(tweets, list));
+        result.uploaded = uploadResult.success;
+        result.error = uploadResult.error;
+        if (uploadResult.success) {
+          run.counts.uploaded += tweets.length;
+        }
+      }
+      
+      logger.success(`List "${list.name}": ${tweets.length} tweets (${result.added} new)`, 'scheduler');
     }
     
+    const failed = lists.filter(list => list.error);
+    const error = failed.length > 0
+      ? failed.map(list => `${list.name}: ${list.error}`).join('; ')
+      : null;
+    
+    run.details = lists;
+    await syncRuns.recordRun(run, { status: _itemsStatus(lists), error });
+    
+    return {
+      success: failed.length === 0,
+      data: { lists },
+      error
+    };
+    
+  } catch (error) {
+    logger.error('List sync failed', error, 'scheduler');
+    await syncRuns.recordRun(run, { status: 'failed', error: error.message });
     return {
       success: false,
       data: null,
@@ -125,6 +373,105 @@ async function runSync(options = {}) {
   }
 }
 
+/**
+ * Reconcile with X: find bookmarks removed or deleted since they were synced
+ * 
+ * Walks the whole bookmarks timeline (slow - meant to be run now and then),
+ * marks saved bookmarks it didn't see as removed (soft delete, see
+ * bookmark-removals.js), checks on their status pages which were deleted and
+ * restores removed ones that are bookmarked again. Nothing is marked if the
+ * scan didn't reach the end of the timeline, or if it would remove more than
+ * MAX_REMOVED_FRACTION of the bookmarks (unless options.force).
+ * 
+ * @param {Object} options - Reconcile options
+ * @param {boolean} options.force - Mark even if most bookmarks look removed
+ * @param {string} options.trigger - 'manual', 'tray', 'schedule' or 'cli' (default: 'manual')
+ * @returns {Promise<Object>} { success, data: { seen, removed, deleted, restored } (failed: { needsForce } or null), error }
+ */
+async function runReconcile(options = {}) {
+  const { force = false, trigger = 'manual' } = options;
+  const run = syncRuns.startRun('reconcile', trigger);
+  
+  const fail = async (error, data = null) => {
+    logger.error('Reconciliation failed', error, 'scheduler');
+    await syncRuns.recordRun(run, { status: 'failed', error });
+    return { success: false, data, error };
+  };
+  
+  try {
+    const bookmarkRemovals = require('../db/bookmark-removals');
+    
+    const scanResult = await syncRuns.timePhase(run, 'extract', () => twitter.scanBookmarkIds());
+    if (!scanResult.success) {
+      return await fail(scanResult.error);
+    }
+    
+    const { tweetIds, complete } = scanResult.data;
+    run.counts.checked = tweetIds.length;
+    run.counts.scrolls = scanResult.metadata.scrolls;
+    run.stopReason = scanResult.metadata.stoppedReason;
+    
+    if (!complete) {
+      return await fail(`Bookmarks scan stopped early (${scanResult.metadata.stoppedReason}) - nothing marked as removed. Try again later.`);
+    }
+    
+    const missingResult = await bookmarkRemovals.getMissingBookmarks(tweetIds);
+    if (!missingResult.success) {
+      return await fail(missingResult.error);
+    }
+    
+    const { missing, activeCount } = missingResult.data;
+    if (!force && activeCount >= MIN_BOOKMARKS_FOR_FRACTION_CHECK && missing.length > activeCount * MAX_REMOVED_FRACTION) {
+      return await fail(`${missing.length} of ${activeCount} bookmarks were not found on X - that looks like an incomplete scan, so nothing was marked as removed.`, { needsForce: true });
+    }
+    
+    // Tell deleted tweets from un-bookmarked ones (capped - the rest stay "not checked")
+    const checkResult = await syncRuns.timePhase(run, 'extract', () => twitter.checkTweetsDeleted(missing));
+    const checked = checkResult.data || new Map();
+    
+    const saveResult = await syncRuns.timePhase(run, 'save', async () => {
+      const restoreResult = await bookmarkRemovals.restoreBookmarks(tweetIds);
+      if (!restoreResult.success) {
+        return restoreResult;
+      }
+      const markResult = await bookmarkRemovals.markBookmarksRemoved(missing.map(bookmark => ({
+        tweetId: bookmark.tweet_id,
+        deleted: checked.has(bookmark.tweet_id) ? checked.get(bookmark.tweet_id) : null
+      })));
+      return markResult.success
+        ? { success: true, data: { restored: restoreResult.data, removed: markResult.data }, error: null }
+        : markResult;
+    });
+    if (!saveResult.success) {
+      return await fail(saveResult.error);
+    }
+    
+    const deleted = Array.from(checked.values()).filter(Boolean).length;
+    const summary = {
+      seen: tweetIds.length,
+      removed: saveResult.data.removed,
+      deleted,
+      restored: saveResult.data.restored
+    };
+    
+    run.counts.found = summary.removed;
+    run.counts.saved = summary.removed + summary.restored;
+    run.details = summary;
+    await syncRuns.recordRun(run, { status: 'success' });
+    
+    logger.success(`Reconciliation complete: ${summary.removed} removed on X (${deleted} deleted), ${summary.restored} restored`, 'scheduler');
+    
+    return {
+      success: true,
+      data: summary,
+      error: null
+    };
+    
+  } catch (error) {
+    return await fail(error.message);
+  }
+}
+
 /**
  * Start scheduled sync
  * 
@@ -148,7 +495,7 @@ function startSchedule(config = {}) {
     // Create new scheduled job
     syncJob = schedule.scheduleJob(cronExpression, async () => {
       logger.info('Scheduled sync triggered', 'scheduler');
-      await runSync({ limit });
+      await runSync({ limit, trigger: 'schedule' });
     });
     
     isScheduleEnabled = true;
@@ -213,14 +560,16 @@ function stopSchedule() {
 /**
  * Get schedule status
  * 
- * @returns {Object} { success, data: status, error }
+ * @returns {Promise<Object>} { success, data: status, error }
  */
-function getScheduleStatus() {
+async function getScheduleStatus() {
   try {
+    const lastSyncResult = await getLastSyncResult();
+    
     const status = {
       enabled: isScheduleEnabled,
       nextRun: syncJob ? syncJob.nextInvocation()?.toISOString() : null,
-      lastSync: lastSyncResult
+      lastSync: lastSyncResult.data
     };
     
     return {
@@ -240,20 +589,33 @@ function getScheduleStatus() {
 }
 
 /**
- * Get last sync result
+ * Get last bookmark sync result (from the sync history, so it survives restarts)
  * 
- * @returns {Object} { success, data: lastSyncResult, error }
+ * @returns {Promise<Object>} { success, data: { timestamp, count, success, error } or null, error }
  */
-function getLastSyncResult() {
+async function getLastSyncResult() {
+  const runsResult = await syncRuns.getSyncRuns({ kind: 'bookmarks', limit: 1 });
+  const lastRun = runsResult.success ? runsResult.data[0] : null;
+  
   return {
-    success: true,
-    data: lastSyncResult,
-    error: null
+    success: runsResult.success,
+    data: lastRun
+      ? {
+        timestamp: lastRun.finishedAt,
+        count: lastRun.counts.found,
+        success: lastRun.status === 'success',
+        error: lastRun.error
+      }
+      : null,
+    error: runsResult.error
   };
 }
 
 module.exports = {
   runSync,
+  runFolderSync,
+  runListSync,
+  runReconcile,
   startSchedule,
   stopSchedule,
   getScheduleStatus,
@@ -10,6 +10,9 @@ console.log('🎨 Renderer process loaded');
 // DOM elements
 const syncBookmarksBtn = document.getElementById('sync-bookmarks');
 const openBookmarksNotebookBtn = document.getElementById('open-bookmarks-notebook');
+const reconcileBookmarksBtn = document.getElementById('reconcile-bookmarks');
+const exportBookmarksBtn = document.getElementById('export-bookmarks');
+const exportFormatSelect = document.getElementById('export-format');
 const discoverListsBtn = document.getElementById('discover-lists-btn');
 const notebooklmHomeBtn = document.getElementById('open-notebooklm-home');
 const viewLogsBtn = document.getElementById('view-logs');
@@ -23,11 +26,57 @@ const resetDatabaseBtn = document.getElementById('reset-database-btn');
 const bookmarksLastSync = document.getElementById('bookmarks-last-sync');
 const bookmarksCountStat = document.getElementById('bookmarks-count-stat');
 const bookmarksYoutubeStat = document.getElementById('bookmarks-youtube-stat');
+const bookmarksUndeliveredStat = document.getElementById('bookmarks-undelivered-stat');
+const bookmarksRemovedStat = document.getElementById('bookmarks-removed-stat');
 const bookmarksNotebookName = document.getElementById('bookmarks-notebook-name');
 const listsSummary = document.getElementById('lists-summary');
 
+// Upload queue elements
+const uploadQueueSection = document.getElementById('upload-queue-section');
+const uploadQueueContainer = document.getElementById('upload-queue-container');
+const uploadQueueSummary = document.getElementById('upload-queue-summary');
+
+// Removed on X elements
+const removedSection = document.getElementById('removed-section');
+const removedContainer = document.getElementById('removed-container');
+const removedSummary = document.getElementById('removed-summary');
+
+// Sync history elements
+const syncHistorySection = document.getElementById('sync-history-section');
+const syncHistoryContainer = document.getElementById('sync-history-container');
+const syncHistoryFilter = document.getElementById('sync-history-filter');
+
+// Search elements
+const searchInput = document.getElementById('search-input');
+const searchYoutubeFilter = document.getElementById('search-filter-youtube');
+const searchMediaFilter = document.getElementById('search-filter-media');
+const searchResults = document.getElementById('search-results');
+const searchSummary = document.getElementById('search-summary');
+
+// Search configuration
+const SEARCH_DEBOUNCE_MS = 250;
+const SEARCH_RESULT_LIMIT = 50;
+
+// Sync history configuration
+const SYNC_HISTORY_LIMIT = 20;
+const SYNC_RUN_LABELS = {
+  bookmarks: '🔖 Bookmarks',
+  folders: '📁 Folders',
+  lists: '📋 Lists',
+  upload: '📤 Upload',
+  reconcile: '🔎 Removed check'
+};
+const SYNC_TRIGGER_LABELS = {
+  manual: 'from the app',
+  tray: 'from the tray',
+  schedule: 'scheduled',
+  cli: 'from the command line'
+};
+
 // State
 let isSyncing = false;
+let searchDebounceTimer = null;
+let latestSearchId = 0;
 
 /**
  * Load and display database stats
@@ -44,6 +93,12 @@ async function loadStats() {
       // Update bookmarks card
       bookmarksCountStat.textContent = stats.total_bookmarks || 0;
       bookmarksYoutubeStat.textContent = stats.youtube_count || 0;
+      bookmarksUndeliveredStat.textContent = stats.undelivered_count
+        ? ` • ${stats.undelivered_count} not in NotebookLM yet`
+        : '';
+      bookmarksRemovedStat.textContent = stats.removed_count
+        ? ` • ${stats.removed_count} removed on X`
+        : '';
       
       // Update last sync time
       if (stats.last_sync) {
@@ -144,22 +199,22 @@ async function loadLists() {
     
     // Render list cards
     listsContainer.innerHTML = lists.map((list, index) => `
-      <div class="list-card ${list.enabled ? '' : 'disabled'}" data-list-id="${list.listId}">
+      <div class="list-card ${list.enabled ? '' : 'disabled'}" data-list-id="${escapeHtml(list.listId)}">
         <div class="list-card-header">
           <div class="list-info">
-            <h3>${list.name}</h3>
-            <div class="list-meta">${list.memberCount || 'Unknown members'} • ${list.daysBack || 1} day filter</div>
+            <h3>${escapeHtml(list.name)}</h3>
+            <div class="list-meta">${list.memberCount ?? 'Unknown'} members • ${list.lastTweetId ? 'new since last sync' : `${list.daysBack || 1} day filter`}</div>
           </div>
           <div class="list-status">
-            <div class="list-last-sync">Last: ${list.lastSynced || 'Never'}</div>
+            <div class="list-last-sync">Last: ${list.lastSyncedAt ? formatTimestamp(new Date(list.lastSyncedAt + 'Z')) : 'Never'}</div>
           </div>
         </div>
         <div class="list-card-actions">
           ${list.enabled ? `
-            <button class="btn btn-primary btn-sync-list" data-index="${index}">
+            <button class="btn btn-primary btn-sync-list" data-list-id="${escapeHtml(list.listId)}">
               🔄 Sync
             </button>
-            <button class="btn btn-secondary btn-open-list" data-list-name="${list.name}">
+            <button class="btn btn-secondary btn-open-list" data-list-name="${escapeHtml(list.name)}" data-name-format="${escapeHtml(list.notebookNameFormat || '')}">
               🔗 Open
             </button>
             <button class="btn btn-disable btn-toggle-list" data-index="${index}">
@@ -176,11 +231,11 @@ async function loadLists() {
     
     // Wire up all the buttons
     document.querySelectorAll('.btn-sync-list').forEach(btn => {
-      btn.addEventListener('click', () => syncSingleList(parseInt(btn.dataset.index)));
+      btn.addEventListener('click', () => syncSingleList(btn.dataset.listId));
     });
     
     document.querySelectorAll('.btn-open-list').forEach(btn => {
-      btn.addEventListener('click', () => openListNotebook(btn.dataset.listName));
+      btn.addEventListener('click', () => openListNotebook(btn.dataset.listName, btn.dataset.nameFormat));
     });
     
     document.querySelectorAll('.btn-toggle-list').forEach(btn => {
@@ -192,6 +247,243 @@ async function loadLists() {
   }
 }
 
+/**
+ * Load NotebookLM uploads waiting for retry (section hidden when empty)
+ */
+async function loadUploadQueue() {
+  try {
+    const result = await ipcRenderer.invoke('get-upload-queue');
+    
+    if (!result.success || result.data.length === 0) {
+      uploadQueueSection.style.display = 'none';
+      uploadQueueContainer.innerHTML = '';
+      return;
+    }
+    
+    const items = result.data;
+    const stuckCount = items.filter(item => item.stuck).length;
+    
+    uploadQueueSection.style.display = 'block';
+    uploadQueueSummary.textContent = `${items.length} pending • ${stuckCount} stuck`;
+    
+    uploadQueueContainer.innerHTML = items.map(item => {
+      const label = item.source_type === 'file'
+        ? `📄 ${item.target.split(/[\\/]/).pop()} (${item.bookmark_count} bookmarks)`
+        : `🔗 ${item.target}`;
+      const nextAttempt = item.stuck
+        ? 'Stuck - not retried automatically'
+        : `Next retry: ${new Date(item.next_attempt_at).toLocaleString()}`;
+      
+      return `
+        <div class="queue-item ${item.stuck ? 'stuck' : ''}">
+          <div class="queue-item-target">${escapeHtml(label)}</div>
+          <div class="queue-item-meta">
+            ${escapeHtml(item.notebook_name)} • ${item.source_type} • ${item.attempts} attempt(s) • ${nextAttempt}
+          </div>
+          ${item.last_error ? `<div class="queue-item-error">${escapeHtml(item.last_error)}</div>` : ''}
+          <div class="list-card-actions">
+            <button class="btn btn-primary btn-retry-upload" data-id="${item.id}">
+              🔁 Retry Now
+            </button>
+            <button class="btn btn-disable btn-drop-upload" data-id="${item.id}">
+              🗑️ Drop
+            </button>
+          </div>
+        </div>
+      `;
+    }).join('');
+    
+    document.querySelectorAll('.btn-retry-upload').forEach(btn => {
+      btn.addEventListener('click', () => retryQueuedUpload(parseInt(btn.dataset.id), btn));
+    });
+    
+    document.querySelectorAll('.btn-drop-upload').forEach(btn => {
+      btn.addEventListener('click', () => dropQueuedUpload(parseInt(btn.dataset.id)));
+    });
+    
+  } catch (error) {
+    console.error('Failed to load upload queue:', error);
+  }
+}
+
+/**
+ * Load bookmarks a reconciliation found removed on X (section hidden when empty)
+ */
+async function loadRemovedBookmarks() {
+  try {
+    const result = await ipcRenderer.invoke('get-removed-bookmarks');
+    
+    if (!result.success || result.data.length === 0) {
+      removedSection.style.display = 'none';
+      removedContainer.innerHTML = '';
+      return;
+    }
+    
+    const bookmarks = result.data;
+    const deletedCount = bookmarks.filter(bookmark => bookmark.deleted === 1).length;
+    
+    removedSection.style.display = 'block';
+    removedSummary.textContent = `${bookmarks.length} removed • ${deletedCount} deleted`;
+    
+    removedContainer.innerHTML = bookmarks.map(bookmark => `
+      <div class="removed-item ${bookmark.deleted === 1 ? 'deleted' : ''}" data-url="${escapeHtml(bookmark.url)}">
+        <div class="removed-item-text">
+          <strong>${escapeHtml(bookmark.author)}</strong> ${escapeHtml(bookmark.text || '')}
+        </div>
+        <div class="removed-item-meta">
+          ${describeRemoval(bookmark)} • ${formatTimestamp(new Date(bookmark.removed_at))}
+        </div>
+      </div>
+    `).join('');
+    
+    document.querySelectorAll('.removed-item').forEach(el => {
+      el.addEventListener('click', () => {
+        require('electron').shell.openExternal(el.dataset.url);
+      });
+    });
+    
+  } catch (error) {
+    console.error('Failed to load removed bookmarks:', error);
+  }
+}
+
+/**
+ * Why a bookmark is gone from X (deleted: 1 = tweet deleted, 0 = un-bookmarked, null = not checked)
+ */
+function describeRemoval(bookmark) {
+  if (bookmark.deleted === 1) {
+    return '🗑️ Tweet deleted';
+  }
+  if (bookmark.deleted === 0) {
+    return '🔖 Un-bookmarked';
+  }
+  return '❔ No longer bookmarked';
+}
+
+/**
+ * Load recorded sync runs (section hidden until something has run)
+ */
+async function loadSyncHistory() {
+  try {
+    const kind = syncHistoryFilter.value || null;
+    const result = await ipcRenderer.invoke('get-sync-history', { limit: SYNC_HISTORY_LIMIT, kind });
+    
+    if (!result.success || (result.data.length === 0 && !kind)) {
+      syncHistorySection.style.display = 'none';
+      syncHistoryContainer.innerHTML = '';
+      return;
+    }
+    
+    syncHistorySection.style.display = 'block';
+    
+    if (result.data.length === 0) {
+      syncHistoryContainer.innerHTML = '<div class="history-item-meta">No runs of this kind yet</div>';
+      return;
+    }
+    
+    syncHistoryContainer.innerHTML = result.data.map(run => `
+      <div class="history-item ${run.status}">
+        <div class="history-item-title">
+          ${SYNC_RUN_LABELS[run.kind] || run.kind} • ${SYNC_TRIGGER_LABELS[run.trigger] || run.trigger} • ${formatTimestamp(new Date(run.startedAt))}
+        </div>
+        <div class="history-item-meta">${escapeHtml(describeSyncRun(run))}</div>
+        ${run.error ? `<div class="history-item-error">${escapeHtml(run.error)}</div>` : ''}
+      </div>
+    `).join('');
+    
+  } catch (error) {
+    console.error('Failed to load sync history:', error);
+  }
+}
+
+/**
+ * One-line summary of a sync run: counts, why extraction stopped, time per phase
+ */
+function describeSyncRun(run) {
+  const { counts, phases } = run;
+  const parts = [];
+  
+  if (run.kind === 'upload') {
+    parts.push(`${counts.uploaded} of ${counts.found} uploaded`);
+  } else if (run.kind === 'reconcile') {
+    if (counts.checked !== null) {
+      parts.push(`${counts.checked} on X`);
+    }
+    if (run.details) {
+      parts.push(`${run.details.removed} removed (${run.details.deleted} deleted)`);
+      parts.push(`${run.details.restored} restored`);
+    }
+  } else {
+    parts.push(`${counts.found} new`);
+    if (counts.checked !== null) {
+      parts.push(`${counts.checked} checked`);
+    }
+    parts.push(`${counts.saved} saved`);
+    if (counts.uploaded > 0) {
+      parts.push(`${counts.uploaded} uploaded`);
+    }
+  }
+  if (counts.failed > 0) {
+    parts.push(`${counts.failed} failed`);
+  }
+  if (run.stopReason) {
+    parts.push(`stopped: ${run.stopReason}`);
+  }
+  
+  const phaseTimes = Object.entries(phases)
+    .filter(([, ms]) => ms !== null)
+    .map(([phase, ms]) => `${phase} ${formatDuration(ms)}`);
+  parts.push(`${formatDuration(run.durationMs)}${phaseTimes.length ? ` (${phaseTimes.join(', ')})` : ''}`);
+  
+  return parts.join(' • ');
+}
+
+/**
+ * Retry one queued upload now (opens NotebookLM browser)
+ */
+async function retryQueuedUpload(id, btn) {
+  console.log(`🔁 Retrying queued upload ${id}...`);
+  
+  btn.disabled = true;
+  btn.textContent = '⏳ Retrying...';
+  
+  try {
+    const result = await ipcRenderer.invoke('retry-upload', { id });
+    
+    if (result.success && result.data.uploaded > 0) {
+      showNotification('Upload Complete', 'Queued source uploaded to NotebookLM', 'success');
+    } else {
+      showNotification('Retry Failed', result.error || 'Upload failed again - see the error below', 'error');
+    }
+  } catch (error) {
+    showNotification('Error', error.message, 'error');
+  }
+  
+  loadUploadQueue();
+  loadSyncHistory();
+}
+
+/**
+ * Drop a queued upload (stop retrying it)
+ */
+async function dropQueuedUpload(id) {
+  if (!confirm('Stop retrying this upload? It will not reach NotebookLM.')) {
+    return;
+  }
+  
+  try {
+    const result = await ipcRenderer.invoke('drop-upload', { id });
+    
+    if (!result.success) {
+      showNotification('Error', result.error, 'error');
+    }
+  } catch (error) {
+    showNotification('Error', error.message, 'error');
+  }
+  
+  loadUploadQueue();
+}
+
 /**
  * Sync bookmarks from Twitter
  */
@@ -234,14 +526,66 @@ async function syncBookmarks() {
     isSyncing = false;
     syncBookmarksBtn.disabled = false;
     syncBookmarksBtn.textContent = '🔖 Sync Bookmarks';
+    loadSyncHistory();
+  }
+}
+
+/**
+ * Check X for bookmarks removed or deleted since they were synced (walks the whole timeline)
+ */
+async function reconcileBookmarks() {
+  if (isSyncing) {
+    console.log('⚠️  Sync already in progress');
+    return;
+  }
+  
+  isSyncing = true;
+  reconcileBookmarksBtn.disabled = true;
+  reconcileBookmarksBtn.textContent = 'Checking...';
+  
+  console.log('🔎 Starting reconciliation...');
+  
+  try {
+    let result = await ipcRenderer.invoke('reconcile-bookmarks');
+    
+    // Most bookmarks missing usually means a broken scan - only mark them if the user confirms
+    if (!result.success && result.data?.needsForce) {
+      if (!confirm(`${result.error}\n\nDid you really remove that many bookmarks on X? Mark them as removed anyway?`)) {
+        return;
+      }
+      result = await ipcRenderer.invoke('reconcile-bookmarks', { force: true });
+    }
+    
+    if (result.success) {
+      console.log('✅ Reconciliation complete:', result.data);
+      const { removed, deleted, restored } = result.data;
+      showNotification(
+        'Check Complete',
+        `${removed} removed on X (${deleted} deleted)${restored ? `, ${restored} bookmarked again` : ''}`,
+        'success'
+      );
+    } else {
+      console.error('❌ Reconciliation failed:', result.error);
+      showNotification('Check Failed', result.error, 'error');
+    }
+  } catch (error) {
+    console.error('❌ Reconciliation error:', error);
+    showNotification('Error', error.message, 'error');
+  } finally {
+    isSyncing = false;
+    reconcileBookmarksBtn.disabled = false;
+    reconcileBookmarksBtn.textContent = '🔎 Check for Removed';
+    loadStats();
+    loadRemovedBookmarks();
+    loadSyncHistory();
   }
 }
 
 /**
  * Sync a single list
  */
-async function syncSingleList(listIndex) {
-  console.log(`🔄 Syncing list ${listIndex}...`);
+async function syncSingleList(listId) {
+  console.log(`🔄 Syncing list ${listId}...`);
   
   try {
     // Get list config
@@ -251,7 +595,7 @@ async function syncSingleList(listIndex) {
       return;
     }
     
-    const list = configResult.data.lists[listIndex];
+    const list = configResult.data.lists.find(l => l.listId === listId);
     if (!list) {
       showNotification('Error', 'List not found', 'error');
       return;
@@ -260,7 +604,7 @@ async function syncSingleList(listIndex) {
     showNotification('Syncing List', `Syncing "${list.name}"...`, 'info');
     
     // Trigger single list sync
-    const result = await ipcRenderer.invoke('sync-single-list', { listIndex });
+    const result = await ipcRenderer.invoke('sync-single-list', { listId });
     
     if (result.success) {
       showNotification('Success', `Synced "${list.name}"!`, 'success');
@@ -273,14 +617,20 @@ async function syncSingleList(listIndex) {
     console.error('Sync list error:', error);
     showNotification('Error', error.message, 'error');
   }
+  
+  loadSyncHistory();
 }
 
 /**
  * Open list notebook in NotebookLM
  */
-function openListNotebook(listName) {
-  const today = new Date().toISOString().split('T')[0];
-  const notebookName = `BrainBrief - ${listName} - ${today}`;
+async function openListNotebook(listName, notebookNameFormat) {
+  const result = await ipcRenderer.invoke('preview-notebook-name', {
+    template: notebookNameFormat || undefined,
+    kind: 'list',
+    name: listName
+  });
+  const notebookName = result.success ? result.data.name : `BrainBrief - ${listName}`;
   console.log(`🔗 Opening notebook: ${notebookName}`);
   
   // Open NotebookLM (notebook will be there if synced)
@@ -304,7 +654,9 @@ async function toggleList(listIndex) {
     lists[listIndex].enabled = !lists[listIndex].enabled;
     
     // Save updated config
-    await ipcRenderer.invoke('save-lists-config', { lists });
+    await ipcRenderer.invoke('save-lists-config', {
+      lists: [{ listId: lists[listIndex].listId, enabled: lists[listIndex].enabled }]
+    });
     
     // Reload lists to show updated state
     loadLists();
@@ -330,7 +682,13 @@ async function discoverLists() {
     const result = await ipcRenderer.invoke('discover-lists');
     
     if (result.success) {
-      showNotification('Success', `Found ${result.data.count} lists!`, 'success');
+      const { count, added = [], removed = [] } = result.data;
+      const changes = [
+        added.length > 0 ? `${added.length} new` : '',
+        removed.length > 0 ? `${removed.length} removed` : ''
+      ].filter(Boolean).join(', ');
+      
+      showNotification('Success', `Found ${count} lists${changes ? ` (${changes})` : ''}!`, 'success');
       loadLists(); // Reload to show discovered lists
     } else {
       showNotification('Error', result.error, 'error');
@@ -452,17 +810,38 @@ async function resetDatabase() {
 }
 
 /**
- * Export bookmarks to NotebookLM format
+ * Load available export formats into the format picker
+ */
+async function loadExportFormats() {
+  try {
+    const result = await ipcRenderer.invoke('get-export-formats');
+    
+    if (result.success) {
+      exportFormatSelect.innerHTML = result.data
+        .map(format => `<option value="${escapeHtml(format.id)}">${escapeHtml(format.name)}</option>`)
+        .join('');
+    }
+  } catch (error) {
+    console.error('❌ Failed to load export formats:', error);
+  }
+}
+
+/**
+ * Export all local bookmarks in the selected format
  */
 async function exportBookmarks() {
-  console.log('📤 Exporting bookmarks...');
+  const format = exportFormatSelect.value;
+  console.log(`📤 Exporting bookmarks (${format})...`);
+  
+  exportBookmarksBtn.disabled = true;
   
   try {
-    const result = await ipcRenderer.invoke('export-bookmarks', { limit: 100 });
+    const result = await ipcRenderer.invoke('export-bookmarks', { format });
     
     if (result.success) {
       console.log('✅ Export complete:', result.data);
-      showNotification('Export Complete', `File created: ${result.data}`, 'success');
+      showNotification('Export Complete', `${result.data.count} bookmarks exported to ${result.data.path}`, 'success');
+      require('electron').shell.showItemInFolder(result.data.path);
     } else {
       console.error('❌ Export failed:', result.error);
       showNotification('Export Failed', result.error, 'error');
@@ -470,9 +849,132 @@ async function exportBookmarks() {
   } catch (error) {
     console.error('❌ Export error:', error);
     showNotification('Error', error.message, 'error');
+  } finally {
+    exportBookmarksBtn.disabled = false;
   }
 }
 
+/**
+ * Search local bookmarks and render results
+ */
+async function searchBookmarks() {
+  const query = searchInput.value.trim();
+  
+  if (!query) {
+    searchResults.innerHTML = '';
+    searchSummary.textContent = '';
+    return;
+  }
+  
+  // Ignore responses from older keystrokes that finish late
+  const searchId = ++latestSearchId;
+  
+  try {
+    const result = await ipcRenderer.invoke('search-bookmarks', {
+      query,
+      filters: {
+        hasYoutube: searchYoutubeFilter.checked,
+        hasMedia: searchMediaFilter.checked,
+        limit: SEARCH_RESULT_LIMIT
+      }
+    });
+    
+    if (searchId !== latestSearchId) return;
+    
+    if (!result.success) {
+      console.error('❌ Search failed:', result.error);
+      showNotification('Search Failed', result.error, 'error');
+      return;
+    }
+    
+    renderSearchResults(result.data);
+    
+  } catch (error) {
+    console.error('❌ Search error:', error);
+    showNotification('Search Error', error.message, 'error');
+  }
+}
+
+/**
+ * Upload status badge for a bookmark (delivered / queued / not uploaded)
+ */
+function renderUploadBadge(bookmark) {
+  if (bookmark.delivered_notebook) {
+    return `<span class="upload-badge delivered" title="In NotebookLM">✅ ${escapeHtml(bookmark.delivered_notebook)}</span>`;
+  }
+  if (bookmark.upload_queued) {
+    return '<span class="upload-badge queued">⏳ Upload pending</span>';
+  }
+  return '<span class="upload-badge missing">☁️ Not in NotebookLM</span>';
+}
+
+/**
+ * Badge for a bookmark a reconciliation found removed on X
+ */
+function renderRemovedBadge(bookmark) {
+  if (!bookmark.removed_at) {
+    return '';
+  }
+  return `<span class="removed-badge" title="Removed ${escapeHtml(new Date(bookmark.removed_at).toLocaleDateString())}">${describeRemoval(bookmark)}</span>`;
+}
+
+/**
+ * Thumbnails of media stored locally (data/media/thumbs/)
+ */
+function renderThumbnails(bookmark) {
+  if (!bookmark.thumbnails || bookmark.thumbnails.length === 0) {
+    return '';
+  }
+  const images = bookmark.thumbnails
+    .map(url => `<img src="${escapeHtml(url)}" alt="" loading="lazy">`)
+    .join('');
+  return `<div class="search-result-media">${images}</div>`;
+}
+
+/**
+ * Render search results (snippets are pre-escaped HTML with <mark> highlights)
+ */
+function renderSearchResults({ total, results }) {
+  searchSummary.textContent = total > results.length
+    ? `Showing ${results.length} of ${total} matches`
+    : `${total} match${total === 1 ? '' : 'es'}`;
+  
+  if (results.length === 0) {
+    searchResults.innerHTML = `
+      <div class="empty-state">
+        <p>No bookmarks match your search</p>
+      </div>
+    `;
+    return;
+  }
+  
+  searchResults.innerHTML = results.map(bookmark => `
+    <div class="search-result" data-url="${escapeHtml(bookmark.url)}">
+      <div class="search-result-meta">
+        <strong>${escapeHtml(bookmark.author)}</strong> • ${escapeHtml(new Date(bookmark.timestamp).toLocaleDateString())}
+        ${renderUploadBadge(bookmark)}
+        ${renderRemovedBadge(bookmark)}
+      </div>
+      <div class="search-result-snippet">${bookmark.snippetHtml}</div>
+      ${renderThumbnails(bookmark)}
+    </div>
+  `).join('');
+  
+  document.querySelectorAll('.search-result').forEach(el => {
+    el.addEventListener('click', () => {
+      require('electron').shell.openExternal(el.dataset.url);
+    });
+  });
+}
+
+/**
+ * Debounce search while typing
+ */
+function scheduleSearch() {
+  clearTimeout(searchDebounceTimer);
+  searchDebounceTimer = setTimeout(searchBookmarks, SEARCH_DEBOUNCE_MS);
+}
+
 /**
  * Show toast notification with detailed error info
  * 
@@ -509,7 +1011,7 @@ function showNotification(title, message, type = 'info', options = {}) {
     <div class="toast-header">
       <div class="toast-title">
         <span class="toast-icon">${icon}</span>
-        <span>${title}</span>
+        <span>${escapeHtml(title)}</span>
       </div>
       <button class="toast-close" aria-label="Close">×</button>
     </div>
@@ -609,7 +1111,7 @@ function copyToClipboard(text) {
 function escapeHtml(text) {
   const div = document.createElement('div');
   div.textContent = text;
-  return div.innerHTML;
+  return div.innerHTML.replace(/"/g, '&quot;'); // Also safe inside attribute values
 }
 
 /**
@@ -640,6 +1142,19 @@ function formatTimestamp(date) {
 // Alias for consistency
 const getTimeAgo = formatTimestamp;
 
+/**
+ * Format a duration in ms for display (850 ms, 4.2 s, 3 min 5 s)
+ */
+function formatDuration(ms) {
+  if (ms < 1000) {
+    return `${ms} ms`;
+  }
+  if (ms < 60000) {
+    return `${(ms / 1000).toFixed(1)} s`;
+  }
+  return `${Math.floor(ms / 60000)} min ${Math.round((ms % 60000) / 1000)} s`;
+}
+
 /**
  * Listen for sync status updates from main process
  */
@@ -671,6 +1186,16 @@ syncBookmarksBtn.addEventListener('click', () => {
   syncBookmarks();
 });
 
+reconcileBookmarksBtn.addEventListener('click', () => {
+  console.log('🔎 Check for Removed clicked');
+  reconcileBookmarks();
+});
+
+exportBookmarksBtn.addEventListener('click', () => {
+  console.log('📤 Export clicked');
+  exportBookmarks();
+});
+
 openBookmarksNotebookBtn.addEventListener('click', () => {
   console.log('🔗 Opening Bookmarks Notebook...');
   require('electron').shell.openExternal('https://notebooklm.google.com');
@@ -698,6 +1223,11 @@ resetDatabaseBtn.addEventListener('click', () => {
   resetDatabase();
 });
 
+searchInput.addEventListener('input', scheduleSearch);
+searchYoutubeFilter.addEventListener('change', searchBookmarks);
+searchMediaFilter.addEventListener('change', searchBookmarks);
+syncHistoryFilter.addEventListener('change', loadSyncHistory);
+
 /**
  * Initialize app on load
  */
@@ -716,10 +1246,16 @@ window.addEventListener('DOMContentLoaded', async () => {
   loadStats();
   loadLists();
   loadGoogleAccount();
+  loadExportFormats();
+  loadUploadQueue();
+  loadRemovedBookmarks();
+  loadSyncHistory();
   
   // Refresh periodically
   setInterval(loadStats, 30000);
   setInterval(loadLists, 60000);
+  setInterval(loadUploadQueue, 60000);
+  setInterval(loadSyncHistory, 60000);
   setInterval(loadGoogleAccount, 120000); // Refresh account every 2 minutes
 
 console.log('✅ Renderer ready');
@@ -8,6 +8,7 @@ const { ipcRenderer } = require('electron');
 const stepWelcome = document.getElementById('step-welcome');
 const stepTwitter = document.getElementById('step-twitter');
 const stepNotebookLM = document.getElementById('step-notebooklm');
+const stepImport = document.getElementById('step-import');
 const stepComplete = document.getElementById('step-complete');
 
 // Buttons
@@ -16,18 +17,21 @@ const connectTwitterBtn = document.getElementById('connect-twitter');
 const skipTwitterBtn = document.getElementById('skip-twitter');
 const connectNotebookLMBtn = document.getElementById('connect-notebooklm');
 const skipNotebookLMBtn = document.getElementById('skip-notebooklm');
+const importArchiveBtn = document.getElementById('import-archive');
+const skipImportBtn = document.getElementById('skip-import');
 const finishOnboardingBtn = document.getElementById('finish-onboarding');
 
 // Status displays
 const twitterStatus = document.getElementById('twitter-status');
 const notebooklmStatus = document.getElementById('notebooklm-status');
 const notebooklmEmailStatus = document.getElementById('notebooklm-email-status');
+const importStatus = document.getElementById('import-status');
 
 /**
  * Show specific step
  */
 function showStep(step) {
-  [stepWelcome, stepTwitter, stepNotebookLM, stepComplete].forEach(s => {
+  [stepWelcome, stepTwitter, stepNotebookLM, stepImport, stepComplete].forEach(s => {
     s.style.display = 'none';
   });
   step.style.display = 'block';
@@ -103,7 +107,7 @@ connectNotebookLMBtn.addEventListener('click', async () => {
       
       // Auto-advance after 2 seconds
       setTimeout(() => {
-        showStep(stepComplete);
+        showStep(stepImport);
       }, 2000);
     } else {
       notebooklmStatus.className = 'status-indicator status-pending';
@@ -120,6 +124,52 @@ connectNotebookLMBtn.addEventListener('click', async () => {
 });
 
 skipNotebookLMBtn.addEventListener('click', () => {
+  showStep(stepImport);
+});
+
+/**
+ * Import X data archive
+ */
+importArchiveBtn.addEventListener('click', async () => {
+  try {
+    importArchiveBtn.disabled = true;
+    importArchiveBtn.textContent = 'Importing...';
+    
+    const result = await ipcRenderer.invoke('import-x-archive');
+    
+    if (result.success && !result.data) {
+      // Dialog canceled
+      importArchiveBtn.disabled = false;
+      importArchiveBtn.textContent = 'Select Archive ZIP';
+      return;
+    }
+    
+    if (result.success) {
+      const { inserted, updated, skipped } = result.data;
+      importStatus.className = 'status-indicator status-success';
+      importStatus.textContent = `✅ ${inserted} imported, ${updated} updated, ${skipped} skipped`;
+      importArchiveBtn.textContent = 'Imported!';
+      
+      // Auto-advance after 3 seconds
+      setTimeout(() => {
+        showStep(stepComplete);
+      }, 3000);
+    } else {
+      importStatus.className = 'status-indicator status-pending';
+      importStatus.textContent = `❌ ${result.error}`;
+      importArchiveBtn.disabled = false;
+      importArchiveBtn.textContent = 'Try Again';
+    }
+    
+  } catch (error) {
+    console.error('Archive import error:', error);
+    importStatus.textContent = `❌ Error: ${error.message}`;
+    importArchiveBtn.disabled = false;
+    importArchiveBtn.textContent = 'Try Again';
+  }
+});
+
+skipImportBtn.addEventListener('click', () => {
   showStep(stepComplete);
 });
 
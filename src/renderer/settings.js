@@ -1,5 +1,5 @@
 /**
- * Settings Page - List Selection
+ * Settings Page - List Selection + Notebook Names + Website Source Domains + Media Storage + Notebook Routing + Bookmark Folders + Backups
  */
 
 const { ipcRenderer } = require('electron');
@@ -11,8 +11,51 @@ const discoverBtn = document.getElementById('discover-lists');
 const backBtn = document.getElementById('back-home');
 const maxTweetsInput = document.getElementById('max-tweets');
 const daysBackInput = document.getElementById('days-back');
+const archiveLinksInput = document.getElementById('archive-links');
+const mediaQuotaInput = document.getElementById('media-quota');
+const ocrImagesInput = document.getElementById('ocr-images');
+const excludeRemovedInput = document.getElementById('exclude-removed');
+const mediaUsageText = document.getElementById('media-usage');
+const nameFormatInputs = {
+  bookmarks: document.getElementById('bookmarks-name-format'),
+  list: document.getElementById('list-name-format')
+};
+const namePreviews = {
+  bookmarks: document.getElementById('bookmarks-name-preview'),
+  list: document.getElementById('list-name-preview')
+};
+const domainsContainer = document.getElementById('domains-container');
+const newDomainInput = document.getElementById('new-domain');
+const rulesContainer = document.getElementById('rules-container');
+const addRuleBtn = document.getElementById('add-rule');
+const foldersContainer = document.getElementById('folders-container');
+const discoverFoldersBtn = document.getElementById('discover-folders');
+const syncFoldersBtn = document.getElementById('sync-folders');
+const backupSelect = document.getElementById('backup-select');
+const backupsMeta = document.getElementById('backups-meta');
+const restoreBackupBtn = document.getElementById('restore-backup');
+
+// Backup kinds (from backups.js) -> label
+const BACKUP_KIND_LABELS = {
+  daily: 'Daily',
+  migration: 'Before update',
+  'before-restore': 'Before restore'
+};
+
+// Routing rule types (value -> label, pattern placeholder)
+const RULE_TYPES = {
+  author: ['Author', '@handle'],
+  keyword: ['Keyword', 'prompt engineering'],
+  regex: ['Regex', 'gpt-?[45]'],
+  hashtag: ['Hashtag', '#rustlang'],
+  domain: ['Link domain', 'arxiv.org'],
+  youtube: ['Has YouTube', '']
+};
 
 let currentLists = [];
+let currentDomains = [];
+let currentRules = [];
+let currentFolders = [];
 
 /**
  * Load lists from config
@@ -21,6 +64,15 @@ async function loadLists() {
   try {
     const result = await ipcRenderer.invoke('get-lists-config');
     
+    archiveLinksInput.checked = !!(result.success && result.data?.settings?.archiveLinks);
+    mediaQuotaInput.value = result.data?.settings?.mediaQuotaMb ?? 1024;
+    ocrImagesInput.checked = !!(result.success && result.data?.settings?.ocrImages);
+    excludeRemovedInput.checked = !!(result.success && result.data?.settings?.excludeRemovedFromExports);
+    nameFormatInputs.bookmarks.value = result.data?.settings?.bookmarksNotebookNameFormat || '';
+    nameFormatInputs.list.value = result.data?.settings?.notebookNameFormat || '';
+    previewNotebookName('bookmarks');
+    previewNotebookName('list');
+    
     if (!result.success || !result.data || result.data.lists.length === 0) {
       listsContainer.innerHTML = `
         <p style="text-align: center; padding: 40px; color: #999;">
@@ -31,6 +83,7 @@ async function loadLists() {
     }
     
     currentLists = result.data.lists;
+    previewNotebookName('list'); // Again, with a real list name
     
     // Render lists with checkboxes
     listsContainer.innerHTML = currentLists.map((list, index) => `
@@ -42,9 +95,10 @@ async function loadLists() {
           ${list.enabled ? 'checked' : ''}
         >
         <div class="list-info">
-          <div class="list-name">${list.name}</div>
+          <div class="list-name">${escapeHtml(list.name)}</div>
           <div class="list-meta">
-            ${list.memberCount || 'Unknown members'} • 
+            ${list.owner ? `@${escapeHtml(list.owner)} • ` : ''}
+            ${list.memberCount ?? 'Unknown'} members • 
             Max ${list.maxTweets || 50} tweets
           </div>
         </div>
@@ -57,6 +111,272 @@ async function loadLists() {
   }
 }
 
+/**
+ * Show what a notebook name template produces today (unknown tokens flagged)
+ * 
+ * @param {string} kind - "bookmarks" or "list"
+ */
+async function previewNotebookName(kind) {
+  try {
+    const result = await ipcRenderer.invoke('preview-notebook-name', {
+      template: nameFormatInputs[kind].value.trim(),
+      kind,
+      name: kind === 'list' ? currentLists[0]?.name : null
+    });
+    
+    if (!result.success) {
+      return;
+    }
+    
+    const { name, unknownTokens } = result.data;
+    namePreviews[kind].textContent = `Preview: ${name}${unknownTokens.length > 0 ? ` • Unknown: ${unknownTokens.join(', ')}` : ''}`;
+    namePreviews[kind].style.color = unknownTokens.length > 0 ? '#d9534f' : '';
+    
+  } catch (error) {
+    console.error('Failed to preview notebook name:', error);
+  }
+}
+
+/**
+ * Load link domains (most linked first) with their Website source opt-in
+ */
+async function loadDomains() {
+  try {
+    const result = await ipcRenderer.invoke('get-link-domains');
+    
+    if (!result.success || result.data.length === 0) {
+      return;
+    }
+    
+    currentDomains = result.data;
+    
+    domainsContainer.innerHTML = currentDomains.map((domain, index) => `
+      <div class="list-item">
+        <input 
+          type="checkbox" 
+          class="list-checkbox" 
+          id="domain-${index}"
+          ${domain.website ? 'checked' : ''}
+        >
+        <div class="list-info">
+          <div class="list-name">${escapeHtml(domain.domain)}</div>
+          <div class="list-meta">
+            ${domain.link_count} link${domain.link_count === 1 ? '' : 's'}${domain.link_types ? ` • ${escapeHtml(domain.link_types.split(',').join(', '))}` : ''}
+          </div>
+        </div>
+      </div>
+    `).join('');
+    
+  } catch (error) {
+    console.error('Failed to load link domains:', error);
+    showNotification('Error', 'Failed to load link domains', 'error');
+  }
+}
+
+/**
+ * Load notebook routing rules
+ */
+async function loadRules() {
+  try {
+    const result = await ipcRenderer.invoke('get-routing-rules');
+    
+    if (!result.success) {
+      return;
+    }
+    
+    currentRules = result.data;
+    renderRules();
+    
+  } catch (error) {
+    console.error('Failed to load routing rules:', error);
+    showNotification('Error', 'Failed to load routing rules', 'error');
+  }
+}
+
+/**
+ * Render routing rules as editable rows (enabled, type, pattern, topic, remove)
+ */
+function renderRules() {
+  if (currentRules.length === 0) {
+    rulesContainer.innerHTML = `
+      <p style="text-align: center; padding: 20px; color: #999;">
+        No rules. Every bookmark goes to the Twitter Bookmarks notebook.
+      </p>
+    `;
+    return;
+  }
+  
+  rulesContainer.innerHTML = currentRules.map((rule, index) => `
+    <div class="list-item rule-item">
+      <input 
+        type="checkbox" 
+        class="list-checkbox" 
+        id="rule-enabled-${index}"
+        title="Enabled"
+        ${rule.enabled ? 'checked' : ''}
+      >
+      <select id="rule-type-${index}">
+        ${Object.entries(RULE_TYPES).map(([value, [label]]) => `
+          <option value="${value}" ${rule.matchType === value ? 'selected' : ''}>${label}</option>
+        `).join('')}
+      </select>
+      <input 
+        type="text" 
+        id="rule-pattern-${index}" 
+        placeholder="${escapeHtml(RULE_TYPES[rule.matchType]?.[1] || '')}" 
+        value="${escapeHtml(rule.pattern)}"
+        ${rule.matchType === 'youtube' ? 'disabled' : ''}
+      >
+      <input type="text" id="rule-topic-${index}" placeholder="Notebook topic" value="${escapeHtml(rule.topic)}">
+      <button class="btn btn-secondary" data-remove-rule="${index}" title="Remove rule">✕</button>
+    </div>
+  `).join('');
+}
+
+/**
+ * Read the rule rows back into currentRules
+ */
+function collectRules() {
+  currentRules = currentRules.map((rule, index) => ({
+    matchType: document.getElementById(`rule-type-${index}`).value,
+    pattern: document.getElementById(`rule-pattern-${index}`).value,
+    topic: document.getElementById(`rule-topic-${index}`).value,
+    enabled: document.getElementById(`rule-enabled-${index}`).checked
+  }));
+  return currentRules;
+}
+
+/**
+ * Load bookmark folders with their sync / own-notebook settings
+ */
+async function loadFolders() {
+  try {
+    const result = await ipcRenderer.invoke('get-bookmark-folders');
+    
+    if (!result.success || result.data.length === 0) {
+      return;
+    }
+    
+    currentFolders = result.data;
+    
+    foldersContainer.innerHTML = currentFolders.map((folder, index) => `
+      <div class="list-item">
+        <input 
+          type="checkbox" 
+          class="list-checkbox" 
+          id="folder-${index}"
+          ${folder.enabled ? 'checked' : ''}
+        >
+        <div class="list-info">
+          <div class="list-name">${escapeHtml(folder.name)}</div>
+          <div class="list-meta">
+            ${folder.itemCount} bookmark${folder.itemCount === 1 ? '' : 's'} synced${folder.lastSyncedAt ? ` • last sync ${new Date(folder.lastSyncedAt + 'Z').toLocaleString()}` : ''}
+          </div>
+        </div>
+        <label class="list-meta">
+          <input type="checkbox" id="folder-notebook-${index}" ${folder.ownNotebook ? 'checked' : ''}>
+          Own notebook
+        </label>
+      </div>
+    `).join('');
+    
+  } catch (error) {
+    console.error('Failed to load bookmark folders:', error);
+    showNotification('Error', 'Failed to load bookmark folders', 'error');
+  }
+}
+
+/**
+ * Load database backups into the restore picker (newest first)
+ */
+async function loadBackups() {
+  try {
+    const result = await ipcRenderer.invoke('get-backups');
+    
+    if (!result.success || result.data.length === 0) {
+      backupSelect.innerHTML = '';
+      restoreBackupBtn.disabled = true;
+      return;
+    }
+    
+    backupSelect.innerHTML = result.data.map(backup => `
+      <option value="${escapeHtml(backup.fileName)}">${new Date(backup.createdAt).toLocaleString()} • ${BACKUP_KIND_LABELS[backup.kind] || backup.kind} • ${(backup.bytes / 1024 / 1024).toFixed(1)} MB</option>
+    `).join('');
+    backupsMeta.textContent = `${result.data.length} backup${result.data.length === 1 ? '' : 's'} in data/backups/`;
+    restoreBackupBtn.disabled = false;
+    
+  } catch (error) {
+    console.error('Failed to load backups:', error);
+  }
+}
+
+/**
+ * Restore the selected backup (after confirmation)
+ */
+async function restoreBackup() {
+  const fileName = backupSelect.value;
+  if (!fileName) {
+    return;
+  }
+  
+  const label = backupSelect.options[backupSelect.selectedIndex].textContent;
+  if (!confirm(`Restore the backup from ${label}?\n\nEverything synced since then is replaced. The current database is kept as a backup.`)) {
+    return;
+  }
+  
+  try {
+    restoreBackupBtn.disabled = true;
+    restoreBackupBtn.textContent = 'Restoring...';
+    
+    const result = await ipcRenderer.invoke('restore-backup', { fileName });
+    
+    if (result.success) {
+      showNotification('Backup Restored', `Previous database kept as ${result.data.beforeRestore}`, 'success');
+      loadLists();
+      loadDomains();
+      loadRules();
+      loadFolders();
+    } else {
+      showNotification('Restore Failed', result.error, 'error');
+    }
+    
+  } catch (error) {
+    console.error('Backup restore failed:', error);
+    showNotification('Error', error.message, 'error');
+  } finally {
+    restoreBackupBtn.textContent = '⏪ Restore';
+    loadBackups();
+  }
+}
+
+/**
+ * Show how much of the media storage limit is used
+ */
+async function loadMediaUsage() {
+  try {
+    const result = await ipcRenderer.invoke('get-media-usage');
+    
+    if (!result.success) {
+      return;
+    }
+    
+    const usedMb = (result.data.bytes / 1024 / 1024).toFixed(1);
+    mediaUsageText.textContent = `Tweet images and videos are saved to data/media/ up to this size (0 = don't download) • ${result.data.files} files, ${usedMb} MB used`;
+    
+  } catch (error) {
+    console.error('Failed to load media usage:', error);
+  }
+}
+
+/**
+ * Escape HTML (domains and link types come from tweets, rule fields from the user)
+ */
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML.replace(/"/g, '&quot;');
+}
+
 /**
  * Save settings
  */
@@ -82,8 +402,55 @@ async function saveSettings() {
     
     // Save to config
     const result = await ipcRenderer.invoke('save-lists-config', {
-      lists: currentLists
+      lists: currentLists,
+      settings: {
+        archiveLinks: archiveLinksInput.checked,
+        mediaQuotaMb: Math.max(parseInt(mediaQuotaInput.value, 10) || 0, 0),
+        ocrImages: ocrImagesInput.checked,
+        excludeRemovedFromExports: excludeRemovedInput.checked,
+        bookmarksNotebookNameFormat: nameFormatInputs.bookmarks.value.trim(),
+        notebookNameFormat: nameFormatInputs.list.value.trim()
+      }
+    });
+    
+    // Website source domains (checked + newly typed)
+    const websiteDomains = currentDomains
+      .filter((domain, index) => document.getElementById(`domain-${index}`).checked)
+      .map(domain => domain.domain);
+    if (newDomainInput.value.trim()) {
+      websiteDomains.push(newDomainInput.value.trim());
+    }
+    
+    const domainsResult = await ipcRenderer.invoke('save-website-domains', {
+      domains: websiteDomains
+    });
+    if (!domainsResult.success) {
+      showNotification('Save Failed', domainsResult.error, 'error');
+    } else {
+      newDomainInput.value = '';
+      loadDomains();
+    }
+    
+    // Notebook routing rules (blank rows dropped, rejected as a whole if one is invalid)
+    const rulesResult = await ipcRenderer.invoke('save-routing-rules', {
+      rules: collectRules().filter(rule => rule.pattern.trim() || rule.topic.trim())
     });
+    if (!rulesResult.success) {
+      showNotification('Routing Rules Not Saved', rulesResult.error, 'error');
+    } else {
+      loadRules();
+    }
+    
+    // Bookmark folder settings
+    if (currentFolders.length > 0) {
+      await ipcRenderer.invoke('save-bookmark-folders', {
+        folders: currentFolders.map((folder, index) => ({
+          folderId: folder.folderId,
+          enabled: document.getElementById(`folder-${index}`).checked,
+          ownNotebook: document.getElementById(`folder-notebook-${index}`).checked
+        }))
+      });
+    }
     
     if (result.success) {
       showNotification('Settings Saved', 'List configuration updated', 'success');
@@ -116,7 +483,14 @@ async function discoverLists() {
     const result = await ipcRenderer.invoke('discover-lists');
     
     if (result.success) {
-      showNotification('Discovery Complete', `Found ${result.data.count} lists`, 'success');
+      const { count, added = [], removed = [], removalSkipped = false } = result.data;
+      const changes = [
+        added.length > 0 ? `New: ${added.join(', ')}` : '',
+        removed.length > 0 ? `Removed: ${removed.join(', ')}` : '',
+        removalSkipped ? 'Found far fewer lists than before, none removed' : ''
+      ].filter(Boolean).join(' • ');
+      
+      showNotification('Discovery Complete', `Found ${count} lists${changes ? ` (${changes})` : ''}`, 'success');
       loadLists(); // Reload lists
     } else {
       showNotification('Discovery Failed', result.error, 'error');
@@ -131,6 +505,63 @@ async function discoverLists() {
   }
 }
 
+/**
+ * Discover bookmark folders
+ */
+async function discoverFolders() {
+  try {
+    discoverFoldersBtn.disabled = true;
+    discoverFoldersBtn.textContent = 'Discovering...';
+    
+    showNotification('Discovering Folders', 'Browser will open...', 'info');
+    
+    const result = await ipcRenderer.invoke('discover-bookmark-folders');
+    
+    if (result.success) {
+      showNotification('Discovery Complete', `Found ${result.data.found} folders (${result.data.added} new)`, 'success');
+      loadFolders();
+    } else {
+      showNotification('Discovery Failed', result.error, 'error');
+    }
+    
+  } catch (error) {
+    console.error('Folder discovery failed:', error);
+    showNotification('Error', error.message, 'error');
+  } finally {
+    discoverFoldersBtn.disabled = false;
+    discoverFoldersBtn.textContent = '🔍 Discover Folders';
+  }
+}
+
+/**
+ * Sync enabled bookmark folders (save settings first so the checkboxes apply)
+ */
+async function syncFolders() {
+  try {
+    syncFoldersBtn.disabled = true;
+    syncFoldersBtn.textContent = 'Syncing...';
+    
+    await saveSettings();
+    
+    const result = await ipcRenderer.invoke('sync-bookmark-folders');
+    const synced = (result.data?.folders || []).reduce((total, folder) => total + folder.count, 0);
+    
+    if (result.success) {
+      showNotification('Folders Synced', `${synced} new folder bookmarks`, 'success');
+    } else {
+      showNotification('Folder Sync Failed', result.error, 'error');
+    }
+    loadFolders();
+    
+  } catch (error) {
+    console.error('Folder sync failed:', error);
+    showNotification('Error', error.message, 'error');
+  } finally {
+    syncFoldersBtn.disabled = false;
+    syncFoldersBtn.textContent = '🔄 Sync Folders';
+  }
+}
+
 /**
  * Show notification
  */
@@ -138,8 +569,8 @@ function showNotification(title, message, type = 'info') {
   const toast = document.createElement('div');
   toast.className = `toast toast-${type}`;
   toast.innerHTML = `
-    <strong>${title}</strong><br>
-    ${message}
+    <strong>${escapeHtml(title)}</strong><br>
+    ${escapeHtml(message)}
   `;
   
   const container = document.getElementById('toast-container');
@@ -160,6 +591,32 @@ function showNotification(title, message, type = 'info') {
  */
 saveBtn.addEventListener('click', saveSettings);
 discoverBtn.addEventListener('click', discoverLists);
+discoverFoldersBtn.addEventListener('click', discoverFolders);
+syncFoldersBtn.addEventListener('click', syncFolders);
+restoreBackupBtn.addEventListener('click', restoreBackup);
+addRuleBtn.addEventListener('click', () => {
+  collectRules();
+  currentRules.push({ matchType: 'keyword', pattern: '', topic: '', enabled: true });
+  renderRules();
+});
+rulesContainer.addEventListener('click', (event) => {
+  const removeIndex = event.target.dataset.removeRule;
+  if (removeIndex !== undefined) {
+    collectRules();
+    currentRules.splice(Number(removeIndex), 1);
+    renderRules();
+  }
+});
+rulesContainer.addEventListener('change', (event) => {
+  // Re-render on type change (YouTube rules have no pattern, placeholders differ)
+  if (event.target.id.startsWith('rule-type-')) {
+    collectRules();
+    renderRules();
+  }
+});
+Object.entries(nameFormatInputs).forEach(([kind, input]) => {
+  input.addEventListener('input', () => previewNotebookName(kind));
+});
 backBtn.addEventListener('click', () => {
   window.location.href = 'index.html';
 });
@@ -170,5 +627,10 @@ backBtn.addEventListener('click', () => {
 window.addEventListener('DOMContentLoaded', () => {
   console.log('⚙️ Settings page loaded');
   loadLists();
+  loadDomains();
+  loadMediaUsage();
+  loadRules();
+  loadFolders();
+  loadBackups();
 });
 
@@ -0,0 +1,161 @@
+/**
+ * BrainBrief - Notebook Names
+ * 
+ * Purpose: Build NotebookLM notebook names from the user's name templates
+ * Dependencies: settings.js
+ * 
+ * Templates are set in Settings → Notebook Names ("bookmarksNotebookNameFormat" for
+ * the main and routing-topic notebooks, "notebookNameFormat" for list and folder
+ * notebooks; a list can override it in list_metadata.notebook_name_format).
+ * 
+ * Tokens:
+ *   {name} / {listName}   - List, folder or topic name ("Twitter Bookmarks" for the main notebook)
+ *   {date}                - Notebook date, YYYY-MM-DD ({date:YYYY-MM} for another format)
+ *   {firstDate}/{lastDate} - Oldest/newest tweet in the upload (same formats as {date})
+ *   {week}                - ISO week number of {date} (01-53)
+ *   {sequence}            - Notebook number in its rotation (1 for list and folder notebooks)
+ * 
+ * Date formats use YYYY, YY, MM, M, DD and D. Unknown tokens are left as typed.
+ * 
+ * @module notebook-names
+ */
+
+const { getAppSetting } = require('./settings');
+
+// Templates
+const DEFAULT_NOTEBOOK_NAME_FORMAT = 'BrainBrief - {name} - {date}';
+const FORMAT_SETTINGS = {
+  bookmarks: 'bookmarksNotebookNameFormat',
+  list: 'notebookNameFormat'
+};
+
+// Tokens
+const TOKEN_PATTERN = /\{(\w+)(?::([^}]+))?\}/g;
+const DATE_TOKENS = ['date', 'firstDate', 'lastDate'];
+const KNOWN_TOKENS = ['name', 'listName', 'week', 'sequence', ...DATE_TOKENS];
+const DEFAULT_DATE_FORMAT = 'YYYY-MM-DD';
+
+/**
+ * Format a date (local time)
+ * 
+ * @param {Date} date - Date to format
+ * @param {string} format - e.g. "YYYY-MM-DD", "YYYY-MM", "D/M/YY"
+ * @returns {string} Formatted date
+ */
+function _formatDate(date, format) {
+  const parts = {
+    YYYY: String(date.getFullYear()),
+    YY: String(date.getFullYear()).slice(-2),
+    MM: String(date.getMonth() + 1).padStart(2, '0'),
+    M: String(date.getMonth() + 1),
+    DD: String(date.getDate()).padStart(2, '0'),
+    D: String(date.getDate())
+  };
+  return format.replace(/YYYY|YY|MM|M|DD|D/g, part => parts[part]);
+}
+
+/**
+ * ISO 8601 week number (weeks start on Monday, week 1 holds the year's first Thursday)
+ * 
+ * @param {Date} date - Date
+ * @returns {string} Week number, two digits
+ */
+function _isoWeek(date) {
+  // The Thursday of the date's week decides which year the week belongs to
+  const thursday = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+  thursday.setUTCDate(thursday.getUTCDate() + 4 - (thursday.getUTCDay() || 7));
+  const yearStart = new Date(Date.UTC(thursday.getUTCFullYear(), 0, 1));
+  const week = Math.ceil(((thursday - yearStart) / 86400000 + 1) / 7);
+  return String(week).padStart(2, '0');
+}
+
+/**
+ * Oldest and newest tweet dates in an upload
+ * 
+ * @param {Array<Object>} items - Bookmarks or tweets (timestamp, else scraped_at)
+ * @returns {Object} { first: Date|null, last: Date|null }
+ */
+function _dateRange(items) {
+  const dates = items
+    .map(item => new Date(item.timestamp || item.scraped_at))
+    .filter(date => !isNaN(date));
+  if (dates.length === 0) {
+    return { first: null, last: null };
+  }
+  return {
+    first: new Date(Math.min(...dates)),
+    last: new Date(Math.max(...dates))
+  };
+}
+
+/**
+ * Build a notebook name from a template
+ * 
+ * @param {string} template - Name template (empty = default)
+ * @param {Object} values - Token values
+ * @param {string} values.name - List, folder or topic name
+ * @param {Date} values.date - Notebook date (default: now)
+ * @param {Array<Object>} values.items - Bookmarks/tweets in the upload (for {firstDate}/{lastDate})
+ * @param {number} values.sequence - Notebook number in its rotation (default: 1)
+ * @returns {string} Notebook name
+ */
+function formatNotebookName(template, values = {}) {
+  const { name = '', date = new Date(), items = [], sequence = 1 } = values;
+  const range = _dateRange(items);
+  const dates = {
+    date,
+    firstDate: range.first || date,
+    lastDate: range.last || date
+  };
+  
+  const notebookName = (template || DEFAULT_NOTEBOOK_NAME_FORMAT)
+    .replace(TOKEN_PATTERN, (token, key, format) => {
+      if (DATE_TOKENS.includes(key)) {
+        return _formatDate(dates[key], format || DEFAULT_DATE_FORMAT);
+      }
+      if (key === 'name' || key === 'listName') {
+        return name;
+      }
+      if (key === 'week') {
+        return _isoWeek(date);
+      }
+      if (key === 'sequence') {
+        return String(sequence);
+      }
+      return token;
+    })
+    .replace(/\s+/g, ' ')
+    .trim();
+    
+  // A template of only tokens can come out blank (e.g. "{name}" with no name)
+  return notebookName || formatNotebookName(DEFAULT_NOTEBOOK_NAME_FORMAT, values);
+}
+
+/**
+ * Tokens in a template that formatNotebookName doesn't know (shown as warnings in Settings)
+ * 
+ * @param {string} template - Name template
+ * @returns {Array<string>} Unknown tokens as typed, e.g. ["{month}"]
+ */
+function getUnknownTokens(template) {
+  return [...(template || '').matchAll(TOKEN_PATTERN)]
+    .filter(([, key, format]) => !KNOWN_TOKENS.includes(key) || (format && !DATE_TOKENS.includes(key)))
+    .map(([token]) => token);
+}
+
+/**
+ * Configured name template (lists-config.json settings)
+ * 
+ * @param {string} kind - "bookmarks" (main and topic notebooks) or "list" (list and folder notebooks)
+ * @returns {string} Name template
+ */
+function getNotebookNameFormat(kind) {
+  return getAppSetting(FORMAT_SETTINGS[kind]) || DEFAULT_NOTEBOOK_NAME_FORMAT;
+}
+
+module.exports = {
+  formatNotebookName,
+  getUnknownTokens,
+  getNotebookNameFormat,
+  DEFAULT_NOTEBOOK_NAME_FORMAT
+};
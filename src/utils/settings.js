@@ -0,0 +1,84 @@
+/**
+ * BrainBrief - App Settings
+ * 
+ * Purpose: Read and write the app settings in lists-config.json
+ * Dependencies: None
+ * 
+ * Settings live under "settings" in lists-config.json (Settings page, or edited
+ * by hand). They are read fresh on every call, so a change applies to the next
+ * sync without a restart. A missing or unreadable file means the defaults.
+ * 
+ * @module settings
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// Paths
+const CONFIG_FILE = path.join(__dirname, '../../lists-config.json');
+
+/**
+ * Read all app settings
+ * 
+ * @returns {Object} Settings (empty if the file is missing or unreadable)
+ */
+function getAppSettings() {
+  try {
+    if (!fs.existsSync(CONFIG_FILE)) {
+      return {};
+    }
+    const config = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf-8'));
+    return config.settings || {};
+  } catch (error) {
+    logger.warn(`Could not read settings from lists-config.json (${error.message}), using defaults`, 'settings');
+    return {};
+  }
+}
+
+/**
+ * Read one app setting
+ * 
+ * @param {string} key - Setting name (e.g. 'archiveLinks')
+ * @param {*} fallback - Value when it isn't set
+ * @returns {*} Setting value, or fallback
+ */
+function getAppSetting(key, fallback = null) {
+  return getAppSettings()[key] ?? fallback;
+}
+
+/**
+ * Save app settings (merged into the existing ones; other keys in the file are kept)
+ * 
+ * @param {Object} changes - Settings to set
+ * @returns {Object} { success, data: settings, error }
+ */
+function saveAppSettings(changes) {
+  try {
+    const config = fs.existsSync(CONFIG_FILE)
+      ? JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf-8'))
+      : {};
+    config.settings = { ...config.settings, ...changes };
+    fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2));
+    
+    return {
+      success: true,
+      data: config.settings,
+      error: null
+    };
+    
+  } catch (error) {
+    logger.error('Failed to save settings', error, 'settings');
+    return {
+      success: false,
+      data: null,
+      error: error.message
+    };
+  }
+}
+
+module.exports = {
+  getAppSettings,
+  getAppSetting,
+  saveAppSettings
+};